@@ -118,7 +118,7 @@ class ContentScriptManager {
   }
 
   handleYouTubeNavigation() {
-    if (this.factChecker && this.isWatchPage()) {
+    if (this.factChecker && this.isVideoPage()) {
       this.factChecker.checkCurrentPage();
     }
   }
@@ -140,7 +140,7 @@ class ContentScriptManager {
   }
 
   checkCurrentPage() {
-    if (this.factChecker && this.isWatchPage()) {
+    if (this.factChecker && this.isVideoPage()) {
       this.factChecker.checkCurrentPage();
     }
   }
@@ -149,6 +149,14 @@ class ContentScriptManager {
     return location.pathname === '/watch' && location.search.includes('v=');
   }
 
+  isShortsPage() {
+    return location.pathname.startsWith('/shorts/');
+  }
+
+  isVideoPage() {
+    return this.isWatchPage() || this.isShortsPage();
+  }
+
   async handleInitializationError(error) {
     this.retryCount++;
     
@@ -222,6 +230,7 @@ class ContentScriptManager {
       retryCount: this.retryCount,
       currentUrl: location.href,
       isWatchPage: this.isWatchPage(),
+      isShortsPage: this.isShortsPage(),
       factChecker: this.factChecker?.getDebugInfo() || null
     };
   }
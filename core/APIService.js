@@ -1,5 +1,9 @@
-// Gemini API communication and management
+// LLM API communication and management
+// Provider-specific request/response shapes live in core/providers/
 import { ModelConfig } from '../utils/ModelConfig.js';
+import { Constants } from '../utils/Constants.js';
+import { GeminiProvider } from './providers/GeminiProvider.js';
+import { OpenAICompatibleProvider } from './providers/OpenAICompatibleProvider.js';
 
 export class APIService {
   constructor() {
@@ -7,61 +11,96 @@ export class APIService {
     this.rateLimiter = new Map();
     this.rateLimitWindow = 60 * 1000; // 1 minute
     this.maxRequestsPerWindow = 15;
+    this.lastAttempts = []; // { model, status, error } per model tried by the last makeRequest
+
+    // Providers implement buildRequest(), extractText(), extractUsage(), extractError() and
+    // validateKey(), plus extractGrounding() if they can return search citations
+    this.providers = {
+      gemini: new GeminiProvider(this.modelConfig),
+      openai: new OpenAICompatibleProvider(this.modelConfig)
+    };
   }
 
-  async validateKey(apiKey) {
+  getProvider(settings = {}) {
+    return this.providers[settings.provider] || this.providers.gemini;
+  }
+
+  async validateKey(apiKey, settings = {}) {
     try {
-      const testPrompt = "Test connection. Respond with 'OK'.";
-      
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${this.modelConfig.getDefault()}:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: testPrompt }] }],
-          generationConfig: { maxOutputTokens: 10, temperature: 0.1 }
-        })
-      });
+      const provider = this.getProvider(settings);
+      const baseUrl = this.modelConfig.getBaseUrl(settings);
 
-      return response.ok || response.status === 400;
+      await this.ensureHostPermission(baseUrl);
+
+      return await provider.validateKey(apiKey, {
+        model: this.modelConfig.selectModel(settings),
+        baseUrl
+      });
     } catch (error) {
       console.error('API key validation error:', error);
       return false;
     }
   }
 
-  async makeRequest(prompt, apiKey, settings = {}, timeout = 45) {
+  /**
+   * @param {Object} options - { responseSchema } to request structured JSON output where supported,
+   *   { includeGrounding } to resolve to { text, grounding } instead of the bare text,
+   *   { usageMeter } (UsageMeter) to add the response's token counts to,
+   *   { overQuotaConfirmed } to let a content script's request past the usage limits
+   */
+  async makeRequest(prompt, apiKey, settings = {}, timeout = 45, options = {}) {
+    // Content scripts can't check host permissions, and YouTube's page would block http:// endpoints as mixed content
+    if (!chrome.permissions) {
+      return this.makeRequestViaBackground(prompt, apiKey, settings, timeout, options);
+    }
+
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout * 1000);
 
     try {
-      const selectedModel = this.modelConfig.selectModel(settings);
-      const modelsToTry = [selectedModel, ...this.modelConfig.getFallbacks()];
+      const provider = this.getProvider(settings);
+      const baseUrl = this.modelConfig.getBaseUrl(settings);
+      const modelsToTry = this.modelConfig.getModelsToTry(settings);
       let lastError = null;
 
+      this.lastAttempts = [];
+      await this.ensureHostPermission(baseUrl);
+
       for (const model of modelsToTry) {
         try {
-          console.log(`🔍 Trying model: ${model}`);
+          console.log(`🔍 Trying ${provider.name} model: ${model}`);
           
-          const requestBody = this.buildRequestBody(prompt, model, settings);
-          
-          const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(requestBody),
-            signal: controller.signal
+          const request = provider.buildRequest(prompt, {
+            model,
+            apiKey,
+            baseUrl,
+            settings,
+            responseSchema: options.responseSchema
           });
+          
+          const response = await fetch(request.url, { ...request.options, signal: controller.signal });
 
           clearTimeout(timeoutId);
+          this.lastAttempts.push({ model, status: response.status, error: null });
 
           if (response.ok) {
             const data = await response.json();
-            const textContent = data.candidates?.[0]?.content?.parts?.[0]?.text;
+            const textContent = provider.extractText(data);
             
             if (!textContent) {
               throw new Error('No response content received from AI model');
             }
 
             console.log(`✅ Analysis successful with ${model}`);
+
+            if (options.usageMeter) {
+              options.usageMeter.add(model, provider.extractUsage(data));
+            }
+
+            if (options.includeGrounding) {
+              const grounding = provider.extractGrounding ? provider.extractGrounding(data) : null;
+              return { text: textContent, grounding };
+            }
             return textContent;
           }
 
@@ -74,16 +113,18 @@ export class APIService {
           }
 
           if (response.status === 404) {
+            lastError = new Error(`Model ${model} is not available from ${baseUrl}`);
             console.log(`❌ Model ${model} not available, trying next...`);
             continue;
           }
 
           const errorData = await response.json().catch(() => ({}));
-          lastError = new Error(`API request failed: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+          lastError = new Error(`API request failed: ${response.status} - ${provider.extractError(errorData) || 'Unknown error'}`);
           console.log(`❌ ${model} failed:`, lastError.message);
           continue;
 
         } catch (error) {
+          this.recordAttemptError(model, error);
           if (error.name === 'AbortError') {
             throw new Error(`Analysis timed out after ${timeout} seconds`);
           }
@@ -102,35 +143,60 @@ export class APIService {
     }
   }
 
-  buildRequestBody(prompt, model, settings) {
-    const requestBody = {
-      contents: [{ parts: [{ text: prompt }] }],
-      generationConfig: {
-        temperature: 0.05,
-        maxOutputTokens: 4000,
-        candidateCount: 1,
-        topP: 0.7,
-        topK: 20
-      },
-      safetySettings: [
-        { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-        { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-        { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
-        { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
-      ]
-    };
+  /**
+   * makeRequest from a content script: the background worker makes the call (MODEL_REQUEST)
+   * and sends back the result with its token usage
+   */
+  async makeRequestViaBackground(prompt, apiKey, settings, timeout, options) {
+    const response = await chrome.runtime.sendMessage({
+      type: Constants.MESSAGE_TYPES.MODEL_REQUEST,
+      data: {
+        prompt,
+        apiKey,
+        settings,
+        timeout,
+        responseSchema: options.responseSchema,
+        includeGrounding: options.includeGrounding === true,
+        overQuotaConfirmed: options.overQuotaConfirmed === true
+      }
+    });
 
-    // Only enable grounding for compatible models
-    if (settings.useGroundingSearch && this.modelConfig.supportsGrounding(model)) {
-      requestBody.tools = [{
-        googleSearchRetrieval: { disableAttribution: false }
-      }];
-      console.log(`🌐 Grounding search enabled for ${model}`);
-    } else if (settings.useGroundingSearch) {
-      console.log(`⚠️ Grounding search skipped for ${model} (not supported)`);
+    if (!response?.success) {
+      throw new Error(response?.error || 'Model request failed');
     }
 
-    return requestBody;
+    if (options.usageMeter) {
+      options.usageMeter.merge(response.usage);
+    }
+    return response.result;
+  }
+
+  recordAttemptError(model, error) {
+    const attempt = this.lastAttempts[this.lastAttempts.length - 1];
+    if (attempt?.model === model) {
+      attempt.error = error.message;
+    } else {
+      this.lastAttempts.push({ model, status: null, error: error.message });
+    }
+  }
+
+  /**
+   * Models tried by the last request, in order (fallback diagnostics)
+   */
+  getLastAttempts() {
+    return this.lastAttempts.map(attempt => ({ ...attempt }));
+  }
+
+  /**
+   * Custom base URLs are covered by optional host permissions granted from the popup
+   */
+  async ensureHostPermission(baseUrl) {
+    const origin = `${new URL(baseUrl).origin}/*`;
+    const granted = await chrome.permissions.contains({ origins: [origin] });
+
+    if (!granted) {
+      throw new Error(`No permission to reach ${new URL(baseUrl).origin}. Save the provider settings in the extension popup to grant access.`);
+    }
   }
 
   checkRateLimit(tabId) {
@@ -145,13 +211,13 @@ export class APIService {
     
     const requests = this.rateLimiter.get(tabId);
     const recentRequests = requests.filter(timestamp => timestamp > windowStart);
+    this.rateLimiter.set(tabId, recentRequests);
     
     if (recentRequests.length >= this.maxRequestsPerWindow) {
       return false;
     }
     
     recentRequests.push(now);
-    this.rateLimiter.set(tabId, recentRequests);
     
     if (Math.random() < 0.1) {
       this.cleanupRateLimit();
@@ -160,6 +226,32 @@ export class APIService {
     return true;
   }
 
+  /**
+   * Wait for a free slot instead of failing - for the follow-on requests of a check that already started
+   */
+  async waitForRateLimit(tabId) {
+    // Loops only when another batch took the freed slot first
+    while (!this.checkRateLimit(tabId)) {
+      const wait = this.getRateLimitDelay(tabId);
+
+      console.log(`⏳ Rate limit reached, next analysis batch in ${Math.ceil(wait / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Milliseconds until enough of the tab's requests leave the window for one more to fit
+   */
+  getRateLimitDelay(tabId) {
+    // checkRateLimit has just dropped the expired timestamps; they are in the order they were made
+    const requests = this.rateLimiter.get(tabId) || [];
+    const freesSlot = requests[requests.length - this.maxRequestsPerWindow];
+    if (freesSlot === undefined) return 0;
+
+    // A request counts while it is strictly inside the window, so wait until just past its edge
+    return Math.max(0, freesSlot + this.rateLimitWindow - Date.now() + 1);
+  }
+
   cleanupRateLimit() {
     const now = Date.now();
     const windowStart = now - this.rateLimitWindow;
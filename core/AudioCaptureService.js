@@ -0,0 +1,108 @@
+// AudioCaptureService.js - Background side of the audio transcription fallback
+// Gets a tab capture stream for the content script's tab and hands it to the offscreen recorder (offscreen.js)
+
+import { Constants } from '../utils/Constants.js';
+
+export class AudioCaptureService {
+  /**
+   * @param {APIService} apiService - checks the endpoint's host permission
+   */
+  constructor(apiService) {
+    this.apiService = apiService;
+  }
+
+  /**
+   * Start recording a tab. Chunk events come back from the offscreen document and are relayed
+   * to the tab as AUDIO_CAPTURE_EVENT.
+   * @param {number} tabId
+   * @param {Object} settings - needs `transcriptionEndpoint`
+   */
+  async start(tabId, settings) {
+    if (!chrome.offscreen || !chrome.tabCapture?.getMediaStreamId) {
+      throw new Error('Audio transcription needs a newer version of Chrome (116 or later).');
+    }
+    if (!settings.audioTranscription || !settings.transcriptionEndpoint) {
+      throw new Error('Audio transcription is off. Turn it on and set a speech-to-text endpoint in the extension settings.');
+    }
+    await this.apiService.ensureHostPermission(settings.transcriptionEndpoint);
+
+    // One offscreen document per extension, so one recording at a time
+    if (await this.hasOffscreenDocument()) {
+      throw new Error('Another video is already being transcribed. Try again when it is done.');
+    }
+
+    let streamId;
+    try {
+      streamId = await chrome.tabCapture.getMediaStreamId({ targetTabId: tabId });
+    } catch (error) {
+      throw new Error(`Chrome didn't allow recording this tab (${error.message}). Click the extension's toolbar button on this tab, then try again.`);
+    }
+
+    await chrome.offscreen.createDocument({
+      url: Constants.AUDIO_TRANSCRIPTION.OFFSCREEN_PATH,
+      reasons: ['USER_MEDIA'],
+      justification: 'Record the tab\'s audio for speech-to-text when a video has no captions'
+    });
+
+    const response = await chrome.runtime.sendMessage({
+      target: 'offscreen',
+      type: 'START_RECORDING',
+      tabId,
+      streamId,
+      endpoint: settings.transcriptionEndpoint,
+      chunkSeconds: Constants.AUDIO_TRANSCRIPTION.CHUNK_SECONDS,
+      sampleRate: Constants.AUDIO_TRANSCRIPTION.SAMPLE_RATE
+    });
+
+    if (!response?.success) {
+      await this.closeOffscreenDocument();
+      throw new Error(response?.error || 'Could not start recording the tab\'s audio');
+    }
+
+    console.log('🎙️ Recording audio for transcription in tab', tabId);
+  }
+
+  /**
+   * Stop recording; the chunks still being transcribed are reported before the `done` event
+   */
+  async stop(tabId) {
+    if (!await this.hasOffscreenDocument()) return;
+
+    await chrome.runtime.sendMessage({ target: 'offscreen', type: 'STOP_RECORDING', tabId });
+  }
+
+  /**
+   * Pass a recorder event on to the tab being transcribed; the offscreen document closes once it is done
+   * @param {{tabId: number, event: {kind: string}}} message
+   */
+  async relay({ tabId, event }) {
+    if (event.kind === 'done') {
+      await this.closeOffscreenDocument();
+    }
+
+    try {
+      await chrome.tabs.sendMessage(tabId, { type: Constants.MESSAGE_TYPES.AUDIO_CAPTURE_EVENT, event });
+    } catch (error) {
+      // Tab closed or navigated away mid-recording
+      console.log('Could not deliver audio transcription event:', error.message);
+      if (event.kind !== 'done') {
+        await this.stop(tabId);
+      }
+    }
+  }
+
+  async hasOffscreenDocument() {
+    const contexts = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+    return contexts.length > 0;
+  }
+
+  async closeOffscreenDocument() {
+    try {
+      if (await this.hasOffscreenDocument()) {
+        await chrome.offscreen.closeDocument();
+      }
+    } catch (error) {
+      console.log('Could not close offscreen document:', error.message);
+    }
+  }
+}
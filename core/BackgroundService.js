@@ -5,6 +5,7 @@ import { MessageHandler } from './MessageHandler.js';
 import { SettingsManager } from '../utils/SettingsManager.js';
 import { Cache } from '../utils/Cache.js';
 import { StatsManager } from '../utils/StatsManager.js';
+import { UsageQuota } from '../utils/UsageQuota.js';
 
 class BackgroundService {
   constructor() {
@@ -14,6 +15,7 @@ class BackgroundService {
     this.settingsManager = new SettingsManager();
     this.cache = new Cache('fact_check', 100, 1); // prefix, maxSize, expiryHours
     this.statsManager = new StatsManager();
+    this.usageQuota = new UsageQuota();
     
     this.initialize();
   }
@@ -22,6 +24,7 @@ class BackgroundService {
     this.setupEventListeners();
     this.settingsManager.initializeDefaults();
     this.cache.startCleanupTimer();
+    this.usageQuota.scheduleResets();
   }
 
   setupEventListeners() {
@@ -34,6 +37,11 @@ class BackgroundService {
       return true;
     });
 
+    // Streamed fact-checks (partial results) - an open port also keeps the worker alive
+    chrome.runtime.onConnect.addListener((port) => {
+      this.messageHandler.handleStreamPort(port);
+    });
+
     chrome.action.onClicked.addListener((tab) => {
       this.handleActionClick(tab);
     });
@@ -41,11 +49,16 @@ class BackgroundService {
     chrome.runtime.onStartup.addListener(() => {
       this.cache.cleanExpired();
     });
+
+    // Daily/monthly usage counters
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      this.usageQuota.handleAlarm(alarm);
+    });
   }
 
   async handleActionClick(tab) {
     try {
-      if (tab.url?.includes('youtube.com/watch')) {
+      if (tab.url?.includes('youtube.com/watch') || tab.url?.includes('youtube.com/shorts/')) {
         await chrome.tabs.sendMessage(tab.id, { type: 'TOGGLE_FACT_CHECK' });
       } else {
         chrome.action.openPopup();
@@ -64,8 +77,4 @@ self.addEventListener('activate', () => {
   console.log('🔧 Fact-Check extension activated');
 });
 
-chrome.runtime.onConnect.addListener(() => {
-  // Keep connection alive
-});
-
 console.log('🔧 YouTube Fact-Check Extension loaded');
\ No newline at end of file
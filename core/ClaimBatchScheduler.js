@@ -0,0 +1,201 @@
+// ClaimBatchScheduler.js - Verifies pre-identified claims best-first within a per-check budget
+// Plans batches up to the user's claim/token budget, then runs them a few at a time without tripping the rate limiter
+
+import { Constants } from '../utils/Constants.js';
+
+// Claim types the processing prompt reports, by how much a wrong one misleads viewers
+const TYPE_WEIGHTS = {
+  statistical: 15,
+  scientific: 12,
+  temporal: 8,
+  geographical: 6,
+  other: 0
+};
+
+const PRIORITY_WEIGHTS = { high: 10, medium: 5, low: 0 };
+
+export class ClaimBatchScheduler {
+  /**
+   * @param {APIService} apiService - its rate limiter is shared with the rest of the check
+   * @param {number|undefined} tabId - rate-limit bucket (none for requests without a tab)
+   */
+  constructor(apiService, tabId) {
+    this.apiService = apiService;
+    this.tabId = tabId;
+  }
+
+  /**
+   * Rank claims by checkworthiness and cut them into batches until the budget runs out
+   * @param {Array<Object>} claims - pre-identified claims from TranscriptProcessor
+   * @param {Array<Object>} segments - processed segments (their priority raises a claim's rank)
+   * @param {{batchSize: number, maxClaims: number, maxTokens: number}} budget - maxTokens 0 = no token limit
+   * @param {Function} estimateTokens - (batch) => estimated tokens to verify that batch
+   * @returns {{batches: Array<Array<Object>>, eligible: number, planned: number, skipped: number, stoppedBy: 'claims'|'tokens'|null, estimatedTokens: number, maxClaims: number, maxTokens: number}}
+   */
+  plan(claims, segments, budget, estimateTokens) {
+    const ranked = ClaimBatchScheduler.rank(claims, segments);
+    const batches = [];
+    let planned = 0;
+    let estimatedTokens = 0;
+    let stoppedBy = null;
+
+    for (let i = 0; i < ranked.length; i += budget.batchSize) {
+      let batch = ranked.slice(i, i + budget.batchSize);
+
+      if (planned + batch.length > budget.maxClaims) {
+        batch = batch.slice(0, budget.maxClaims - planned);
+        stoppedBy = 'claims';
+      }
+      if (batch.length === 0) break;
+
+      const batchTokens = estimateTokens(batch);
+      if (budget.maxTokens > 0 && estimatedTokens + batchTokens > budget.maxTokens) {
+        stoppedBy = 'tokens';
+        break;
+      }
+
+      batches.push(batch);
+      planned += batch.length;
+      estimatedTokens += batchTokens;
+      if (stoppedBy) break;
+    }
+
+    return {
+      batches,
+      eligible: ranked.length,
+      planned,
+      skipped: ranked.length - planned,
+      stoppedBy: planned < ranked.length ? stoppedBy : null,
+      estimatedTokens,
+      maxClaims: budget.maxClaims,
+      maxTokens: budget.maxTokens
+    };
+  }
+
+  /**
+   * Segments for the model to find and verify claims in, when transcript processing found no claims.
+   * Batches of SEGMENTS_PER_BATCH segments may each return up to budget.batchSize claims, so the
+   * claim budget decides how many batches run.
+   * @param {Array<Object>} segments - processed segments
+   * @param {{batchSize: number, maxClaims: number, maxTokens: number}} budget - maxTokens 0 = no token limit
+   * @param {Function} estimateTokens - ({segments, maxClaims}) => estimated tokens to analyse that batch
+   * @returns {{batches: Array<{segments: Array<Object>, maxClaims: number}>, eligible: number, planned: number, skipped: number, stoppedBy: 'claims'|'tokens'|null}}
+   */
+  planSegments(segments, budget, estimateTokens) {
+    const ranked = ClaimBatchScheduler.rankSegments(segments);
+    const batches = [];
+    let claimsLeft = budget.maxClaims;
+    let estimatedTokens = 0;
+    let stoppedBy = null;
+
+    for (let i = 0; i < ranked.length; i += Constants.LIMITS.SEGMENTS_PER_BATCH) {
+      if (claimsLeft <= 0) {
+        stoppedBy = 'claims';
+        break;
+      }
+
+      const batch = {
+        segments: ranked.slice(i, i + Constants.LIMITS.SEGMENTS_PER_BATCH),
+        maxClaims: Math.min(budget.batchSize, claimsLeft)
+      };
+      const batchTokens = estimateTokens(batch);
+      if (budget.maxTokens > 0 && estimatedTokens + batchTokens > budget.maxTokens) {
+        stoppedBy = 'tokens';
+        break;
+      }
+
+      batches.push(batch);
+      claimsLeft -= batch.maxClaims;
+      estimatedTokens += batchTokens;
+    }
+
+    const planned = batches.reduce((count, batch) => count + batch.segments.length, 0);
+    return {
+      batches,
+      eligible: ranked.length,
+      planned,
+      skipped: ranked.length - planned,
+      stoppedBy: planned < ranked.length ? stoppedBy : null
+    };
+  }
+
+  /**
+   * Segments likely to hold verifiable claims, densest first
+   */
+  static rankSegments(segments = []) {
+    return segments
+      .filter(segment => segment.type === 'factual' || segment.priority === 'high' || segment.claimDensity >= 7)
+      .map(segment => ({ segment, score: (segment.claimDensity || 0) + (PRIORITY_WEIGHTS[segment.priority] || 0) / 5 }))
+      .sort((a, b) => b.score - a.score)
+      .map(({ segment }) => segment);
+  }
+
+  /**
+   * Claims clear enough to verify, most check-worthy first
+   */
+  static rank(claims, segments = []) {
+    const segmentPriority = new Map(segments.map(segment => [segment.id, segment.priority]));
+
+    return claims
+      .filter(claim => claim.confidence >= Constants.BUDGET.MIN_CLAIM_CLARITY)
+      .map(claim => ({ claim, score: ClaimBatchScheduler.checkworthiness(claim, segmentPriority.get(claim.segment)) }))
+      .sort((a, b) => b.score - a.score)
+      .map(({ claim }) => claim);
+  }
+
+  /**
+   * How clear the claim is, what kind of fact it states, how important its segment is
+   * and how often the speaker repeated it
+   */
+  static checkworthiness(claim, segmentPriority) {
+    return (claim.confidence || 5) * 10 +
+      (TYPE_WEIGHTS[claim.type] || 0) +
+      (PRIORITY_WEIGHTS[segmentPriority] || 0) +
+      Math.min((claim.repeatCount || 1) - 1, 3) * 5;
+  }
+
+  static estimateTokens(text) {
+    return Math.ceil(String(text || '').length / Constants.BUDGET.CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Run batch tasks a few at a time, each waiting for a rate-limit slot, reporting accumulated
+   * results after each one. A failed batch is skipped; the run only fails when every batch fails.
+   * @param {Array<Function>} batches - () => Promise<Array<Object>>
+   * @param {Function|null} onBatch - (resultsSoFar, { completed, total })
+   */
+  async run(batches, onBatch = null) {
+    const results = [];
+    const errors = [];
+    let completed = 0;
+    let next = 0;
+
+    const worker = async () => {
+      while (next < batches.length) {
+        const runBatch = batches[next++];
+
+        try {
+          await this.apiService.waitForRateLimit(this.tabId);
+          results.push(...await runBatch());
+        } catch (error) {
+          console.warn(`⚠️ Analysis batch failed (${errors.length + 1}/${batches.length}):`, error.message);
+          errors.push(error);
+        }
+
+        completed++;
+        if (onBatch) {
+          onBatch([...results], { completed, total: batches.length });
+        }
+      }
+    };
+
+    const workerCount = Math.min(Constants.BUDGET.CONCURRENT_BATCHES, batches.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    if (errors.length === batches.length && batches.length > 0) {
+      throw errors[0];
+    }
+
+    return results;
+  }
+}
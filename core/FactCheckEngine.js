@@ -2,11 +2,22 @@
 // Now uses segmented, cleaned transcript data for more accurate fact-checking
 
 import { APIService } from './APIService.js';
+import { ClaimBatchScheduler } from './ClaimBatchScheduler.js';
 import { TranscriptProcessor } from '../transcript/TranscriptProcessor.js';
+import { SpeakerLabels } from '../transcript/utils/SpeakerLabels.js';
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
 import { SettingsManager } from '../utils/SettingsManager.js';
 import { Cache } from '../utils/Cache.js';
 import { StatsManager } from '../utils/StatsManager.js';
 import { ModelConfig } from '../utils/ModelConfig.js';
+import { Constants } from '../utils/Constants.js';
+import { ClaimSchema } from '../utils/ClaimSchema.js';
+import { GroundingCitations } from '../utils/GroundingCitations.js';
+import { ClaimClusterer } from '../utils/ClaimClusterer.js';
+import { ClaimMatcher } from '../utils/ClaimMatcher.js';
+import { UsageMeter } from '../utils/UsageMeter.js';
+import { UsageQuota } from '../utils/UsageQuota.js';
+import { VideoContext } from '../utils/VideoContext.js';
 
 export class FactCheckEngine {
   constructor() {
@@ -15,20 +26,28 @@ export class FactCheckEngine {
     this.settingsManager = new SettingsManager();
     this.cache = new Cache('fact_check_results', 100, 1); // prefix, maxSize, expiryHours
     this.statsManager = new StatsManager();
+    this.usageQuota = new UsageQuota();
     this.modelConfig = new ModelConfig();
   }
 
-  async process(data, sender, forceRefresh = false) {
-    const settings = await this.settingsManager.getAll();
+  /**
+   * @param {Function|null} onProgress - Called with { results, completed, total } as analysis batches finish
+   */
+  async process(data, sender, forceRefresh = false, onProgress = null) {
+    const settings = await this.getSettings(data.settingsOverrides);
     
     if (!settings.enabled) {
       throw new Error('Extension is disabled');
     }
     
-    if (!settings.apiKey) {
+    if (!settings.apiKey && this.modelConfig.getCapabilities(settings.provider).requiresApiKey) {
       throw new Error('API key not configured');
     }
 
+    if (!data.overQuotaConfirmed) {
+      await this.enforceQuota(settings);
+    }
+
     if (!this.apiService.checkRateLimit(sender.tab?.id)) {
       throw new Error('Rate limit exceeded. Please wait before trying again.');
     }
@@ -39,20 +58,39 @@ export class FactCheckEngine {
 
     console.log('🔄 Starting enhanced fact-check processing...');
     const processingStartTime = Date.now();
+    const timedTranscript = TimedTranscript.from({ text: data.transcript, cues: data.cues });
+
+    // Every request this check makes here
+    const usageMeter = new UsageMeter();
+    // The content script's processing, relayed through MODEL_REQUEST and recorded there - only shown as part of this check
+    const relayedUsage = new UsageMeter();
 
     try {
-      // Step 1: Process the raw transcript
-      console.log('📝 Pre-processing transcript...');
-      const processedData = await this.transcriptProcessor.process(
-        data.transcript,
-        data.videoId || 'unknown',
-        settings,
-        {
-          forceRefresh,
-          maxLength: 8000,
-          aggressiveCleaning: settings.strictMode || false
-        }
-      );
+      // Step 1: Process the raw transcript, unless the content script already did
+      let processedTranscript;
+      if (this.isProcessedTranscript(data.processedData)) {
+        console.log('📝 Using the transcript processed by the content script');
+        processedTranscript = data.processedData;
+        relayedUsage.merge(data.processingUsage);
+      } else {
+        console.log('📝 Pre-processing transcript...');
+        processedTranscript = await this.transcriptProcessor.process(
+          timedTranscript,
+          data.videoId || 'unknown',
+          settings,
+          {
+            forceRefresh,
+            maxLength: 8000,
+            aggressiveCleaning: settings.strictMode || false,
+            usageMeter
+          }
+        );
+      }
+
+      const processedData = {
+        ...processedTranscript,
+        videoContext: VideoContext.sanitize(data.videoContext) // Title, upload date, description, chapters
+      };
 
       // Step 2: Generate cache key based on processed content
       const contentType = this.detectContentType(processedData);
@@ -63,29 +101,38 @@ export class FactCheckEngine {
         const cachedResult = this.cache.get(cacheKey);
         if (cachedResult) {
           console.log('📋 Using cached results (enhanced processing)');
+          const usage = await this.recordUsage(usageMeter, null, relayedUsage);
           return { 
             success: true, 
             result: cachedResult, 
             cached: true, 
             contentType,
-            processingMetadata: processedData.metadata
+            processingMetadata: processedData.metadata,
+            analysisMetadata: usage ? { usage } : undefined
           };
         }
       }
 
       // Step 3: Enhanced fact-checking with processed data
       console.log('🔍 Performing enhanced fact-checking analysis...');
-      const factCheckResults = await this.performEnhancedFactCheck(
+      const { results: factCheckResults, claimBudget } = await this.performEnhancedFactCheck(
         processedData, 
         settings, 
-        contentType
+        contentType,
+        onProgress ? (resultsSoFar, progress) => this.reportProgress(onProgress, {
+          results: this.mergeAndValidateResults(resultsSoFar, processedData, settings.confidenceThreshold, timedTranscript),
+          ...progress
+        }) : null,
+        new ClaimBatchScheduler(this.apiService, sender.tab?.id),
+        usageMeter
       );
 
       // Step 4: Merge and validate results
       const finalResults = this.mergeAndValidateResults(
         factCheckResults,
         processedData,
-        settings.confidenceThreshold
+        settings.confidenceThreshold,
+        timedTranscript
       );
 
       // Cache the results
@@ -93,7 +140,7 @@ export class FactCheckEngine {
         this.cache.set(cacheKey, finalResults);
       }
       
-      await this.statsManager.update(finalResults);
+      const usage = await this.recordUsage(usageMeter, finalResults, relayedUsage);
       
       const totalProcessingTime = Date.now() - processingStartTime;
       console.log(`✅ Enhanced fact-check completed in ${totalProcessingTime}ms`);
@@ -114,10 +161,13 @@ export class FactCheckEngine {
           claimTypes: this.categorizeClaimTypes(finalResults),
           reliability: this.assessResultReliability(finalResults),
           groundingUsed: settings.useGroundingSearch,
+          providerUsed: settings.provider,
           modelUsed: this.modelConfig.selectModel(settings),
           analysisTime: new Date().toISOString(),
           segmentsAnalyzed: processedData.segments.length,
-          preIdentifiedClaims: processedData.factualClaims.length
+          preIdentifiedClaims: processedData.factualClaims.length,
+          claimBudget,
+          usage
         }
       };
 
@@ -126,10 +176,69 @@ export class FactCheckEngine {
       
       // Fallback to original processing if enhanced fails
       console.log('🔄 Falling back to original processing method...');
-      return await this.fallbackToOriginalProcessing(data, sender, forceRefresh);
+      return await this.fallbackToOriginalProcessing(data, sender, forceRefresh, usageMeter, relayedUsage);
     }
   }
 
+  /**
+   * Processed data sent by the content script - it crossed a message boundary, so check its shape
+   */
+  isProcessedTranscript(processedData) {
+    return Boolean(processedData) &&
+      typeof processedData.processedTranscript === 'string' &&
+      Array.isArray(processedData.segments) &&
+      Array.isArray(processedData.factualClaims) &&
+      Boolean(processedData.metadata);
+  }
+
+  /**
+   * Refuse to start a check that would go over the user's daily or monthly limits. The error
+   * carries `quota` so the sidebar can offer to check anyway (resent with `overQuotaConfirmed`).
+   */
+  async enforceQuota(settings) {
+    const quota = await this.usageQuota.check(settings);
+    if (quota.allowed) return;
+
+    console.warn('🛑 Usage limit reached:', quota.exceeded.map(UsageQuota.describe).join('; '));
+    const error = new Error(UsageQuota.formatExceeded(quota.exceeded));
+    error.quota = quota;
+    throw error;
+  }
+
+  /**
+   * Add a check's token usage to the running stats and the daily/monthly quota counters.
+   * Without `results` (a cache hit, a failed check) only usage actually spent is recorded.
+   * @param {UsageMeter|null} recordedUsage - usage already recorded elsewhere (MODEL_REQUEST), only added to the summary
+   * @returns {Promise<Object|null>} the usage summary
+   */
+  async recordUsage(usageMeter, results = null, recordedUsage = null) {
+    let usage = null;
+    if (results || usageMeter.hasUsage()) {
+      usage = usageMeter.summary(this.modelConfig);
+      if (results) {
+        await this.statsManager.update(results, usage);
+      } else {
+        await this.statsManager.recordUsage(usage);
+      }
+      await this.usageQuota.record(usage, Boolean(results));
+    }
+
+    if (!recordedUsage?.hasUsage()) return usage;
+
+    const checkUsage = new UsageMeter();
+    checkUsage.merge(usageMeter.toJSON());
+    checkUsage.merge(recordedUsage.toJSON());
+    return checkUsage.summary(this.modelConfig);
+  }
+
+  /**
+   * Saved settings, with any per-request overrides (e.g. a stricter re-check of one passage) on top
+   */
+  async getSettings(overrides = null) {
+    const settings = await this.settingsManager.getAll();
+    return this.modelConfig.applyCapabilities(overrides ? { ...settings, ...overrides } : settings);
+  }
+
   /**
    * Enhanced content type detection using processed data
    */
@@ -178,90 +287,164 @@ export class FactCheckEngine {
   }
 
   /**
-   * Enhanced fact-checking using processed segments and pre-identified claims
+   * Enhanced fact-checking using processed segments and pre-identified claims.
+   * Work is split into batches so partial results can be streamed to the sidebar.
+   * @returns {Promise<{results: Array<Object>, claimBudget: Object|null}>} claimBudget says how many
+   *   pre-identified claims were checked and how many the budget left out
    */
-  async performEnhancedFactCheck(processedData, settings, contentType) {
-    const { processedTranscript, segments, factualClaims } = processedData;
+  async performEnhancedFactCheck(processedData, settings, contentType, onBatch, scheduler, usageMeter = null) {
+    const { processedTranscript, segments, videoContext } = processedData;
     
-    // Strategy 1: If we have pre-identified claims, focus on those
-    if (factualClaims && factualClaims.length > 0) {
-      console.log(`🎯 Analyzing ${factualClaims.length} pre-identified claims...`);
-      return await this.analyzePreIdentifiedClaims(factualClaims, processedData, settings, contentType);
+    // Strategy 1: If we have pre-identified claims, check as many as the budget allows, best first
+    const claimBudget = this.planClaimBatches(processedData, settings, contentType, scheduler);
+    if (claimBudget.eligible > 0) {
+      console.log(`🎯 Analyzing ${claimBudget.planned} of ${claimBudget.eligible} pre-identified claims in ${claimBudget.batches.length} batch(es)...`);
+      if (claimBudget.skipped > 0) {
+        console.log(`⏭️ ${claimBudget.skipped} claim(s) left out: ${claimBudget.stoppedBy} budget reached`);
+      }
+
+      const { batches, ...budgetSummary } = claimBudget;
+      const results = await scheduler.run(
+        batches.map(batch => () => this.analyzePreIdentifiedClaims(batch, processedData, settings, contentType, usageMeter)),
+        onBatch
+      );
+      return { results, claimBudget: budgetSummary };
     }
     
-    // Strategy 2: Focus on high-priority factual segments
-    const factualSegments = segments.filter(s => 
-      s.type === 'factual' || 
-      s.priority === 'high' || 
-      s.claimDensity >= 7
-    );
-    
-    if (factualSegments.length > 0) {
-      console.log(`📊 Analyzing ${factualSegments.length} high-priority segments...`);
-      return await this.analyzeFactualSegments(factualSegments, settings, contentType);
+    // Strategy 2: Focus on high-priority factual segments, as many as the claim budget allows
+    const segmentPlan = this.planSegmentBatches(segments, settings, contentType, scheduler, videoContext);
+    if (segmentPlan.eligible > 0) {
+      console.log(`📊 Analyzing ${segmentPlan.planned} of ${segmentPlan.eligible} high-priority segments in ${segmentPlan.batches.length} batch(es)...`);
+      const batches = segmentPlan.batches
+        .map(batch => () => this.analyzeFactualSegments(batch.segments, settings, contentType, batch.maxClaims, usageMeter, videoContext));
+      return { results: await scheduler.run(batches, onBatch), claimBudget: null };
     }
     
     // Strategy 3: Fallback to analyzing the full processed transcript
     console.log('📄 Analyzing full processed transcript...');
-    return await this.analyzeProcessedTranscript(processedTranscript, settings, contentType);
+    const { maxClaims } = this.getClaimBudget(settings);
+    const results = await scheduler.run(
+      [() => this.analyzeProcessedTranscript(processedTranscript, settings, contentType, maxClaims, usageMeter, videoContext)],
+      onBatch
+    );
+    return { results, claimBudget: null };
   }
 
   /**
-   * Analyze pre-identified claims from transcript processing
+   * The user's per-check budget: claims per analysis request, claims per check and tokens per check (0 = no limit)
    */
-  async analyzePreIdentifiedClaims(claims, processedData, settings, contentType) {
-    const claimsToAnalyze = claims
-      .filter(claim => claim.confidence >= 6) // Only analyze confident claims
-      .slice(0, 8) // Limit to top 8 claims
-      .sort((a, b) => b.confidence - a.confidence);
+  getClaimBudget(settings) {
+    return {
+      batchSize: settings.claimsPerBatch || Constants.LIMITS.CLAIMS_PER_BATCH,
+      maxClaims: settings.maxClaimsPerCheck || Constants.LIMITS.MAX_CLAIMS_PER_VIDEO,
+      maxTokens: settings.maxTokensPerCheck || 0
+    };
+  }
 
-    const prompt = this.createClaimAnalysisPrompt(claimsToAnalyze, processedData, settings, contentType);
-    
-    const responseText = await this.apiService.makeRequest(
-      prompt, 
-      settings.apiKey, 
-      settings,
-      settings.analysisTimeout || 45
+  /**
+   * Batches of pre-identified claims within the user's per-check budget
+   */
+  planClaimBatches(processedData, settings, contentType, scheduler) {
+    return scheduler.plan(
+      processedData.factualClaims || [],
+      processedData.segments || [],
+      this.getClaimBudget(settings),
+      batch => ClaimBatchScheduler.estimateTokens(this.createClaimAnalysisPrompt(batch, processedData, settings, contentType)) +
+        batch.length * Constants.BUDGET.OUTPUT_TOKENS_PER_CLAIM
     );
-    
-    return this.parseResponse(responseText, contentType, 'pre-identified-claims');
   }
 
   /**
-   * Analyze high-priority factual segments
+   * Batches of factual segments within the same budget, for transcripts without pre-identified claims
    */
-  async analyzeFactualSegments(segments, settings, contentType) {
-    const segmentText = segments
-      .slice(0, 5) // Top 5 segments
-      .map(s => `[${s.topic}] ${s.content}`)
-      .join('\n\n');
+  planSegmentBatches(segments, settings, contentType, scheduler, videoContext = null) {
+    return scheduler.planSegments(
+      segments || [],
+      this.getClaimBudget(settings),
+      batch => ClaimBatchScheduler.estimateTokens(
+        this.createSegmentAnalysisPrompt(this.formatSegments(batch.segments), batch.segments, settings, contentType, batch.maxClaims, videoContext)
+      ) + batch.maxClaims * Constants.BUDGET.OUTPUT_TOKENS_PER_CLAIM
+    );
+  }
 
-    const prompt = this.createSegmentAnalysisPrompt(segmentText, segments, settings, contentType);
+  reportProgress(onProgress, progress) {
+    if (!onProgress) return;
+
+    try {
+      onProgress(progress);
+    } catch (error) {
+      // The sidebar may have gone away (tab closed, port disconnected) - keep analysing
+      console.warn('⚠️ Could not report fact-check progress:', error.message);
+    }
+  }
+
+  /**
+   * Analyze a batch of pre-identified claims from transcript processing
+   */
+  async analyzePreIdentifiedClaims(claimsToAnalyze, processedData, settings, contentType, usageMeter = null) {
+    const prompt = this.createClaimAnalysisPrompt(claimsToAnalyze, processedData, settings, contentType);
     
-    const responseText = await this.apiService.makeRequest(
-      prompt, 
-      settings.apiKey, 
-      settings,
-      settings.analysisTimeout || 45
-    );
+    return await this.requestClaimResults(prompt, settings, contentType, 'pre-identified-claims', usageMeter);
+  }
+
+  /**
+   * Analyze a batch of high-priority factual segments
+   */
+  async analyzeFactualSegments(segments, settings, contentType, maxClaims, usageMeter = null, videoContext = null) {
+    const prompt = this.createSegmentAnalysisPrompt(this.formatSegments(segments), segments, settings, contentType, maxClaims, videoContext);
     
-    return this.parseResponse(responseText, contentType, 'segment-analysis');
+    // The budget holds even if the model ignores the limit in the prompt
+    const results = await this.requestClaimResults(prompt, settings, contentType, 'segment-analysis', usageMeter);
+    return results.slice(0, maxClaims);
+  }
+
+  formatSegments(segments) {
+    return segments
+      .map(s => `[${s.topic}] ${s.content}`)
+      .join('\n\n');
   }
 
   /**
    * Analyze full processed transcript (fallback)
    */
-  async analyzeProcessedTranscript(transcript, settings, contentType) {
-    const prompt = this.createEnhancedTranscriptPrompt(transcript, settings, contentType);
-    
-    const responseText = await this.apiService.makeRequest(
-      prompt, 
-      settings.apiKey, 
-      settings,
-      settings.analysisTimeout || 45
-    );
+  async analyzeProcessedTranscript(transcript, settings, contentType, maxClaims, usageMeter = null, videoContext = null) {
+    const prompt = this.createEnhancedTranscriptPrompt(transcript, settings, contentType, maxClaims, videoContext);
     
-    return this.parseResponse(responseText, contentType, 'full-transcript');
+    const results = await this.requestClaimResults(prompt, settings, contentType, 'full-transcript', usageMeter);
+    return results.slice(0, maxClaims);
+  }
+
+  /**
+   * The video's own title, channel, upload date, chapters and description (VideoContext) as a prompt section.
+   * The upload date is what "now", "last year" or "the current president" in the transcript refer to.
+   */
+  createVideoContextSection(videoContext) {
+    const today = new Date().toISOString().substring(0, 10);
+    if (!videoContext) {
+      return `VIDEO CONTEXT: Unavailable. Today's date is ${today}; the video may be older, so where a verdict depends on when a claim was made, say so in "context".`;
+    }
+
+    const lines = [];
+    if (videoContext.title) lines.push(`- Title: ${videoContext.title}`);
+    if (videoContext.channel) lines.push(`- Channel: ${videoContext.channel}`);
+    lines.push(`- Published: ${videoContext.uploadDate || 'unknown'} (today is ${today})`);
+    if (videoContext.chapters.length > 0) {
+      lines.push('- Chapters:', ...videoContext.chapters.map(chapter => `  ${TimedTranscript.formatTimestamp(chapter.start)} ${chapter.title}`));
+    }
+    if (videoContext.description) {
+      lines.push(`- Description (written by the uploader, may be cut short):\n"""\n${videoContext.description}\n"""`);
+    }
+
+    const timeRules = videoContext.uploadDate ? `
+TIME-RELATIVE STATEMENTS:
+- Read "now", "currently", "this year", "last year", "the current president" and similar as of the publication date (${videoContext.uploadDate}), not today
+- Rate a claim on what was true when the video was published; if it has changed since, keep that verdict and say what changed in "context"` : `
+TIME-RELATIVE STATEMENTS:
+- The publication date is unknown: where a verdict depends on when a claim was made, say so in "context"`;
+
+    return `VIDEO CONTEXT (from the video's page - use it to understand references and timing; it is not evidence for any claim):
+${lines.join('\n')}
+${timeRules}`;
   }
 
   /**
@@ -291,7 +474,7 @@ export class FactCheckEngine {
 
     const contentRules = this.modelConfig.getContentTypeRules(contentType);
     const claimsText = claims.map((claim, index) => 
-      `${index + 1}. "${claim.claim}" (Context: ${claim.context || 'General'})`
+      `${index + 1}. "${claim.claim}" (Context: ${claim.context || 'General'}${claim.speaker ? `; Said by: ${claim.speaker}` : ''})`
     ).join('\n');
 
     return `You are an expert fact-checker with ${settings.useGroundingSearch ? 'REAL-TIME INTERNET ACCESS' : 'comprehensive knowledge base'}. 
@@ -311,6 +494,8 @@ VIDEO METADATA:
 - Total Segments: ${processedData.metadata.topicsCount}
 - Factual Segments: ${processedData.metadata.factualSegments}
 
+${this.createVideoContextSection(processedData.videoContext)}
+
 PRE-IDENTIFIED CLAIMS TO VERIFY:
 ${claimsText}
 
@@ -345,13 +530,14 @@ CRITICAL REQUIREMENTS:
 - Output ONLY valid JSON - no additional text
 - Each claim must match exactly from the pre-identified list
 - Use ${languageName} for explanations
+- Quote claims in the transcript's own language - do not translate them (they are matched back to the captions)
 ${settings.useGroundingSearch ? '- Leverage real-time search for current verification' : '- Use knowledge base for historical verification'}`;
   }
 
   /**
    * Create prompt for analyzing factual segments
    */
-  createSegmentAnalysisPrompt(segmentText, segments, settings, contentType) {
+  createSegmentAnalysisPrompt(segmentText, segments, settings, contentType, maxClaims, videoContext = null) {
     const languageNames = {
       'en': 'English', 'es': 'Spanish', 'fr': 'French', 'de': 'German',
       'it': 'Italian', 'pt': 'Portuguese', 'ru': 'Russian', 'ja': 'Japanese',
@@ -387,6 +573,8 @@ ANALYSIS MODE: High-priority factual segments
 
 ${contentRules}
 
+${this.createVideoContextSection(videoContext)}
+
 SEGMENT OVERVIEW:
 ${segmentSummary}
 
@@ -426,14 +614,15 @@ REQUIRED OUTPUT FORMAT (JSON ONLY):
 CRITICAL REQUIREMENTS:
 - Return empty array [] if no claims meet ${settings.confidenceThreshold}% confidence
 - Output ONLY valid JSON - no additional text
-- Focus on most significant verifiable claims (max 6)
-- Use ${languageName} for explanations`;
+- Focus on most significant verifiable claims (max ${maxClaims})
+- Use ${languageName} for explanations
+- Quote claims in the transcript's own language - do not translate them (they are matched back to the captions)`;
   }
 
   /**
    * Create enhanced prompt for full processed transcript
    */
-  createEnhancedTranscriptPrompt(transcript, settings, contentType) {
+  createEnhancedTranscriptPrompt(transcript, settings, contentType, maxClaims, videoContext = null) {
     const languageNames = {
       'en': 'English', 'es': 'Spanish', 'fr': 'French', 'de': 'German',
       'it': 'Italian', 'pt': 'Portuguese', 'ru': 'Russian', 'ja': 'Japanese',
@@ -466,6 +655,8 @@ ANALYSIS MODE: Enhanced processed transcript
 
 ${contentRules}
 
+${this.createVideoContextSection(videoContext)}
+
 TRANSCRIPT PREPROCESSING COMPLETED:
 ✅ Transcription errors corrected
 ✅ Filler words and repetitions removed  
@@ -508,8 +699,9 @@ REQUIRED OUTPUT FORMAT (JSON ONLY):
 CRITICAL REQUIREMENTS:
 - Return empty array [] if no claims meet ${settings.confidenceThreshold}% confidence
 - Output ONLY valid JSON - no additional text
-- Focus on most significant verifiable claims (max 8)
+- Focus on most significant verifiable claims (max ${maxClaims})
 - Use ${languageName} for explanations
+- Quote claims in the transcript's own language - do not translate them (they are matched back to the captions)
 - Leverage the improved transcript quality for better claim extraction`;
   }
 
@@ -521,12 +713,18 @@ CRITICAL REQUIREMENTS:
       processedTranscript: processedData.processedTranscript.substring(0, 200), // First 200 chars
       segmentCount: processedData.segments.length,
       claimCount: processedData.factualClaims.length,
+      uploadDate: processedData.videoContext?.uploadDate || null, // Changes how time-relative claims are judged
       contentType: contentType,
       settings: {
+        provider: settings.provider,
+        model: this.modelConfig.selectModel(settings),
         useGroundingSearch: settings.useGroundingSearch,
         usePremiumModel: settings.usePremiumModel,
         strictMode: settings.strictMode,
-        confidenceThreshold: settings.confidenceThreshold
+        confidenceThreshold: settings.confidenceThreshold,
+        claimsPerBatch: settings.claimsPerBatch,
+        maxClaimsPerCheck: settings.maxClaimsPerCheck,
+        maxTokensPerCheck: settings.maxTokensPerCheck
       }
     };
     
@@ -536,7 +734,7 @@ CRITICAL REQUIREMENTS:
   /**
    * Merge and validate results from enhanced processing
    */
-  mergeAndValidateResults(factCheckResults, processedData, confidenceThreshold) {
+  mergeAndValidateResults(factCheckResults, processedData, confidenceThreshold, timedTranscript = null) {
     const validatedResults = factCheckResults
       .filter(result => this.validateClaimResult(result))
       .filter(result => result.confidence >= confidenceThreshold)
@@ -549,7 +747,7 @@ CRITICAL REQUIREMENTS:
       });
 
     // Add processing metadata to each result
-    return validatedResults.map(result => ({
+    const mergedResults = validatedResults.map(result => ({
       ...result,
       processingEnhanced: true,
       transcriptProcessed: true,
@@ -557,15 +755,60 @@ CRITICAL REQUIREMENTS:
       processedTranscriptLength: processedData.metadata.processedLength,
       reductionPercentage: processedData.metadata.reductionPercentage
     }));
+
+    // Batches verify claims independently, so two of them can return the same claim reworded
+    return ClaimClusterer.mergeResults(this.attachClaimTimings(
+      mergedResults,
+      timedTranscript || TimedTranscript.from({ cues: processedData.cues }),
+      processedData.factualClaims,
+      processedData.segments
+    ));
+  }
+
+  /**
+   * Stamp each result with where in the video it was said (seconds, null when unknown) and who said it.
+   * Pre-identified claims already carry timings, repeat counts and speakers from TranscriptProcessor;
+   * anything else is located directly in the caption cues and takes the speaker of the segment there.
+   */
+  attachClaimTimings(results, timedTranscript, factualClaims = [], segments = []) {
+    const knownClaims = new Map(factualClaims.map(claim => [claim.claim.trim().toLowerCase(), claim]));
+
+    return results.map(result => {
+      // The model may reword a pre-identified claim slightly when echoing it back
+      const known = knownClaims.get(result.claim.trim().toLowerCase()) ||
+        factualClaims.find(claim => ClaimMatcher.isSameClaim(result.claim, claim.claim, Constants.CLUSTERING.SIMILARITY));
+
+      if (known?.timestamps?.length > 0) {
+        return {
+          ...result,
+          startTime: known.startTime,
+          endTime: known.endTime,
+          timestamps: known.timestamps,
+          repeatCount: known.repeatCount || 1,
+          speaker: known.speaker || SpeakerLabels.atTime(segments, known.startTime)
+        };
+      }
+
+      const location = timedTranscript.locate(result.claim);
+
+      return {
+        ...result,
+        startTime: location ? location.start : null,
+        endTime: location ? location.end : null,
+        timestamps: location ? [{ start: location.start, end: location.end }] : [],
+        repeatCount: known?.repeatCount || 1,
+        speaker: known?.speaker || SpeakerLabels.atTime(segments, location?.start)
+      };
+    });
   }
 
   /**
    * Fallback to original processing method
    */
-  async fallbackToOriginalProcessing(data, sender, forceRefresh) {
+  async fallbackToOriginalProcessing(data, sender, forceRefresh, usageMeter = new UsageMeter(), relayedUsage = null) {
     console.log('🔄 Using original fact-check processing as fallback...');
     
-    const settings = await this.settingsManager.getAll();
+    const settings = await this.getSettings(data.settingsOverrides);
     const contentType = this.detectContentTypeFromRaw(data.transcript);
     const cacheKey = this.cache.generateFactCheckKey(data.transcript, settings, contentType);
     
@@ -574,27 +817,32 @@ CRITICAL REQUIREMENTS:
       const cachedResult = this.cache.get(cacheKey);
       if (cachedResult) {
         console.log('📋 Using cached results (fallback method)');
-        return { success: true, result: cachedResult, cached: true, contentType };
+        const usage = await this.recordUsage(usageMeter, null, relayedUsage);
+        return { success: true, result: cachedResult, cached: true, contentType, analysisMetadata: usage ? { usage } : undefined };
       }
     }
 
-    const prompt = this.createOriginalPrompt(data.transcript, settings, contentType);
-    const responseText = await this.apiService.makeRequest(
-      prompt, 
-      settings.apiKey, 
-      settings,
-      settings.analysisTimeout || 45
-    );
-    
-    const result = this.parseResponse(responseText, contentType, 'fallback');
-    const validatedResult = this.validateResults(result, settings.confidenceThreshold);
+    const { maxClaims } = this.getClaimBudget(settings);
+    const prompt = this.createOriginalPrompt(data.transcript, settings, contentType, maxClaims, VideoContext.sanitize(data.videoContext));
+    let result;
+    try {
+      result = (await this.requestClaimResults(prompt, settings, contentType, 'fallback', usageMeter)).slice(0, maxClaims);
+    } catch (error) {
+      // Nothing left to try - still count what the enhanced attempt and this one spent
+      await this.recordUsage(usageMeter);
+      throw error;
+    }
+    const validatedResult = ClaimClusterer.mergeResults(this.attachClaimTimings(
+      this.validateResults(result, settings.confidenceThreshold),
+      TimedTranscript.from({ text: data.transcript, cues: data.cues })
+    ));
     
     // Cache the fallback result
     if (settings.cacheResults) {
       this.cache.set(cacheKey, validatedResult);
     }
     
-    await this.statsManager.update(validatedResult);
+    const usage = await this.recordUsage(usageMeter, validatedResult, relayedUsage);
     
     return { 
       success: true, 
@@ -608,8 +856,10 @@ CRITICAL REQUIREMENTS:
         claimTypes: this.categorizeClaimTypes(validatedResult),
         reliability: this.assessResultReliability(validatedResult),
         groundingUsed: settings.useGroundingSearch,
+        providerUsed: settings.provider,
         modelUsed: this.modelConfig.selectModel(settings),
-        analysisTime: new Date().toISOString()
+        analysisTime: new Date().toISOString(),
+        usage
       }
     };
   }
@@ -649,7 +899,7 @@ CRITICAL REQUIREMENTS:
   /**
    * Create original prompt (for fallback)
    */
-  createOriginalPrompt(transcript, settings, contentType) {
+  createOriginalPrompt(transcript, settings, contentType, maxClaims, videoContext = null) {
     const languageNames = {
       'en': 'English', 'es': 'Spanish', 'fr': 'French', 'de': 'German',
       'it': 'Italian', 'pt': 'Portuguese', 'ru': 'Russian', 'ja': 'Japanese',
@@ -684,6 +934,8 @@ MINIMUM CONFIDENCE THRESHOLD: ${settings.confidenceThreshold}%
 
 ${contentRules}
 
+${this.createVideoContextSection(videoContext)}
+
 VERIFICATION STANDARDS:
 - "True" (90-100%): Confirmed by multiple reliable sources or real-time verification
 - "Mostly True" (75-89%): Largely accurate with minor discrepancies
@@ -720,65 +972,105 @@ CRITICAL REQUIREMENTS:
 - Return empty array [] if no claims meet ${settings.confidenceThreshold}% confidence
 - Output ONLY valid JSON - no additional text
 - Each claim must be exact quote from transcript
-- Focus on most significant verifiable claims (max 8)
+- Focus on most significant verifiable claims (max ${maxClaims})
 - Use ${languageName} for explanations
+- Quote claims in the transcript's own language - do not translate them (they are matched back to the captions)
 ${settings.useGroundingSearch ? '- Leverage real-time search for current verification' : '- Use knowledge base for historical verification'}`;
   }
 
-  // Keep all the existing methods from the original FactCheckEngine.js
-  parseResponse(responseText, contentType, analysisType = 'standard') {
-    try {
-      let cleanedResponse = responseText.trim()
-        .replace(/```(?:json)?\s*/g, '')
-        .replace(/```\s*/g, '')
-        .replace(/^\s*\[/, '[')
-        .replace(/\]\s*$/, ']');
-      
-      const jsonMatch = cleanedResponse.match(/\[[\s\S]*\]/) || cleanedResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        cleanedResponse = jsonMatch[0];
+  /**
+   * Send an analysis prompt and return schema-valid, enhanced claim results.
+   * Output that fails ClaimSchema validation gets exactly one repair request; if nothing
+   * usable comes back the batch fails with the validation errors.
+   */
+  async requestClaimResults(prompt, settings, contentType, analysisType = 'standard', usageMeter = null) {
+    const requestOptions = { responseSchema: ClaimSchema.getResponseSchema(), usageMeter };
+    const { text: responseText, grounding } = await this.apiService.makeRequest(
+      prompt, 
+      settings.apiKey, 
+      settings,
+      settings.analysisTimeout || 45,
+      { ...requestOptions, includeGrounding: true }
+    );
+
+    let parsed = this.parseResponse(responseText);
+
+    if (parsed.errors.length > 0) {
+      console.warn(`🔧 ${analysisType} response failed schema validation, requesting a repair:\n${ClaimSchema.formatErrors(parsed.errors)}`);
+
+      try {
+        // Grounding is off for the repair so Gemini can use JSON mode
+        const repairText = await this.apiService.makeRequest(
+          this.createRepairPrompt(responseText, parsed.errors),
+          settings.apiKey,
+          { ...settings, useGroundingSearch: false },
+          settings.analysisTimeout || 45,
+          requestOptions
+        );
+        const repaired = this.parseResponse(repairText);
+
+        if (repaired.results.length >= parsed.results.length) {
+          parsed = repaired;
+        }
+      } catch (error) {
+        console.warn('⚠️ Repair request failed:', error.message);
       }
+    }
 
-      const parsed = JSON.parse(cleanedResponse);
-      const results = Array.isArray(parsed) ? parsed : [parsed];
-      
-      return results
-        .filter(result => this.validateClaimResult(result))
-        .slice(0, 8)
-        .map(result => this.enhanceClaimResult(result, contentType, analysisType))
-        .sort((a, b) => b.confidence - a.confidence);
+    if (parsed.results.length === 0 && parsed.errors.length > 0) {
+      throw new Error(`AI response did not match the expected claim format:\n${ClaimSchema.formatErrors(parsed.errors, 5)}`);
+    }
 
-    } catch (error) {
-      console.error('Error parsing AI response:', error);
-      
-      return [{
-        claim: "Analysis completed with parsing difficulties",
-        category: "technical",
-        status: "Unverifiable", 
-        confidence: 30,
-        explanation: "The AI completed the analysis but encountered technical difficulties parsing the response.",
-        evidenceType: "system_response",
-        verificationMethod: "Automated parsing validation",
-        sources: "Internal system analysis",
-        context: "Technical processing limitation",
-        lastVerified: "real-time",
-        timestamp: Date.now(),
-        groundingUsed: false,
-        analysisType: analysisType
-      }];
+    if (parsed.errors.length > 0) {
+      console.warn(`⚠️ Dropping ${parsed.errors.length} invalid field(s) from ${analysisType} response:\n${ClaimSchema.formatErrors(parsed.errors)}`);
+    }
+
+    // Citations come from the grounded response only, never from the model's own "sources" text;
+    // repaired results still match it because the repair keeps each claim verbatim
+    const citations = GroundingCitations.forClaims(parsed.results, responseText, grounding);
+    if (grounding) {
+      console.log(`🔗 Grounding returned ${grounding.sources.length} source(s) for ${analysisType}`);
+    }
+
+    return parsed.results
+      .map((result, index) => ({ ...result, citations: citations[index] }))
+      .map(result => this.enhanceClaimResult(result, contentType, analysisType))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Parse a model response and split it into schema-valid results and validation errors
+   * @returns {{results: Array<Object>, errors: Array<{path: string, message: string}>}}
+   */
+  parseResponse(responseText) {
+    const { value, error } = ClaimSchema.parse(responseText);
+    if (error) {
+      return { results: [], errors: [{ path: '$', message: error }] };
     }
+
+    const { valid, errors } = ClaimSchema.validate(value);
+    return { results: valid, errors };
+  }
+
+  createRepairPrompt(responseText, errors) {
+    return `Your previous answer did not match the required JSON format for fact-check results.
+
+VALIDATION ERRORS:
+${ClaimSchema.formatErrors(errors)}
+
+PREVIOUS ANSWER:
+${String(responseText || '').substring(0, 12000)}
+
+Return the corrected answer as a JSON array only - no additional text. Keep every verdict, explanation and source unchanged except where a field is invalid. Each item must have:
+- "claim": string longer than ${ClaimSchema.MIN_CLAIM_LENGTH} characters
+- "status": one of ${ClaimSchema.STATUSES.map(status => `"${status}"`).join(', ')}
+- "confidence": number between 0 and 100
+- "explanation": string longer than ${ClaimSchema.MIN_EXPLANATION_LENGTH} characters
+Drop any item that cannot be fixed.`;
   }
 
   validateClaimResult(result) {
-    return result && 
-           typeof result.claim === 'string' && 
-           typeof result.status === 'string' && 
-           typeof result.explanation === 'string' &&
-           typeof result.confidence === 'number' &&
-           result.claim.trim().length > 10 &&
-           result.explanation.trim().length > 20 &&
-           result.confidence >= 0 && result.confidence <= 100 &&
-           ['True', 'Mostly True', 'Partly True', 'Misleading', 'False', 'Unverifiable'].includes(result.status);
+    return ClaimSchema.validateItem(result).length === 0;
   }
 
   enhanceClaimResult(result, contentType, analysisType = 'standard') {
@@ -791,6 +1083,7 @@ ${settings.useGroundingSearch ? '- Leverage real-time search for current verific
       evidenceType: String(result.evidenceType || 'general').trim(),
       verificationMethod: String(result.verificationMethod || 'Standard verification').trim(),
       sources: String(result.sources || 'Multiple sources').trim(),
+      citations: Array.isArray(result.citations) ? result.citations : [],
       context: String(result.context || '').trim(),
       lastVerified: String(result.lastVerified || 'recent').trim(),
       contentType: contentType,
@@ -865,7 +1158,7 @@ ${settings.useGroundingSearch ? '- Leverage real-time search for current verific
       confidence: result.confidence >= 85 ? 1 : result.confidence >= 70 ? 0.8 : 0.6,
       evidence: ['real_time_search', 'official_record', 'scientific_study', 'government_data'].includes(result.evidenceType) ? 1 : 0.7,
       explanation: result.explanation.length >= 100 ? 1 : 0.8,
-      sources: result.sources && result.sources !== 'Multiple sources' ? 1 : 0.9,
+      sources: result.citations?.length || (result.sources && result.sources !== 'Multiple sources') ? 1 : 0.9,
       grounding: result.groundingUsed ? 1.1 : 1.0
     };
     
@@ -3,11 +3,25 @@
 
 import { TranscriptExtractor } from '../transcript/TranscriptExtractor.js';
 import { TranscriptProcessor } from '../transcript/TranscriptProcessor.js';
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
+import { TranscriptProvenance } from '../transcript/utils/TranscriptProvenance.js';
 import { ButtonManager } from '../ui/ButtonManager.js';
 import { SidebarManager } from '../ui/SidebarManager.js';
 import { ResultsRenderer } from '../ui/ResultsRenderer.js';
+import { TranscriptRangePicker } from '../ui/TranscriptRangePicker.js';
+import { QuotaPromptRenderer } from '../ui/QuotaPromptRenderer.js';
+import { CaptionTrackPicker } from '../ui/CaptionTrackPicker.js';
+import { ProgressMarkersManager } from '../ui/ProgressMarkersManager.js';
+import { LiveClaimToastManager } from '../ui/LiveClaimToastManager.js';
 import { Cache } from '../utils/Cache.js';
 import { Constants } from '../utils/Constants.js';
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { ModelConfig } from '../utils/ModelConfig.js';
+import { ReportExporter } from '../utils/ReportExporter.js';
+import { SpeakerStore } from '../utils/SpeakerStore.js';
+import { UsageMeter } from '../utils/UsageMeter.js';
+import { VideoContext } from '../utils/VideoContext.js';
+import { LiveFactCheckSession } from './LiveFactCheckSession.js';
 
 export class FactChecker {
   constructor() {
@@ -15,6 +29,14 @@ export class FactChecker {
     this.currentVideoId = null;
     this.factCheckResults = null;
     this.processedTranscriptData = null; // Store processed transcript data
+    this.analysisMetadata = null; // Model/grounding details of the current results (for exports)
+    this.resultsCheckedAt = null;
+    this.liveSession = null; // Rolling check while watching a live stream or premiere
+    this.checkedRange = null; // { start, end, strict } while the results cover one passage only
+    this.wholeVideoCheck = null; // Whole-video results put aside while a passage is shown
+    this.captionTrack = null; // { languageCode, kind, translate } picked in the sidebar for this video (null = automatic)
+    this.transcriptTrack = null; // Caption track the current results were checked from
+    this.videoContext = null; // { videoId, promise } - VideoContext for the prompts, collected once per video
     this.isLoading = false;
     this.settings = {};
     this.initializationComplete = false;
@@ -25,7 +47,13 @@ export class FactChecker {
     this.buttonManager = new ButtonManager();
     this.sidebarManager = new SidebarManager();
     this.resultsRenderer = new ResultsRenderer();
+    this.transcriptRangePicker = new TranscriptRangePicker();
+    this.quotaPrompt = new QuotaPromptRenderer();
+    this.captionTrackPicker = new CaptionTrackPicker();
+    this.progressMarkersManager = new ProgressMarkersManager();
+    this.liveClaimToastManager = new LiveClaimToastManager();
     this.cache = new Cache();
+    this.modelConfig = new ModelConfig();
     
     // Navigation tracking
     this.lastUrl = location.href;
@@ -56,7 +84,25 @@ export class FactChecker {
 
         this.sidebarManager.init({
           onClose: () => this.hideSidebar(),
-          onRefresh: () => this.refreshAnalysis()
+          onRefresh: () => this.refreshAnalysis(),
+          onExport: (format, action) => this.exportReport(format, action),
+          onCheckRange: () => this.openTranscriptPicker(),
+          onPickCaptions: () => this.openCaptionPicker()
+        });
+
+        this.resultsRenderer.init({
+          onAskFollowUp: (cardIndex, question) => this.askFollowUp(cardIndex, question),
+          onSaveReview: (cardIndex, review) => this.updateReview(cardIndex, review),
+          onRevertReview: (cardIndex) => this.updateReview(cardIndex, null),
+          onRenameSpeakers: (names) => this.renameSpeakers(names)
+        });
+
+        this.progressMarkersManager.init({
+          onMarkerClick: (cardIndex) => this.openResultCard(cardIndex)
+        });
+
+        this.liveClaimToastManager.init({
+          onOpenCard: (cardIndex) => this.openResultCard(cardIndex)
         });
         
         // Set current video ID if on watch page
@@ -94,7 +140,7 @@ export class FactChecker {
     
     // Handle enable/disable state change
     if (wasEnabled !== this.isEnabled) {
-      if (this.isEnabled && this.isWatchPage()) {
+      if (this.isEnabled && this.isVideoPage()) {
         // Extension was enabled - inject button
         setTimeout(() => this.buttonManager.tryInject(), 100);
       } else if (!this.isEnabled) {
@@ -102,6 +148,11 @@ export class FactChecker {
         this.cleanup(false); // Don't reset settings
       }
     }
+
+    // Live claim alerts toggled from the popup - apply to the current results
+    if ('liveClaimAlerts' in settings && this.isEnabled && this.factCheckResults) {
+      this.updateLiveClaimAlerts(this.factCheckResults);
+    }
   }
 
   handleExtensionToggle(enabled) {
@@ -125,20 +176,25 @@ export class FactChecker {
 
   processNavigation(url, oldUrl) {
     const videoId = this.getVideoId();
-    const wasWatchPage = oldUrl.includes('/watch');
-    const isWatchPage = this.isWatchPage();
+    const oldPath = new URL(oldUrl).pathname;
+    const wasShorts = oldPath.startsWith('/shorts/');
+    const wasVideoPage = oldPath === '/watch' || wasShorts;
+    const isVideoPage = this.isVideoPage();
     
-    console.log(`🔄 Navigation: ${wasWatchPage ? 'watch' : 'other'} -> ${isWatchPage ? 'watch' : 'other'}`);
+    console.log(`🔄 Navigation: ${this.describePage(oldPath)} -> ${this.describePage(location.pathname)}`);
     
     // Handle leaving watch page
-    if (wasWatchPage && !isWatchPage) {
+    if (wasVideoPage && !isVideoPage) {
       this.cleanup(false);
       return;
     }
     
     // Handle entering watch page or video change
-    if (isWatchPage) {
+    if (isVideoPage) {
       if (videoId !== this.currentVideoId) {
+        // Swiping to the next Short keeps an open overlay going for the new one
+        const recheckShort = wasShorts && this.isShortsPage() && this.sidebarManager.isVisible();
+
         this.currentVideoId = videoId;
         this.factCheckResults = null;
         this.processedTranscriptData = null; // Clear processed data
@@ -147,11 +203,31 @@ export class FactChecker {
         if (this.isEnabled && this.initializationComplete) {
           // Small delay to ensure DOM is ready
           setTimeout(() => this.buttonManager.tryInject(), 500);
+
+          if (recheckShort) {
+            this.scheduleShortRecheck(videoId);
+          }
         }
+      } else if (this.factCheckResults) {
+        // Same video (e.g. playlist/timestamp params changed) - player may have been rebuilt
+        this.progressMarkersManager.render(this.factCheckResults);
+        this.updateLiveClaimAlerts(this.factCheckResults);
       }
     }
   }
 
+  /**
+   * Check the Short the user swiped to, unless they keep swiping past it
+   */
+  scheduleShortRecheck(videoId) {
+    setTimeout(() => {
+      if (this.currentVideoId === videoId && this.isShortsPage() && !this.sidebarManager.isVisible()) {
+        console.log('📱 Re-checking after Shorts swipe:', videoId);
+        this.showFactCheck();
+      }
+    }, Constants.SHORTS_RECHECK_DELAY);
+  }
+
   updateCurrentVideoId() {
     const videoId = this.getVideoId();
     if (videoId !== this.currentVideoId) {
@@ -166,7 +242,7 @@ export class FactChecker {
       return;
     }
     
-    if (this.isWatchPage()) {
+    if (this.isVideoPage()) {
       this.updateCurrentVideoId();
       
       // Try to inject button if not already present
@@ -186,7 +262,9 @@ export class FactChecker {
 
   async showFactCheck() {
     // Validate prerequisites
-    if (!this.settings.apiKey?.trim()) {
+    // Local OpenAI-compatible servers can run without a key
+    const requiresApiKey = this.modelConfig.getCapabilities(this.settings.provider).requiresApiKey;
+    if (requiresApiKey && !this.settings.apiKey?.trim()) {
       this.showError('Please configure your API key in the extension settings first.');
       return;
     }
@@ -198,12 +276,20 @@ export class FactChecker {
 
     // Show sidebar
     this.sidebarManager.show();
+
+    // Live streams have no finished transcript - follow the captions instead
+    if (this.isLiveStream()) {
+      this.startLiveFactCheck();
+      return;
+    }
     
     // Check if we have cached results for this video
-    if (this.factCheckResults && this.processedTranscriptData) {
+    if (this.factCheckResults && (this.processedTranscriptData || this.checkedRange)) {
       // Show cached results with cache indicator and processing info
       console.log('📋 Showing cached results for video:', this.currentVideoId);
       this.displayResults(this.factCheckResults, true, this.processedTranscriptData); // Pass processed data
+    } else if (await this.showSavedFactCheck()) {
+      console.log('🗂️ Showing saved history results for video:', this.currentVideoId);
     } else {
       // No cache - perform fresh analysis with enhanced processing
       console.log('🔍 No cached results - performing enhanced analysis with transcript processing');
@@ -211,14 +297,51 @@ export class FactChecker {
     }
   }
 
+  /**
+   * Reopen a previous check from the persistent history instead of calling the API again
+   * @returns {Promise<boolean>} whether saved results were shown
+   */
+  async showSavedFactCheck() {
+    if (this.settings.cacheResults === false || this.settings.saveHistory === false) return false;
+
+    try {
+      const videoId = this.currentVideoId;
+      const response = await chrome.runtime.sendMessage({
+        type: Constants.MESSAGE_TYPES.GET_HISTORY_ENTRY,
+        videoId
+      });
+
+      const entry = response?.success ? response.entry : null;
+      if (!entry?.results?.length || this.currentVideoId !== videoId) return false;
+
+      this.factCheckResults = entry.results;
+      this.analysisMetadata = entry.analysisMetadata || null;
+      this.resultsCheckedAt = entry.checkedAt;
+      this.displayResults(entry.results, true, null, entry.checkedAt);
+      return true;
+    } catch (error) {
+      console.log('Could not load saved fact-check:', error);
+      return false;
+    }
+  }
+
   async refreshAnalysis() {
     if (!this.currentVideoId) return;
+
+    if (this.isLiveStream()) {
+      // Start the timeline over
+      this.stopLiveFactCheck();
+      this.startLiveFactCheck();
+      return;
+    }
     
     console.log('🔄 FORCE REFRESH: Clearing all cache and starting fresh enhanced analysis...');
     
     // Completely reset state
     this.factCheckResults = null;
     this.processedTranscriptData = null;
+    this.checkedRange = null;
+    this.wholeVideoCheck = null;
     this.isLoading = false;
     
     // Clear transcript cache
@@ -251,105 +374,131 @@ export class FactChecker {
     await this.performEnhancedFactCheck(true); // Pass true to force refresh
   }
 
-  async performEnhancedFactCheck(forceRefresh = false) {
+  /**
+   * @param {boolean} overQuotaConfirmed - the user chose to check despite a daily/monthly usage limit
+   */
+  async performEnhancedFactCheck(forceRefresh = false, overQuotaConfirmed = false) {
+    const videoId = this.currentVideoId;
     this.isLoading = true;
     this.buttonManager.setLoading(true);
+    this.sidebarManager.setExportEnabled(false);
     
     const processingStartTime = Date.now();
+    const checkAnyway = () => this.performEnhancedFactCheck(forceRefresh, true);
     
     try {
+      // Processing the transcript already spends tokens, so ask before that
+      const exceededQuota = overQuotaConfirmed ? null : await this.getExceededQuota();
+      if (this.currentVideoId !== videoId) return;
+      if (exceededQuota) {
+        this.showQuotaPrompt(exceededQuota, checkAnyway);
+        return;
+      }
+
       console.log(`🚀 Starting ${forceRefresh ? 'FORCED FRESH' : 'enhanced'} fact-check analysis for video:`, this.currentVideoId);
       
       // Step 1: Extract raw transcript
       this.sidebarManager.showLoading('Extracting video transcript...');
       
+      const videoContext = this.getVideoContext(videoId); // Collected while the transcript is extracted
+      const audioTranscription = this.getAudioTranscriptionOptions(videoId);
       const rawTranscript = await this.transcriptExtractor.extract(this.currentVideoId, {
+        ...this.getTranscriptOptions(),
+        audioTranscription,
         forceRefresh: forceRefresh,
         skipCache: forceRefresh
       });
       
       if (!rawTranscript) {
-        throw new Error('Could not retrieve video transcript. This video may not have captions available or they may be restricted.');
+        // Audio transcription runs last, so the last error is its own
+        const reason = audioTranscription
+          ? `No captions were found and transcribing the audio failed: ${this.transcriptExtractor.extractionStats.lastExtraction?.error || 'unknown error'}`
+          : 'Turn on audio transcription in the extension settings to transcribe videos without captions.';
+        throw new Error(`Could not retrieve video transcript. This video may not have captions available or they may be restricted. ${reason}`);
       }
 
       if (rawTranscript.length < Constants.MIN_TRANSCRIPT_LENGTH) {
         throw new Error('Video transcript is too short for reliable analysis.');
       }
 
-      console.log(`📝 Raw transcript extracted: ${rawTranscript.length} characters`);
+      console.log(`📝 Raw transcript extracted: ${rawTranscript.length} characters, ${rawTranscript.cues.length} timed cues`);
+
+      // User moved on (e.g. swiped to the next Short) - don't touch the new video's UI
+      if (this.currentVideoId !== videoId) return;
+      this.transcriptTrack = rawTranscript.track || null;
 
       // Step 2: Process transcript with AI
       this.sidebarManager.showLoading('Processing and cleaning transcript...');
-      
-      try {
-        this.processedTranscriptData = await this.transcriptProcessor.process(
-          rawTranscript,
-          this.currentVideoId,
-          this.settings,
-          {
-            forceRefresh: forceRefresh,
-            maxLength: 8000,
-            aggressiveCleaning: this.settings.strictMode || false
-          }
-        );
-        
-        console.log('✅ Transcript processing completed:');
-        console.log(`📊 Length reduction: ${this.processedTranscriptData.metadata.originalLength} → ${this.processedTranscriptData.metadata.processedLength} chars (${this.processedTranscriptData.metadata.reductionPercentage}% reduction)`);
-        console.log(`🎯 Segments identified: ${this.processedTranscriptData.segments.length}`);
-        console.log(`🔍 Pre-identified claims: ${this.processedTranscriptData.factualClaims.length}`);
-        console.log(`📋 Primary subject: ${this.processedTranscriptData.metadata.primarySubject}`);
-        
-        this.processingStats.enhancedProcessingUsed++;
-        
-      } catch (processingError) {
-        console.warn('⚠️ Transcript processing failed, using raw transcript:', processingError);
-        
-        // Create fallback processed data structure
-        this.processedTranscriptData = {
-          processedTranscript: rawTranscript,
-          segments: [{
-            id: 1,
-            type: 'discussion',
-            topic: 'General Content',
-            content: rawTranscript,
-            priority: 'medium',
-            claimDensity: 5,
-            keywords: []
-          }],
-          factualClaims: [],
-          metadata: {
-            originalLength: rawTranscript.length,
-            processedLength: rawTranscript.length,
-            reductionPercentage: 0,
-            topicsCount: 1,
-            factualSegments: 1,
-            primarySubject: 'General Discussion',
-            fallbackUsed: true,
-            videoId: this.currentVideoId
-          }
-        };
-        
-        this.processingStats.fallbackUsed++;
-      }
+      const processingUsage = new UsageMeter();
+      this.processedTranscriptData = await this.processTranscript(rawTranscript, videoId, forceRefresh, processingUsage, overQuotaConfirmed);
+
+      if (this.currentVideoId !== videoId) return;
 
       // Step 3: Enhanced fact-checking analysis with context validation
       this.sidebarManager.showLoading('Analyzing claims with AI fact-checker...');
 
-      const response = await this.sendMessageWithRetry({
-        type: 'ENHANCED_FACT_CHECK_REQUEST',
-        data: { 
-          transcript: rawTranscript, // Still send raw for fallback compatibility
-          processedData: this.processedTranscriptData, // Send processed data
-          forceRefresh: forceRefresh,
-          videoId: this.currentVideoId
+      this.resultsRenderer.beginStreaming();
+
+      const requestData = { 
+        transcript: rawTranscript.text, // Still send raw for fallback compatibility
+        cues: rawTranscript.cues, // Caption timings so results can point back into the video
+        processedData: this.processedTranscriptData, // Send processed data
+        processingUsage: processingUsage.toJSON(), // Shown as part of the check's token usage (recorded by MODEL_REQUEST)
+        overQuotaConfirmed,
+        forceRefresh: forceRefresh,
+        videoId: videoId,
+        video: this.getVideoMetadata(), // Title/channel for the history page
+        videoContext: await videoContext // Title, upload date, description and chapters for the prompts
+      };
+
+      let lastProgress = null; // Latest batch the stream delivered
+      const response = await this.requestStreamingFactCheck(requestData, (progress) => {
+        lastProgress = progress;
+        // Ignore late batches for a video the user already navigated away from
+        if (this.currentVideoId === videoId) {
+          this.displayPartialResults(progress);
+        }
+      }).catch(error => {
+        if (!chrome.runtime?.id) throw error;
+
+        // Batches already ran and were paid for - keep them instead of running the whole analysis again,
+        // finished by the background like a complete check (reviewer overrides, speaker names, history)
+        if (lastProgress?.completed > 0) {
+          console.warn(`⚠️ Streaming connection lost after ${lastProgress.completed}/${lastProgress.total} batches, keeping the results so far:`, error.message);
+          return this.sendMessageWithRetry({
+            type: Constants.MESSAGE_TYPES.FINISH_INTERRUPTED_CHECK,
+            data: {
+              videoId,
+              video: requestData.video,
+              result: lastProgress.results,
+              interrupted: { completed: lastProgress.completed, total: lastProgress.total }
+            }
+          });
         }
+
+        // Worker restarted before any batch finished - fall back to a single request/response
+        console.warn('⚠️ Streaming connection lost, retrying as a single request:', error.message);
+        return this.sendMessageWithRetry({ type: 'ENHANCED_FACT_CHECK_REQUEST', data: requestData });
       });
 
+      if (response?.quotaExceeded && this.currentVideoId === videoId) {
+        this.showQuotaPrompt(response.quotaExceeded, checkAnyway);
+        return;
+      }
+
       if (!response?.success) {
         throw new Error(response?.error || 'Enhanced analysis failed');
       }
+
+      // Still saved to history by the background, so it shows instantly if the user comes back
+      if (this.currentVideoId !== videoId) {
+        console.log('⏭️ Discarding results for a video that is no longer open:', videoId);
+        return;
+      }
       
       this.factCheckResults = response.result;
+      this.analysisMetadata = response.analysisMetadata || null;
+      this.resultsCheckedAt = response.cached ? null : Date.now();
       
       const totalProcessingTime = Date.now() - processingStartTime;
       this.updateProcessingStats(totalProcessingTime);
@@ -360,6 +509,8 @@ export class FactChecker {
       
     } catch (error) {
       console.error('Enhanced fact-check error:', error);
+
+      if (this.currentVideoId !== videoId) return;
       
       // Handle extension context invalidation specifically
       if (error.message.includes('Extension context invalidated') || 
@@ -370,11 +521,439 @@ export class FactChecker {
         this.showError(error.message);
       }
     } finally {
-      this.isLoading = false;
-      this.buttonManager.setLoading(false);
+      // reset() already cleared the loading state if the video changed
+      if (this.currentVideoId === videoId) {
+        this.isLoading = false;
+        this.buttonManager.setLoading(false);
+      }
+    }
+  }
+
+  /**
+   * Clean and segment a raw transcript, falling back to a single raw segment if processing fails.
+   * Either way the result carries the transcript's `provenance` (TranscriptProvenance).
+   * @param {boolean} overQuotaConfirmed - the user chose to check despite a usage limit
+   */
+  async processTranscript(rawTranscript, videoId, forceRefresh = false, usageMeter = null, overQuotaConfirmed = false) {
+    // A live window covers a few minutes of a stream that keeps growing, so coverage isn't measured
+    const videoDuration = this.isLiveStream() ? null : DOMUtils.getActiveVideo()?.duration;
+    const provenance = TranscriptProvenance.describe(rawTranscript, videoDuration);
+
+    try {
+      const processedData = await this.transcriptProcessor.process(
+        rawTranscript,
+        videoId,
+        this.settings,
+        {
+          forceRefresh: forceRefresh,
+          maxLength: 8000,
+          aggressiveCleaning: this.settings.strictMode || false,
+          usageMeter,
+          overQuotaConfirmed
+        }
+      );
+      
+      console.log('✅ Transcript processing completed:');
+      console.log(`📊 Length reduction: ${processedData.metadata.originalLength} → ${processedData.metadata.processedLength} chars (${processedData.metadata.reductionPercentage}% reduction)`);
+      console.log(`🎯 Segments identified: ${processedData.segments.length}`);
+      console.log(`🔍 Pre-identified claims: ${processedData.factualClaims.length}`);
+      console.log(`📋 Primary subject: ${processedData.metadata.primarySubject}`);
+      
+      this.processingStats.enhancedProcessingUsed++;
+      return { ...processedData, provenance };
+      
+    } catch (processingError) {
+      console.warn('⚠️ Transcript processing failed, using raw transcript:', processingError);
+      
+      this.processingStats.fallbackUsed++;
+
+      // Fallback processed data structure
+      return {
+        processedTranscript: rawTranscript.text,
+        segments: [{
+          id: 1,
+          type: 'discussion',
+          topic: 'General Content',
+          content: rawTranscript.text,
+          priority: 'medium',
+          claimDensity: 5,
+          keywords: [],
+          speaker: null,
+          startTime: rawTranscript.cues[0]?.start ?? null
+        }],
+        factualClaims: [],
+        speakers: [],
+        cues: rawTranscript.cues,
+        metadata: {
+          originalLength: rawTranscript.length,
+          processedLength: rawTranscript.length,
+          reductionPercentage: 0,
+          topicsCount: 1,
+          factualSegments: 1,
+          primarySubject: 'General Discussion',
+          fallbackUsed: true,
+          videoId: videoId,
+          timed: rawTranscript.hasTiming(),
+          cueCount: rawTranscript.cues.length
+        },
+        provenance
+      };
+    }
+  }
+
+  /**
+   * Show the transcript so the user can pick one passage to check instead of the whole video
+   */
+  async openTranscriptPicker() {
+    if (!this.currentVideoId || this.isLoading || this.isLiveStream()) return;
+
+    const videoId = this.currentVideoId;
+    if (!this.sidebarManager.isVisible()) {
+      this.sidebarManager.show();
+    }
+    this.sidebarManager.showLoading('Loading transcript...');
+    this.sidebarManager.setExportEnabled(false);
+
+    try {
+      const extracted = await this.transcriptExtractor.extract(videoId, this.getTranscriptOptions());
+      if (this.currentVideoId !== videoId) return;
+
+      const transcript = extracted ? TimedTranscript.from(extracted) : null;
+      if (!transcript) {
+        throw new Error('Could not retrieve video transcript. This video may not have captions available or they may be restricted.');
+      }
+      if (!transcript.hasTiming()) {
+        throw new Error('This transcript has no timings, so a passage can\'t be selected. Use refresh to check the whole video.');
+      }
+
+      this.sidebarManager.setContent(this.transcriptRangePicker.render(transcript, this.checkedRange));
+      this.transcriptRangePicker.setup(transcript, this.checkedRange, {
+        onCheck: (range, strict) => this.checkTranscriptRange(transcript, range, strict),
+        onBack: () => this.closeTranscriptPicker()
+      });
+    } catch (error) {
+      if (this.currentVideoId === videoId) {
+        this.showError(error.message);
+      }
+    }
+  }
+
+  /**
+   * List the video's caption tracks so the user can pick the one to check, and whether to translate it
+   */
+  async openCaptionPicker() {
+    if (!this.currentVideoId || this.isLoading || this.isLiveStream()) return;
+
+    const videoId = this.currentVideoId;
+    if (!this.sidebarManager.isVisible()) {
+      this.sidebarManager.show();
+    }
+    this.sidebarManager.showLoading('Loading caption tracks...');
+    this.sidebarManager.setExportEnabled(false);
+
+    const tracks = await this.transcriptExtractor.listTracks(videoId);
+    if (this.currentVideoId !== videoId) return;
+
+    const options = {
+      language: this.settings.language || 'en',
+      translateByDefault: this.settings.translateCaptions === true,
+      current: this.transcriptTrack
+    };
+
+    this.sidebarManager.setContent(this.captionTrackPicker.render(tracks, this.captionTrack, options));
+    this.captionTrackPicker.setup(tracks, this.captionTrack, options, {
+      onApply: (choice) => {
+        this.captionTrack = choice;
+        this.refreshAnalysis();
+      },
+      onBack: () => this.closeTranscriptPicker()
+    });
+  }
+
+  /**
+   * Extractor options for the caption track picked in the sidebar, or the automatic choice
+   * in the user's language; `translateTo` has YouTube translate other languages first
+   */
+  getTranscriptOptions() {
+    const language = this.settings.language || 'en';
+    const translate = this.captionTrack ? this.captionTrack.translate : this.settings.translateCaptions === true;
+
+    return {
+      preferredLanguage: language,
+      track: {
+        languageCode: this.captionTrack?.languageCode || null,
+        kind: this.captionTrack?.kind || null,
+        translateTo: translate ? language : null
+      }
+    };
+  }
+
+  /**
+   * Extractor option that lets the video's audio be transcribed when it has no captions, or null
+   * when that is turned off (it replays the whole video, so it is never used for live streams)
+   */
+  getAudioTranscriptionOptions(videoId) {
+    if (!this.settings.audioTranscription || !this.settings.transcriptionEndpoint || this.isLiveStream()) {
+      return null;
+    }
+
+    return {
+      onProgress: ({ stage, recordedSeconds, duration, transcribedChunks, failedChunks }) => {
+        if (this.currentVideoId !== videoId) return;
+
+        const failed = failedChunks > 0 ? `, ${failedChunks} failed` : '';
+        this.sidebarManager.showLoading(stage === 'finishing'
+          ? `Transcribing the last of the audio... (${transcribedChunks} parts done${failed})`
+          : `No captions found - transcribing the audio: ${TimedTranscript.formatTimestamp(recordedSeconds)} of ${TimedTranscript.formatTimestamp(duration)} (${transcribedChunks} parts done${failed})`);
+      }
+    };
+  }
+
+  async closeTranscriptPicker() {
+    if (this.factCheckResults) {
+      this.displayResults(this.factCheckResults, true, this.processedTranscriptData);
+    } else {
+      await this.showFactCheck();
+    }
+  }
+
+  /**
+   * Check one passage through FACT_CHECK_RANGE; the whole-video results are kept to go back to
+   * @param {TimedTranscript} transcript
+   * @param {{start: number, end: number}} range - seconds
+   * @param {boolean} strict - strict mode and a higher confidence threshold for this check only
+   */
+  async checkTranscriptRange(transcript, range, strict = false, overQuotaConfirmed = false) {
+    const videoId = this.currentVideoId;
+    this.isLoading = true;
+    this.buttonManager.setLoading(true);
+    this.sidebarManager.setExportEnabled(false);
+    this.sidebarManager.showLoading(`Checking ${TimedTranscript.formatRange(range)}${strict ? ' with stricter settings' : ''}...`);
+
+    try {
+      const response = await this.sendMessageWithRetry({
+        type: Constants.MESSAGE_TYPES.FACT_CHECK_RANGE,
+        data: { videoId, cues: transcript.cues, range, strict, overQuotaConfirmed, videoContext: await this.getVideoContext(videoId) }
+      });
+
+      if (response?.quotaExceeded && this.currentVideoId === videoId) {
+        this.showQuotaPrompt(response.quotaExceeded, () => this.checkTranscriptRange(transcript, range, strict, true));
+        return;
+      }
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'Range analysis failed');
+      }
+
+      if (this.currentVideoId !== videoId) return;
+
+      if (!this.checkedRange && this.factCheckResults) {
+        this.wholeVideoCheck = {
+          results: this.factCheckResults,
+          processedData: this.processedTranscriptData,
+          analysisMetadata: this.analysisMetadata,
+          checkedAt: this.resultsCheckedAt
+        };
+      }
+
+      this.checkedRange = { ...response.range, strict: response.strict };
+      this.factCheckResults = response.result;
+      this.processedTranscriptData = null;
+      this.analysisMetadata = response.analysisMetadata || null;
+      this.resultsCheckedAt = response.cached ? null : Date.now();
+
+      console.log(`✂️ Range fact-check completed: ${TimedTranscript.formatRange(this.checkedRange)}, ${response.result.length} claims`);
+      this.displayResults(response.result, Boolean(response.cached));
+    } catch (error) {
+      console.error('Range fact-check error:', error);
+
+      if (this.currentVideoId !== videoId) return;
+
+      if (error.message.includes('context invalidated') ||
+          error.message.includes('Could not establish connection')) {
+        this.handleContextInvalidation();
+      } else {
+        this.showError(error.message);
+      }
+    } finally {
+      if (this.currentVideoId === videoId) {
+        this.isLoading = false;
+        this.buttonManager.setLoading(false);
+      }
     }
   }
 
+  /**
+   * Leave a passage check and go back to the results for the whole video
+   */
+  async showWholeVideoCheck() {
+    const whole = this.wholeVideoCheck;
+    this.checkedRange = null;
+    this.wholeVideoCheck = null;
+
+    if (whole) {
+      this.factCheckResults = whole.results;
+      this.processedTranscriptData = whole.processedData;
+      this.analysisMetadata = whole.analysisMetadata;
+      this.resultsCheckedAt = whole.checkedAt;
+      this.displayResults(whole.results, true, whole.processedData);
+      return;
+    }
+
+    this.factCheckResults = null;
+    this.processedTranscriptData = null;
+    this.analysisMetadata = null;
+    this.resultsCheckedAt = null;
+
+    if (!(await this.showSavedFactCheck())) {
+      await this.performEnhancedFactCheck();
+    }
+  }
+
+  /**
+   * Follow a live stream's captions and check them window by window (see LiveFactCheckSession)
+   */
+  startLiveFactCheck() {
+    if (this.liveSession?.videoId === this.currentVideoId) {
+      this.displayLiveTimeline(this.liveSession.getState());
+      return;
+    }
+
+    this.stopLiveFactCheck();
+
+    const videoId = this.currentVideoId;
+    this.resultsRenderer.beginStreaming();
+    this.liveSession = new LiveFactCheckSession({
+      videoId,
+      checkWindow: (transcript, liveWindow) => this.checkLiveWindow(transcript, liveWindow, videoId),
+      onUpdate: (state) => this.displayLiveTimeline(state),
+      onWindowChecked: (state) => this.saveLiveHistory(state)
+    });
+
+    if (!this.liveSession.start()) {
+      this.liveSession = null;
+      this.showError('Could not find the live player to read captions from. Try again once the stream is playing.');
+      return;
+    }
+
+    console.log('🔴 Live fact-check started for video:', videoId);
+    this.buttonManager.setActive(true);
+  }
+
+  stopLiveFactCheck() {
+    if (!this.liveSession) return;
+
+    const session = this.liveSession;
+    session.stop();
+    this.liveSession = null;
+    console.log('⏹️ Live fact-check stopped for video:', session.videoId);
+  }
+
+  async checkLiveWindow(transcript, liveWindow, videoId) {
+    const processingUsage = new UsageMeter();
+    const processedData = await this.processTranscript(transcript, videoId, false, processingUsage);
+
+    const response = await this.requestStreamingFactCheck({
+      transcript: transcript.text,
+      cues: transcript.cues,
+      processedData,
+      processingUsage: processingUsage.toJSON(),
+      videoId,
+      video: this.getVideoMetadata(),
+      videoContext: await this.getVideoContext(videoId),
+      live: { window: liveWindow.index } // Saved as one timeline by saveLiveHistory, not per window
+    }, () => {});
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'Live window analysis failed');
+    }
+
+    this.analysisMetadata = response.analysisMetadata || this.analysisMetadata;
+    return response.result;
+  }
+
+  displayLiveTimeline(state) {
+    if (state.videoId !== this.currentVideoId) return;
+
+    this.factCheckResults = state.results;
+    this.resultsCheckedAt = Date.now();
+    this.updateLiveClaimAlerts(state.results);
+
+    if (!this.sidebarManager.isVisible()) return;
+
+    this.sidebarManager.setContent(this.resultsRenderer.renderLiveTimeline(state));
+    this.resultsRenderer.setupInteractivity();
+    this.sidebarManager.setExportEnabled(state.results.length > 0);
+    this.sidebarManager.setTranscriptToolsEnabled(false);
+
+    const stopBtn = this.sidebarManager.getContentElement()?.querySelector('#stop-live-check');
+    if (stopBtn) {
+      stopBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.stopLiveFactCheck();
+      });
+    }
+  }
+
+  /**
+   * Keep the whole de-duplicated timeline as the video's history entry
+   */
+  async saveLiveHistory(state) {
+    if (this.settings.saveHistory === false || state.results.length === 0) return;
+
+    try {
+      const video = this.getVideoMetadata();
+      await chrome.runtime.sendMessage({
+        type: Constants.MESSAGE_TYPES.SAVE_HISTORY_ENTRY,
+        entry: {
+          videoId: state.videoId,
+          title: video.title,
+          channel: video.channel,
+          provider: this.analysisMetadata?.providerUsed,
+          model: this.analysisMetadata?.modelUsed,
+          contentType: 'live',
+          analysisMetadata: this.analysisMetadata,
+          results: state.results
+        }
+      });
+    } catch (error) {
+      console.log('Could not save live fact-check history:', error);
+    }
+  }
+
+  /**
+   * Run the enhanced fact-check over a long-lived port so batches show up as they finish
+   */
+  requestStreamingFactCheck(data, onProgress) {
+    return new Promise((resolve, reject) => {
+      if (!chrome.runtime?.id) {
+        reject(new Error('Extension context invalidated'));
+        return;
+      }
+
+      const port = chrome.runtime.connect({ name: Constants.PORTS.FACT_CHECK_STREAM });
+      let settled = false;
+
+      port.onMessage.addListener((message) => {
+        if (message.type === Constants.MESSAGE_TYPES.FACT_CHECK_PROGRESS) {
+          onProgress(message);
+        } else if (message.type === Constants.MESSAGE_TYPES.FACT_CHECK_COMPLETE) {
+          settled = true;
+          port.disconnect();
+          resolve(message.response);
+        }
+      });
+
+      port.onDisconnect.addListener(() => {
+        if (!settled) {
+          reject(new Error(chrome.runtime.lastError?.message || 'Could not establish connection to the background service'));
+        }
+      });
+
+      port.postMessage({ type: Constants.MESSAGE_TYPES.ENHANCED_FACT_CHECK_REQUEST, data });
+    });
+  }
+
   /**
    * Send message with retry logic for context invalidation
    */
@@ -442,17 +1021,291 @@ export class FactChecker {
     this.buttonManager.setActive(false);
   }
 
-  displayResults(results, cached = false, processedData = null) {
-    const content = this.resultsRenderer.renderEnhanced(results, cached, processedData);
+  displayResults(results, cached = false, processedData = null, savedAt = null) {
+    const rangeNotice = this.checkedRange ? this.resultsRenderer.renderRangeNotice(this.checkedRange) : '';
+    const budgetNotice = this.resultsRenderer.renderBudgetNotice(this.analysisMetadata?.claimBudget);
+    const interruptedNotice = this.resultsRenderer.renderInterruptedNotice(this.analysisMetadata?.interrupted);
+    const content = rangeNotice + budgetNotice + interruptedNotice + this.resultsRenderer.renderEnhanced(results, cached, processedData, savedAt, this.analysisMetadata?.usage);
     this.sidebarManager.setContent(content);
     this.resultsRenderer.setupInteractivity();
+    if (this.checkedRange) {
+      this.setupRangeNotice();
+    }
+    this.progressMarkersManager.render(results);
+    this.updateLiveClaimAlerts(results);
+    this.sidebarManager.setExportEnabled(results.length > 0);
     this.buttonManager.setActive(true);
   }
 
+  setupRangeNotice() {
+    const content = this.sidebarManager.getContentElement();
+    content?.querySelector('#range-edit')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.openTranscriptPicker();
+    });
+    content?.querySelector('#range-whole-video')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.showWholeVideoCheck();
+    });
+  }
+
+  displayPartialResults({ results = [], completed = 0, total = 0 }) {
+    // Keep the spinner until the first batch has something to show
+    if (results.length === 0) {
+      this.sidebarManager.showLoading(`Analyzing claims with AI fact-checker... (${completed}/${total})`);
+      return;
+    }
+
+    this.sidebarManager.setContent(this.resultsRenderer.renderStreaming(results, completed, total));
+    this.resultsRenderer.setupInteractivity();
+  }
+
+  /**
+   * Start or stop the "now playing" claim toast according to settings
+   */
+  updateLiveClaimAlerts(results) {
+    if (this.settings.liveClaimAlerts === true) {
+      this.liveClaimToastManager.start(results);
+    } else {
+      this.liveClaimToastManager.remove();
+    }
+  }
+
+  /**
+   * Open the sidebar on a specific result card (progress bar marker or live toast click)
+   */
+  async openResultCard(cardIndex) {
+    // The sidebar lives outside the player, so it can't be seen in fullscreen
+    if (document.fullscreenElement) {
+      await document.exitFullscreen().catch(() => {});
+    }
+
+    if (!this.sidebarManager.isVisible()) {
+      await this.showFactCheck();
+    }
+    this.resultsRenderer.revealCard(cardIndex);
+  }
+
+  /**
+   * "Dig deeper": ask the model a follow-up question about one result card.
+   * The answer is kept on the result (and saved with the video's history entry by the background).
+   */
+  async askFollowUp(cardIndex, question) {
+    const result = this.factCheckResults?.[cardIndex];
+    if (!result) return;
+
+    const videoId = this.currentVideoId;
+
+    // Cards can be re-rendered (and re-ordered on a live timeline) while the answer is on its way
+    const showThread = (pending) => {
+      const index = this.currentVideoId === videoId ? (this.factCheckResults?.indexOf(result) ?? -1) : -1;
+      if (index !== -1) {
+        this.resultsRenderer.followUpThread.updateThread(index, result.followUps, pending);
+      }
+    };
+
+    showThread({ question });
+
+    try {
+      const response = await this.sendMessageWithRetry({
+        type: Constants.MESSAGE_TYPES.ASK_FOLLOW_UP,
+        data: {
+          videoId,
+          claim: {
+            claim: result.claim,
+            status: result.status,
+            confidence: result.confidence,
+            explanation: result.explanation
+          },
+          question,
+          context: await this.getClaimContext(result, videoId),
+          thread: (result.followUps || []).map(turn => ({ question: turn.question, answer: turn.answer }))
+        }
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'No answer received');
+      }
+
+      result.followUps = [...(result.followUps || []), response.followUp];
+      showThread(null);
+    } catch (error) {
+      console.error('Follow-up question error:', error);
+      showThread({ question, error: error.message });
+    }
+  }
+
+  /**
+   * Save a reviewer's override of one card's verdict, or drop it when `review` is null.
+   * Overrides are stored locally by the background and win over later re-analyses of the video.
+   */
+  async updateReview(cardIndex, review) {
+    const result = this.factCheckResults?.[cardIndex];
+    if (!result) return;
+
+    const videoId = this.currentVideoId;
+
+    try {
+      const response = await this.sendMessageWithRetry({
+        type: review ? Constants.MESSAGE_TYPES.SAVE_REVIEW : Constants.MESSAGE_TYPES.DELETE_REVIEW,
+        data: { videoId, result, review }
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not save the review');
+      }
+
+      const index = this.currentVideoId === videoId ? this.factCheckResults.indexOf(result) : -1;
+      if (index === -1) return;
+
+      // On a live timeline this is the session's own array, so later windows keep the override
+      this.factCheckResults[index] = response.result;
+      this.wholeVideoCheck = null; // Stale now - "Whole video" reloads it with the override applied
+      this.resultsRenderer.updateCard(index, response.result, this.factCheckResults);
+      if (!this.liveSession) {
+        this.progressMarkersManager.render(this.factCheckResults);
+      }
+      this.updateLiveClaimAlerts(this.factCheckResults);
+
+      console.log(`✍️ Reviewer ${review ? 'override saved' : 'override removed'} for claim:`, result.claim.substring(0, 80));
+    } catch (error) {
+      console.error('Reviewer override error:', error);
+
+      const index = this.currentVideoId === videoId ? (this.factCheckResults?.indexOf(result) ?? -1) : -1;
+      if (index !== -1) {
+        this.resultsRenderer.reviewForm.showError(index, error.message);
+      }
+    }
+  }
+
+  /**
+   * Give the video's speakers the user's names. Names are stored by the background and applied to
+   * later checks of the video too.
+   * @param {Object<string, string>} names - model label -> name ('' goes back to the label)
+   */
+  async renameSpeakers(names) {
+    const videoId = this.currentVideoId;
+
+    try {
+      const response = await this.sendMessageWithRetry({
+        type: Constants.MESSAGE_TYPES.RENAME_SPEAKERS,
+        data: { videoId, names }
+      });
+
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not save the speaker names');
+      }
+      if (this.currentVideoId !== videoId || !this.factCheckResults) return;
+
+      SpeakerStore.applyNames(this.factCheckResults, response.names).forEach((result, index) => {
+        this.factCheckResults[index] = result;
+      });
+      this.wholeVideoCheck = null; // Stale now - "Whole video" reloads it with the names applied
+      this.resultsRenderer.refreshResultCards(this.factCheckResults);
+
+      console.log('🗣️ Speaker names saved:', response.names);
+    } catch (error) {
+      console.error('Speaker rename error:', error);
+      if (this.currentVideoId === videoId) {
+        this.resultsRenderer.speakerBar.showRenameError(error.message);
+      }
+    }
+  }
+
+  /**
+   * Transcript around where a claim was spoken, so the model can see what the speaker meant
+   */
+  async getClaimContext(result, videoId) {
+    if (!Number.isFinite(result.startTime) || this.isLiveStream()) return '';
+
+    try {
+      const extracted = await this.transcriptExtractor.extract(videoId, this.getTranscriptOptions());
+      if (!extracted) return '';
+
+      const { CONTEXT_SECONDS } = Constants.FOLLOW_UP;
+      const end = Number.isFinite(result.endTime) ? result.endTime : result.startTime;
+      return TimedTranscript.from(extracted).slice(result.startTime - CONTEXT_SECONDS, end + CONTEXT_SECONDS).text;
+    } catch (error) {
+      console.log('Could not load transcript context for follow-up:', error);
+      return '';
+    }
+  }
+
+  /**
+   * Export the current results from the sidebar's export menu
+   * @param {'markdown'|'json'|'html'} format
+   * @param {'copy'|'download'} action
+   */
+  async exportReport(format, action = 'download') {
+    if (!this.factCheckResults?.length) return;
+
+    try {
+      const report = ReportExporter.build({
+        videoId: this.currentVideoId,
+        video: this.getVideoMetadata(),
+        results: this.factCheckResults,
+        analysisMetadata: this.analysisMetadata,
+        checkedAt: this.resultsCheckedAt,
+        range: this.checkedRange
+      });
+      const content = ReportExporter.render(report, format);
+
+      if (action === 'copy') {
+        await navigator.clipboard.writeText(content);
+        this.sidebarManager.flashExportStatus('Copied to clipboard');
+      } else {
+        this.downloadFile(content, ReportExporter.getFilename(report, format), ReportExporter.FORMATS[format].mimeType);
+        this.sidebarManager.flashExportStatus('Report downloaded');
+      }
+
+      console.log(`📤 Exported fact-check report (${format}, ${action})`);
+    } catch (error) {
+      console.error('Report export failed:', error);
+      this.sidebarManager.flashExportStatus(`Export failed: ${error.message}`);
+    }
+  }
+
+  downloadFile(content, filename, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * The daily/monthly usage limits the next check would go over, if any (the background
+   * enforces them again when the check starts)
+   * @returns {Promise<Object|null>} UsageQuota.check result
+   */
+  async getExceededQuota() {
+    try {
+      const response = await this.sendMessageWithRetry({ type: Constants.MESSAGE_TYPES.GET_USAGE_QUOTA });
+      return response?.success && !response.quota.allowed ? response.quota : null;
+    } catch (error) {
+      console.warn('⚠️ Could not read usage limits:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * @param {Function} onConfirm - runs the check anyway
+   */
+  showQuotaPrompt(quota, onConfirm) {
+    this.sidebarManager.setContent(this.quotaPrompt.render(quota));
+    this.sidebarManager.setExportEnabled(false);
+    this.buttonManager.setActive(false);
+    this.quotaPrompt.setup(onConfirm);
+  }
+
   showError(message) {
     const content = this.resultsRenderer.renderError(message, true); // Pass true to show retry button
     this.sidebarManager.setContent(content);
     this.resultsRenderer.setupInteractivity(); // Setup retry button listener
+    this.sidebarManager.setExportEnabled(false);
     this.buttonManager.setActive(false);
   }
 
@@ -462,10 +1315,20 @@ export class FactChecker {
   }
 
   reset() {
+    this.stopLiveFactCheck();
     this.factCheckResults = null;
     this.processedTranscriptData = null;
+    this.checkedRange = null;
+    this.wholeVideoCheck = null;
+    this.captionTrack = null;
+    this.transcriptTrack = null;
+    this.analysisMetadata = null;
+    this.resultsCheckedAt = null;
+    this.resultsRenderer.resetSpeakerView();
     this.buttonManager.reset();
     this.sidebarManager.hide();
+    this.progressMarkersManager.remove();
+    this.liveClaimToastManager.remove();
     this.isLoading = false;
   }
 
@@ -473,6 +1336,8 @@ export class FactChecker {
     this.reset();
     this.buttonManager.cleanup();
     this.sidebarManager.cleanup();
+    this.progressMarkersManager.cleanup();
+    this.liveClaimToastManager.cleanup();
     
     if (resetSettings) {
       this.currentVideoId = null;
@@ -502,9 +1367,46 @@ export class FactChecker {
     return location.pathname === '/watch' && location.search.includes('v=');
   }
 
+  isShortsPage() {
+    return DOMUtils.isShortsPage();
+  }
+
+  isVideoPage() {
+    return this.isWatchPage() || this.isShortsPage();
+  }
+
+  isLiveStream() {
+    return DOMUtils.isLiveStream();
+  }
+
+  describePage(pathname) {
+    if (pathname === '/watch') return 'watch';
+    if (pathname.startsWith('/shorts/')) return 'shorts';
+    return 'other';
+  }
+
   getVideoId() {
-    const urlParams = new URLSearchParams(location.search);
-    return urlParams.get('v');
+    return DOMUtils.getPageVideoId();
+  }
+
+  getVideoMetadata() {
+    const isShorts = this.isShortsPage();
+    const title = DOMUtils.findElementBySelectors(isShorts ? Constants.SHORTS_TITLE_SELECTORS : Constants.VIDEO_TITLE_SELECTORS)?.textContent?.trim() ||
+      document.title.replace(/^\(\d+\)\s*/, '').replace(/\s*-\s*YouTube$/, '');
+    const channel = DOMUtils.findElementBySelectors(isShorts ? Constants.SHORTS_CHANNEL_SELECTORS : Constants.CHANNEL_NAME_SELECTORS)?.textContent?.trim() || '';
+
+    return { title, channel };
+  }
+
+  /**
+   * The video's title, channel, upload date, description and chapters (VideoContext), for the analysis prompts
+   * @returns {Promise<Object|null>} never rejects
+   */
+  getVideoContext(videoId) {
+    if (this.videoContext?.videoId !== videoId) {
+      this.videoContext = { videoId, promise: VideoContext.collect(videoId, this.getVideoMetadata()) };
+    }
+    return this.videoContext.promise;
   }
 
   // Enhanced debug utilities
@@ -540,7 +1442,7 @@ export class FactChecker {
     }
 
     console.log('Testing transcript extraction for video:', this.currentVideoId);
-    return await this.transcriptExtractor.extract(this.currentVideoId);
+    return await this.transcriptExtractor.extract(this.currentVideoId, this.getTranscriptOptions());
   }
 
   async testTranscriptProcessing() {
@@ -553,7 +1455,7 @@ export class FactChecker {
     
     try {
       // Extract raw transcript
-      const rawTranscript = await this.transcriptExtractor.extract(this.currentVideoId);
+      const rawTranscript = await this.transcriptExtractor.extract(this.currentVideoId, this.getTranscriptOptions());
       if (!rawTranscript) {
         console.log('❌ No transcript available');
         return null;
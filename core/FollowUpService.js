@@ -0,0 +1,118 @@
+// FollowUpService.js - "Dig deeper" questions about a single fact-check result
+// Answers a reviewer's question with the claim, its verdict and the transcript around it as context
+
+import { APIService } from './APIService.js';
+import { SettingsManager } from '../utils/SettingsManager.js';
+import { StatsManager } from '../utils/StatsManager.js';
+import { UsageMeter } from '../utils/UsageMeter.js';
+import { UsageQuota } from '../utils/UsageQuota.js';
+import { ModelConfig } from '../utils/ModelConfig.js';
+import { Constants } from '../utils/Constants.js';
+import { GroundingCitations } from '../utils/GroundingCitations.js';
+
+export class FollowUpService {
+  constructor() {
+    this.apiService = new APIService();
+    this.settingsManager = new SettingsManager();
+    this.statsManager = new StatsManager();
+    this.usageQuota = new UsageQuota();
+    this.modelConfig = new ModelConfig();
+  }
+
+  /**
+   * @param {Object} data
+   * @param {{claim: string, status: string, confidence: number, explanation: string}} data.claim - the result being questioned
+   * @param {string} data.question
+   * @param {string} [data.context] - transcript around the claim
+   * @param {Array<{question: string, answer: string}>} [data.thread] - earlier questions about the same claim
+   * @returns {Promise<{question: string, answer: string, citations: Array<{uri: string, title: string}>, grounded: boolean, askedAt: number, usage: Object}>}
+   */
+  async ask({ claim, question, context = '', thread = [] }, sender) {
+    const settings = this.modelConfig.applyCapabilities(await this.settingsManager.getAll());
+
+    if (!settings.enabled) {
+      throw new Error('Extension is disabled');
+    }
+
+    if (!settings.apiKey && this.modelConfig.getCapabilities(settings.provider).requiresApiKey) {
+      throw new Error('API key not configured');
+    }
+
+    const trimmedQuestion = String(question || '').trim().substring(0, Constants.FOLLOW_UP.MAX_QUESTION_LENGTH);
+    if (!claim?.claim || !trimmedQuestion) {
+      throw new Error('Type a question about this claim first');
+    }
+
+    // One request can't be estimated up front - only a limit already reached stops it
+    const quota = await this.usageQuota.check(settings, false);
+    if (!quota.allowed) {
+      throw new Error(UsageQuota.formatExceeded(quota.exceeded));
+    }
+
+    if (!this.apiService.checkRateLimit(sender.tab?.id)) {
+      throw new Error('Rate limit exceeded. Please wait before trying again.');
+    }
+
+    console.log('💬 Follow-up question about claim:', claim.claim.substring(0, 80));
+
+    const usageMeter = new UsageMeter();
+    const { text, grounding } = await this.apiService.makeRequest(
+      this.createPrompt(claim, trimmedQuestion, context, thread, settings),
+      settings.apiKey,
+      settings,
+      settings.analysisTimeout || 45,
+      { includeGrounding: true, usageMeter }
+    );
+
+    const citations = GroundingCitations.forAnswer(grounding);
+    const usage = usageMeter.summary(this.modelConfig);
+    await this.statsManager.recordUsage(usage);
+    await this.usageQuota.record(usage);
+
+    return {
+      question: trimmedQuestion,
+      answer: String(text).trim(),
+      citations,
+      grounded: citations.length > 0,
+      askedAt: Date.now(),
+      usage
+    };
+  }
+
+  createPrompt(claim, question, context, thread, settings) {
+    const languageNames = {
+      'en': 'English', 'es': 'Spanish', 'fr': 'French', 'de': 'German',
+      'it': 'Italian', 'pt': 'Portuguese', 'ru': 'Russian', 'ja': 'Japanese',
+      'ko': 'Korean', 'zh': 'Chinese', 'ar': 'Arabic', 'hi': 'Hindi'
+    };
+
+    const languageName = languageNames[settings.language] || 'English';
+
+    const verificationInstructions = settings.useGroundingSearch ?
+      '- Use Google Search to check the answer against current, authoritative sources' :
+      '- Answer from your training knowledge and say when information may be out of date';
+
+    const transcriptContext = String(context || '').substring(0, Constants.FOLLOW_UP.MAX_CONTEXT_LENGTH);
+
+    const previousTurns = (thread || [])
+      .slice(-Constants.FOLLOW_UP.MAX_THREAD_TURNS)
+      .map(turn => `REVIEWER: ${turn.question}\nYOU: ${turn.answer}`)
+      .join('\n\n');
+
+    return `You are an expert fact-checker. A reviewer is questioning one result of a fact-check you made on a YouTube video.
+
+CLAIM FROM THE VIDEO: "${claim.claim}"
+YOUR VERDICT: ${claim.status} (${claim.confidence}% confidence)
+YOUR EXPLANATION: ${claim.explanation}
+
+${transcriptContext ? `TRANSCRIPT AROUND THE CLAIM:\n"""\n${transcriptContext}\n"""\n` : ''}${previousTurns ? `EARLIER QUESTIONS ABOUT THIS CLAIM:\n${previousTurns}\n\n` : ''}REVIEWER'S QUESTION: ${question}
+
+INSTRUCTIONS:
+${verificationInstructions}
+- Answer the question directly; if it shows the verdict was wrong or too confident, say so plainly and give the corrected verdict
+- Use the transcript only to understand what the speaker meant, not as evidence that the claim is true
+- Name the sources your answer relies on
+- Keep the answer under 200 words of plain text (no JSON, no headings)
+- Respond in ${languageName}`;
+  }
+}
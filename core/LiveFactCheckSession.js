@@ -0,0 +1,180 @@
+// LiveFactCheckSession.js - Rolling fact-check for live streams and premieres
+// Buffers live captions into fixed windows, checks each window as it closes and keeps one de-duplicated timeline
+
+import { LiveCaptionReader } from '../transcript/LiveCaptionReader.js';
+import { ClaimMatcher } from '../utils/ClaimMatcher.js';
+import { ClaimClusterer } from '../utils/ClaimClusterer.js';
+import { Constants } from '../utils/Constants.js';
+
+export class LiveFactCheckSession {
+  /**
+   * @param {Object} options
+   * @param {string} options.videoId
+   * @param {Function} options.checkWindow - (transcript, liveWindow) => Promise<Array<Object>> claim results for one window
+   * @param {Function} options.onUpdate - called with getState() whenever the timeline or window status changes
+   * @param {Function} [options.onWindowChecked] - called with getState() after a window's results were added
+   */
+  constructor({ videoId, checkWindow, onUpdate, onWindowChecked = null }) {
+    this.videoId = videoId;
+    this.checkWindow = checkWindow;
+    this.onUpdate = onUpdate;
+    this.onWindowChecked = onWindowChecked;
+    this.reader = new LiveCaptionReader();
+    this.results = [];
+    this.windows = []; // { index, start, end, status: 'queued'|'checking'|'done'|'failed', claims, repeats, error }
+    this.queue = [];
+    this.busy = false;
+    this.active = false;
+    this.windowTimer = null;
+    this.nextWindowAt = null;
+    this.repeatsSkipped = 0;
+  }
+
+  /**
+   * @returns {boolean} false when there was no player to read captions from
+   */
+  start() {
+    if (!this.reader.start()) return false;
+
+    this.active = true;
+    this.scheduleNextWindow();
+    this.windowTimer = setInterval(() => this.closeWindow(), Constants.LIVE.WINDOW_SECONDS * 1000);
+    this.notify();
+    return true;
+  }
+
+  /**
+   * Stop reading captions; a window already being checked is dropped
+   */
+  stop() {
+    clearInterval(this.windowTimer);
+    this.windowTimer = null;
+    this.reader.stop();
+    this.queue = [];
+    this.nextWindowAt = null;
+
+    if (this.active) {
+      this.active = false;
+      this.notify();
+    }
+  }
+
+  scheduleNextWindow() {
+    this.nextWindowAt = Date.now() + Constants.LIVE.WINDOW_SECONDS * 1000;
+  }
+
+  closeWindow() {
+    this.scheduleNextWindow();
+
+    // Quiet stretch (or captions not showing yet) - keep buffering into the next window
+    const transcript = this.reader.drain(Constants.LIVE.MIN_WINDOW_LENGTH);
+    if (!transcript) {
+      this.notify();
+      return;
+    }
+
+    const lastCue = transcript.cues[transcript.cues.length - 1];
+    const liveWindow = {
+      index: this.windows.length + 1,
+      start: transcript.cues[0].start,
+      end: lastCue.start + lastCue.duration,
+      status: 'queued',
+      claims: 0,
+      repeats: 0,
+      error: null
+    };
+
+    console.log(`🔴 Live window ${liveWindow.index} closed: ${transcript.length} chars, ${transcript.cues.length} cues`);
+
+    this.windows.push(liveWindow);
+    this.queue.push({ liveWindow, transcript });
+    this.processQueue();
+  }
+
+  /**
+   * Check windows one at a time - a slow analysis just delays the next window
+   */
+  async processQueue() {
+    if (this.busy) return;
+    this.busy = true;
+
+    while (this.active && this.queue.length > 0) {
+      const { liveWindow, transcript } = this.queue.shift();
+      liveWindow.status = 'checking';
+      this.notify();
+
+      try {
+        const results = await this.checkWindow(transcript, liveWindow);
+        if (!this.active) break;
+
+        this.addResults(results || [], liveWindow);
+        liveWindow.status = 'done';
+        this.notify();
+        if (this.onWindowChecked) {
+          this.onWindowChecked(this.getState());
+        }
+      } catch (error) {
+        if (!this.active) break;
+
+        console.warn(`⚠️ Live window ${liveWindow.index} failed:`, error.message);
+        liveWindow.status = 'failed';
+        liveWindow.error = error.message;
+        this.notify();
+      }
+    }
+
+    this.busy = false;
+  }
+
+  addResults(results, liveWindow) {
+    results.forEach(result => {
+      // A repeat isn't checked again, but its airtime is added to the claim already on the timeline
+      const repeatOf = this.findRepeat(result.claim);
+      if (repeatOf >= 0) {
+        this.results[repeatOf] = ClaimClusterer.merge(this.results[repeatOf], [result]);
+        liveWindow.repeats++;
+        this.repeatsSkipped++;
+        return;
+      }
+
+      this.results.push({ ...result, liveWindow: liveWindow.index });
+      liveWindow.claims++;
+    });
+
+    // Timeline order: window first, then where in the window the claim was spoken
+    this.results.sort((a, b) => (a.liveWindow - b.liveWindow) ||
+      ((Number.isFinite(a.startTime) ? a.startTime : Infinity) - (Number.isFinite(b.startTime) ? b.startTime : Infinity)));
+  }
+
+  /**
+   * Streams repeat talking points; a claim counts as already checked when it shares most
+   * of its distinctive words (and all of its numbers) with one on the timeline
+   * @returns {number} index of the earlier result, -1 for a new claim
+   */
+  findRepeat(claim) {
+    if (ClaimMatcher.distinctiveWords(claim).size === 0) return -1;
+
+    return this.results.findIndex(result =>
+      ClaimMatcher.isSameClaim(claim, result.claim, Constants.LIVE.DUPLICATE_SIMILARITY));
+  }
+
+  getState() {
+    return {
+      videoId: this.videoId,
+      active: this.active,
+      source: this.reader.source,
+      captionsTurnedOn: this.reader.turnedOnCaptions,
+      results: this.results,
+      windows: this.windows.map(liveWindow => ({ ...liveWindow })),
+      repeatsSkipped: this.repeatsSkipped,
+      bufferedLength: this.reader.getBufferedLength(),
+      nextWindowAt: this.nextWindowAt
+    };
+  }
+
+  notify() {
+    if (this.onUpdate) {
+      this.onUpdate(this.getState());
+    }
+  }
+}
@@ -1,15 +1,30 @@
 // Enhanced Message routing and handling - Added support for enhanced fact-checking
 import { SettingsManager } from '../utils/SettingsManager.js';
 import { APIService } from './APIService.js';
+import { AudioCaptureService } from './AudioCaptureService.js';
 import { FactCheckEngine } from './FactCheckEngine.js';
+import { FollowUpService } from './FollowUpService.js';
 import { StatsManager } from '../utils/StatsManager.js';
+import { HistoryStore } from '../utils/HistoryStore.js';
+import { ReviewStore } from '../utils/ReviewStore.js';
+import { SpeakerStore } from '../utils/SpeakerStore.js';
+import { UsageQuota } from '../utils/UsageQuota.js';
+import { UsageMeter } from '../utils/UsageMeter.js';
+import { Constants } from '../utils/Constants.js';
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
 
 export class MessageHandler {
   constructor() {
     this.settingsManager = new SettingsManager();
     this.apiService = new APIService();
     this.factCheckEngine = new FactCheckEngine();
+    this.followUpService = new FollowUpService();
     this.statsManager = new StatsManager();
+    this.historyStore = new HistoryStore();
+    this.reviewStore = new ReviewStore();
+    this.speakerStore = new SpeakerStore();
+    this.usageQuota = new UsageQuota();
+    this.audioCaptureService = new AudioCaptureService(this.apiService);
   }
 
   async handle(message, sender, sendResponse) {
@@ -27,8 +42,29 @@ export class MessageHandler {
         case 'ENHANCED_FACT_CHECK_REQUEST':
           await this.handleEnhancedFactCheckRequest(message.data, sender, sendResponse);
           break;
+        case 'FINISH_INTERRUPTED_CHECK':
+          await this.handleFinishInterruptedCheck(message.data, sendResponse);
+          break;
+        case 'FACT_CHECK_RANGE':
+          await this.handleFactCheckRangeRequest(message.data, sender, sendResponse);
+          break;
+        case 'ASK_FOLLOW_UP':
+          await this.handleFollowUpQuestion(message.data, sender, sendResponse);
+          break;
+        case 'SAVE_REVIEW':
+          await this.handleSaveReview(message.data, sendResponse);
+          break;
+        case 'DELETE_REVIEW':
+          await this.handleDeleteReview(message.data, sendResponse);
+          break;
+        case 'RENAME_SPEAKERS':
+          await this.handleRenameSpeakers(message.data, sendResponse);
+          break;
+        case 'MODEL_REQUEST':
+          await this.handleModelRequest(message.data, sendResponse);
+          break;
         case 'VALIDATE_API_KEY':
-          await this.handleApiKeyValidation(message.apiKey, sendResponse);
+          await this.handleApiKeyValidation(message.apiKey, message.settings, sendResponse);
           break;
         case 'TOGGLE_EXTENSION':
           await this.handleToggleExtension(message.enabled, sendResponse);
@@ -45,6 +81,36 @@ export class MessageHandler {
         case 'GET_PROCESSING_STATS':
           await this.handleGetProcessingStats(sendResponse);
           break;
+        case 'GET_HISTORY':
+          await this.handleGetHistory(sendResponse);
+          break;
+        case 'GET_HISTORY_ENTRY':
+          await this.handleGetHistoryEntry(message.videoId, sendResponse);
+          break;
+        case 'DELETE_HISTORY_ENTRY':
+          await this.handleDeleteHistoryEntry(message.videoId, sendResponse);
+          break;
+        case 'CLEAR_HISTORY':
+          await this.handleClearHistory(sendResponse);
+          break;
+        case 'SAVE_HISTORY_ENTRY':
+          await this.handleSaveHistoryEntry(message.entry, sendResponse);
+          break;
+        case 'GET_USAGE_QUOTA':
+          await this.handleGetUsageQuota(sendResponse);
+          break;
+        case 'START_AUDIO_CAPTURE':
+          await this.handleStartAudioCapture(sender, sendResponse);
+          break;
+        case 'STOP_AUDIO_CAPTURE':
+          await this.audioCaptureService.stop(sender.tab?.id);
+          sendResponse({ success: true });
+          break;
+        case 'AUDIO_CAPTURE_EVENT':
+          // From the offscreen recorder, on its way to the tab being transcribed
+          await this.audioCaptureService.relay(message);
+          sendResponse({ success: true });
+          break;
         default:
           sendResponse({ success: false, error: 'Unknown message type' });
       }
@@ -88,14 +154,48 @@ export class MessageHandler {
       }
       
       // Pass force refresh flag to engine
-      const result = await this.factCheckEngine.process(data, sender, forceRefresh);
+      const result = await this.applyUserEdits(data.videoId, await this.factCheckEngine.process(data, sender, forceRefresh));
+      await this.recordHistory(data, result);
       sendResponse(result);
     } catch (error) {
-      sendResponse({ success: false, error: error.message });
+      sendResponse({ success: false, error: error.message, quotaExceeded: error.quota });
     }
   }
 
-  async handleEnhancedFactCheckRequest(data, sender, sendResponse) {
+  /**
+   * Streaming variant of ENHANCED_FACT_CHECK_REQUEST over a long-lived port: posts
+   * FACT_CHECK_PROGRESS as analysis batches finish, then FACT_CHECK_COMPLETE with the usual response
+   */
+  handleStreamPort(port) {
+    if (port.name !== Constants.PORTS.FACT_CHECK_STREAM) return;
+
+    let connected = true;
+    port.onDisconnect.addListener(() => {
+      connected = false;
+    });
+
+    const post = (message) => {
+      if (connected) {
+        port.postMessage(message);
+      }
+    };
+
+    port.onMessage.addListener((message) => {
+      if (message.type !== Constants.MESSAGE_TYPES.ENHANCED_FACT_CHECK_REQUEST) {
+        post({ type: Constants.MESSAGE_TYPES.FACT_CHECK_COMPLETE, response: { success: false, error: 'Unknown message type' } });
+        return;
+      }
+
+      this.handleEnhancedFactCheckRequest(
+        message.data,
+        port.sender,
+        (response) => post({ type: Constants.MESSAGE_TYPES.FACT_CHECK_COMPLETE, response }),
+        (progress) => post({ type: Constants.MESSAGE_TYPES.FACT_CHECK_PROGRESS, ...progress })
+      );
+    });
+  }
+
+  async handleEnhancedFactCheckRequest(data, sender, sendResponse, onProgress = null) {
     try {
       console.log('🚀 Enhanced fact-check request received');
       
@@ -113,13 +213,20 @@ export class MessageHandler {
       // Prepare data for enhanced processing
       const enhancedData = {
         transcript: data.transcript, // Raw transcript for fallback
+        cues: data.cues || [], // Caption cues for claim timestamps
         processedData: data.processedData, // Pre-processed transcript data
+        processingUsage: data.processingUsage, // Tokens the content script spent processing it, shown with the check's
+        overQuotaConfirmed: data.overQuotaConfirmed === true, // User chose to check despite a usage limit
         videoId: data.videoId,
+        videoContext: data.videoContext, // Title, upload date and chapters for the prompts
         forceRefresh: forceRefresh
       };
 
       // Use enhanced processing
-      const result = await this.factCheckEngine.process(enhancedData, sender, forceRefresh);
+      const result = await this.applyUserEdits(
+        data.videoId,
+        await this.factCheckEngine.process(enhancedData, sender, forceRefresh, onProgress)
+      );
       
       // Add enhanced processing metadata to response
       const enhancedResult = {
@@ -133,21 +240,35 @@ export class MessageHandler {
         preIdentifiedClaims: data.processedData?.factualClaims?.length || 0
       };
 
+      await this.recordHistory(data, enhancedResult);
       sendResponse(enhancedResult);
     } catch (error) {
       console.error('Enhanced fact-check error:', error);
+
+      // A usage limit stops the fallback too - let the user decide
+      if (error.quota) {
+        sendResponse({ success: false, error: error.message, quotaExceeded: error.quota });
+        return;
+      }
       
       // Fallback to standard processing if enhanced fails
       console.log('🔄 Enhanced processing failed, falling back to standard processing');
       try {
         const fallbackData = {
           transcript: data.transcript,
+          cues: data.cues || [], // Keeps claim timestamps on the fallback path too
+          overQuotaConfirmed: data.overQuotaConfirmed === true,
           videoId: data.videoId,
+          videoContext: data.videoContext,
           forceRefresh: data.forceRefresh
         };
         
-        const fallbackResult = await this.factCheckEngine.process(fallbackData, sender, data.forceRefresh);
+        const fallbackResult = await this.applyUserEdits(
+          data.videoId,
+          await this.factCheckEngine.process(fallbackData, sender, data.forceRefresh)
+        );
         
+        await this.recordHistory(data, fallbackResult);
         sendResponse({
           ...fallbackResult,
           enhancedProcessing: false,
@@ -163,9 +284,293 @@ export class MessageHandler {
     }
   }
 
-  async handleApiKeyValidation(apiKey, sendResponse) {
+  /**
+   * Results a streaming check delivered before its port dropped (the worker restarted). They were
+   * paid for, so they get the same reviewer overrides, speaker names and history entry as a finished check.
+   * @param {{videoId: string, video?: Object, result: Array<Object>, interrupted: {completed: number, total: number}}} data
+   */
+  async handleFinishInterruptedCheck(data, sendResponse) {
+    try {
+      if (!data?.videoId || !Array.isArray(data.result)) {
+        throw new Error('No fact-check results to keep');
+      }
+
+      const response = await this.applyUserEdits(data.videoId, {
+        success: true,
+        result: data.result,
+        analysisMetadata: { interrupted: data.interrupted }
+      });
+      await this.recordHistory(data, response);
+      sendResponse(response);
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Check only part of a video - a time range typed by the user or a run of transcript cues they selected.
+   * Not saved to history, which keeps one whole-video check per video.
+   * @param {{videoId: string, cues: Array<Object>, range: {start: number, end: number}, strict?: boolean, forceRefresh?: boolean, videoContext?: Object}} data
+   */
+  async handleFactCheckRangeRequest(data, sender, sendResponse) {
+    try {
+      const start = Number(data.range?.start);
+      const end = Number(data.range?.end);
+      if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+        throw new Error('Select a valid time range to check');
+      }
+
+      const passage = TimedTranscript.from({ cues: data.cues }).slice(start, end);
+      if (passage.length < Constants.RANGE.MIN_LENGTH) {
+        throw new Error('The selected part of the transcript is too short for reliable analysis');
+      }
+
+      // Stricter re-check of a disputed section, without changing the user's saved settings
+      let settingsOverrides = null;
+      if (data.strict) {
+        const { confidenceThreshold } = await this.settingsManager.get(['confidenceThreshold']);
+        settingsOverrides = {
+          strictMode: true,
+          confidenceThreshold: Math.max(confidenceThreshold || 0, Constants.RANGE.STRICT_CONFIDENCE_THRESHOLD)
+        };
+      }
+
+      console.log(`✂️ Range fact-check requested: ${TimedTranscript.formatRange({ start, end })} (${passage.length} chars${data.strict ? ', strict' : ''})`);
+
+      const result = await this.applyUserEdits(data.videoId, await this.factCheckEngine.process({
+        transcript: passage.text,
+        cues: passage.cues,
+        videoId: data.videoId,
+        videoContext: data.videoContext,
+        settingsOverrides,
+        overQuotaConfirmed: data.overQuotaConfirmed === true
+      }, sender, data.forceRefresh === true));
+
+      sendResponse({ ...result, range: { start, end }, strict: Boolean(data.strict) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message, quotaExceeded: error.quota });
+    }
+  }
+
+  /**
+   * Answer a "Dig deeper" question about one result and keep the answer with that result's saved check
+   */
+  async handleFollowUpQuestion(data, sender, sendResponse) {
+    try {
+      const followUp = await this.followUpService.ask(data, sender);
+
+      try {
+        const { saveHistory } = await this.settingsManager.get(['saveHistory']);
+        if (saveHistory !== false && data.videoId) {
+          await this.historyStore.addFollowUp(data.videoId, data.claim.claim, followUp);
+        }
+      } catch (error) {
+        console.error('Failed to save follow-up to history:', error);
+      }
+
+      sendResponse({ success: true, followUp });
+    } catch (error) {
+      console.error('Follow-up question error:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Reviewer overrides and speaker names win over model output - fresh, cached and re-analysed alike
+   */
+  async applyUserEdits(videoId, response) {
+    if (!response?.success || !Array.isArray(response.result)) return response;
+
+    let result = response.result;
+    try {
+      result = await this.reviewStore.apply(videoId, result);
+    } catch (error) {
+      console.error('Failed to apply reviewer overrides:', error);
+    }
+    try {
+      result = await this.speakerStore.apply(videoId, result);
+    } catch (error) {
+      console.error('Failed to apply speaker names:', error);
+    }
+
+    return { ...response, result };
+  }
+
+  /**
+   * Name some of a video's speakers (an empty name goes back to the model's label)
+   * @param {{videoId: string, names: Object<string, string>}} data - model label -> name
+   */
+  async handleRenameSpeakers(data, sendResponse) {
+    try {
+      if (!data?.videoId || !data.names || typeof data.names !== 'object') {
+        throw new Error('No speakers to rename');
+      }
+
+      const names = await this.speakerStore.rename(data.videoId, data.names);
+      await this.historyStore.updateResults(data.videoId, results => SpeakerStore.applyNames(results, names))
+        .catch(error => console.error('Failed to update history with speaker names:', error));
+      sendResponse({ success: true, names });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Override one result's verdict
+   * @param {{videoId: string, result: Object, review: {status: string, explanation?: string, note?: string, reviewer?: string}}} data
+   */
+  async handleSaveReview(data, sendResponse) {
+    try {
+      if (!data?.videoId || !data.result?.claim) {
+        throw new Error('No fact-check result to review');
+      }
+
+      const review = await this.reviewStore.save(data.videoId, data.result, data.review);
+      await this.syncHistoryReviews(data.videoId);
+      sendResponse({ success: true, result: ReviewStore.applyReview(data.result, review) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Drop a result's override and return to the model verdict
+   */
+  async handleDeleteReview(data, sendResponse) {
+    try {
+      if (!data?.videoId || !data.result?.claim) {
+        throw new Error('No fact-check result to restore');
+      }
+
+      await this.reviewStore.delete(data.videoId, data.result.claim);
+      await this.syncHistoryReviews(data.videoId);
+      sendResponse({ success: true, result: ReviewStore.revert(data.result) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  // Keep the saved check in line with the video's current overrides
+  async syncHistoryReviews(videoId) {
+    try {
+      const reviews = await this.reviewStore.getForVideo(videoId);
+      await this.historyStore.updateResults(videoId, results =>
+        ReviewStore.applyAll(results.map(result => ReviewStore.revert(result)), reviews));
+    } catch (error) {
+      console.error('Failed to update history with reviewer overrides:', error);
+    }
+  }
+
+  /**
+   * Save a finished check to the persistent history (cached replays are already there)
+   */
+  async recordHistory(data, response) {
+    // Live windows are partial - the content script saves the whole timeline via SAVE_HISTORY_ENTRY
+    if (!response?.success || response.cached || !data.videoId || data.live) return;
+
+    try {
+      const { saveHistory } = await this.settingsManager.get(['saveHistory']);
+      if (saveHistory === false) return;
+
+      await this.historyStore.save({
+        videoId: data.videoId,
+        title: data.video?.title,
+        channel: data.video?.channel,
+        provider: response.analysisMetadata?.providerUsed,
+        model: response.analysisMetadata?.modelUsed,
+        contentType: response.contentType,
+        analysisMetadata: response.analysisMetadata,
+        results: response.result
+      });
+    } catch (error) {
+      console.error('Failed to save fact-check history:', error);
+    }
+  }
+
+  async handleGetHistory(sendResponse) {
+    try {
+      const entries = await this.historyStore.list();
+      sendResponse({ success: true, entries });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async handleGetHistoryEntry(videoId, sendResponse) {
+    try {
+      const entry = await this.historyStore.get(videoId);
+      sendResponse({ success: true, entry });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Save a record assembled by the content script (the rolling timeline of a live fact-check)
+   */
+  async handleSaveHistoryEntry(entry, sendResponse) {
+    try {
+      const { saveHistory } = await this.settingsManager.get(['saveHistory']);
+      if (saveHistory === false) {
+        sendResponse({ success: true, saved: false });
+        return;
+      }
+
+      const saved = await this.historyStore.save(entry);
+      sendResponse({ success: true, saved: Boolean(saved) });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async handleDeleteHistoryEntry(videoId, sendResponse) {
+    try {
+      const deleted = await this.historyStore.delete(videoId);
+      sendResponse({ success: true, deleted });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async handleClearHistory(sendResponse) {
+    try {
+      await this.historyStore.clear();
+      sendResponse({ success: true });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Model calls from content scripts (TranscriptProcessor), made here where host permissions apply.
+   * They count against the usage limits like the background's own requests, and are recorded here;
+   * the check they belong to only shows their usage.
+   * @param {{prompt: string, apiKey: string, settings: Object, timeout: number, responseSchema?: Object, includeGrounding?: boolean, overQuotaConfirmed?: boolean}} data
+   */
+  async handleModelRequest(data, sendResponse) {
+    try {
+      if (data.overQuotaConfirmed !== true) {
+        await this.factCheckEngine.enforceQuota(await this.factCheckEngine.getSettings());
+      }
+
+      const usageMeter = new UsageMeter();
+      const result = await this.apiService.makeRequest(data.prompt, data.apiKey, data.settings, data.timeout, {
+        responseSchema: data.responseSchema,
+        includeGrounding: data.includeGrounding === true,
+        usageMeter
+      });
+      await this.factCheckEngine.recordUsage(usageMeter);
+      sendResponse({ success: true, result, usage: usageMeter.toJSON() });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  async handleApiKeyValidation(apiKey, providerSettings = {}, sendResponse) {
     try {
-      const isValid = await this.apiService.validateKey(apiKey);
+      // Test against the provider/base URL/model currently entered in the popup
+      const { provider, baseUrl, modelName } = this.settingsManager.validate(providerSettings || {});
+      const isValid = await this.apiService.validateKey(apiKey, { provider, baseUrl, modelName });
       sendResponse({ success: true, valid: isValid });
     } catch (error) {
       sendResponse({ success: false, error: error.message });
@@ -216,6 +621,38 @@ export class MessageHandler {
     }
   }
 
+  /**
+   * Today's and this month's usage against the user's limits - asked before the content script
+   * spends tokens processing a transcript, and shown in the popup
+   */
+  async handleGetUsageQuota(sendResponse) {
+    try {
+      const settings = await this.settingsManager.getAll();
+      const quota = await this.usageQuota.check(settings);
+      sendResponse({ success: true, quota });
+    } catch (error) {
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Start recording the sender's tab for the audio transcription fallback
+   */
+  async handleStartAudioCapture(sender, sendResponse) {
+    try {
+      if (!sender.tab?.id) {
+        throw new Error('Audio can only be recorded for a YouTube tab');
+      }
+
+      const settings = await this.settingsManager.getAll();
+      await this.audioCaptureService.start(sender.tab.id, settings);
+      sendResponse({ success: true });
+    } catch (error) {
+      console.error('Audio capture error:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
   async handleGetProcessingStats(sendResponse) {
     try {
       const stats = this.factCheckEngine.getEnhancedStats ? 
@@ -231,7 +668,7 @@ export class MessageHandler {
 
   async notifyTabsOfSettingsUpdate(settings) {
     try {
-      const tabs = await chrome.tabs.query({ url: 'https://www.youtube.com/watch*' });
+      const tabs = await chrome.tabs.query({ url: 'https://www.youtube.com/*' });
       const notifications = tabs.map(tab => 
         chrome.tabs.sendMessage(tab.id, { 
           type: 'SETTINGS_UPDATED', 
@@ -246,7 +683,7 @@ export class MessageHandler {
 
   async notifyTabsOfExtensionToggle(enabled) {
     try {
-      const tabs = await chrome.tabs.query({ url: 'https://www.youtube.com/watch*' });
+      const tabs = await chrome.tabs.query({ url: 'https://www.youtube.com/*' });
       const notifications = tabs.map(tab => 
         chrome.tabs.sendMessage(tab.id, { 
           type: 'EXTENSION_TOGGLED', 
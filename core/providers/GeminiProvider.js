@@ -0,0 +1,125 @@
+// GeminiProvider.js - Google Gemini generateContent API
+// Request/response shape for generativelanguage.googleapis.com (or a compatible proxy)
+
+export class GeminiProvider {
+  constructor(modelConfig) {
+    this.id = 'gemini';
+    this.name = 'Google Gemini';
+    this.modelConfig = modelConfig;
+  }
+
+  /**
+   * @returns {{url: string, options: RequestInit}}
+   */
+  buildRequest(prompt, { model, apiKey, baseUrl, settings = {}, responseSchema = null }) {
+    return {
+      url: `${baseUrl}/models/${model}:generateContent?key=${apiKey}`,
+      options: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(this.buildRequestBody(prompt, model, settings, responseSchema))
+      }
+    };
+  }
+
+  buildRequestBody(prompt, model, settings, responseSchema = null) {
+    const requestBody = {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature: 0.05,
+        maxOutputTokens: 4000,
+        candidateCount: 1,
+        topP: 0.7,
+        topK: 20
+      },
+      safetySettings: [
+        { category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+        { category: 'HARM_CATEGORY_HATE_SPEECH', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+        { category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' },
+        { category: 'HARM_CATEGORY_DANGEROUS_CONTENT', threshold: 'BLOCK_MEDIUM_AND_ABOVE' }
+      ]
+    };
+
+    // Only enable grounding for compatible models
+    if (settings.useGroundingSearch && this.modelConfig.supportsGrounding(model, this.id)) {
+      requestBody.tools = [{
+        googleSearchRetrieval: { disableAttribution: false }
+      }];
+      console.log(`🌐 Grounding search enabled for ${model}`);
+    } else if (settings.useGroundingSearch) {
+      console.log(`⚠️ Grounding search skipped for ${model} (not supported)`);
+    }
+
+    // Gemini rejects JSON mode together with tools, so grounded requests rely on the prompt + validation
+    if (responseSchema && !requestBody.tools && this.modelConfig.getCapabilities(this.id).structuredOutput) {
+      requestBody.generationConfig.responseMimeType = 'application/json';
+      requestBody.generationConfig.responseSchema = responseSchema;
+    }
+
+    return requestBody;
+  }
+
+  extractText(data) {
+    return data.candidates?.[0]?.content?.parts?.[0]?.text;
+  }
+
+  /**
+   * Token counts from usageMetadata; thinking tokens are billed as output
+   * @returns {{promptTokens: number, outputTokens: number, totalTokens: number}|null}
+   */
+  extractUsage(data) {
+    const usage = data.usageMetadata;
+    if (!usage) return null;
+
+    const promptTokens = usage.promptTokenCount || 0;
+    const outputTokens = (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0);
+    return {
+      promptTokens,
+      outputTokens,
+      totalTokens: usage.totalTokenCount || promptTokens + outputTokens
+    };
+  }
+
+  /**
+   * Search grounding for the first candidate, or null when the answer wasn't grounded
+   * @returns {{sources: Array<{uri: string, title: string}>, supports: Array<{text: string, startIndex: number, sourceIndices: Array<number>}>, queries: Array<string>}|null}
+   */
+  extractGrounding(data) {
+    const metadata = data.candidates?.[0]?.groundingMetadata;
+    if (!metadata) return null;
+
+    const sources = (metadata.groundingChunks || []).map(chunk => ({
+      uri: chunk.web?.uri || '',
+      title: chunk.web?.title || chunk.web?.domain || ''
+    }));
+
+    const supports = (metadata.groundingSupports || []).map(support => ({
+      text: support.segment?.text || '',
+      startIndex: support.segment?.startIndex ?? 0,
+      sourceIndices: (support.groundingChunkIndices || []).filter(index => sources[index]?.uri)
+    }));
+
+    return {
+      sources,
+      supports,
+      queries: metadata.webSearchQueries || []
+    };
+  }
+
+  extractError(errorData) {
+    return errorData.error?.message;
+  }
+
+  async validateKey(apiKey, { model, baseUrl }) {
+    const response = await fetch(`${baseUrl}/models/${model}:generateContent?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        contents: [{ parts: [{ text: "Test connection. Respond with 'OK'." }] }],
+        generationConfig: { maxOutputTokens: 10, temperature: 0.1 }
+      })
+    });
+
+    return response.ok || response.status === 400;
+  }
+}
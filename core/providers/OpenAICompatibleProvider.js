@@ -0,0 +1,76 @@
+// OpenAICompatibleProvider.js - OpenAI-style /chat/completions API
+// Works with OpenAI itself and self-hosted/local servers (Ollama, LM Studio, vLLM, llama.cpp)
+
+export class OpenAICompatibleProvider {
+  constructor(modelConfig) {
+    this.id = 'openai';
+    this.name = 'OpenAI-compatible';
+    this.modelConfig = modelConfig;
+  }
+
+  /**
+   * @returns {{url: string, options: RequestInit}}
+   */
+  buildRequest(prompt, { model, apiKey, baseUrl }) {
+    return {
+      url: `${baseUrl}/chat/completions`,
+      options: {
+        method: 'POST',
+        headers: this.buildHeaders(apiKey),
+        body: JSON.stringify({
+          model: model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: 0.05,
+          max_tokens: 4000,
+          top_p: 0.7
+        })
+      }
+    };
+  }
+
+  buildHeaders(apiKey) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+    return headers;
+  }
+
+  extractText(data) {
+    return data.choices?.[0]?.message?.content;
+  }
+
+  /**
+   * Token counts from `usage` (local servers may leave it out)
+   * @returns {{promptTokens: number, outputTokens: number, totalTokens: number}|null}
+   */
+  extractUsage(data) {
+    const usage = data.usage;
+    if (!usage) return null;
+
+    const promptTokens = usage.prompt_tokens || 0;
+    const outputTokens = usage.completion_tokens || 0;
+    return {
+      promptTokens,
+      outputTokens,
+      totalTokens: usage.total_tokens || promptTokens + outputTokens
+    };
+  }
+
+  extractError(errorData) {
+    // Local servers don't always wrap errors in { error: { message } }
+    if (typeof errorData.error === 'string') {
+      return errorData.error;
+    }
+    return errorData.error?.message || errorData.message;
+  }
+
+  async validateKey(apiKey, { baseUrl }) {
+    const response = await fetch(`${baseUrl}/models`, {
+      method: 'GET',
+      headers: this.buildHeaders(apiKey)
+    });
+
+    return response.ok;
+  }
+}
@@ -0,0 +1,298 @@
+// YouTube Fact-Check Extension - History Page Script
+// Lists saved checks from the background HistoryStore; filtering happens locally on the summaries
+
+// Mirror Constants.STATUS_CLASSES / STATUS_ICONS (this page is not an ES module)
+const STATUS_CLASSES = {
+  'True': 'status-true',
+  'Mostly True': 'status-mostly-true',
+  'Partly True': 'status-partly-true',
+  'False': 'status-false',
+  'Misleading': 'status-misleading',
+  'Unverifiable': 'status-unverifiable'
+};
+
+const STATUS_ICONS = {
+  'True': '✅',
+  'Mostly True': '✅',
+  'Partly True': '⚠️',
+  'False': '❌',
+  'Misleading': '⚠️',
+  'Unverifiable': '❓'
+};
+
+class FactCheckHistoryPage {
+  constructor() {
+    this.entries = [];
+    this.selectedVideoId = null;
+    this.eventListeners = [];
+
+    this.initialize();
+  }
+
+  async initialize() {
+    try {
+      this.cacheElements();
+      this.setupEventListeners();
+      await this.loadHistory();
+
+      // history.html#<videoId> opens that check directly
+      const requested = decodeURIComponent(location.hash.slice(1));
+      if (requested && this.entries.some(entry => entry.videoId === requested)) {
+        await this.openEntry(requested);
+      }
+    } catch (error) {
+      console.error('History page initialization error:', error);
+      this.elements.historyList.innerHTML = '<div class="empty-state">Could not load history</div>';
+    }
+  }
+
+  cacheElements() {
+    this.elements = {
+      search: document.getElementById('search'),
+      verdictFilter: document.getElementById('verdictFilter'),
+      channelFilter: document.getElementById('channelFilter'),
+      dateFrom: document.getElementById('dateFrom'),
+      dateTo: document.getElementById('dateTo'),
+      clearHistory: document.getElementById('clearHistory'),
+      listCount: document.getElementById('listCount'),
+      historyList: document.getElementById('historyList'),
+      historyDetail: document.getElementById('historyDetail')
+    };
+  }
+
+  setupEventListeners() {
+    this.addEventListenerSafe(this.elements.search, 'input', () => this.renderList());
+
+    [this.elements.verdictFilter, this.elements.channelFilter, this.elements.dateFrom, this.elements.dateTo]
+      .forEach(element => this.addEventListenerSafe(element, 'change', () => this.renderList()));
+
+    this.addEventListenerSafe(this.elements.clearHistory, 'click', () => this.clearHistory());
+
+    this.addEventListenerSafe(this.elements.historyList, 'click', (e) => {
+      const item = e.target.closest('.history-entry');
+      if (item) {
+        this.openEntry(item.dataset.videoId);
+      }
+    });
+
+    this.addEventListenerSafe(this.elements.historyDetail, 'click', (e) => {
+      if (e.target.id === 'deleteEntry') {
+        this.deleteEntry(this.selectedVideoId);
+      }
+    });
+  }
+
+  async loadHistory() {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY' });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to load history');
+    }
+
+    this.entries = response.entries;
+    this.populateChannelFilter();
+    this.renderList();
+  }
+
+  populateChannelFilter() {
+    const current = this.elements.channelFilter.value;
+    const channels = [...new Set(this.entries.map(entry => entry.channel).filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b));
+
+    this.elements.channelFilter.innerHTML = '<option value="">Any channel</option>' +
+      channels.map(channel => `<option value="${this.escapeAttribute(channel)}">${this.escapeHtml(channel)}</option>`).join('');
+    this.elements.channelFilter.value = channels.includes(current) ? current : '';
+  }
+
+  getFilteredEntries() {
+    const query = this.elements.search.value.trim().toLowerCase();
+    const verdict = this.elements.verdictFilter.value;
+    const channel = this.elements.channelFilter.value;
+    // Date inputs are local calendar days
+    const from = this.elements.dateFrom.value ? new Date(`${this.elements.dateFrom.value}T00:00:00`).getTime() : null;
+    const to = this.elements.dateTo.value ? new Date(`${this.elements.dateTo.value}T23:59:59.999`).getTime() : null;
+
+    return this.entries.filter(entry => {
+      if (verdict && !entry.statusCounts[verdict]) return false;
+      if (channel && entry.channel !== channel) return false;
+      if (from !== null && entry.checkedAt < from) return false;
+      if (to !== null && entry.checkedAt > to) return false;
+
+      if (query) {
+        const haystack = [entry.title, entry.channel, ...(entry.claims || [])].join('\n').toLowerCase();
+        if (!haystack.includes(query)) return false;
+      }
+
+      return true;
+    });
+  }
+
+  renderList() {
+    const entries = this.getFilteredEntries();
+
+    this.elements.listCount.textContent = `${entries.length} of ${this.entries.length} saved checks`;
+
+    if (entries.length === 0) {
+      this.elements.historyList.innerHTML = `<div class="empty-state">${this.entries.length === 0 ?
+        'No fact-checks saved yet' : 'No checks match these filters'}</div>`;
+      return;
+    }
+
+    this.elements.historyList.innerHTML = entries.map(entry => `
+      <div class="history-entry ${entry.videoId === this.selectedVideoId ? 'selected' : ''}" data-video-id="${this.escapeAttribute(entry.videoId)}">
+        <div class="entry-title">${this.escapeHtml(entry.title)}</div>
+        <div class="entry-meta">${this.escapeHtml(entry.channel || 'Unknown channel')} · ${this.formatDate(entry.checkedAt)}</div>
+        <div class="entry-verdicts">
+          ${Object.entries(entry.statusCounts).map(([status, count]) =>
+            `<span class="verdict-chip">${STATUS_ICONS[status] || '❓'} ${this.escapeHtml(status)} ${count}</span>`).join('')}
+        </div>
+      </div>
+    `).join('');
+  }
+
+  async openEntry(videoId) {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_HISTORY_ENTRY', videoId });
+    const entry = response?.success ? response.entry : null;
+
+    if (!entry) {
+      this.elements.historyDetail.innerHTML = '<div class="empty-state">This check is no longer saved</div>';
+      return;
+    }
+
+    this.selectedVideoId = videoId;
+    history.replaceState(null, '', `#${encodeURIComponent(videoId)}`);
+    this.renderList();
+    this.renderDetail(entry);
+  }
+
+  renderDetail(entry) {
+    const videoUrl = `https://www.youtube.com/watch?v=${encodeURIComponent(entry.videoId)}`;
+    const model = [entry.provider, entry.model].filter(Boolean).join(' / ') || 'Unknown model';
+
+    this.elements.historyDetail.innerHTML = `
+      <div class="detail-header">
+        <div>
+          <div class="detail-title">${this.escapeHtml(entry.title)}</div>
+          <div class="entry-meta">${this.escapeHtml(entry.channel || 'Unknown channel')} · Checked ${this.formatDate(entry.checkedAt)} · ${this.escapeHtml(model)}</div>
+        </div>
+        <div class="detail-actions">
+          <a class="btn" href="${videoUrl}" target="_blank" rel="noopener noreferrer">Open Video</a>
+          <button class="btn btn-secondary" id="deleteEntry">Delete</button>
+        </div>
+      </div>
+      ${entry.results.length === 0 ? '<div class="empty-state">No claims met the confidence threshold</div>' :
+        entry.results.map(result => this.renderClaim(result, videoUrl)).join('')}
+    `;
+  }
+
+  renderClaim(result, videoUrl) {
+    const time = Number.isFinite(result.startTime) ?
+      `<a class="claim-time" href="${videoUrl}&t=${Math.floor(result.startTime)}s" target="_blank" rel="noopener noreferrer">⏱ ${this.formatTimestamp(result.startTime)}</a>` : '';
+
+    const citations = (result.citations || []).filter(citation => this.isSafeUrl(citation.uri));
+    const sources = citations.length > 0 ?
+      `<ol class="claim-sources">${citations.map(citation =>
+        `<li><a href="${this.escapeAttribute(citation.uri)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(citation.title || citation.uri)}</a></li>`).join('')}</ol>` : '';
+
+    const speaker = result.speakerName || result.speaker;
+
+    return `
+      <div class="claim-card ${STATUS_CLASSES[result.status] || 'status-unverifiable'}">
+        <div class="claim-top">
+          <span>${STATUS_ICONS[result.status] || '❓'} ${this.escapeHtml(result.status)} · ${result.confidence}%${result.repeatCount > 1 ? ` · 🔁 said ${result.repeatCount}×` : ''}${speaker ? ` · 🗣️ ${this.escapeHtml(speaker)}` : ''}</span>
+          ${time}
+        </div>
+        <div class="claim-text">"${this.escapeHtml(result.claim)}"</div>
+        <div class="claim-explanation">${this.escapeHtml(result.explanation)}</div>
+        ${this.renderReview(result)}
+        ${sources}
+      </div>
+    `;
+  }
+
+  // Reviewer overrides keep the model's verdict alongside for comparison
+  renderReview(result) {
+    if (!result.review || !result.modelVerdict) return '';
+
+    const reviewer = result.review.reviewer || 'reviewer';
+    return `
+        <div class="claim-review">
+          ✍️ Edited by ${this.escapeHtml(reviewer)} on ${this.escapeHtml(new Date(result.review.reviewedAt).toLocaleDateString())} · model said ${this.escapeHtml(result.modelVerdict.status)}
+          ${result.review.note ? `<div>📝 ${this.escapeHtml(result.review.note)}</div>` : ''}
+        </div>
+    `;
+  }
+
+  async deleteEntry(videoId) {
+    if (!videoId || !confirm('Delete this saved fact-check?')) return;
+
+    await chrome.runtime.sendMessage({ type: 'DELETE_HISTORY_ENTRY', videoId });
+    this.selectedVideoId = null;
+    history.replaceState(null, '', location.pathname);
+    this.elements.historyDetail.innerHTML = '<div class="empty-state">Select a check to see its results</div>';
+    await this.loadHistory();
+  }
+
+  async clearHistory() {
+    if (!confirm('Delete all saved fact-checks? This cannot be undone.')) return;
+
+    await chrome.runtime.sendMessage({ type: 'CLEAR_HISTORY' });
+    this.selectedVideoId = null;
+    history.replaceState(null, '', location.pathname);
+    this.elements.historyDetail.innerHTML = '<div class="empty-state">Select a check to see its results</div>';
+    await this.loadHistory();
+  }
+
+  formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  // Same format as TimedTranscript.formatTimestamp
+  formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  }
+
+  isSafeUrl(uri) {
+    try {
+      return ['http:', 'https:'].includes(new URL(uri).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+  }
+
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
+  addEventListenerSafe(element, event, handler) {
+    if (element && typeof handler === 'function') {
+      element.addEventListener(event, handler);
+      this.eventListeners.push({ element, event, handler });
+      return true;
+    }
+    return false;
+  }
+
+  cleanup() {
+    this.eventListeners.forEach(({ element, event, handler }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.eventListeners = [];
+  }
+}
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => new FactCheckHistoryPage());
+} else {
+  new FactCheckHistoryPage();
+}
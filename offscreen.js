@@ -0,0 +1,228 @@
+// YouTube Fact-Check Extension - Offscreen Audio Recorder
+// Records a captured tab in fixed-length chunks and sends each one to the user's speech-to-text endpoint
+
+class AudioChunkRecorder {
+  constructor() {
+    this.session = null;
+
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      // Content scripts' messages to the background reach this page too
+      if (message?.target !== 'offscreen') return false;
+
+      this.handleMessage(message)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    });
+  }
+
+  async handleMessage(message) {
+    switch (message.type) {
+      case 'START_RECORDING':
+        await this.start(message);
+        break;
+      case 'STOP_RECORDING':
+        // Answer right away - the background closes this document once `done` is sent.
+        // Another tab can't stop this tab's recording.
+        if (this.session?.tabId === message.tabId) {
+          this.stop();
+        }
+        break;
+      default:
+        throw new Error(`Unknown recorder command: ${message.type}`);
+    }
+  }
+
+  async start({ tabId, streamId, endpoint, chunkSeconds, sampleRate }) {
+    if (this.session) {
+      throw new Error('Already recording');
+    }
+
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: {
+        mandatory: {
+          chromeMediaSource: 'tab',
+          chromeMediaSourceId: streamId
+        }
+      },
+      video: false
+    });
+
+    // Capturing mutes the tab - play the audio back so the video can still be heard
+    const audioContext = new AudioContext();
+    audioContext.createMediaStreamSource(stream).connect(audioContext.destination);
+
+    this.session = {
+      tabId,
+      stream,
+      audioContext,
+      endpoint,
+      sampleRate,
+      nextIndex: 0,
+      recorder: null,
+      pending: [],
+      timer: null
+    };
+
+    this.recordChunk();
+    this.session.timer = setInterval(() => this.rotate(), chunkSeconds * 1000);
+  }
+
+  /**
+   * A fresh MediaRecorder per chunk, so every chunk is a complete file the endpoint can decode
+   */
+  recordChunk() {
+    const session = this.session;
+    const index = session.nextIndex++;
+    const recorder = new MediaRecorder(session.stream, { mimeType: 'audio/webm' });
+    const parts = [];
+
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) parts.push(event.data);
+    };
+    const stopped = new Promise(resolve => {
+      recorder.onstop = resolve;
+    });
+
+    recorder.start();
+    session.recorder = recorder;
+    this.emit({ kind: 'chunkStarted', index });
+
+    session.pending.push(stopped.then(() => this.transcribe(session, index, new Blob(parts, { type: 'audio/webm' }))));
+  }
+
+  // Start the next chunk before stopping the current one so no audio falls between them
+  rotate() {
+    const previous = this.session.recorder;
+    this.recordChunk();
+    previous.stop();
+  }
+
+  async stop() {
+    const session = this.session;
+    if (!session) return;
+
+    this.session = null;
+    clearInterval(session.timer);
+
+    try {
+      if (session.recorder.state !== 'inactive') {
+        session.recorder.stop();
+      }
+
+      // Every chunk reports its own result; wait for them before saying the recording is done
+      await Promise.allSettled(session.pending);
+      session.stream.getTracks().forEach(track => track.stop());
+      await session.audioContext.close();
+    } catch (error) {
+      console.error('Error while stopping the recording:', error);
+    } finally {
+      this.emit({ kind: 'done', chunks: session.nextIndex }, session.tabId);
+    }
+  }
+
+  async transcribe(session, index, blob) {
+    try {
+      const { wav, seconds } = await this.toWav(blob, session);
+      if (seconds < 0.5) {
+        this.emit({ kind: 'chunkTranscribed', index, seconds, segments: [] }, session.tabId);
+        return;
+      }
+
+      const form = new FormData();
+      form.append('file', wav, `chunk-${index}.wav`);
+      form.append('response_format', 'verbose_json');
+
+      const response = await fetch(session.endpoint, { method: 'POST', body: form });
+      if (!response.ok) {
+        throw new Error(`Speech-to-text endpoint returned ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      this.emit({
+        kind: 'chunkTranscribed',
+        index,
+        seconds,
+        language: typeof data.language === 'string' ? data.language : null,
+        segments: this.parseSegments(data, seconds)
+      }, session.tabId);
+    } catch (error) {
+      console.error(`Audio chunk ${index} could not be transcribed:`, error);
+      this.emit({ kind: 'chunkFailed', index, error: error.message }, session.tabId);
+    }
+  }
+
+  /**
+   * Timed segments from an OpenAI-style or whisper.cpp `verbose_json` response (seconds within the
+   * chunk); a plain { text } response becomes one segment spanning the chunk
+   */
+  parseSegments(data, seconds) {
+    if (Array.isArray(data.segments) && data.segments.length > 0) {
+      return data.segments
+        .map(segment => ({
+          start: Number(segment.start) || 0,
+          end: Number(segment.end) || 0,
+          text: String(segment.text || '').trim()
+        }))
+        .filter(segment => segment.text.length > 0);
+    }
+
+    const text = String(data.text || '').trim();
+    return text ? [{ start: 0, end: seconds, text }] : [];
+  }
+
+  /**
+   * Decode the recorded chunk and re-encode it as 16-bit mono WAV at the endpoint's sample rate
+   */
+  async toWav(blob, session) {
+    const decoded = await session.audioContext.decodeAudioData(await blob.arrayBuffer());
+    const length = Math.max(1, Math.ceil(decoded.duration * session.sampleRate));
+    const offline = new OfflineAudioContext(1, length, session.sampleRate);
+
+    const source = offline.createBufferSource();
+    source.buffer = decoded;
+    source.connect(offline.destination);
+    source.start();
+
+    const rendered = await offline.startRendering();
+    return {
+      wav: this.encodeWav(rendered.getChannelData(0), session.sampleRate),
+      seconds: decoded.duration
+    };
+  }
+
+  encodeWav(samples, sampleRate) {
+    const buffer = new ArrayBuffer(44 + samples.length * 2);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true); // PCM header size
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, 1, true); // Mono
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true); // Byte rate
+    view.setUint16(32, 2, true); // Block align
+    view.setUint16(34, 16, true); // Bits per sample
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+
+    samples.forEach((sample, i) => {
+      const clamped = Math.max(-1, Math.min(1, sample));
+      view.setInt16(44 + i * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+    });
+
+    return new Blob([buffer], { type: 'audio/wav' });
+  }
+
+  emit(event, tabId = this.session?.tabId) {
+    chrome.runtime.sendMessage({ type: 'AUDIO_CAPTURE_EVENT', tabId, event }).catch(() => {});
+  }
+}
+
+new AudioChunkRecorder();
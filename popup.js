@@ -28,6 +28,28 @@ class EnhancedFactCheckPopup {
         features: 'Efficient & fast'
       }
     };
+
+    // Mirrors ModelConfig.providers (the popup is not an ES module)
+    this.providerConfigs = {
+      gemini: {
+        defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        defaultModel: 'gemini-2.5-flash-lite',
+        apiKeyLabel: 'Google AI API Key *',
+        apiKeyPlaceholder: 'Enter your Google AI API key',
+        apiKeyHelp: 'Get your free API key from <a href="https://makersuite.google.com/app/apikey" target="_blank">Google AI Studio</a>',
+        requiresApiKey: true,
+        grounding: true
+      },
+      openai: {
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        defaultModel: 'gpt-4o-mini',
+        apiKeyLabel: 'API Key',
+        apiKeyPlaceholder: 'Leave empty for local servers',
+        apiKeyHelp: 'Required by OpenAI and hosted gateways. Local servers (e.g. Ollama at http://localhost:11434/v1) usually need none.',
+        requiresApiKey: false,
+        grounding: false
+      }
+    };
     
     this.initialize();
   }
@@ -51,23 +73,43 @@ class EnhancedFactCheckPopup {
     this.elements = {
       // Form controls
       enabled: document.getElementById('enabled'),
+      provider: document.getElementById('provider'),
+      baseUrl: document.getElementById('baseUrl'),
+      modelName: document.getElementById('modelName'),
       apiKey: document.getElementById('apiKey'),
+      apiKeyLabel: document.getElementById('apiKeyLabel'),
+      apiKeyHelp: document.getElementById('apiKeyHelp'),
       language: document.getElementById('language'),
+      translateCaptions: document.getElementById('translateCaptions'),
+      audioTranscription: document.getElementById('audioTranscription'),
+      transcriptionEndpoint: document.getElementById('transcriptionEndpoint'),
       analysisTimeout: document.getElementById('analysisTimeout'),
       strictMode: document.getElementById('strictMode'),
       useGroundingSearch: document.getElementById('useGroundingSearch'),
+      liveClaimAlerts: document.getElementById('liveClaimAlerts'),
+      saveHistory: document.getElementById('saveHistory'),
       confidenceThreshold: document.getElementById('confidenceThreshold'),
+      maxClaimsPerCheck: document.getElementById('maxClaimsPerCheck'),
+      claimsPerBatch: document.getElementById('claimsPerBatch'),
+      maxTokensPerCheck: document.getElementById('maxTokensPerCheck'),
+      dailyRequestLimit: document.getElementById('dailyRequestLimit'),
+      dailyTokenLimit: document.getElementById('dailyTokenLimit'),
+      dailyCostLimit: document.getElementById('dailyCostLimit'),
+      monthlyCostLimit: document.getElementById('monthlyCostLimit'),
       
       // Buttons
       save: document.getElementById('save'),
       testBtn: document.getElementById('testBtn'),
       resetBtn: document.getElementById('resetBtn'),
+      historyBtn: document.getElementById('historyBtn'),
       
       // UI elements
       status: document.getElementById('status'),
       keyValidation: document.getElementById('keyValidation'),
       toggleKey: document.getElementById('toggleKey'),
       timeoutValue: document.getElementById('timeoutValue'),
+      claimBudgetValue: document.getElementById('claimBudgetValue'),
+      batchSizeValue: document.getElementById('batchSizeValue'),
       confidenceValue: document.getElementById('confidenceValue'),
       
       // Extension toggle
@@ -81,8 +123,14 @@ class EnhancedFactCheckPopup {
       accurateRatio: document.getElementById('accurateRatio'),
       lastUsed: document.getElementById('lastUsed'),
       reliabilityScore: document.getElementById('reliabilityScore'),
+      tokensUsed: document.getElementById('tokensUsed'),
+      estimatedCost: document.getElementById('estimatedCost'),
+      monthTokens: document.getElementById('monthTokens'),
+      monthCost: document.getElementById('monthCost'),
+      usageToday: document.getElementById('usageToday'),
       
-      // Model description
+      // Model selection
+      modelSelector: document.querySelector('.model-selector'),
       modelDescription: document.getElementById('modelDescription')
     };
   }
@@ -98,6 +146,19 @@ class EnhancedFactCheckPopup {
       this.handleApiKeyInput();
     });
 
+    // Provider selection
+    this.addEventListenerSafe(this.elements.provider, 'change', (e) => {
+      this.updateProviderDisplay(e.target.value);
+      this.validateApiKeyDisplay();
+      this.markAsChanged();
+    });
+
+    [this.elements.baseUrl, this.elements.modelName, this.elements.transcriptionEndpoint].forEach(element => {
+      this.addEventListenerSafe(element, 'input', () => {
+        this.markAsChanged();
+      });
+    });
+
     // Button events
     this.addEventListenerSafe(this.elements.save, 'click', () => {
       this.saveSettings();
@@ -111,6 +172,10 @@ class EnhancedFactCheckPopup {
       this.resetSettings();
     });
 
+    this.addEventListenerSafe(this.elements.historyBtn, 'click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+    });
+
     // Extension toggle
     this.addEventListenerSafe(this.elements.enabled, 'change', (e) => {
       this.handleExtensionToggle(e.target.checked);
@@ -127,11 +192,30 @@ class EnhancedFactCheckPopup {
       this.markAsChanged();
     });
 
+    this.addEventListenerSafe(this.elements.maxClaimsPerCheck, 'input', (e) => {
+      this.elements.claimBudgetValue.textContent = e.target.value;
+      this.markAsChanged();
+    });
+
+    this.addEventListenerSafe(this.elements.claimsPerBatch, 'input', (e) => {
+      this.elements.batchSizeValue.textContent = e.target.value;
+      this.markAsChanged();
+    });
+
     // Form change detection
     const formElements = [
       this.elements.language,
+      this.elements.translateCaptions,
+      this.elements.audioTranscription,
       this.elements.strictMode,
-      this.elements.useGroundingSearch
+      this.elements.useGroundingSearch,
+      this.elements.liveClaimAlerts,
+      this.elements.saveHistory,
+      this.elements.maxTokensPerCheck,
+      this.elements.dailyRequestLimit,
+      this.elements.dailyTokenLimit,
+      this.elements.dailyCostLimit,
+      this.elements.monthlyCostLimit
     ];
 
     formElements.forEach(element => {
@@ -210,6 +294,63 @@ class EnhancedFactCheckPopup {
     }
   }
 
+  updateProviderDisplay(providerId) {
+    const config = this.getProviderConfig(providerId);
+
+    if (this.elements.apiKeyLabel) {
+      this.elements.apiKeyLabel.textContent = config.apiKeyLabel;
+    }
+    if (this.elements.apiKey) {
+      this.elements.apiKey.placeholder = config.apiKeyPlaceholder;
+    }
+    if (this.elements.apiKeyHelp) {
+      this.elements.apiKeyHelp.innerHTML = config.apiKeyHelp;
+    }
+    if (this.elements.baseUrl) {
+      this.elements.baseUrl.placeholder = config.defaultBaseUrl;
+    }
+    if (this.elements.modelName) {
+      this.elements.modelName.placeholder = config.defaultModel;
+    }
+
+    // Premium/Lite picker only applies to Gemini
+    if (this.elements.modelSelector) {
+      this.elements.modelSelector.style.display = providerId === 'gemini' ? '' : 'none';
+    }
+
+    // Grounding is a Gemini-only capability
+    if (this.elements.useGroundingSearch) {
+      this.elements.useGroundingSearch.disabled = !config.grounding;
+      this.updateGroundingInfo(config.grounding && this.elements.useGroundingSearch.checked);
+    }
+  }
+
+  getProviderConfig(providerId) {
+    return this.providerConfigs[providerId] || this.providerConfigs.gemini;
+  }
+
+  /**
+   * Ask for access to a custom base URL's host, and to the speech-to-text endpoint's when audio
+   * transcription is on (must run inside the click handler's user gesture)
+   */
+  async requestHostPermission(settings) {
+    const urls = [settings.baseUrl || this.getProviderConfig(settings.provider).defaultBaseUrl];
+    if (settings.audioTranscription && settings.transcriptionEndpoint) {
+      urls.push(settings.transcriptionEndpoint);
+    }
+
+    try {
+      const origins = urls.map(value => new URL(value));
+      if (origins.some(url => url.protocol !== 'https:' && url.protocol !== 'http:')) {
+        return false;
+      }
+      return await chrome.permissions.request({ origins: [...new Set(origins.map(url => `${url.origin}/*`))] });
+    } catch (error) {
+      console.error('Host permission request error:', error);
+      return false;
+    }
+  }
+
   updateGroundingInfo(enabled) {
     const groundingInfo = document.querySelector('.grounding-info');
     if (groundingInfo) {
@@ -254,6 +395,18 @@ class EnhancedFactCheckPopup {
       this.validateApiKeyDisplay();
     }
 
+    // Provider
+    const providerId = this.providerConfigs[settings.provider] ? settings.provider : 'gemini';
+    if (this.elements.provider) {
+      this.elements.provider.value = providerId;
+    }
+    if (this.elements.baseUrl) {
+      this.elements.baseUrl.value = settings.baseUrl || '';
+    }
+    if (this.elements.modelName) {
+      this.elements.modelName.value = settings.modelName || '';
+    }
+
     // Model selection
     const modelType = settings.usePremiumModel !== false ? 'premium' : 'lite';
     this.selectModel(modelType);
@@ -280,12 +433,59 @@ class EnhancedFactCheckPopup {
       this.updateGroundingInfo(settings.useGroundingSearch !== false);
     }
 
+    this.updateProviderDisplay(providerId);
+
+    // Caption translation
+    if (this.elements.translateCaptions) {
+      this.elements.translateCaptions.checked = settings.translateCaptions === true;
+    }
+
+    // Audio transcription fallback
+    if (this.elements.audioTranscription) {
+      this.elements.audioTranscription.checked = settings.audioTranscription === true;
+    }
+    if (this.elements.transcriptionEndpoint) {
+      this.elements.transcriptionEndpoint.value = settings.transcriptionEndpoint || '';
+    }
+
+    // Live claim alerts
+    if (this.elements.liveClaimAlerts) {
+      this.elements.liveClaimAlerts.checked = settings.liveClaimAlerts === true;
+    }
+
+    // History
+    if (this.elements.saveHistory) {
+      this.elements.saveHistory.checked = settings.saveHistory !== false;
+    }
+
     // Confidence threshold
     if (this.elements.confidenceThreshold && settings.confidenceThreshold) {
       this.elements.confidenceThreshold.value = settings.confidenceThreshold;
       this.elements.confidenceValue.textContent = `${settings.confidenceThreshold}%`;
     }
 
+    // Claim budget
+    if (this.elements.maxClaimsPerCheck && settings.maxClaimsPerCheck) {
+      this.elements.maxClaimsPerCheck.value = settings.maxClaimsPerCheck;
+      this.elements.claimBudgetValue.textContent = settings.maxClaimsPerCheck;
+    }
+
+    if (this.elements.claimsPerBatch && settings.claimsPerBatch) {
+      this.elements.claimsPerBatch.value = settings.claimsPerBatch;
+      this.elements.batchSizeValue.textContent = settings.claimsPerBatch;
+    }
+
+    if (this.elements.maxTokensPerCheck) {
+      this.elements.maxTokensPerCheck.value = settings.maxTokensPerCheck || 0;
+    }
+
+    // Usage limits
+    ['dailyRequestLimit', 'dailyTokenLimit', 'dailyCostLimit', 'monthlyCostLimit'].forEach(key => {
+      if (this.elements[key]) {
+        this.elements[key].value = settings[key] || 0;
+      }
+    });
+
     this.hasUnsavedChanges = false;
     this.updateSaveButton();
   }
@@ -336,6 +536,9 @@ class EnhancedFactCheckPopup {
           const reliability = this.calculateReliabilityScore(stats);
           this.elements.reliabilityScore.textContent = reliability;
         }
+
+        this.updateUsageStatistics(stats);
+        await this.updateUsageToday();
         
         if (this.elements.lastUsed) {
           const lastUsed = stats.lastUsed ? 
@@ -348,6 +551,62 @@ class EnhancedFactCheckPopup {
     }
   }
 
+  /**
+   * Token and estimated cost totals; the month counters only reset on the next check,
+   * so a stale month reads as zero
+   */
+  updateUsageStatistics(stats) {
+    const currentMonth = stats.usageMonth === this.currentMonthKey();
+    const values = {
+      tokensUsed: this.formatTokens(stats.tokensUsed),
+      estimatedCost: this.formatCost(stats.estimatedCost),
+      monthTokens: this.formatTokens(currentMonth ? stats.monthTokens : 0),
+      monthCost: this.formatCost(currentMonth ? stats.monthCost : 0)
+    };
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (this.elements[key]) {
+        this.elements[key].textContent = value;
+      }
+    });
+  }
+
+  /**
+   * Today's requests, tokens and estimated cost across all tabs, against the daily limits
+   */
+  async updateUsageToday() {
+    if (!this.elements.usageToday) return;
+
+    const response = await chrome.runtime.sendMessage({ type: 'GET_USAGE_QUOTA' });
+    if (!response?.success) return;
+
+    const { daily } = response.quota;
+    const limits = this.currentSettings || {};
+    const withLimit = (text, limit, formatLimit) => limit > 0 ? `${text} of ${formatLimit(limit)}` : text;
+
+    this.elements.usageToday.textContent = [
+      withLimit(`${daily.requests} requests`, limits.dailyRequestLimit, String),
+      withLimit(`${this.formatTokens(daily.tokens)} tokens`, limits.dailyTokenLimit, tokens => this.formatTokens(tokens)),
+      withLimit(this.formatCost(daily.cost), limits.dailyCostLimit, cost => this.formatCost(cost))
+    ].join(' · ');
+  }
+
+  formatTokens(tokens = 0) {
+    if (tokens >= 1000000) return `${(tokens / 1000000).toFixed(1)}M`;
+    if (tokens >= 10000) return `${Math.round(tokens / 1000)}K`;
+    return String(tokens);
+  }
+
+  // Same local month key as UsageQuota.periodKey('monthly') (popup.js is not a module)
+  currentMonthKey(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  // Same format as UsageMeter.formatCost (popup.js is not a module)
+  formatCost(cost = 0) {
+    return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+  }
+
   calculateReliabilityScore(stats) {
     if (!stats.videosChecked || stats.videosChecked === 0) return 'N/A';
     
@@ -389,7 +648,8 @@ class EnhancedFactCheckPopup {
     
     if (!indicator) return;
     
-    if (!apiKey) {
+    // Key formats vary across OpenAI-compatible servers - only Gemini keys are checked
+    if (!apiKey || this.elements.provider?.value !== 'gemini') {
       indicator.textContent = '';
       indicator.className = 'validation-indicator';
       return;
@@ -411,12 +671,17 @@ class EnhancedFactCheckPopup {
   }
 
   async testApiKey() {
-    const apiKey = this.elements.apiKey?.value?.trim();
+    const { apiKey, provider, baseUrl, modelName } = this.gatherFormData();
     
-    if (!apiKey) {
+    if (!apiKey && this.getProviderConfig(provider).requiresApiKey) {
       this.showStatus('Please enter an API key first', 'error');
       return;
     }
+
+    if (!await this.requestHostPermission({ provider, baseUrl })) {
+      this.showStatus('❌ Access to the provider host was not granted', 'error');
+      return;
+    }
     
     this.elements.testBtn.disabled = true;
     this.elements.testBtn.textContent = 'Testing...';
@@ -424,14 +689,15 @@ class EnhancedFactCheckPopup {
     try {
       const response = await chrome.runtime.sendMessage({
         type: 'VALIDATE_API_KEY',
-        apiKey: apiKey
+        apiKey: apiKey,
+        settings: { provider, baseUrl, modelName }
       });
       
       if (response?.success && response.valid) {
-        this.showStatus('✅ API key is valid and working!', 'success');
+        this.showStatus('✅ Provider connection is working!', 'success');
         this.validateApiKeyDisplay();
       } else {
-        this.showStatus('❌ API key validation failed. Please check your key.', 'error');
+        this.showStatus('❌ Connection test failed. Please check your key, base URL and model.', 'error');
       }
     } catch (error) {
       console.error('API key test error:', error);
@@ -448,12 +714,23 @@ class EnhancedFactCheckPopup {
       return;
     }
     
+    const settings = this.gatherFormData();
+
+    if (settings.audioTranscription && !settings.transcriptionEndpoint) {
+      this.showStatus('❌ Enter a speech-to-text endpoint to transcribe audio', 'error');
+      return;
+    }
+
+    // Custom hosts need an optional host permission before the background worker can call them
+    if (!await this.requestHostPermission(settings)) {
+      this.showStatus('❌ A URL is invalid or access to its host was not granted', 'error');
+      return;
+    }
+    
     this.elements.save.disabled = true;
     this.elements.save.classList.add('loading');
     
     try {
-      const settings = this.gatherFormData();
-      
       const response = await chrome.runtime.sendMessage({
         type: 'SAVE_SETTINGS',
         settings: settings
@@ -479,13 +756,28 @@ class EnhancedFactCheckPopup {
   gatherFormData() {
     return {
       enabled: this.elements.enabled?.checked !== false,
+      provider: this.elements.provider?.value || 'gemini',
+      baseUrl: this.elements.baseUrl?.value?.trim() || '',
+      modelName: this.elements.modelName?.value?.trim() || '',
       apiKey: this.elements.apiKey?.value?.trim() || '',
       usePremiumModel: document.querySelector('.model-option.selected')?.getAttribute('data-model') === 'premium',
       language: this.elements.language?.value || 'en',
+      translateCaptions: this.elements.translateCaptions?.checked === true,
+      audioTranscription: this.elements.audioTranscription?.checked === true,
+      transcriptionEndpoint: this.elements.transcriptionEndpoint?.value?.trim() || '',
       analysisTimeout: parseInt(this.elements.analysisTimeout?.value) || 45,
       strictMode: this.elements.strictMode?.checked !== false,
       useGroundingSearch: this.elements.useGroundingSearch?.checked !== false,
-      confidenceThreshold: parseInt(this.elements.confidenceThreshold?.value) || 70
+      liveClaimAlerts: this.elements.liveClaimAlerts?.checked === true,
+      saveHistory: this.elements.saveHistory?.checked !== false,
+      confidenceThreshold: parseInt(this.elements.confidenceThreshold?.value) || 70,
+      maxClaimsPerCheck: parseInt(this.elements.maxClaimsPerCheck?.value) || 20,
+      claimsPerBatch: parseInt(this.elements.claimsPerBatch?.value) || 3,
+      maxTokensPerCheck: parseInt(this.elements.maxTokensPerCheck?.value) || 0,
+      dailyRequestLimit: parseInt(this.elements.dailyRequestLimit?.value) || 0,
+      dailyTokenLimit: parseInt(this.elements.dailyTokenLimit?.value) || 0,
+      dailyCostLimit: parseFloat(this.elements.dailyCostLimit?.value) || 0,
+      monthlyCostLimit: parseFloat(this.elements.monthlyCostLimit?.value) || 0
     };
   }
 
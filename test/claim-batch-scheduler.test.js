@@ -0,0 +1,145 @@
+// claim-batch-scheduler.test.js - Per-check claim and token budgets, batch running and rate-limit waits
+// ClaimBatchScheduler planning for pre-identified claims and for segments, and APIService.waitForRateLimit
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APIService } from '../core/APIService.js';
+import { ClaimBatchScheduler } from '../core/ClaimBatchScheduler.js';
+import { Constants } from '../utils/Constants.js';
+
+const SEGMENTS = [
+  { id: 1, type: 'factual', priority: 'high', claimDensity: 6 },
+  { id: 2, type: 'factual', priority: 'low', claimDensity: 4 }
+];
+
+const CLAIMS = [
+  { claim: 'B', confidence: 7, type: 'other', segment: 2 },
+  { claim: 'A', confidence: 9, type: 'statistical', segment: 1 },
+  { claim: 'vague', confidence: 5, type: 'statistical', segment: 1 },
+  { claim: 'C', confidence: 8, type: 'temporal', segment: 2 },
+  { claim: 'E', confidence: 7, type: 'other', segment: 2, repeatCount: 3 }
+];
+
+const names = (batches) => batches.map(batch => batch.map(claim => claim.claim));
+const perClaim = (batch) => batch.length * 100;
+
+test('rank drops vague claims and puts the most check-worthy first', () => {
+  assert.deepEqual(ClaimBatchScheduler.rank(CLAIMS, SEGMENTS).map(claim => claim.claim), ['A', 'C', 'E', 'B']);
+});
+
+test('plan batches every ranked claim when the budget allows it', () => {
+  const plan = new ClaimBatchScheduler().plan(CLAIMS, SEGMENTS, { batchSize: 2, maxClaims: 10, maxTokens: 0 }, perClaim);
+
+  assert.deepEqual(names(plan.batches), [['A', 'C'], ['E', 'B']]);
+  assert.equal(plan.eligible, 4);
+  assert.equal(plan.planned, 4);
+  assert.equal(plan.skipped, 0);
+  assert.equal(plan.stoppedBy, null);
+  assert.equal(plan.estimatedTokens, 400);
+});
+
+test('plan stops at the claim budget, trimming the last batch', () => {
+  const plan = new ClaimBatchScheduler().plan(CLAIMS, SEGMENTS, { batchSize: 2, maxClaims: 3, maxTokens: 0 }, perClaim);
+
+  assert.deepEqual(names(plan.batches), [['A', 'C'], ['E']]);
+  assert.equal(plan.skipped, 1);
+  assert.equal(plan.stoppedBy, 'claims');
+});
+
+test('plan stops before the batch that would exceed the token budget', () => {
+  const plan = new ClaimBatchScheduler().plan(CLAIMS, SEGMENTS, { batchSize: 2, maxClaims: 10, maxTokens: 250 }, perClaim);
+
+  assert.deepEqual(names(plan.batches), [['A', 'C']]);
+  assert.equal(plan.skipped, 2);
+  assert.equal(plan.stoppedBy, 'tokens');
+  assert.equal(plan.estimatedTokens, 200);
+});
+
+test('planSegments shares the claim budget between segment batches', () => {
+  const segments = [
+    { id: 1, type: 'factual', priority: 'medium', claimDensity: 5 },
+    { id: 2, type: 'opinion', priority: 'low', claimDensity: 3 },
+    { id: 3, type: 'factual', priority: 'high', claimDensity: 9 },
+    { id: 4, type: 'opinion', priority: 'low', claimDensity: 8 },
+    { id: 5, type: 'factual', priority: 'low', claimDensity: 2 },
+    { id: 6, type: 'factual', priority: 'medium', claimDensity: 6 }
+  ];
+  const plan = new ClaimBatchScheduler().planSegments(segments, { batchSize: 4, maxClaims: 6, maxTokens: 0 }, () => 100);
+
+  assert.equal(Constants.LIMITS.SEGMENTS_PER_BATCH, 2);
+  assert.deepEqual(plan.batches.map(batch => batch.segments.map(segment => segment.id)), [[3, 4], [6, 1]]);
+  assert.deepEqual(plan.batches.map(batch => batch.maxClaims), [4, 2]);
+  assert.equal(plan.eligible, 5);
+  assert.equal(plan.skipped, 1);
+  assert.equal(plan.stoppedBy, 'claims');
+});
+
+test('planSegments stops at the token budget and reports nothing skipped when all fit', () => {
+  const scheduler = new ClaimBatchScheduler();
+  const budget = { batchSize: 4, maxClaims: 20, maxTokens: 150 };
+
+  const limited = scheduler.planSegments([...SEGMENTS, { id: 3, type: 'factual', priority: 'low', claimDensity: 1 }], budget, () => 100);
+  assert.equal(limited.batches.length, 1);
+  assert.equal(limited.stoppedBy, 'tokens');
+
+  const all = scheduler.planSegments(SEGMENTS, budget, () => 100);
+  assert.equal(all.planned, 2);
+  assert.equal(all.stoppedBy, null);
+});
+
+test('run skips a failed batch, reports progress and keeps to the concurrency limit', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  let waits = 0;
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const scheduler = new ClaimBatchScheduler({ async waitForRateLimit() { waits++; } }, 1);
+
+  const batch = (result) => async () => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setImmediate(resolve));
+    inFlight--;
+    if (!result) throw new Error('Batch failed');
+    return [result];
+  };
+
+  const progress = [];
+  const results = await scheduler.run([batch('a'), batch(null), batch('c'), batch('d'), batch('e')], (soFar, { completed, total }) => {
+    progress.push(`${completed}/${total}`);
+  });
+
+  assert.deepEqual(results.sort(), ['a', 'c', 'd', 'e']);
+  assert.deepEqual(progress, ['1/5', '2/5', '3/5', '4/5', '5/5']);
+  assert.equal(waits, 5);
+  assert.equal(maxInFlight, Constants.BUDGET.CONCURRENT_BATCHES);
+});
+
+test('run fails only when every batch fails', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const scheduler = new ClaimBatchScheduler({ async waitForRateLimit() {} }, 1);
+  const failing = (message) => async () => { throw new Error(message); };
+
+  await assert.rejects(scheduler.run([failing('first'), failing('second')]), /first/);
+  assert.deepEqual(await scheduler.run([]), []);
+});
+
+test('waitForRateLimit waits once, until the oldest request leaves the window', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 100000 });
+
+  const api = new APIService();
+  const first = Date.now() - 10000;
+  api.rateLimiter.set(1, Array.from({ length: api.maxRequestsPerWindow }, (_, i) => first + i * 100));
+
+  let done = false;
+  const waiting = api.waitForRateLimit(1).then(() => { done = true; });
+
+  t.mock.timers.tick(api.rateLimitWindow - 10000);
+  await Promise.resolve();
+  assert.equal(done, false);
+
+  t.mock.timers.tick(1);
+  await waiting;
+  assert.equal(api.rateLimiter.get(1).length, api.maxRequestsPerWindow);
+  assert.equal(api.rateLimiter.get(1).at(-1), Date.now());
+});
@@ -0,0 +1,64 @@
+// claim-clusterer.test.js - Merging near-duplicate claims from chunked processing and batched analysis
+// ClaimClusterer grouping, merged mentions and timestamps
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClaimClusterer } from '../utils/ClaimClusterer.js';
+
+const COMPLETED = 'The Eiffel Tower was completed in 1889';
+const REWORDED = 'Eiffel Tower completed in 1889 for the World\'s Fair';
+const WRONG_YEAR = 'The Eiffel Tower was completed in 1887';
+const HONEY = 'Honey never spoils';
+
+test('cluster groups reworded claims in first-seen order', () => {
+  const clusters = ClaimClusterer.cluster([{ claim: COMPLETED }, { claim: HONEY }, { claim: REWORDED }, { claim: 'honey NEVER spoils!' }]);
+
+  assert.deepEqual(clusters.map(group => group.map(item => item.claim)), [[COMPLETED, REWORDED], [HONEY, 'honey NEVER spoils!']]);
+});
+
+test('cluster keeps claims with different numbers apart', () => {
+  const clusters = ClaimClusterer.cluster([{ claim: COMPLETED }, { claim: WRONG_YEAR }]);
+
+  assert.equal(clusters.length, 2);
+});
+
+test('mergeClaims keeps the most confident wording, every variant and the mention count', () => {
+  const [merged, ...rest] = ClaimClusterer.mergeClaims([
+    { claim: COMPLETED, context: 'intro', confidence: 6 },
+    { claim: REWORDED, context: 'history', confidence: 9, repeatCount: 2 }
+  ]);
+
+  assert.equal(rest.length, 0);
+  assert.equal(merged.claim, REWORDED);
+  assert.equal(merged.confidence, 9);
+  assert.equal(merged.repeatCount, 3);
+  assert.deepEqual(merged.variants, [{ claim: COMPLETED, context: 'intro' }, { claim: REWORDED, context: 'history' }]);
+});
+
+test('mergeResults folds repeated mentions into the first result and starts at the earliest one', () => {
+  const [merged] = ClaimClusterer.mergeResults([
+    { claim: COMPLETED, status: 'True', timestamps: [{ start: 120, end: 126 }] },
+    { claim: REWORDED, status: 'Mostly True', startTime: 30, endTime: 36 },
+    { claim: COMPLETED, status: 'True', timestamps: [{ start: 122, end: 130 }] }
+  ]);
+
+  assert.equal(merged.status, 'True');
+  assert.equal(merged.repeatCount, 3);
+  assert.deepEqual(merged.timestamps, [{ start: 30, end: 36 }, { start: 120, end: 130 }]);
+  assert.equal(merged.startTime, 30);
+  assert.equal(merged.endTime, 36);
+});
+
+test('merge leaves untimed results without a start time', () => {
+  const merged = ClaimClusterer.merge({ claim: HONEY, startTime: null });
+
+  assert.deepEqual(merged.timestamps, []);
+  assert.equal(merged.startTime, null);
+  assert.equal(merged.repeatCount, 1);
+});
+
+test('mergeTimestamps sorts, drops unusable entries and fills in a missing end', () => {
+  const merged = ClaimClusterer.mergeTimestamps([{ start: 50 }, null, { start: NaN, end: 4 }, { start: 10, end: 12 }, { start: 14, end: 13 }]);
+
+  assert.deepEqual(merged, [{ start: 10, end: 13 }, { start: 50, end: 50 }]);
+});
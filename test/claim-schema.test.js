@@ -0,0 +1,127 @@
+// claim-schema.test.js - Validating model output against the claim result shape, and the one repair request
+// ClaimSchema parsing and validation, and FactCheckEngine.requestClaimResults with a stubbed APIService
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome.js';
+import { ClaimSchema } from '../utils/ClaimSchema.js';
+import { FactCheckEngine } from '../core/FactCheckEngine.js';
+
+const VALID = {
+  claim: 'The Eiffel Tower was completed in 1889',
+  status: 'True',
+  confidence: 95,
+  explanation: 'It opened in March 1889 for the Exposition Universelle.'
+};
+
+const SECOND = {
+  claim: 'Around seven million people visit every year',
+  status: 'Mostly True',
+  confidence: 80,
+  explanation: 'Attendance was about 6 to 7 million a year before 2020.'
+};
+
+const SETTINGS = { apiKey: 'test-key', useGroundingSearch: true, analysisTimeout: 5 };
+
+beforeEach((t) => {
+  ['log', 'warn'].forEach(method => t.mock.method(console, method, () => {}));
+  installChrome();
+});
+
+/**
+ * FactCheckEngine whose APIService.makeRequest answers with `replies` in turn; an Error reply is thrown
+ */
+function engineReplying(...replies) {
+  const engine = new FactCheckEngine();
+  const prompts = [];
+  engine.apiService = {
+    async makeRequest(prompt, apiKey, settings, timeout, options = {}) {
+      prompts.push(prompt);
+      const reply = replies.shift();
+      if (reply instanceof Error) throw reply;
+
+      const text = typeof reply === 'string' ? reply : JSON.stringify(reply);
+      return options.includeGrounding ? { text, grounding: null } : text;
+    }
+  };
+  return { engine, prompts };
+}
+
+test('parse pulls the JSON out of code fences and surrounding prose', () => {
+  const { value, error } = ClaimSchema.parse(`Here are the results:\n\`\`\`json\n${JSON.stringify([VALID])}\n\`\`\`\nLet me know!`);
+
+  assert.equal(error, null);
+  assert.deepEqual(value, [VALID]);
+});
+
+test('parse reports a response that is not JSON', () => {
+  const { value, error } = ClaimSchema.parse('The first claim is true.');
+
+  assert.equal(value, null);
+  assert.match(error, /^Response is not valid JSON/);
+});
+
+test('validate keeps valid items and reports every invalid field by path', () => {
+  const { valid, errors } = ClaimSchema.validate([
+    VALID,
+    { ...SECOND, status: 'Probably', confidence: 180 },
+    'not a claim'
+  ]);
+
+  assert.deepEqual(valid, [VALID]);
+  assert.deepEqual(errors.map(error => error.path), ['[1].status', '[1].confidence', '[2]']);
+  assert.match(errors[0].message, /must be one of True, Mostly True.*\(got "Probably"\)/);
+  assert.equal(errors[2].message, 'must be an object (got "not a claim")');
+});
+
+test('validate accepts a single object and rejects short claims and explanations', () => {
+  assert.deepEqual(ClaimSchema.validate(VALID).valid, [VALID]);
+
+  const { errors } = ClaimSchema.validate({ ...VALID, claim: 'Too short', explanation: undefined });
+  assert.deepEqual(errors.map(error => error.path), ['[0].claim', '[0].explanation']);
+  assert.match(errors[1].message, /\(got nothing\)$/);
+});
+
+test('formatErrors lists errors up to the limit', () => {
+  const errors = Array.from({ length: 4 }, (_, index) => ({ path: `[${index}].status`, message: 'is wrong' }));
+
+  assert.equal(ClaimSchema.formatErrors(errors, 2), '- [0].status: is wrong\n- [1].status: is wrong\n- …and 2 more');
+});
+
+test('requestClaimResults sends one repair request and uses the repaired results', async () => {
+  const { engine, prompts } = engineReplying([VALID, { ...SECOND, status: 'Mostly true' }], [VALID, SECOND]);
+
+  const results = await engine.requestClaimResults('Check these claims', SETTINGS, 'general');
+
+  assert.equal(prompts.length, 2);
+  assert.ok(prompts[1].includes('[1].status: must be one of'));
+  assert.deepEqual(results.map(result => result.status), ['True', 'Mostly True']);
+});
+
+test('requestClaimResults keeps the valid results when the repair comes back worse', async () => {
+  const { engine, prompts } = engineReplying([VALID, { ...SECOND, confidence: 'high' }], 'Sorry, I cannot help with that.');
+
+  const results = await engine.requestClaimResults('Check these claims', SETTINGS, 'general');
+
+  assert.equal(prompts.length, 2);
+  assert.deepEqual(results.map(result => result.claim), [VALID.claim]);
+});
+
+test('requestClaimResults fails with the validation errors when nothing usable comes back', async () => {
+  const { engine, prompts } = engineReplying([{ ...VALID, status: 'Maybe' }], new Error('Request timed out'));
+
+  await assert.rejects(
+    engine.requestClaimResults('Check these claims', SETTINGS, 'general'),
+    /did not match the expected claim format:\n- \[0\]\.status/
+  );
+  assert.equal(prompts.length, 2);
+});
+
+test('requestClaimResults sends no repair request for valid output', async () => {
+  const { engine, prompts } = engineReplying([SECOND, VALID]);
+
+  const results = await engine.requestClaimResults('Check these claims', SETTINGS, 'general');
+
+  assert.equal(prompts.length, 1);
+  assert.deepEqual(results.map(result => result.confidence), [95, 80]);
+});
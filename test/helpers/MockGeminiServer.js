@@ -0,0 +1,88 @@
+// MockGeminiServer.js - Local stand-in for Gemini's generateContent endpoint
+// Replays scripted replies (claims, malformed JSON, 404, 429, no answer) so the pipeline can run offline
+
+import http from 'node:http';
+
+export class MockGeminiServer {
+  constructor() {
+    this.requests = []; // { model, prompt, kind } per request, in arrival order
+    this.handler = () => MockGeminiServer.error(500, 'No reply scripted');
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}/v1beta`;
+    return this;
+  }
+
+  async stop() {
+    this.server.closeAllConnections(); // Requests left hanging by a timeout scenario
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * @param {function({model: string, prompt: string, kind: string, attempt: number}): Object} handler - returns
+   *   one of the replies built by the static helpers; `attempt` counts earlier requests of the same kind
+   */
+  reply(handler) {
+    this.handler = handler;
+  }
+
+  requestsOf(kind) {
+    return this.requests.filter(request => request.kind === kind);
+  }
+
+  handle(req, res) {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : {};
+      const prompt = body.contents?.[0]?.parts?.[0]?.text || '';
+      const request = {
+        model: req.url.match(/\/models\/([^/:?]+):generateContent/)?.[1] || null,
+        prompt,
+        kind: MockGeminiServer.kindOf(prompt)
+      };
+      const attempt = this.requestsOf(request.kind).length;
+      this.requests.push(request);
+
+      const reply = this.handler({ ...request, attempt });
+      if (reply.hang) return; // Never answer; the client's timeout has to end it
+
+      res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+      res.end(typeof reply.body === 'string' ? reply.body : JSON.stringify(reply.body));
+    });
+  }
+
+  /**
+   * Which pipeline step sent a prompt
+   * @returns {'processing'|'repair'|'analysis'}
+   */
+  static kindOf(prompt) {
+    if (prompt.startsWith('You are an expert transcript processor')) return 'processing';
+    if (prompt.startsWith('Your previous answer did not match')) return 'repair';
+    return 'analysis';
+  }
+
+  static text(text, usageMetadata = { promptTokenCount: 1000, candidatesTokenCount: 200, totalTokenCount: 1200 }) {
+    return {
+      status: 200,
+      body: { candidates: [{ content: { parts: [{ text }] } }], usageMetadata }
+    };
+  }
+
+  static json(value) {
+    return MockGeminiServer.text(JSON.stringify(value));
+  }
+
+  static error(status, message) {
+    return { status, body: { error: { code: status, message } } };
+  }
+
+  static hang() {
+    return { hang: true };
+  }
+}
@@ -0,0 +1,69 @@
+// chrome.js - In-memory stand-ins for the chrome.* APIs the extension's modules call
+// Storage, permissions, runtime and alarms, enough to run background code under node --test
+
+function createStorageArea(initial = {}) {
+  const items = structuredClone(initial);
+
+  return {
+    items,
+    async get(keys) {
+      if (keys === undefined || keys === null) return structuredClone(items);
+      if (typeof keys === 'string') keys = [keys];
+      if (Array.isArray(keys)) {
+        return Object.fromEntries(keys.filter(key => key in items).map(key => [key, structuredClone(items[key])]));
+      }
+      return Object.fromEntries(Object.entries(keys).map(([key, fallback]) => [key, key in items ? structuredClone(items[key]) : fallback]));
+    },
+    async set(values) {
+      Object.assign(items, structuredClone(values));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(key => delete items[key]);
+    },
+    async clear() {
+      Object.keys(items).forEach(key => delete items[key]);
+    }
+  };
+}
+
+/**
+ * Replace globalThis.chrome with fresh stand-ins
+ * @param {{sync?: Object, local?: Object, context?: 'background'|'content'}} options - a content script
+ *   gets no chrome.permissions, as in the browser
+ */
+export function installChrome({ sync = {}, local = {}, context = 'background' } = {}) {
+  const sentMessages = [];
+
+  globalThis.chrome = {
+    storage: {
+      sync: createStorageArea(sync),
+      local: createStorageArea(local)
+    },
+    runtime: {
+      id: 'test-extension',
+      lastError: null,
+      sentMessages,
+      onMessage: { addListener() {}, removeListener() {} },
+      async sendMessage(message) {
+        sentMessages.push(message);
+        return { success: false, error: 'No background worker in tests' };
+      }
+    },
+    alarms: {
+      create() {},
+      async clear() {
+        return true;
+      }
+    }
+  };
+
+  if (context === 'background') {
+    globalThis.chrome.permissions = {
+      async contains() {
+        return true;
+      }
+    };
+  }
+
+  return globalThis.chrome;
+}
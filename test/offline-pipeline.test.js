@@ -0,0 +1,317 @@
+// offline-pipeline.test.js - TranscriptProcessor and FactCheckEngine against a local stand-in Gemini server
+// Covers the happy path, malformed JSON, 404 model fallback, 429s and timeouts without the real API
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome.js';
+import { MockGeminiServer } from './helpers/MockGeminiServer.js';
+import { APIService } from '../core/APIService.js';
+import { FactCheckEngine } from '../core/FactCheckEngine.js';
+import { MessageHandler } from '../core/MessageHandler.js';
+import { TranscriptProcessor } from '../transcript/TranscriptProcessor.js';
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
+import { ModelConfig } from '../utils/ModelConfig.js';
+import { SettingsManager } from '../utils/SettingsManager.js';
+import { UsageQuota } from '../utils/UsageQuota.js';
+
+const CUES = [
+  { start: 0, duration: 6, text: 'Welcome back to the channel. Today we are looking at the Eiffel Tower.' },
+  { start: 6, duration: 6, text: 'The Eiffel Tower was completed in 1889 for the World\'s Fair in Paris.' },
+  { start: 12, duration: 6, text: 'It stands about 330 metres tall including its antennas.' },
+  { start: 18, duration: 6, text: 'Around seven million people visit the tower every single year.' }
+];
+
+const PROCESSED = {
+  processedTranscript: CUES.map(cue => cue.text).join(' '),
+  segments: [
+    { id: 1, type: 'factual', topic: 'Construction', content: CUES[1].text, priority: 'high', claimDensity: 8 },
+    { id: 2, type: 'factual', topic: 'Height and visitors', content: `${CUES[2].text} ${CUES[3].text}`, priority: 'high', claimDensity: 7 }
+  ],
+  factualClaims: [
+    { claim: 'The Eiffel Tower was completed in 1889 for the World\'s Fair in Paris', context: 'History', type: 'temporal', confidence: 9, segment: 1 },
+    { claim: 'It stands about 330 metres tall including its antennas', context: 'Height', type: 'statistical', confidence: 8, segment: 2 }
+  ],
+  speakers: [],
+  metadata: { primarySubject: 'History of the Eiffel Tower' }
+};
+
+const VERDICTS = [
+  {
+    claim: PROCESSED.factualClaims[0].claim,
+    category: 'temporal',
+    status: 'True',
+    confidence: 95,
+    explanation: 'The tower opened in March 1889 as the entrance arch to the Exposition Universelle.',
+    evidenceType: 'official_record',
+    sources: 'Société d\'Exploitation de la Tour Eiffel'
+  },
+  {
+    claim: PROCESSED.factualClaims[1].claim,
+    category: 'statistical',
+    status: 'Mostly True',
+    confidence: 85,
+    explanation: 'With its antennas the tower measures about 330 metres, after a 2022 antenna was added.',
+    evidenceType: 'official_record',
+    sources: 'Official tower website'
+  }
+];
+
+const SENDER = { tab: { id: 1 } };
+
+let server;
+
+function settingsFor(baseUrl, overrides = {}) {
+  return {
+    ...new SettingsManager().defaults,
+    apiKey: 'test-key',
+    baseUrl,
+    useGroundingSearch: false,
+    usePremiumModel: false,
+    cacheResults: false,
+    confidenceThreshold: 50,
+    analysisTimeout: 5,
+    ...overrides
+  };
+}
+
+function modelsToTry() {
+  return new ModelConfig().getModelsToTry(settingsFor(server.baseUrl));
+}
+
+function checkRequest(overrides = {}) {
+  return {
+    transcript: TimedTranscript.from({ cues: CUES }).text,
+    cues: CUES,
+    videoId: 'offline-test',
+    ...overrides
+  };
+}
+
+beforeEach(async (t) => {
+  // The pipeline logs every step; keep test output readable
+  ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+
+  server = await new MockGeminiServer().start();
+  installChrome({ sync: settingsFor(server.baseUrl) });
+});
+
+afterEach(async () => {
+  await server.stop();
+});
+
+test('TranscriptProcessor.process segments the transcript and times its claims from the cues', async () => {
+  server.reply(() => MockGeminiServer.json(PROCESSED));
+
+  const processed = await new TranscriptProcessor().process(TimedTranscript.from({ cues: CUES }), 'offline-test', settingsFor(server.baseUrl));
+
+  assert.equal(server.requestsOf('processing').length, 1);
+  assert.equal(processed.metadata.fallbackUsed, undefined);
+  assert.equal(processed.metadata.primarySubject, 'History of the Eiffel Tower');
+  assert.equal(processed.segments.length, 2);
+  assert.deepEqual(processed.factualClaims.map(claim => claim.startTime), [6, 12]);
+  assert.equal(processed.cues.length, CUES.length);
+});
+
+test('TranscriptProcessor.process falls back to basic cleaning when the model returns malformed JSON', async () => {
+  server.reply(() => MockGeminiServer.text('Sure! Here is the cleaned transcript: {"processedTranscript": "The Eiffel'));
+
+  const processed = await new TranscriptProcessor().process(TimedTranscript.from({ cues: CUES }), 'offline-test', settingsFor(server.baseUrl));
+
+  assert.equal(processed.metadata.fallbackUsed, true);
+  assert.equal(processed.segments.length, 1);
+  assert.deepEqual(processed.factualClaims, []);
+  assert.equal(processed.cues.length, CUES.length);
+});
+
+test('FactCheckEngine.process returns merged, timed verdicts for the pre-identified claims', async () => {
+  server.reply(({ kind }) => MockGeminiServer.json(kind === 'processing' ? PROCESSED : VERDICTS));
+
+  const response = await new FactCheckEngine().process(checkRequest(), SENDER);
+
+  assert.equal(response.success, true);
+  assert.deepEqual(response.result.map(result => [result.status, result.startTime]), [['True', 6], ['Mostly True', 12]]);
+  assert.ok(response.result.every(result => result.endTime > result.startTime));
+  assert.equal(server.requestsOf('analysis').length, 1);
+  assert.ok(server.requestsOf('analysis')[0].prompt.includes(PROCESSED.factualClaims[0].claim));
+});
+
+test('FactCheckEngine.process uses the content script\'s processed transcript and shows its processing usage without recording it again', async () => {
+  server.reply(({ kind }) => MockGeminiServer.json(kind === 'processing' ? PROCESSED : VERDICTS));
+  const processingUsage = { 'gemini-2.5-flash': { calls: 1, unreported: 0, promptTokens: 3000, outputTokens: 500, totalTokens: 3500 } };
+
+  const response = await new FactCheckEngine().process(checkRequest({
+    processedData: { ...PROCESSED, cues: CUES, metadata: { ...PROCESSED.metadata, originalLength: 280 } },
+    processingUsage
+  }), SENDER);
+
+  assert.equal(response.success, true);
+  assert.equal(server.requestsOf('processing').length, 0);
+  assert.deepEqual(response.result.map(result => result.startTime), [6, 12]);
+  assert.equal(response.analysisMetadata.usage.calls, 2);
+  assert.equal(response.analysisMetadata.usage.totalTokens, 3500 + 1200);
+
+  // MODEL_REQUEST already recorded the processing
+  const { daily } = await new UsageQuota().get();
+  assert.deepEqual([daily.requests, daily.tokens, daily.checks], [1, 1200, 1]);
+});
+
+test('FactCheckEngine.process ignores processing usage when it processes the transcript itself', async () => {
+  server.reply(({ kind }) => MockGeminiServer.json(kind === 'processing' ? PROCESSED : VERDICTS));
+
+  const response = await new FactCheckEngine().process(checkRequest({
+    processingUsage: { 'gemini-2.5-flash': { calls: 1, unreported: 0, promptTokens: 3000, outputTokens: 500, totalTokens: 3500 } }
+  }), SENDER);
+
+  assert.equal(server.requestsOf('processing').length, 1);
+  assert.equal(response.analysisMetadata.usage.calls, 2);
+  assert.equal(response.analysisMetadata.usage.totalTokens, 2 * 1200);
+});
+
+test('FactCheckEngine.process tries the next model when the first one is not found (404)', async () => {
+  const models = modelsToTry();
+  assert.ok(models.length > 1, 'Gemini should have fallback models');
+
+  server.reply(({ kind, model }) => {
+    if (kind === 'processing') return MockGeminiServer.json(PROCESSED);
+    return model === models[0] ? MockGeminiServer.error(404, `models/${model} is not found`) : MockGeminiServer.json(VERDICTS);
+  });
+
+  const engine = new FactCheckEngine();
+  const response = await engine.process(checkRequest(), SENDER);
+
+  assert.equal(response.success, true);
+  assert.equal(response.result.length, 2);
+  assert.deepEqual(server.requestsOf('analysis').map(request => request.model), models.slice(0, 2));
+  assert.deepEqual(engine.apiService.getLastAttempts().map(attempt => [attempt.model, attempt.status]), [[models[0], 404], [models[1], 200]]);
+});
+
+test('FactCheckEngine.process moves on to the next model after a 429', async () => {
+  const models = modelsToTry();
+
+  server.reply(({ kind, model }) => {
+    if (kind === 'processing') return MockGeminiServer.json(PROCESSED);
+    return model === models[0] ? MockGeminiServer.error(429, 'Resource has been exhausted') : MockGeminiServer.json(VERDICTS);
+  });
+
+  const engine = new FactCheckEngine();
+  const response = await engine.process(checkRequest(), SENDER);
+
+  assert.equal(response.success, true);
+  assert.equal(response.result.length, 2);
+  const [first, second] = engine.apiService.getLastAttempts();
+  assert.equal(first.model, models[0]);
+  assert.equal(first.status, 429);
+  assert.match(first.error, /rate limit/);
+  assert.deepEqual([second.model, second.status], [models[1], 200]);
+});
+
+test('FactCheckEngine.process sends one repair request when the verdicts are not valid JSON', async () => {
+  server.reply(({ kind }) => {
+    if (kind === 'processing') return MockGeminiServer.json(PROCESSED);
+    if (kind === 'repair') return MockGeminiServer.json(VERDICTS);
+    return MockGeminiServer.text('Claim 1 is True because the tower opened in 1889. Claim 2 is Mostly True.');
+  });
+
+  const response = await new FactCheckEngine().process(checkRequest(), SENDER);
+
+  assert.equal(response.success, true);
+  assert.equal(server.requestsOf('repair').length, 1);
+  assert.deepEqual(response.result.map(result => result.status), ['True', 'Mostly True']);
+});
+
+test('FactCheckEngine.process tries every model, then the original-prompt fallback, before failing', async () => {
+  server.reply(({ kind, model }) => (kind === 'processing'
+    ? MockGeminiServer.json(PROCESSED)
+    : MockGeminiServer.error(404, `models/${model} is not found`)));
+
+  await assert.rejects(new FactCheckEngine().process(checkRequest(), SENDER), /is not available from/);
+
+  const analysis = server.requestsOf('analysis');
+  const models = modelsToTry();
+  assert.deepEqual(analysis.map(request => request.model), [...models, ...models]);
+  assert.ok(analysis[0].prompt.includes('PRE-IDENTIFIED CLAIMS TO VERIFY'));
+  assert.ok(!analysis[models.length].prompt.includes('PRE-IDENTIFIED CLAIMS TO VERIFY'));
+
+  // The processing request was paid for even though the check failed
+  const { daily } = await new UsageQuota().get();
+  assert.deepEqual([daily.requests, daily.tokens, daily.checks], [1, 1200, 0]);
+});
+
+test('FactCheckEngine.process keeps the video context in the original-prompt fallback', async () => {
+  const videoContext = { title: 'The Eiffel Tower in 60 seconds', channel: 'Paris Explained', uploadDate: '2019-05-14', description: '', chapters: [] };
+  server.reply(({ kind, attempt }) => {
+    if (kind === 'processing') return MockGeminiServer.json(PROCESSED);
+    // Fail the enhanced analysis on every model, then answer the fallback
+    return attempt < modelsToTry().length ? MockGeminiServer.error(404, 'not found') : MockGeminiServer.json(VERDICTS);
+  });
+
+  const response = await new FactCheckEngine().process(checkRequest({ videoContext }), SENDER);
+
+  assert.equal(response.fallbackProcessing, true);
+  const fallbackPrompt = server.requestsOf('analysis').at(-1).prompt;
+  assert.ok(!fallbackPrompt.includes('PRE-IDENTIFIED CLAIMS TO VERIFY'));
+  assert.ok(fallbackPrompt.includes('- Title: The Eiffel Tower in 60 seconds'));
+  assert.ok(fallbackPrompt.includes('as of the publication date (2019-05-14)'));
+});
+
+test('MODEL_REQUEST records the relayed request\'s usage and refuses it over a usage limit unless confirmed', async () => {
+  server.reply(() => MockGeminiServer.json(PROCESSED));
+  const handler = new MessageHandler();
+  const modelRequest = async (overrides = {}) => {
+    let response;
+    await handler.handleModelRequest({ prompt: 'Process this', apiKey: 'test-key', settings: settingsFor(server.baseUrl), timeout: 5, ...overrides }, reply => {
+      response = reply;
+    });
+    return response;
+  };
+
+  const first = await modelRequest();
+  assert.equal(first.success, true);
+  assert.equal(first.usage[server.requests[0].model].totalTokens, 1200);
+  assert.equal((await new UsageQuota().get()).daily.tokens, 1200);
+
+  await chrome.storage.sync.set({ dailyTokenLimit: 1000 });
+  const refused = await modelRequest();
+  assert.equal(refused.success, false);
+  assert.match(refused.error, /daily token limit/);
+  assert.equal(server.requests.length, 1);
+
+  assert.equal((await modelRequest({ overQuotaConfirmed: true })).success, true);
+  assert.equal((await new UsageQuota().get()).daily.tokens, 2400);
+});
+
+test('FINISH_INTERRUPTED_CHECK gives a dropped stream\'s results the reviewer overrides and a history entry', async () => {
+  const handler = new MessageHandler();
+  const results = VERDICTS.map(verdict => ({ ...verdict, speaker: 'Speaker 1' }));
+  await handler.reviewStore.save('offline-test', results[0], { status: 'Mostly True', note: 'Opened in May' });
+  await handler.speakerStore.rename('offline-test', { 'Speaker 1': 'Narrator' });
+
+  let response;
+  await handler.handleFinishInterruptedCheck({
+    videoId: 'offline-test',
+    video: { title: 'The Eiffel Tower' },
+    result: results,
+    interrupted: { completed: 1, total: 2 }
+  }, reply => {
+    response = reply;
+  });
+
+  assert.equal(response.success, true);
+  assert.deepEqual(response.result.map(result => [result.status, result.speakerName]), [['Mostly True', 'Narrator'], ['Mostly True', 'Narrator']]);
+  assert.equal(response.result[0].review.note, 'Opened in May');
+  const saved = await handler.historyStore.get('offline-test');
+  assert.deepEqual(saved.analysisMetadata.interrupted, { completed: 1, total: 2 });
+  assert.equal(saved.results[0].review.note, 'Opened in May');
+});
+
+test('APIService.makeRequest gives up when the server never answers', async () => {
+  server.reply(() => MockGeminiServer.hang());
+
+  const apiService = new APIService();
+  await assert.rejects(
+    apiService.makeRequest('Check this claim', 'test-key', settingsFor(server.baseUrl), 0.2),
+    /timed out after 0.2 seconds/
+  );
+  assert.equal(server.requests.length, 1);
+  assert.deepEqual(apiService.getLastAttempts().map(attempt => attempt.status), [null]);
+});
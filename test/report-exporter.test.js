@@ -0,0 +1,145 @@
+// report-exporter.test.js - Fact-check reports as versioned JSON, Markdown and printable HTML
+// ReportExporter.build from stored results, and what each format renders and escapes
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReportExporter } from '../utils/ReportExporter.js';
+
+const REVIEWED_AT = Date.UTC(2024, 4, 2, 9, 30);
+
+const RESULTS = [
+  {
+    claim: 'The Eiffel Tower was completed in 1889',
+    status: 'True',
+    confidence: 95,
+    explanation: 'It opened in March 1889.',
+    speaker: 'Speaker 1',
+    speakerName: 'Narrator',
+    startTime: 65.8,
+    endTime: 70,
+    repeatCount: 2,
+    timestamps: [{ start: 65.8, end: 70 }, { start: 300, end: 304 }],
+    citations: [
+      { title: 'Tour Eiffel (history)', uri: 'https://www.toureiffel.paris/en/the-monument/history (1889)' },
+      { title: 'Sneaky', uri: 'javascript:alert(1)' }
+    ],
+    sources: 'Official website'
+  },
+  {
+    claim: 'It is <b>600</b> metres tall',
+    status: 'False',
+    confidence: 90,
+    explanation: 'It is about 330 metres tall.',
+    modelVerdict: { status: 'Misleading', explanation: 'Depends on the antennas.' },
+    review: { note: 'Checked the\nofficial height', reviewer: 'Sam', reviewedAt: REVIEWED_AT },
+    sources: ''
+  }
+];
+
+const ANALYSIS = {
+  analysisTime: '2024-05-01T12:00:00.000Z',
+  providerUsed: 'gemini',
+  modelUsed: 'gemini-2.5-flash',
+  groundingUsed: true,
+  claimBudget: { skipped: 3 }
+};
+
+function buildReport(overrides = {}) {
+  return ReportExporter.build({
+    videoId: 'abc123',
+    video: { title: 'Paris *facts*', channel: 'Travel' },
+    results: RESULTS,
+    analysisMetadata: ANALYSIS,
+    ...overrides
+  });
+}
+
+test('build describes the video, the analysis and each claim', () => {
+  const report = buildReport({ range: { start: 60, end: 320, strict: true } });
+
+  assert.equal(report.schema, ReportExporter.SCHEMA);
+  assert.equal(report.version, ReportExporter.VERSION);
+  assert.deepEqual(report.video, { id: 'abc123', title: 'Paris *facts*', channel: 'Travel', url: 'https://www.youtube.com/watch?v=abc123' });
+  assert.deepEqual(report.analysis, {
+    checkedAt: '2024-05-01T12:00:00.000Z',
+    provider: 'gemini',
+    model: 'gemini-2.5-flash',
+    groundingUsed: true,
+    range: { start: 60, end: 320, label: '1:00–5:20', strict: true },
+    claimCount: 2,
+    skippedClaims: 3,
+    reviewedCount: 1
+  });
+
+  const [timed, reviewed] = report.claims;
+  assert.equal(timed.speaker, 'Narrator');
+  assert.equal(timed.timestamp, '1:05');
+  assert.equal(timed.url, 'https://www.youtube.com/watch?v=abc123&t=65s');
+  assert.deepEqual(timed.mentions.map(mention => mention.timestamp), ['1:05', '5:00']);
+  assert.deepEqual(timed.citations.map(citation => citation.title), ['Tour Eiffel (history)']);
+  assert.equal(timed.humanVerdict, null);
+  assert.deepEqual(timed.modelVerdict, { status: 'True', explanation: 'It opened in March 1889.' });
+
+  assert.equal(reviewed.startTime, null);
+  assert.equal(reviewed.url, 'https://www.youtube.com/watch?v=abc123');
+  assert.deepEqual(reviewed.modelVerdict, { status: 'Misleading', explanation: 'Depends on the antennas.' });
+  assert.deepEqual(reviewed.humanVerdict, {
+    status: 'False',
+    explanation: 'It is about 330 metres tall.',
+    note: 'Checked the\nofficial height',
+    reviewer: 'Sam',
+    reviewedAt: '2024-05-02T09:30:00.000Z'
+  });
+});
+
+test('build leaves grounding and the model unknown without analysis metadata', () => {
+  const report = buildReport({ video: {}, analysisMetadata: null, checkedAt: Date.UTC(2024, 0, 15) });
+
+  assert.equal(report.video.title, 'abc123');
+  assert.equal(report.analysis.checkedAt, '2024-01-15T00:00:00.000Z');
+  assert.equal(report.analysis.groundingUsed, null);
+  assert.equal(ReportExporter.describeModel(report.analysis), 'unknown');
+  assert.equal(ReportExporter.describeGrounding(report.analysis), 'unknown');
+  assert.equal(ReportExporter.getFilename(report, 'markdown'), 'fact-check-abc123-2024-01-15.md');
+});
+
+test('JSON export round-trips the report', () => {
+  const report = buildReport();
+
+  assert.deepEqual(JSON.parse(ReportExporter.render(report, 'json')), report);
+});
+
+test('Markdown export escapes text, links sources safely and shows reviewer overrides', () => {
+  const markdown = ReportExporter.render(buildReport(), 'markdown');
+
+  assert.ok(markdown.startsWith('# Fact-check: Paris \\*facts\\*\n'));
+  assert.ok(markdown.includes('- **Model:** gemini / gemini-2.5-flash'));
+  assert.ok(markdown.includes('- **Claims not checked (budget reached):** 3'));
+  assert.ok(markdown.includes('## 1. True (95% confidence) ([1:05](https://www.youtube.com/watch?v=abc123&t=65s))'));
+  assert.ok(markdown.includes('_Said by Narrator_'));
+  assert.ok(markdown.includes('_Said 2 times at [1:05](https://www.youtube.com/watch?v=abc123&t=65s), [5:00](https://www.youtube.com/watch?v=abc123&t=300s)_'));
+  assert.ok(markdown.includes('- [Tour Eiffel (history)](https://www.toureiffel.paris/en/the-monument/history%20%281889%29)'));
+  assert.ok(!markdown.includes('javascript:'));
+  assert.ok(markdown.includes('> It is \\<b\\>600\\</b\\> metres tall'));
+  assert.ok(markdown.includes('- **Reviewer verdict:** False (edited by Sam on 2024-05-02)'));
+  assert.ok(markdown.includes('- **Reviewer note:** Checked the official height'));
+  assert.ok(markdown.includes('- **Model verdict:** Misleading - Depends on the antennas.'));
+  assert.ok(markdown.includes('**Sources (model-reported):** none'));
+});
+
+test('HTML export escapes every model and user string', () => {
+  const html = ReportExporter.render(buildReport(), 'html');
+
+  assert.ok(html.startsWith('<!DOCTYPE html>'));
+  assert.ok(html.includes('<title>Fact-check: Paris *facts*</title>'));
+  assert.ok(html.includes('<blockquote>It is &lt;b&gt;600&lt;/b&gt; metres tall</blockquote>'));
+  assert.ok(!html.includes('<b>600</b>'));
+  assert.ok(html.includes('<section class="claim status-false">'));
+  assert.ok(html.includes('<a class="time" href="https://www.youtube.com/watch?v=abc123&amp;t=65s">⏱ 1:05</a>'));
+  assert.ok(html.includes('<strong>Reviewer verdict:</strong> False'));
+  assert.ok(!html.includes('javascript:'));
+});
+
+test('render rejects an unknown format', () => {
+  assert.throws(() => ReportExporter.render(buildReport(), 'pdf'), /Unknown export format: pdf/);
+});
@@ -0,0 +1,84 @@
+// timed-transcript.test.js - Matching claims back to the caption cues they were spoken in
+// Exact and fuzzy TimedTranscript.locate, and the cue lookups the seek buttons rely on
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
+
+const CUES = [
+  { start: 0, duration: 5, text: 'Hi everyone, um, welcome back.' },
+  { start: 5, duration: 4, text: 'So the Great Wall of China' },
+  { start: 9, duration: 5, text: 'is visible from space with the naked eye,' },
+  { start: 14, duration: 6, text: 'or at least that is what a lot of people believe.' },
+  { start: 20, duration: 5, text: 'Astronauts on the space station disagree.' },
+  { start: 25, duration: 5, text: 'Honey never spoils, archaeologists found edible honey in Egyptian tombs.' }
+];
+
+const transcript = new TimedTranscript(CUES);
+
+test('locate finds an exact quote across cue boundaries', () => {
+  const location = transcript.locate('The Great Wall of China is visible from space');
+
+  assert.deepEqual(location, { start: 5, end: 14, score: 1 });
+});
+
+test('locate ignores case and punctuation in an exact match', () => {
+  const location = transcript.locate('ASTRONAUTS on the space-station disagree!');
+
+  assert.deepEqual(location, { start: 20, end: 25, score: 1 });
+});
+
+test('locate falls back to a fuzzy match for a paraphrased claim', () => {
+  const location = transcript.locate('Archaeologists found honey that was still edible in the tombs of Egypt');
+
+  assert.ok(location, 'the paraphrase should be matched');
+  assert.equal(location.start, 25);
+  assert.equal(location.end, 30);
+  assert.ok(location.score >= 0.6 && location.score < 1);
+});
+
+test('locate returns null below the minimum score', () => {
+  assert.equal(transcript.locate('The Colosseum in Rome was completed in 80 AD'), null);
+  assert.equal(transcript.locate('Archaeologists found honey that was still edible in the tombs of Egypt', 0.95), null);
+});
+
+test('locate returns null without timings or text to match', () => {
+  assert.equal(TimedTranscript.fromText('The Great Wall of China is visible from space').locate('Great Wall of China'), null);
+  assert.equal(transcript.locate(''), null);
+  assert.equal(transcript.locate('?!'), null);
+});
+
+test('from revives a transcript that crossed a message boundary with its cues', () => {
+  const revived = TimedTranscript.from(JSON.parse(JSON.stringify(transcript)));
+
+  assert.equal(revived.text, transcript.text);
+  assert.deepEqual(revived.locate('The Great Wall of China is visible from space'), { start: 5, end: 14, score: 1 });
+});
+
+test('normalizeCues drops empty cues, decodes entities and sorts by start', () => {
+  const cues = TimedTranscript.normalizeCues([
+    { start: 4, duration: 2, text: 'Fish &amp; chips' },
+    { start: 2, duration: 2, text: '   ' },
+    { start: -1, duration: 2, text: 'It&#39;s\u200B here' }
+  ]);
+
+  assert.deepEqual(cues, [
+    { start: 0, duration: 2, text: 'It\'s here' },
+    { start: 4, duration: 2, text: 'Fish & chips' }
+  ]);
+});
+
+test('cueAt returns the cue playing at a time, or null before the first one', () => {
+  const late = new TimedTranscript([{ start: 3, duration: 2, text: 'Late start' }, ...CUES.slice(2)]);
+
+  assert.equal(transcript.cueAt(11.5).text, CUES[2].text);
+  assert.equal(transcript.cueAt(14).text, CUES[3].text);
+  assert.equal(late.cueAt(1), null);
+});
+
+test('formatTimestamp and parseTimestamp round-trip YouTube labels', () => {
+  assert.equal(TimedTranscript.formatTimestamp(65), '1:05');
+  assert.equal(TimedTranscript.formatTimestamp(3725.9), '1:02:05');
+  assert.equal(TimedTranscript.parseTimestamp('1:02:05'), 3725);
+  assert.equal(TimedTranscript.parseTimestamp('12'), null);
+});
@@ -0,0 +1,114 @@
+// usage-quota.test.js - Daily and monthly usage counters and the spend limits checked against them
+// UsageQuota against the in-memory chrome.storage.local and chrome.alarms
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome.js';
+import { UsageQuota } from '../utils/UsageQuota.js';
+import { Constants } from '../utils/Constants.js';
+import { StatsManager } from '../utils/StatsManager.js';
+
+const CHECK_USAGE = { calls: 3, totalTokens: 12000, estimatedCost: 0.25 };
+
+let chrome;
+
+beforeEach(() => {
+  chrome = installChrome();
+});
+
+test('record adds usage to the day and the month, counting checks separately', async () => {
+  const quota = new UsageQuota();
+
+  await quota.record(CHECK_USAGE, true);
+  await quota.record({ calls: 1, totalTokens: 500, estimatedCost: 0.125 });
+  await quota.record(null, true);
+
+  const { daily, monthly } = await quota.get();
+  assert.deepEqual(daily, { period: UsageQuota.periodKey('daily'), requests: 4, tokens: 12500, cost: 0.375, checks: 1 });
+  assert.deepEqual({ ...monthly, period: null }, { ...daily, period: null });
+});
+
+test('record keeps every update when several land at once', async () => {
+  const quota = new UsageQuota();
+
+  await Promise.all(Array.from({ length: 5 }, () => quota.record(CHECK_USAGE, true)));
+
+  const { daily } = await quota.get();
+  assert.equal(daily.requests, 15);
+  assert.equal(daily.checks, 5);
+});
+
+test('get reads a period that has already ended as empty', async () => {
+  chrome.storage.local.items.usageQuota = {
+    daily: { period: '2000-01-01', requests: 99, tokens: 99, cost: 9, checks: 9 },
+    monthly: { period: UsageQuota.periodKey('monthly'), requests: 5, tokens: 100, cost: 0.5, checks: 2 }
+  };
+
+  const { daily, monthly } = await new UsageQuota().get();
+  assert.deepEqual(daily, UsageQuota.emptyCounters('daily'));
+  assert.equal(monthly.requests, 5);
+});
+
+test('check blocks a check expected to go over a limit, using the average cost per check', async () => {
+  const quota = new UsageQuota();
+  await quota.record(CHECK_USAGE, true);
+  await quota.record(CHECK_USAGE, true);
+
+  const result = await quota.check({ dailyCostLimit: 0.6, dailyRequestLimit: 0, monthlyCostLimit: 10 });
+  assert.equal(result.allowed, false);
+  assert.deepEqual(result.exceeded, [{ period: 'daily', metric: 'cost', used: 0.5, limit: 0.6 }]);
+  assert.equal(result.daily.checks, 2);
+});
+
+test('check lets a single request through until a limit is actually reached', async () => {
+  const quota = new UsageQuota();
+  await quota.record(CHECK_USAGE, true);
+  await quota.record(CHECK_USAGE, true);
+
+  assert.equal((await quota.check({ dailyCostLimit: 0.6 }, false)).allowed, true);
+  assert.deepEqual((await quota.check({ dailyRequestLimit: 6 }, false)).exceeded, [{ period: 'daily', metric: 'requests', used: 6, limit: 6 }]);
+});
+
+test('handleAlarm resets only its own period and schedules the next reset', async (t) => {
+  const create = t.mock.method(chrome.alarms, 'create', () => {});
+  t.mock.method(console, 'log', () => {});
+  const quota = new UsageQuota();
+  await quota.record(CHECK_USAGE, true);
+
+  assert.equal(await quota.handleAlarm({ name: 'something-else' }), false);
+  assert.equal(await quota.handleAlarm({ name: Constants.QUOTA.RESET_ALARMS.daily }), true);
+
+  const { daily, monthly } = await quota.get();
+  assert.equal(daily.requests, 0);
+  assert.equal(monthly.requests, 3);
+  assert.equal(create.mock.callCount(), 1);
+  assert.deepEqual(create.mock.calls[0].arguments, [Constants.QUOTA.RESET_ALARMS.daily, { when: UsageQuota.nextReset('daily') }]);
+});
+
+test('periodKey and nextReset follow the local calendar', () => {
+  const newYearsEve = new Date(2024, 11, 31, 23, 30);
+
+  assert.equal(UsageQuota.periodKey('daily', newYearsEve), '2024-12-31');
+  assert.equal(UsageQuota.periodKey('monthly', newYearsEve), '2024-12');
+  assert.equal(UsageQuota.nextReset('daily', newYearsEve), new Date(2025, 0, 1).getTime());
+  assert.equal(UsageQuota.nextReset('monthly', new Date(2024, 1, 10)), new Date(2024, 2, 1).getTime());
+});
+
+test('formatExceeded names each limit with its usage', () => {
+  const message = UsageQuota.formatExceeded([
+    { period: 'daily', metric: 'cost', used: 0.48, limit: 0.5 },
+    { period: 'daily', metric: 'tokens', used: 120000, limit: 100000 }
+  ]);
+
+  assert.ok(message.includes('daily cost limit: $0.48 of $0.50 used; daily token limit: 120,000 of 100,000 used'));
+});
+
+test('StatsManager keeps its month counters under the same local month as the monthly limit', async () => {
+  const statsManager = new StatsManager();
+
+  await statsManager.recordUsage(CHECK_USAGE);
+
+  const stats = await statsManager.get();
+  assert.equal(stats.usageMonth, UsageQuota.periodKey('monthly'));
+  assert.equal(stats.monthTokens, 12000);
+});
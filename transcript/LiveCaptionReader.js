@@ -0,0 +1,170 @@
+// LiveCaptionReader.js - Collects captions from a live stream or premiere as they are shown
+// Live streams have no finished transcript, so cues are read from the video's text tracks or the player's caption DOM
+
+import { Constants } from '../utils/Constants.js';
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { TimedTranscript } from './utils/TimedTranscript.js';
+
+export class LiveCaptionReader {
+  constructor() {
+    this.video = null;
+    this.player = null;
+    this.source = null; // 'text-track' | 'caption-dom'
+    this.cues = [];
+    this.tracks = [];
+    this.seenTrackCues = new Set();
+    this.observer = null;
+    this.previousWords = [];
+    this.turnedOnCaptions = false;
+    this.handleCueChange = (event) => this.readTrackCues(event.target);
+  }
+
+  /**
+   * Start collecting captions from the active player
+   * @returns {boolean} whether a player to read from was found
+   */
+  start() {
+    this.stop();
+
+    this.video = DOMUtils.getActiveVideo();
+    this.player = DOMUtils.getActivePlayer();
+    if (!this.video || !this.player) return false;
+
+    // Native text tracks carry proper cue timings; YouTube usually renders its own captions instead
+    const tracks = Array.from(this.video.textTracks || [])
+      .filter(track => track.kind === 'captions' || track.kind === 'subtitles');
+
+    if (tracks.length > 0) {
+      this.source = 'text-track';
+      this.tracks = tracks;
+      tracks.forEach(track => {
+        if (track.mode === 'disabled') {
+          track.mode = 'hidden';
+        }
+        track.addEventListener('cuechange', this.handleCueChange);
+      });
+    } else {
+      this.source = 'caption-dom';
+      this.ensureCaptionsOn();
+
+      const container = this.player.querySelector(Constants.LIVE.CAPTION_CONTAINER_SELECTOR) || this.player;
+      this.observer = new MutationObserver(() => this.readCaptionDom());
+      this.observer.observe(container, { childList: true, subtree: true, characterData: true });
+    }
+
+    console.log(`🔴 Reading live captions from ${this.source}`);
+    return true;
+  }
+
+  stop() {
+    this.tracks.forEach(track => track.removeEventListener('cuechange', this.handleCueChange));
+    this.tracks = [];
+    this.seenTrackCues.clear();
+
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+
+    // Put the captions button back the way the user had it
+    if (this.turnedOnCaptions) {
+      const button = this.player?.querySelector(Constants.LIVE.SUBTITLES_BUTTON_SELECTOR);
+      if (button?.getAttribute('aria-pressed') === 'true') {
+        button.click();
+      }
+      this.turnedOnCaptions = false;
+    }
+
+    this.cues = [];
+    this.previousWords = [];
+    this.source = null;
+    this.video = null;
+    this.player = null;
+  }
+
+  /**
+   * The caption DOM only exists while captions are switched on
+   */
+  ensureCaptionsOn() {
+    const button = this.player.querySelector(Constants.LIVE.SUBTITLES_BUTTON_SELECTOR);
+    if (button && button.getAttribute('aria-pressed') === 'false' && DOMUtils.isElementVisible(button)) {
+      button.click();
+      this.turnedOnCaptions = true;
+    }
+  }
+
+  readTrackCues(track) {
+    Array.from(track.activeCues || []).forEach(cue => {
+      const key = `${cue.startTime}:${cue.text}`;
+      if (this.seenTrackCues.has(key)) return;
+
+      this.seenTrackCues.add(key);
+      this.cues.push({
+        start: cue.startTime,
+        duration: Math.max(0, cue.endTime - cue.startTime),
+        text: cue.text
+      });
+    });
+  }
+
+  readCaptionDom() {
+    if (!this.player || !this.video) return;
+
+    const text = Array.from(this.player.querySelectorAll(Constants.LIVE.CAPTION_SEGMENT_SELECTOR))
+      .map(segment => segment.textContent)
+      .join(' ');
+    const words = text.split(/\s+/).filter(Boolean);
+    if (words.length === 0) return; // Captions cleared between utterances
+
+    const added = LiveCaptionReader.newWords(this.previousWords, words);
+    this.previousWords = words;
+
+    if (added.length > 0) {
+      this.cues.push({ start: this.video.currentTime, duration: 0, text: added.join(' ') });
+    }
+  }
+
+  /**
+   * Words in the current caption lines that weren't on screen before. Live captions grow
+   * word by word and scroll line by line, so the old lines' tail usually starts the new ones;
+   * a match of a few words also covers the recogniser revising the last word it showed.
+   */
+  static newWords(previous, current) {
+    if (previous.length === 0) return current;
+    if (` ${previous.join(' ')} `.includes(` ${current.join(' ')} `)) return [];
+
+    let best = 0;
+    for (let start = 0; start < previous.length; start++) {
+      const tail = previous.length - start;
+      let matched = 0;
+      while (matched < tail && matched < current.length && previous[start + matched] === current[matched]) {
+        matched++;
+      }
+
+      // Whole tail matched, all but a revised last word, or a long enough run to be the same speech
+      const aligned = matched === tail || (matched === tail - 1 && matched >= 2) || matched >= 3;
+      if (aligned && matched > best) {
+        best = matched;
+      }
+    }
+
+    return current.slice(best);
+  }
+
+  /**
+   * Hand over everything buffered so far as one window
+   * @param {number} minLength - keep buffering (and return null) while the text is shorter than this
+   * @returns {TimedTranscript|null}
+   */
+  drain(minLength = 0) {
+    const transcript = new TimedTranscript(this.cues);
+    if (transcript.length === 0 || transcript.length < minLength) return null;
+
+    this.cues = [];
+    return transcript;
+  }
+
+  getBufferedLength() {
+    return this.cues.reduce((total, cue) => total + cue.text.length + 1, 0);
+  }
+}
@@ -5,13 +5,16 @@
 import { HybridOfficial } from './methods/HybridOfficial.js';
 import { InnertubeAPI } from './methods/InnertubeAPI.js';
 import { UIAutomation } from './methods/UIAutomation.js';
+import { AudioTranscription } from './methods/AudioTranscription.js';
+import { CaptionTracks } from './utils/CaptionTracks.js';
+import { TimedTranscript } from './utils/TimedTranscript.js';
 import { Cache } from '../utils/Cache.js';
 import { Constants } from '../utils/Constants.js';
 
 export class TranscriptExtractor {
   constructor() {
     this.cache = new Cache('transcript');
-    this.isExtracting = false;
+    this.inFlight = new Map(); // Extraction key -> promise, shared by callers asking for the same transcript
     this.extractionStats = {
       totalAttempts: 0,
       successCount: 0,
@@ -23,7 +26,8 @@ export class TranscriptExtractor {
     this.methods = [
       new HybridOfficial(),    // 95% success rate
       new InnertubeAPI(),      // 92% success rate  
-      new UIAutomation()       // UI automation fallback
+      new UIAutomation(),      // UI automation fallback
+      new AudioTranscription() // Opt-in: records and transcribes the audio
     ];
 
     // Initialize method success tracking
@@ -42,6 +46,14 @@ export class TranscriptExtractor {
     }
   }
 
+  /**
+   * Extract a timed transcript for a video
+   * @param {string} videoId
+   * @param {Object} options - `preferredLanguage` orders the automatic track choice; `track`
+   *   ({ languageCode, kind, translateTo }) is a track picked in the sidebar and/or a language to translate it into;
+   *   `audioTranscription` ({ onProgress }) lets the video's audio be transcribed when it has no captions
+   * @returns {Promise<TimedTranscript|null>} Cues plus flat text, or null when every method fails
+   */
   async extract(videoId, options = {}) {
     if (!videoId) {
       if (Constants.DEBUG.ENABLED) {
@@ -53,13 +65,15 @@ export class TranscriptExtractor {
     const {
       forceRefresh = false,
       preferredLanguage = 'en',
+      track = null,
+      audioTranscription = null,
       skipCache = false,
       maxMethods = this.methods.length
     } = options;
 
     // Check cache first
+    const cacheKey = `transcript_${videoId}_${preferredLanguage}_${CaptionTracks.key(track)}`;
     if (!forceRefresh && !skipCache) {
-      const cacheKey = `transcript_${videoId}_${preferredLanguage}`;
       const cached = this.cache.get(cacheKey);
       if (cached) {
         if (Constants.DEBUG.ENABLED) {
@@ -70,13 +84,20 @@ export class TranscriptExtractor {
       }
     }
 
-    // Prevent concurrent extractions
-    const extractionKey = `extracting_${videoId}`;
-    if (this.isExtracting === extractionKey) {
-      return null;
+    // Callers asking for the same transcript while it is extracted wait for that extraction. An audio
+    // transcription can take as long as the video, so callers that don't allow one get their own.
+    const extractionKey = `${cacheKey}_${audioTranscription ? 'audio' : 'captions'}`;
+    if (this.inFlight.has(extractionKey)) {
+      return this.inFlight.get(extractionKey);
     }
 
-    this.isExtracting = extractionKey;
+    const extraction = this.runExtraction(videoId, { preferredLanguage, track, audioTranscription, skipCache, maxMethods, cacheKey })
+      .finally(() => this.inFlight.delete(extractionKey));
+    this.inFlight.set(extractionKey, extraction);
+    return extraction;
+  }
+
+  async runExtraction(videoId, { preferredLanguage, track, audioTranscription, skipCache, maxMethods, cacheKey }) {
     this.extractionStats.totalAttempts++;
     
     if (Constants.DEBUG.ENABLED) {
@@ -87,7 +108,9 @@ export class TranscriptExtractor {
     let lastError = null;
 
     try {
-      const methodsToTry = this.methods.slice(0, maxMethods);
+      // Methods with an isAvailable check (audio transcription) only run when their options allow it
+      const methodsToTry = this.methods.slice(0, maxMethods)
+        .filter(method => !method.isAvailable || method.isAvailable({ audioTranscription }));
       
       for (let i = 0; i < methodsToTry.length; i++) {
         const method = methodsToTry[i];
@@ -101,22 +124,23 @@ export class TranscriptExtractor {
         this.extractionStats.methodSuccesses[methodName].attempts++;
         
         try {
-          const transcript = await this.executeWithTimeout(
-            method.extract(videoId, { language: preferredLanguage }),
-            Constants.TIMEOUTS.PLAYER_RESPONSE_WAIT,
+          const transcript = TimedTranscript.from(await this.executeWithTimeout(
+            method.extract(videoId, { language: preferredLanguage, track, audioTranscription }),
+            method.getTimeout ? method.getTimeout() : Constants.TIMEOUTS.PLAYER_RESPONSE_WAIT,
             `${methodName} timeout`
-          );
+          ));
           
           const methodDuration = Date.now() - methodStartTime;
           
           if (this.isValidTranscript(transcript)) {
+            transcript.method = methodName;
+
             if (Constants.DEBUG.ENABLED) {
-              console.log(`✅ SUCCESS with ${methodName}! Length: ${transcript.length} chars (${methodDuration}ms)`);
+              console.log(`✅ SUCCESS with ${methodName}! Length: ${transcript.length} chars, ${transcript.cues.length} timed cues (${methodDuration}ms)`);
             }
             
             // Cache successful result
             if (!skipCache) {
-              const cacheKey = `transcript_${videoId}_${preferredLanguage}`;
               this.cache.set(cacheKey, transcript);
             }
             
@@ -126,6 +150,7 @@ export class TranscriptExtractor {
               videoId,
               method: methodName,
               success: true,
+              timed: transcript.hasTiming(),
               duration: Date.now() - startTime,
               timestamp: new Date().toISOString()
             };
@@ -177,8 +202,6 @@ export class TranscriptExtractor {
       };
       return null;
     } finally {
-      this.isExtracting = false;
-      
       if (Constants.DEBUG.LOG_TIMING) {
         const totalDuration = Date.now() - startTime;
         console.log(`🏁 Extraction completed in ${totalDuration}ms`);
@@ -187,6 +210,28 @@ export class TranscriptExtractor {
     }
   }
 
+  /**
+   * Caption tracks the video offers (every language, manual and auto-generated)
+   * @returns {Promise<Array<{languageCode: string, name: string, kind: string, translatable: boolean}>>} empty when they can't be listed
+   */
+  async listTracks(videoId) {
+    const innertube = this.methods.find(method => typeof method.listTracks === 'function');
+    if (!videoId || !innertube) return [];
+
+    try {
+      return await this.executeWithTimeout(
+        innertube.listTracks(videoId),
+        Constants.TIMEOUTS.PLAYER_RESPONSE_WAIT,
+        'Caption track list timeout'
+      );
+    } catch (error) {
+      if (Constants.DEBUG.ENABLED) {
+        console.log(`❌ Could not list caption tracks: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
   async executeWithTimeout(promise, timeoutMs, errorMessage) {
     return new Promise((resolve, reject) => {
       const timer = setTimeout(() => {
@@ -206,10 +251,9 @@ export class TranscriptExtractor {
   }
 
   isValidTranscript(transcript) {
-    return transcript && 
-           typeof transcript === 'string' && 
-           transcript.trim().length >= Constants.MIN_TRANSCRIPT_LENGTH &&
-           transcript.trim().length <= Constants.LIMITS.MAX_TRANSCRIPT_LENGTH;
+    return transcript instanceof TimedTranscript && 
+           transcript.length >= Constants.MIN_TRANSCRIPT_LENGTH &&
+           transcript.length <= Constants.LIMITS.MAX_TRANSCRIPT_LENGTH;
   }
 
   async testAllMethods(videoId, options = {}) {
@@ -223,27 +267,30 @@ export class TranscriptExtractor {
     
     for (const method of this.methods) {
       const methodName = method.constructor.name;
+      if (method.isAvailable && !method.isAvailable(options)) continue;
+
       try {
         const startTime = Date.now();
-        const result = await this.executeWithTimeout(
+        const result = TimedTranscript.from(await this.executeWithTimeout(
           method.extract(videoId, options),
           Constants.TIMEOUTS.PLAYER_RESPONSE_WAIT * 2,
           `${methodName} test timeout`
-        );
+        ));
         
         const duration = Date.now() - startTime;
         const isValid = this.isValidTranscript(result);
         
         results[methodName] = {
           success: isValid,
-          length: result?.length || 0,
+          length: result.length,
+          cues: result.cues.length,
           duration: duration,
-          preview: result?.substring(0, 150) || 'No result',
+          preview: result.text.substring(0, 150) || 'No result',
           error: null,
           reliability: method.successRate ? `${(method.successRate * 100).toFixed(1)}%` : 'Unknown'
         };
         
-        console.log(`${methodName}: ${isValid ? '✅' : '❌'} (${result?.length || 0} chars, ${duration}ms)`);
+        console.log(`${methodName}: ${isValid ? '✅' : '❌'} (${result.length} chars, ${result.cues.length} cues, ${duration}ms)`);
       } catch (error) {
         results[methodName] = {
           success: false,
@@ -335,11 +382,11 @@ export class TranscriptExtractor {
     
     try {
       const startTime = Date.now();
-      const result = await this.executeWithTimeout(
+      const result = TimedTranscript.from(await this.executeWithTimeout(
         priorityMethod.extract(videoId, options),
         Constants.TIMEOUTS.PLAYER_RESPONSE_WAIT,
         `${methodName} priority test timeout`
-      );
+      ));
       
       const duration = Date.now() - startTime;
       const success = this.isValidTranscript(result);
@@ -348,9 +395,10 @@ export class TranscriptExtractor {
         console.log(`Priority method result:`, {
           method: methodName,
           success,
-          length: result?.length || 0,
+          length: result.length,
+          cues: result.cues.length,
           duration: `${duration}ms`,
-          preview: result?.substring(0, 200) || 'No result'
+          preview: result.text.substring(0, 200) || 'No result'
         });
       }
       
@@ -4,6 +4,9 @@
 import { APIService } from '../core/APIService.js';
 import { Cache } from '../utils/Cache.js';
 import { Constants } from '../utils/Constants.js';
+import { ClaimClusterer } from '../utils/ClaimClusterer.js';
+import { SpeakerLabels } from './utils/SpeakerLabels.js';
+import { TimedTranscript } from './utils/TimedTranscript.js';
 
 export class TranscriptProcessor {
   constructor() {
@@ -21,22 +24,28 @@ export class TranscriptProcessor {
 
   /**
    * Main processing pipeline
-   * @param {string} rawTranscript - Raw transcript from YouTube
+   * @param {TimedTranscript|string} rawTranscript - Raw transcript from YouTube (timed cues or plain text)
    * @param {string} videoId - Video ID for caching
    * @param {Object} settings - User settings
-   * @param {Object} options - Processing options
-   * @returns {Object} Processed transcript with segments and claims
+   * @param {Object} options - Processing options ({ usageMeter } collects the tokens spent,
+   *   { overQuotaConfirmed } lets its requests past the usage limits)
+   * @returns {Object} Processed transcript with segments, claims (each with a `speaker` label), the
+   *   `speakers` found and the caption cues they map to
    */
   async process(rawTranscript, videoId, settings = {}, options = {}) {
+    const timedTranscript = TimedTranscript.from(rawTranscript);
+    const transcriptText = timedTranscript.text;
+
+    const { usageMeter = null, overQuotaConfirmed = false, ...cacheOptions } = options;
     const {
       forceRefresh = false,
       maxLength = 8000,
       preserveTimestamps = false,
       aggressiveCleaning = true
-    } = options;
+    } = cacheOptions;
 
     // Check cache first
-    const cacheKey = this.generateCacheKey(rawTranscript, settings, options);
+    const cacheKey = this.generateCacheKey(transcriptText, settings, cacheOptions);
     if (!forceRefresh) {
       const cached = this.cache.get(cacheKey);
       if (cached) {
@@ -50,7 +59,7 @@ export class TranscriptProcessor {
 
     try {
       // Step 1: Initial validation and basic cleaning
-      const cleanedTranscript = this.basicCleanup(rawTranscript);
+      const cleanedTranscript = this.basicCleanup(transcriptText);
       
       if (cleanedTranscript.length < Constants.MIN_TRANSCRIPT_LENGTH) {
         throw new Error('Transcript too short for processing');
@@ -59,24 +68,28 @@ export class TranscriptProcessor {
       // Step 2: AI-powered cleaning and segmentation
       const processedData = await this.aiProcessing(cleanedTranscript, settings, {
         maxLength,
-        aggressiveCleaning
+        aggressiveCleaning,
+        requestOptions: { usageMeter, overQuotaConfirmed }
       });
 
       // Step 3: Post-processing and validation
       const finalResult = this.postProcess(processedData, videoId, {
         preserveTimestamps,
-        originalLength: rawTranscript.length
+        originalLength: transcriptText.length
       });
 
+      // Step 4: Map segments and claims back to caption cues
+      this.attachTimings(finalResult, timedTranscript);
+
       // Cache the result
       this.cache.set(cacheKey, finalResult);
       
       // Update statistics
-      this.updateStats(rawTranscript.length, finalResult.processedTranscript.length);
+      this.updateStats(transcriptText.length, finalResult.processedTranscript.length);
       
       const processingTime = Date.now() - startTime;
       console.log(`✅ Transcript processed in ${processingTime}ms`);
-      console.log(`📊 Reduction: ${rawTranscript.length} → ${finalResult.processedTranscript.length} chars`);
+      console.log(`📊 Reduction: ${transcriptText.length} → ${finalResult.processedTranscript.length} chars`);
       
       return finalResult;
 
@@ -84,10 +97,37 @@ export class TranscriptProcessor {
       console.error('❌ Transcript processing failed:', error);
       
       // Fallback to basic cleaning
-      return this.fallbackProcessing(rawTranscript, videoId);
+      return this.attachTimings(this.fallbackProcessing(transcriptText, videoId), timedTranscript);
     }
   }
 
+  /**
+   * Carry caption cues forward and stamp segments/claims with the time they were spoken
+   */
+  attachTimings(processedData, timedTranscript) {
+    processedData.cues = timedTranscript.cues;
+    processedData.metadata.timed = timedTranscript.hasTiming();
+    processedData.metadata.cueCount = timedTranscript.cues.length;
+
+    processedData.segments.forEach(segment => {
+      const location = timedTranscript.locate(segment.content);
+      segment.startTime = location ? location.start : null;
+    });
+
+    // A merged claim is located once per wording it was said in
+    processedData.factualClaims.forEach(claim => {
+      const locations = (claim.variants || [claim])
+        .map(variant => timedTranscript.locate(variant.claim) || timedTranscript.locate(variant.context))
+        .filter(Boolean);
+
+      claim.timestamps = ClaimClusterer.mergeTimestamps(locations);
+      claim.startTime = claim.timestamps.length > 0 ? claim.timestamps[0].start : null;
+      claim.endTime = claim.timestamps.length > 0 ? claim.timestamps[0].end : null;
+    });
+
+    return processedData;
+  }
+
   /**
    * Basic cleanup - handles simple cleaning without AI
    */
@@ -97,8 +137,7 @@ export class TranscriptProcessor {
       .replace(/\[\d{1,2}:\d{2}(?::\d{2})?\]/g, '')
       .replace(/\d{1,2}:\d{2}(?::\d{2})?\s*-?\s*/g, '')
       
-      // Remove speaker indicators
-      .replace(/^[A-Z][a-z]*\s*:\s*/gm, '')
+      // Remove sound tags ([Music], [Applause]); "NAME:" prefixes and >> turn markers stay for speaker attribution
       .replace(/\[[A-Z][a-z]*\]\s*/g, '')
       
       // Remove common filler expressions
@@ -107,6 +146,7 @@ export class TranscriptProcessor {
       
       // Fix common transcription errors
       .replace(/\s+/g, ' ')
+      .replace(/\s*>>\s*/g, ' >> ')
       .replace(/([.!?])\s*([a-z])/g, '$1 $2')
       
       // Remove excessive punctuation
@@ -123,28 +163,30 @@ export class TranscriptProcessor {
    * AI-powered processing using Gemini
    */
   async aiProcessing(cleanedTranscript, settings, options) {
-    const { maxLength, aggressiveCleaning } = options;
+    const { maxLength, aggressiveCleaning, requestOptions } = options;
     
     // If transcript is short enough, process in one go
     if (cleanedTranscript.length <= maxLength) {
-      return await this.singlePassProcessing(cleanedTranscript, settings, aggressiveCleaning);
+      return await this.singlePassProcessing(cleanedTranscript, settings, aggressiveCleaning, requestOptions);
     } else {
-      return await this.chunkedProcessing(cleanedTranscript, settings, maxLength, aggressiveCleaning);
+      return await this.chunkedProcessing(cleanedTranscript, settings, maxLength, aggressiveCleaning, requestOptions);
     }
   }
 
   /**
    * Single-pass processing for shorter transcripts
+   * @param {Object} requestOptions - passed to makeRequest ({ usageMeter, overQuotaConfirmed })
    */
-  async singlePassProcessing(transcript, settings, aggressiveCleaning) {
-    const prompt = this.createProcessingPrompt(transcript, aggressiveCleaning);
+  async singlePassProcessing(transcript, settings, aggressiveCleaning, requestOptions = {}, knownSpeakers = []) {
+    const prompt = this.createProcessingPrompt(transcript, aggressiveCleaning, knownSpeakers);
     
     try {
       const response = await this.apiService.makeRequest(
         prompt, 
         settings.apiKey, 
         { ...settings, temperature: 0.1 }, // Low temperature for consistent processing
-        30 // 30-second timeout
+        30, // 30-second timeout
+        requestOptions
       );
 
       return this.parseAIResponse(response);
@@ -157,9 +199,10 @@ export class TranscriptProcessor {
   /**
    * Chunked processing for very long transcripts
    */
-  async chunkedProcessing(transcript, settings, maxLength, aggressiveCleaning) {
+  async chunkedProcessing(transcript, settings, maxLength, aggressiveCleaning, requestOptions = {}) {
     const chunks = this.intelligentChunking(transcript, maxLength * 0.7); // Leave room for prompt
     const processedChunks = [];
+    let knownSpeakers = []; // Each chunk reuses the labels of the chunks before it
     
     console.log(`📝 Processing ${chunks.length} chunks...`);
 
@@ -167,8 +210,9 @@ export class TranscriptProcessor {
       console.log(`Processing chunk ${i + 1}/${chunks.length}...`);
       
       try {
-        const chunkResult = await this.singlePassProcessing(chunks[i], settings, aggressiveCleaning);
+        const chunkResult = await this.singlePassProcessing(chunks[i], settings, aggressiveCleaning, requestOptions, knownSpeakers);
         processedChunks.push(chunkResult);
+        knownSpeakers = SpeakerLabels.collect(knownSpeakers, chunkResult.speakers);
         
         // Small delay between chunks to respect rate limits
         if (i < chunks.length - 1) {
@@ -187,9 +231,13 @@ export class TranscriptProcessor {
 
   /**
    * Create the AI processing prompt
+   * @param {Array<string>} knownSpeakers - labels already given in earlier chunks of the same video
    */
-  createProcessingPrompt(transcript, aggressiveCleaning) {
+  createProcessingPrompt(transcript, aggressiveCleaning, knownSpeakers = []) {
     const cleaningLevel = aggressiveCleaning ? 'AGGRESSIVE' : 'MODERATE';
+    const turns = SpeakerLabels.countTurns(transcript);
+    const speakersSoFar = knownSpeakers.length > 0 ?
+      `\nSPEAKERS LABELLED EARLIER IN THIS VIDEO: ${knownSpeakers.map(label => `"${label}"`).join(', ')} - reuse these exact labels for the same people\n` : '';
     
     return `You are an expert transcript processor. Your task is to clean, segment, and optimize this video transcript for fact-checking analysis.
 
@@ -223,6 +271,12 @@ TASKS TO PERFORM:
    - Remove casual conversation and off-topic tangents
    - Maintain context necessary for understanding claims
 
+5. SPEAKER ATTRIBUTION:
+   - ">>" marks where a new person starts speaking (${turns > 0 ? `${turns} changes in this transcript` : 'none in this transcript'}); "NAME:" prefixes name the speaker
+   - Label each speaker by name when the transcript gives it (introductions, "thanks, Sarah", self-references), otherwise by role ("Host", "Guest", "Narrator", "Caller"), otherwise "Speaker 1", "Speaker 2"
+   - Use one label per person throughout; a single-narrator video has one speaker
+   - Give every segment and every claim the label of who says it; start a new segment when the speaker changes
+${speakersSoFar}
 TRANSCRIPT TO PROCESS:
 "${transcript}"
 
@@ -237,7 +291,8 @@ REQUIRED OUTPUT FORMAT (JSON ONLY):
       "content": "segment content",
       "priority": "high|medium|low",
       "claimDensity": "density score 1-10",
-      "keywords": ["key", "terms", "mentioned"]
+      "keywords": ["key", "terms", "mentioned"],
+      "speaker": "label of who says it"
     }
   ],
   "factualClaims": [
@@ -246,9 +301,11 @@ REQUIRED OUTPUT FORMAT (JSON ONLY):
       "context": "surrounding context",
       "type": "statistical|temporal|geographical|scientific|other",
       "confidence": "how clear/specific the claim is (1-10)",
-      "segment": "segment_id where found"
+      "segment": "segment_id where found",
+      "speaker": "label of who makes the claim"
     }
   ],
+  "speakers": ["every speaker label, in order of first appearance"],
   "metadata": {
     "originalLength": ${transcript.length},
     "processedLength": "length after processing",
@@ -263,6 +320,8 @@ CRITICAL REQUIREMENTS:
 - Output ONLY valid JSON - no additional text
 - Preserve ALL important factual information
 - Fix transcription errors intelligently based on context
+- Keep the transcript's own language - do not translate the transcript, segments or claims
+- Never invent a speaker's name the transcript doesn't support - use a role or "Speaker N" instead
 - Ensure processed transcript flows naturally and is readable
 - Each factual claim must be specific and verifiable
 - Maintain enough context for claims to be understood
@@ -321,7 +380,8 @@ CRITICAL REQUIREMENTS:
         content: String(segment.content).trim(),
         priority: segment.priority || 'medium',
         claimDensity: Math.max(1, Math.min(10, parseInt(segment.claimDensity) || 5)),
-        keywords: Array.isArray(segment.keywords) ? segment.keywords : []
+        keywords: Array.isArray(segment.keywords) ? segment.keywords : [],
+        speaker: SpeakerLabels.normalize(segment.speaker)
       }));
 
     // Validate factual claims
@@ -332,9 +392,17 @@ CRITICAL REQUIREMENTS:
         context: String(claim.context || '').trim(),
         type: claim.type || 'other',
         confidence: Math.max(1, Math.min(10, parseInt(claim.confidence) || 5)),
-        segment: claim.segment || 1
+        segment: claim.segment || 1,
+        speaker: SpeakerLabels.normalize(claim.speaker)
       }));
 
+    // Listed speakers first (they are in order of appearance), then any only named on a segment or claim
+    enhanced.speakers = SpeakerLabels.collect(
+      Array.isArray(parsed.speakers) ? parsed.speakers : [],
+      enhanced.segments,
+      enhanced.factualClaims
+    );
+
     // Enhance metadata
     enhanced.metadata = {
       originalLength: parseInt(enhanced.metadata.originalLength) || 0,
@@ -381,6 +449,7 @@ CRITICAL REQUIREMENTS:
       processedTranscript: '',
       segments: [],
       factualClaims: [],
+      speakers: [],
       metadata: {
         originalLength: 0,
         processedLength: 0,
@@ -409,6 +478,7 @@ CRITICAL REQUIREMENTS:
       chunk.factualClaims.forEach(claim => {
         merged.factualClaims.push(claim);
       });
+      merged.speakers = SpeakerLabels.collect(merged.speakers, chunk.speakers || []);
       
       // Merge metadata
       merged.metadata.originalLength += chunk.metadata.originalLength || 0;
@@ -442,6 +512,11 @@ CRITICAL REQUIREMENTS:
       return (b.claimDensity || 5) - (a.claimDensity || 5);
     });
     
+    // Chunks (and a single pass over a repetitive talk) restate the same claim in new words
+    const claimCount = processedData.factualClaims.length;
+    processedData.factualClaims = ClaimClusterer.mergeClaims(processedData.factualClaims);
+    processedData.metadata.duplicateClaimsMerged = claimCount - processedData.factualClaims.length;
+
     // Sort factual claims by confidence
     processedData.factualClaims.sort((a, b) => (b.confidence || 5) - (a.confidence || 5));
     
@@ -470,9 +545,11 @@ CRITICAL REQUIREMENTS:
         content: cleaned,
         priority: 'medium',
         claimDensity: 5,
-        keywords: []
+        keywords: [],
+        speaker: null
       }],
       factualClaims: [],
+      speakers: [],
       metadata: {
         originalLength: rawTranscript.length,
         processedLength: cleaned.length,
@@ -502,9 +579,11 @@ CRITICAL REQUIREMENTS:
         content: cleaned,
         priority: 'medium',
         claimDensity: 5,
-        keywords: []
+        keywords: [],
+        speaker: null
       }],
       factualClaims: [],
+      speakers: [],
       metadata: {
         originalLength: chunk.length,
         processedLength: cleaned.length,
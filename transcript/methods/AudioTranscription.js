@@ -0,0 +1,185 @@
+// AudioTranscription.js - Last-resort transcript from the video's own audio
+// Plays the video from the start while the background records the tab (offscreen.js) and the user's speech-to-text endpoint transcribes it
+
+import { Constants } from '../../utils/Constants.js';
+import { DOMUtils } from '../../utils/DOMUtils.js';
+import { TimedTranscript } from '../utils/TimedTranscript.js';
+
+export class AudioTranscription {
+  constructor() {
+    this.name = 'AudioTranscription';
+  }
+
+  /**
+   * Only tried when the caller passes `audioTranscription` (turned on in the settings) - it plays the whole video
+   */
+  isAvailable(options = {}) {
+    return Boolean(options.audioTranscription);
+  }
+
+  // Recording runs in real time: the video's length plus time to transcribe the last chunks
+  getTimeout() {
+    const duration = DOMUtils.getActiveVideo()?.duration;
+    return (Number.isFinite(duration) ? duration * 1000 : 0) + Constants.AUDIO_TRANSCRIPTION.FINISH_TIMEOUT_MS * 2;
+  }
+
+  /**
+   * @param {string} videoId
+   * @param {{audioTranscription: {onProgress?: Function}}} options - onProgress({ stage: 'recording'|'finishing',
+   *   recordedSeconds, duration, transcribedChunks, failedChunks })
+   * @returns {Promise<TimedTranscript>}
+   */
+  async extract(videoId, options = {}) {
+    const { CHUNK_SECONDS, MAX_VIDEO_SECONDS, FINISH_TIMEOUT_MS } = Constants.AUDIO_TRANSCRIPTION;
+    const onProgress = options.audioTranscription?.onProgress || null;
+    const video = DOMUtils.getActiveVideo();
+    const duration = video?.duration;
+
+    if (!video || !Number.isFinite(duration) || duration <= 0) {
+      throw new Error('No video to record');
+    }
+    if (duration > MAX_VIDEO_SECONDS) {
+      throw new Error(`Videos longer than ${TimedTranscript.formatTimestamp(MAX_VIDEO_SECONDS)} aren't transcribed from audio`);
+    }
+
+    console.log(`🎙️ Transcribing audio for video ${videoId} (${TimedTranscript.formatTimestamp(duration)})`);
+
+    const chunks = new Map(); // index -> { startTime, segments?, error? }
+    let totalChunks = null; // Known once the recording is done
+    let language = null;
+    let resolveFinished;
+    const finished = new Promise(resolve => {
+      resolveFinished = resolve;
+    });
+
+    const getChunk = (index) => {
+      if (!chunks.has(index)) chunks.set(index, { startTime: index * CHUNK_SECONDS });
+      return chunks.get(index);
+    };
+    const countChunks = (key) => [...chunks.values()].filter(chunk => chunk[key]).length;
+    const report = (stage) => {
+      if (onProgress) {
+        onProgress({
+          stage,
+          recordedSeconds: Math.min(video.currentTime, duration),
+          duration,
+          transcribedChunks: countChunks('segments'),
+          failedChunks: countChunks('error')
+        });
+      }
+    };
+
+    const listener = (message) => {
+      if (message?.type !== Constants.MESSAGE_TYPES.AUDIO_CAPTURE_EVENT) return;
+
+      const { event } = message;
+      switch (event.kind) {
+        case 'chunkStarted':
+          // Segment times are relative to the chunk, which began wherever playback was
+          getChunk(event.index).startTime = video.currentTime;
+          break;
+        case 'chunkTranscribed':
+          getChunk(event.index).segments = event.segments || [];
+          language = language || AudioTranscription.getLanguageCode(event.language);
+          break;
+        case 'chunkFailed':
+          getChunk(event.index).error = event.error || 'Unknown error';
+          break;
+        case 'done':
+          totalChunks = event.chunks;
+          break;
+      }
+
+      if (totalChunks !== null && countChunks('segments') + countChunks('error') >= totalChunks) {
+        resolveFinished();
+      }
+    };
+
+    chrome.runtime.onMessage.addListener(listener);
+    let recording = false;
+
+    try {
+      // Start from the beginning so the first chunk lines up with 0:00
+      video.pause();
+      video.currentTime = 0;
+
+      const response = await chrome.runtime.sendMessage({ type: Constants.MESSAGE_TYPES.START_AUDIO_CAPTURE });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Could not start recording the video\'s audio');
+      }
+      recording = true;
+
+      await video.play();
+      await this.waitForPlayback(video, videoId, duration, () => report('recording'));
+
+      recording = false;
+      await chrome.runtime.sendMessage({ type: Constants.MESSAGE_TYPES.STOP_AUDIO_CAPTURE });
+      report('finishing');
+
+      let timer;
+      await Promise.race([
+        finished,
+        new Promise(resolve => {
+          timer = setTimeout(resolve, FINISH_TIMEOUT_MS);
+        })
+      ]);
+      clearTimeout(timer);
+    } finally {
+      if (recording) {
+        chrome.runtime.sendMessage({ type: Constants.MESSAGE_TYPES.STOP_AUDIO_CAPTURE }).catch(() => {});
+      }
+      chrome.runtime.onMessage.removeListener(listener);
+    }
+
+    const cues = [...chunks.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .flatMap(([, chunk]) => (chunk.segments || []).map(segment => ({
+        start: chunk.startTime + segment.start,
+        duration: Math.max(0, segment.end - segment.start),
+        text: segment.text
+      })));
+
+    if (cues.length === 0) {
+      const failed = [...chunks.values()].find(chunk => chunk.error);
+      throw new Error(failed ? `Speech-to-text failed: ${failed.error}` : 'No speech was recognized in the audio');
+    }
+
+    console.log(`✅ Audio transcribed: ${cues.length} segments from ${chunks.size} chunks`);
+    return new TimedTranscript(cues, null, { languageCode: language, name: 'Transcribed audio', kind: 'asr', translatedTo: null });
+  }
+
+  /**
+   * Resolves when playback reaches the end; rejects if the user leaves the video
+   */
+  waitForPlayback(video, videoId, duration, onTick) {
+    return new Promise((resolve, reject) => {
+      const finish = (error = null) => {
+        clearInterval(timer);
+        video.removeEventListener('ended', onEnded);
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+      const onEnded = () => finish();
+
+      const timer = setInterval(() => {
+        if (DOMUtils.getPageVideoId() !== videoId) {
+          finish(new Error('Audio transcription stopped: the video was changed'));
+        } else if (video.currentTime >= duration - 0.25) {
+          finish();
+        } else {
+          onTick();
+        }
+      }, 1000);
+
+      video.addEventListener('ended', onEnded);
+    });
+  }
+
+  // whisper.cpp reports "en", OpenAI-style endpoints "english" - only codes are kept
+  static getLanguageCode(language) {
+    return typeof language === 'string' && /^[a-z]{2,3}(-[A-Za-z]{2,4})?$/.test(language) ? language : null;
+  }
+}
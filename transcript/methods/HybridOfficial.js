@@ -3,6 +3,8 @@
 // Conditional logging for production performance
 
 import { Constants } from '../../utils/Constants.js';
+import { CaptionTracks } from '../utils/CaptionTracks.js';
+import { TimedTranscript } from '../utils/TimedTranscript.js';
 
 export class HybridOfficial {
   constructor() {
@@ -14,7 +16,11 @@ export class HybridOfficial {
     this.setupAuth();
   }
 
-  async extract(videoId) {
+  /**
+   * @param {string} videoId
+   * @param {{language?: string, track?: {languageCode: string, kind?: string, translateTo?: string}}} options
+   */
+  async extract(videoId, options = {}) {
     if (Constants.DEBUG.ENABLED) {
       console.log(`🌟 Starting Hybrid Official extraction for video: ${videoId}`);
     }
@@ -27,7 +33,7 @@ export class HybridOfficial {
             console.log('🔑 Attempting official YouTube Data API...');
           }
           
-          const officialResult = await this.extractViaOfficial(videoId);
+          const officialResult = await this.extractViaOfficial(videoId, options);
           if (this.isValidTranscript(officialResult)) {
             if (Constants.DEBUG.ENABLED) {
               console.log(`✅ SUCCESS via Official API, length: ${officialResult.length}`);
@@ -48,7 +54,7 @@ export class HybridOfficial {
             console.log('🔄 Fallback to Innertube API...');
           }
           
-          const innertubeResult = await this.extractViaInnertube(videoId);
+          const innertubeResult = await this.extractViaInnertube(videoId, options);
           this.rateLimiter.recordRequest();
           
           if (this.isValidTranscript(innertubeResult)) {
@@ -113,7 +119,7 @@ export class HybridOfficial {
     return (this.authToken || this.apiKey) && this.rateLimiter.canMakeRequest();
   }
 
-  async extractViaOfficial(videoId) {
+  async extractViaOfficial(videoId, options = {}) {
     const headers = {};
     let apiUrl;
 
@@ -139,12 +145,15 @@ export class HybridOfficial {
     }
     
     // Find best caption track
-    const targetCaption = this.selectBestCaptionTrack(captionsData.items);
+    const targetCaption = this.selectBestCaptionTrack(captionsData.items, options.track, options.language);
+    const trackInfo = CaptionTracks.fromDataAPI(targetCaption);
+    const translateTo = CaptionTracks.translationTarget(trackInfo, options.track?.translateTo);
+    const tlang = translateTo ? `&tlang=${encodeURIComponent(translateTo)}` : '';
     
     // Download caption content
     const downloadUrl = this.authToken 
-      ? `https://www.googleapis.com/youtube/v3/captions/${targetCaption.id}?tfmt=srv3`
-      : `https://www.googleapis.com/youtube/v3/captions/${targetCaption.id}?tfmt=srv3&key=${this.apiKey}`;
+      ? `https://www.googleapis.com/youtube/v3/captions/${targetCaption.id}?tfmt=srv3${tlang}`
+      : `https://www.googleapis.com/youtube/v3/captions/${targetCaption.id}?tfmt=srv3${tlang}&key=${this.apiKey}`;
     
     const downloadResponse = await fetch(downloadUrl, { headers });
     
@@ -153,10 +162,12 @@ export class HybridOfficial {
     }
     
     const captionXml = await downloadResponse.text();
-    return this.parseOfficialFormat(captionXml);
+    const timedTranscript = this.parseOfficialFormat(captionXml);
+    timedTranscript.track = CaptionTracks.used(trackInfo, translateTo);
+    return timedTranscript;
   }
 
-  async extractViaInnertube(videoId) {
+  async extractViaInnertube(videoId, options = {}) {
     if (Constants.DEBUG.ENABLED) {
       console.log('🔧 Using Innertube API with Android client impersonation...');
     }
@@ -201,11 +212,13 @@ export class HybridOfficial {
       throw new Error('No captions found via Innertube API');
     }
     
-    // Priority: manual transcripts over auto-generated, English preferred
-    const targetTrack = this.selectBestInnertubeTrack(tracks);
+    const targetTrack = this.selectBestInnertubeTrack(tracks, options.track, options.language);
+    const trackInfo = CaptionTracks.fromInnertube(targetTrack);
+    const translateTo = CaptionTracks.translationTarget(trackInfo, options.track?.translateTo);
     
-    // Step 4: Fetch complete transcript data
-    const transcriptUrl = targetTrack.baseUrl.replace(/&fmt=\w+$/, '') + '&fmt=json3';
+    // Step 4: Fetch complete transcript data (translated by YouTube when asked)
+    const transcriptUrl = targetTrack.baseUrl.replace(/&fmt=\w+$/, '') + '&fmt=json3' +
+      (translateTo ? `&tlang=${encodeURIComponent(translateTo)}` : '');
     
     const transcriptResponse = await fetch(transcriptUrl, {
       headers: Constants.DEFAULT_HEADERS
@@ -218,7 +231,9 @@ export class HybridOfficial {
     const transcriptData = await transcriptResponse.json();
     
     // Step 5: Parse and format transcript
-    return this.parseInnertubeFormat(transcriptData);
+    const timedTranscript = this.parseInnertubeFormat(transcriptData);
+    timedTranscript.track = CaptionTracks.used(trackInfo, translateTo);
+    return timedTranscript;
   }
 
   async extractAPIKeyFromPage() {
@@ -246,40 +261,13 @@ export class HybridOfficial {
     }
   }
 
-  selectBestCaptionTrack(tracks) {
-    // Priority: manual transcripts over auto-generated, English preferred
-    let bestTrack = tracks.find(t => 
-      t.snippet.language === Constants.LANGUAGE_CODES.ENGLISH && 
-      t.snippet.trackKind !== 'ASR'
-    );
-    
-    if (!bestTrack) {
-      bestTrack = tracks.find(t => t.snippet.language === Constants.LANGUAGE_CODES.ENGLISH);
-    }
-    
-    if (!bestTrack) {
-      bestTrack = tracks.find(t => t.snippet.trackKind !== 'ASR');
-    }
-    
-    return bestTrack || tracks[0];
+  // Priority: the track picked in the sidebar, then manual over auto-generated in the user's language, then English
+  selectBestCaptionTrack(tracks, preference = null, language = null) {
+    return CaptionTracks.select(tracks, CaptionTracks.fromDataAPI, preference, [language, Constants.LANGUAGE_CODES.ENGLISH]);
   }
 
-  selectBestInnertubeTrack(tracks) {
-    // Priority: manual transcripts over auto-generated, English preferred
-    let bestTrack = tracks.find(t => 
-      t.languageCode === Constants.LANGUAGE_CODES.ENGLISH && 
-      t.kind !== 'asr'
-    );
-    
-    if (!bestTrack) {
-      bestTrack = tracks.find(t => t.languageCode === Constants.LANGUAGE_CODES.ENGLISH);
-    }
-    
-    if (!bestTrack) {
-      bestTrack = tracks.find(t => t.kind !== 'asr');
-    }
-    
-    return bestTrack || tracks[0];
+  selectBestInnertubeTrack(tracks, preference = null, language = null) {
+    return CaptionTracks.select(tracks, CaptionTracks.fromInnertube, preference, [language, Constants.LANGUAGE_CODES.ENGLISH]);
   }
 
   parseOfficialFormat(xmlContent) {
@@ -293,30 +281,14 @@ export class HybridOfficial {
         throw new Error('XML parsing failed');
       }
       
-      const texts = xmlDoc.querySelectorAll('text');
-      
-      const transcriptParts = Array.from(texts)
-        .map(text => {
-          const content = text.textContent?.trim() || '';
-          return content
-            .replace(/&amp;/g, '&')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&quot;/g, '"')
-            .replace(/&#39;/g, "'");
-        })
-        .filter(text => text && text.length > 0);
-      
-      const fullTranscript = transcriptParts
-        .join(' ')
-        .replace(/\s+/g, ' ')
-        .trim();
+      // Keep each element's start/dur (or srv3 t/d) as a cue
+      const timedTranscript = TimedTranscript.fromXML(xmlDoc);
       
       if (Constants.DEBUG.ENABLED) {
-        console.log(`📄 Parsed official format: ${transcriptParts.length} segments, ${fullTranscript.length} chars`);
+        console.log(`📄 Parsed official format: ${timedTranscript.cues.length} segments, ${timedTranscript.length} chars`);
       }
       
-      return fullTranscript;
+      return timedTranscript;
     } catch (error) {
       if (Constants.DEBUG.ENABLED) {
         console.error('Error parsing official format:', error);
@@ -327,33 +299,13 @@ export class HybridOfficial {
 
   parseInnertubeFormat(transcriptData) {
     try {
-      const events = transcriptData.events || [];
-      
-      const transcriptParts = events
-        .filter(event => event.segs && event.segs.length > 0)
-        .map(event => {
-          const text = event.segs
-            .map(seg => seg.utf8 || '')
-            .join('')
-            .trim();
-          
-          return text
-            .replace(/\n/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-        })
-        .filter(text => text && text.length > 0);
-      
-      const fullTranscript = transcriptParts
-        .join(' ')
-        .replace(/\s+/g, ' ')
-        .trim();
+      const timedTranscript = TimedTranscript.fromJSON3(transcriptData);
       
       if (Constants.DEBUG.ENABLED) {
-        console.log(`📄 Parsed Innertube format: ${transcriptParts.length} segments, ${fullTranscript.length} chars`);
+        console.log(`📄 Parsed Innertube format: ${timedTranscript.cues.length} segments, ${timedTranscript.length} chars`);
       }
       
-      return fullTranscript;
+      return timedTranscript;
     } catch (error) {
       if (Constants.DEBUG.ENABLED) {
         console.error('Error parsing Innertube format:', error);
@@ -363,9 +315,8 @@ export class HybridOfficial {
   }
 
   isValidTranscript(transcript) {
-    return transcript && 
-           typeof transcript === 'string' && 
-           transcript.trim().length >= Constants.MIN_TRANSCRIPT_LENGTH;
+    return transcript instanceof TimedTranscript && 
+           transcript.length >= Constants.MIN_TRANSCRIPT_LENGTH;
   }
 
   // Get method statistics (for debugging)
@@ -3,6 +3,8 @@
 // Bypasses many restrictions while maintaining compatibility
 
 import { Constants } from '../../utils/Constants.js';
+import { CaptionTracks } from '../utils/CaptionTracks.js';
+import { TimedTranscript } from '../utils/TimedTranscript.js';
 
 export class InnertubeAPI {
   constructor() {
@@ -13,12 +15,16 @@ export class InnertubeAPI {
     this.retryCount = 0;
   }
 
-  async extract(videoId) {
+  /**
+   * @param {string} videoId
+   * @param {{language?: string, track?: {languageCode: string, kind?: string, translateTo?: string}}} options
+   */
+  async extract(videoId, options = {}) {
     console.log(`🤖 Starting Innertube API extraction for video: ${videoId}`);
     
     try {
       // Check cache first (5-minute cache for API responses)
-      const cacheKey = `innertube_${videoId}`;
+      const cacheKey = `innertube_${videoId}_${options.language || 'en'}_${CaptionTracks.key(options.track)}`;
       const cached = this.cache.get(cacheKey);
       if (cached && Date.now() - cached.timestamp < 300000) {
         console.log('📦 Using cached Innertube response');
@@ -32,7 +38,7 @@ export class InnertubeAPI {
       }
 
       // Extract transcript with retry logic
-      const transcript = await this.extractWithRetry(videoId, Constants.RETRY.MAX_ATTEMPTS);
+      const transcript = await this.extractWithRetry(videoId, Constants.RETRY.MAX_ATTEMPTS, options);
       
       // Cache successful result
       if (this.isValidTranscript(transcript)) {
@@ -56,7 +62,7 @@ export class InnertubeAPI {
     }
   }
 
-  async extractWithRetry(videoId, maxRetries = 3) {
+  async extractWithRetry(videoId, maxRetries = 3, options = {}) {
     const retryableErrors = [
       'Network Error', 
       'Quota Exceeded', 
@@ -82,7 +88,7 @@ export class InnertubeAPI {
           await new Promise(resolve => setTimeout(resolve, delay));
         }
 
-        const result = await this.extractViaInnertube(videoId);
+        const result = await this.extractViaInnertube(videoId, options);
         this.retryCount = 0; // Reset retry count on success
         return result;
 
@@ -101,34 +107,25 @@ export class InnertubeAPI {
     }
   }
 
-  async extractViaInnertube(videoId) {
-    // Step 1: Extract API key from page
-    const apiKey = await this.extractAPIKeyFromPage();
-    if (!apiKey) {
-      throw new Error('INNERTUBE_API_KEY not found in page');
-    }
-
-    // Step 2: Prepare Android client context with enhanced anti-detection
-    const clientContext = this.buildAndroidClientContext();
-    
-    // Step 3: Call Innertube player endpoint
-    const playerResponse = await this.callInnertubePlayer(apiKey, videoId, clientContext);
-    
-    // Step 4: Extract and validate caption tracks
-    const captionTracks = this.extractCaptionTracks(playerResponse);
+  async extractViaInnertube(videoId, options = {}) {
+    // Steps 1-4: API key, Android client context, player endpoint, caption tracks
+    const captionTracks = await this.fetchCaptionTracks(videoId);
     if (!captionTracks || captionTracks.length === 0) {
       throw new Error('No caption tracks found in player response');
     }
 
     // Step 5: Select best caption track
-    const selectedTrack = this.selectOptimalTrack(captionTracks);
-    console.log(`📝 Selected track: ${selectedTrack.name?.simpleText || 'Unknown'} (${selectedTrack.languageCode})`);
+    const selectedTrack = this.selectOptimalTrack(captionTracks, options.track, options.language);
+    const trackInfo = CaptionTracks.fromInnertube(selectedTrack);
+    const translateTo = CaptionTracks.translationTarget(trackInfo, options.track?.translateTo);
+    console.log(`📝 Selected track: ${trackInfo.name} (${trackInfo.languageCode})${translateTo ? ` → ${translateTo}` : ''}`);
 
     // Step 6: Fetch transcript data
-    const transcriptData = await this.fetchTranscriptData(selectedTrack);
+    const transcriptData = await this.fetchTranscriptData(selectedTrack, translateTo);
     
     // Step 7: Parse and format
     const formattedTranscript = this.parseAndFormatTranscript(transcriptData);
+    formattedTranscript.track = CaptionTracks.used(trackInfo, translateTo);
     
     // Record successful request for rate limiting
     this.rateLimiter.recordRequest();
@@ -136,6 +133,26 @@ export class InnertubeAPI {
     return formattedTranscript;
   }
 
+  /**
+   * Caption tracks the video offers, for the sidebar's track picker
+   * @returns {Promise<Array<{languageCode: string, name: string, kind: string, translatable: boolean}>>}
+   */
+  async listTracks(videoId) {
+    const captionTracks = await this.fetchCaptionTracks(videoId);
+    return (captionTracks || []).map(CaptionTracks.fromInnertube);
+  }
+
+  async fetchCaptionTracks(videoId) {
+    const apiKey = await this.extractAPIKeyFromPage();
+    if (!apiKey) {
+      throw new Error('INNERTUBE_API_KEY not found in page');
+    }
+
+    const clientContext = this.buildAndroidClientContext();
+    const playerResponse = await this.callInnertubePlayer(apiKey, videoId, clientContext);
+    return this.extractCaptionTracks(playerResponse);
+  }
+
   async extractAPIKeyFromPage() {
     try {
       // Method 1: Extract from current page
@@ -285,54 +302,22 @@ export class InnertubeAPI {
     }
   }
 
-  selectOptimalTrack(tracks) {
-    // Priority algorithm:
-    // 1. Manual English transcripts
-    // 2. Auto-generated English transcripts  
-    // 3. Manual transcripts in any language
-    // 4. Any available transcript
-
-    const englishCodes = [Constants.LANGUAGE_CODES.ENGLISH, Constants.LANGUAGE_CODES.ENGLISH_US, Constants.LANGUAGE_CODES.ENGLISH_UK];
-    
-    // Priority 1: Manual English
-    for (const langCode of englishCodes) {
-      const manualEnglish = tracks.find(track => 
-        track.languageCode === langCode && 
-        (!track.kind || track.kind !== 'asr')
-      );
-      if (manualEnglish) {
-        console.log('🎯 Selected: Manual English transcript');
-        return manualEnglish;
-      }
-    }
-
-    // Priority 2: Auto-generated English
-    for (const langCode of englishCodes) {
-      const autoEnglish = tracks.find(track => 
-        track.languageCode === langCode && 
-        track.kind === 'asr'
-      );
-      if (autoEnglish) {
-        console.log('🎯 Selected: Auto-generated English transcript');
-        return autoEnglish;
-      }
-    }
-
-    // Priority 3: Manual non-English
-    const manualOther = tracks.find(track => 
-      !track.kind || track.kind !== 'asr'
+  selectOptimalTrack(tracks, preference = null, language = null) {
+    // Priority: the track picked in the sidebar, then manual before auto-generated
+    // in the user's language and in English, then any manual track, then the first
+    const selected = CaptionTracks.select(
+      tracks,
+      CaptionTracks.fromInnertube,
+      preference,
+      [language, Constants.LANGUAGE_CODES.ENGLISH]
     );
-    if (manualOther) {
-      console.log(`🎯 Selected: Manual transcript (${manualOther.languageCode})`);
-      return manualOther;
-    }
 
-    // Priority 4: Any available
-    console.log(`🎯 Selected: First available transcript (${tracks[0].languageCode})`);
-    return tracks[0];
+    const info = CaptionTracks.fromInnertube(selected);
+    console.log(`🎯 Selected: ${info.kind === 'asr' ? 'Auto-generated' : 'Manual'} transcript (${info.languageCode})`);
+    return selected;
   }
 
-  async fetchTranscriptData(track) {
+  async fetchTranscriptData(track, translateTo = null) {
     try {
       // Prepare transcript URL with JSON3 format for best parsing
       let transcriptUrl = track.baseUrl;
@@ -341,6 +326,11 @@ export class InnertubeAPI {
       transcriptUrl = transcriptUrl.replace(/[&?]fmt=\w+/, '');
       transcriptUrl += transcriptUrl.includes('?') ? '&fmt=json3' : '?fmt=json3';
 
+      // YouTube machine-translates the track server-side, keeping its cue timing
+      if (translateTo) {
+        transcriptUrl = transcriptUrl.replace(/[&?]tlang=[^&]*/, '') + `&tlang=${encodeURIComponent(translateTo)}`;
+      }
+
       console.log(`📥 Fetching transcript data: ${transcriptUrl.substring(0, 100)}...`);
 
       const response = await fetch(transcriptUrl, {
@@ -380,46 +370,16 @@ export class InnertubeAPI {
 
       console.log(`📊 Processing ${events.length} transcript events`);
 
-      const transcriptSegments = [];
-
-      for (const event of events) {
-        if (!event.segs || !Array.isArray(event.segs)) {
-          continue;
-        }
+      // Keep each event's tStartMs/dDurationMs as a cue
+      const timedTranscript = TimedTranscript.fromJSON3(transcriptData);
 
-        // Combine all segments in this event
-        const eventText = event.segs
-          .map(seg => seg.utf8 || '')
-          .join('')
-          .trim();
-
-        if (eventText && eventText.length > 0) {
-          // Clean up the text
-          const cleanedText = eventText
-            .replace(/\n+/g, ' ')           // Replace newlines with spaces
-            .replace(/\s+/g, ' ')           // Normalize whitespace
-            .replace(/[\u200B-\u200D\uFEFF]/g, '') // Remove zero-width characters
-            .trim();
-
-          if (cleanedText.length > 0) {
-            transcriptSegments.push(cleanedText);
-          }
-        }
-      }
-
-      if (transcriptSegments.length === 0) {
+      if (timedTranscript.cues.length === 0) {
         throw new Error('No valid transcript segments found');
       }
 
-      // Join all segments into full transcript
-      const fullTranscript = transcriptSegments
-        .join(' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-
-      console.log(`📝 Assembled transcript: ${transcriptSegments.length} segments → ${fullTranscript.length} characters`);
+      console.log(`📝 Assembled transcript: ${timedTranscript.cues.length} segments → ${timedTranscript.length} characters`);
 
-      return fullTranscript;
+      return timedTranscript;
     } catch (error) {
       console.error('Error parsing transcript:', error);
       throw new Error(`Failed to parse transcript: ${error.message}`);
@@ -427,10 +387,9 @@ export class InnertubeAPI {
   }
 
   isValidTranscript(transcript) {
-    return transcript && 
-           typeof transcript === 'string' && 
-           transcript.trim().length >= Constants.MIN_TRANSCRIPT_LENGTH &&
-           transcript.trim().length <= Constants.LIMITS.MAX_TRANSCRIPT_LENGTH;
+    return transcript instanceof TimedTranscript && 
+           transcript.length >= Constants.MIN_TRANSCRIPT_LENGTH &&
+           transcript.length <= Constants.LIMITS.MAX_TRANSCRIPT_LENGTH;
   }
 
   cleanCache() {
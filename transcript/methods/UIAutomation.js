@@ -1,11 +1,14 @@
 // UIAutomation.js - Hidden UI automation for transcript extraction
 // Automates clicking YouTube's transcript button (hidden from user)
 
+import { TimedTranscript } from '../utils/TimedTranscript.js';
+
 export class UIAutomation {
   constructor() {
     this.name = 'UIAutomation';
   }
 
+  // Reads whichever track the transcript panel opens with; sidebar track picks and translation don't apply
   async extract(videoId) {
     console.log('🎯 Starting Hidden UI Automation transcript extraction...');
     
@@ -253,7 +256,7 @@ export class UIAutomation {
       return null;
     }
     
-    const transcriptParts = [];
+    const cues = [];
     
     for (const segment of segments) {
       try {
@@ -275,31 +278,42 @@ export class UIAutomation {
           }
         }
         
+        // Segment start time from the panel's timestamp label
+        const timestampLabel = segment.querySelector('.segment-timestamp')?.textContent ||
+          (segment.textContent?.trim().match(/^\d+(?::\d+)+/) || [])[0];
+        const start = TimedTranscript.parseTimestamp(timestampLabel);
+        
         // Fallback: get text directly
         if (!text) {
           text = segment.textContent?.trim() || '';
-          text = text.replace(/^\d+:\d+\s*/, '').trim();
+          text = text.replace(/^\d+(?::\d+)+\s*/, '').trim();
         }
         
         if (text && text.length > 2) {
-          transcriptParts.push(text);
+          cues.push({ start, duration: 0, text });
         }
       } catch (error) {
         console.log('❌ Error processing segment:', error);
       }
     }
     
-    if (transcriptParts.length === 0) {
+    if (cues.length === 0) {
       console.log('❌ No text content found in segments');
       return null;
     }
     
-    const fullTranscript = transcriptParts
-      .join(' ')
-      .replace(/\s+/g, ' ')
-      .trim();
+    // Panel only shows start times - each cue runs until the next one starts
+    const timed = cues.every(cue => cue.start !== null);
+    cues.forEach((cue, index) => {
+      const next = cues[index + 1];
+      cue.duration = timed && next ? Math.max(0, next.start - cue.start) : 0;
+    });
+    
+    const fullTranscript = timed
+      ? new TimedTranscript(cues)
+      : TimedTranscript.fromText(cues.map(cue => cue.text).join(' '));
     
-    console.log(`✅ Assembled transcript from ${transcriptParts.length} segments, total length: ${fullTranscript.length}`);
+    console.log(`✅ Assembled transcript from ${cues.length} segments, total length: ${fullTranscript.length}`);
     
     return fullTranscript.length >= 50 ? fullTranscript : null;
   }
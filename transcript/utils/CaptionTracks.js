@@ -0,0 +1,114 @@
+// CaptionTracks.js - Caption track descriptions and selection shared by the extraction methods
+// Innertube (captionTracks) and the Data API (captions.list items) describe tracks differently; both are read into one shape
+
+import { Constants } from '../../utils/Constants.js';
+
+export class CaptionTracks {
+  /**
+   * Innertube player response track
+   * @returns {{languageCode: string, name: string, kind: 'manual'|'asr', translatable: boolean}}
+   */
+  static fromInnertube(track) {
+    const name = track?.name?.simpleText ||
+      (Array.isArray(track?.name?.runs) ? track.name.runs.map(run => run.text || '').join('') : '');
+
+    return {
+      languageCode: track?.languageCode || '',
+      name: name || track?.languageCode || 'Unknown',
+      kind: track?.kind === 'asr' ? 'asr' : 'manual',
+      translatable: Boolean(track?.isTranslatable)
+    };
+  }
+
+  /**
+   * YouTube Data API captions.list item (captions.download translates any track with `tlang`)
+   */
+  static fromDataAPI(item) {
+    const snippet = item?.snippet || {};
+
+    return {
+      languageCode: snippet.language || '',
+      name: snippet.name || snippet.language || 'Unknown',
+      kind: snippet.trackKind === 'ASR' ? 'asr' : 'manual',
+      translatable: true
+    };
+  }
+
+  /**
+   * Pick the track to transcribe: the user's choice when the video has it, then a manual track
+   * before an auto-generated one in each fallback language, then any manual track, then the first
+   * @param {Array<Object>} tracks - raw tracks
+   * @param {Function} describe - fromInnertube or fromDataAPI
+   * @param {{languageCode: string, kind?: string}|null} preference - track picked in the sidebar
+   * @param {Array<string>} languages - fallback languages, most wanted first
+   * @returns {Object} the raw track
+   */
+  static select(tracks, describe, preference = null, languages = [Constants.LANGUAGE_CODES.ENGLISH]) {
+    const described = tracks.map(track => ({ track, info: describe(track) }));
+    const find = predicate => described.find(({ info }) => predicate(info))?.track;
+
+    if (preference?.languageCode) {
+      const chosen = find(info => info.languageCode === preference.languageCode && (!preference.kind || info.kind === preference.kind)) ||
+        find(info => CaptionTracks.sameLanguage(info.languageCode, preference.languageCode));
+      if (chosen) return chosen;
+    }
+
+    for (const language of languages.filter(Boolean)) {
+      const match = find(info => CaptionTracks.sameLanguage(info.languageCode, language) && info.kind === 'manual') ||
+        find(info => CaptionTracks.sameLanguage(info.languageCode, language));
+      if (match) return match;
+    }
+
+    return find(info => info.kind === 'manual') || tracks[0];
+  }
+
+  /**
+   * Language to have YouTube translate the track into, or null when it is already in that language
+   * or can't be translated
+   */
+  static translationTarget(info, translateTo) {
+    if (!translateTo || !info.translatable || CaptionTracks.sameLanguage(info.languageCode, translateTo)) {
+      return null;
+    }
+    return translateTo;
+  }
+
+  /**
+   * What was transcribed, kept on the TimedTranscript as `track`
+   */
+  static used(info, translatedTo = null) {
+    return {
+      languageCode: info.languageCode,
+      name: info.name,
+      kind: info.kind,
+      translatedTo: translatedTo || null
+    };
+  }
+
+  // 'en' matches 'en-US' and 'en-GB'
+  static sameLanguage(a, b) {
+    if (!a || !b) return false;
+    return a.split('-')[0].toLowerCase() === b.split('-')[0].toLowerCase();
+  }
+
+  /**
+   * "Japanese" for 'ja', "Portuguese (Brazil)" for 'pt-BR'; the code itself when the browser can't name it
+   */
+  static languageName(code) {
+    if (!code) return 'Unknown';
+
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  }
+
+  /**
+   * Cache key part for a track preference ('auto' when none)
+   */
+  static key(preference) {
+    if (!preference?.languageCode && !preference?.translateTo) return 'auto';
+    return [preference.languageCode || 'auto', preference.kind || 'any', preference.translateTo || 'orig'].join('.');
+  }
+}
@@ -1,5 +1,8 @@
 // Parser.js - Utility functions for parsing transcript data
 // Handles different transcript formats (JSON3, XML, plain text)
+// All parsers return a TimedTranscript (untimed for plain text)
+
+import { TimedTranscript } from './TimedTranscript.js';
 
 export class Parser {
   static parseTranscriptData(data) {
@@ -36,15 +39,9 @@ export class Parser {
     try {
       const jsonData = JSON.parse(data);
       
-      // Handle JSON3 events format
+      // Handle JSON3 events format (keeps tStartMs/dDurationMs per event)
       if (jsonData.events) {
-        const transcript = jsonData.events
-          .filter(event => event.segs)
-          .map(event => event.segs.map(seg => seg.utf8).join(' '))
-          .join(' ')
-          .replace(/[\u200B-\u200D\uFEFF]/g, '') // Remove zero-width chars
-          .replace(/\s+/g, ' ')
-          .trim();
+        const transcript = TimedTranscript.fromJSON3(jsonData);
         
         if (transcript.length > 50) {
           console.log(`✅ Parsed JSON3 format, length: ${transcript.length}`);
@@ -54,12 +51,11 @@ export class Parser {
       
       // Handle array format
       if (Array.isArray(jsonData)) {
-        const transcript = jsonData
-          .map(item => item.text || item.utf8 || '')
-          .filter(text => text.trim())
-          .join(' ')
-          .replace(/\s+/g, ' ')
-          .trim();
+        const transcript = new TimedTranscript(jsonData.map(item => ({
+          start: item.start ?? (item.tStartMs || 0) / 1000,
+          duration: item.duration ?? (item.dDurationMs || 0) / 1000,
+          text: item.text || item.utf8 || ''
+        })));
         
         if (transcript.length > 50) {
           console.log(`✅ Parsed JSON array format, length: ${transcript.length}`);
@@ -85,21 +81,14 @@ export class Parser {
         return null;
       }
       
-      const textElements = xmlDoc.querySelectorAll('text');
+      const textElements = xmlDoc.querySelectorAll('text, p');
       if (textElements.length > 0) {
-        const transcript = Array.from(textElements)
-          .map(element => element.textContent || '')
-          .filter(text => text.trim())
-          .join(' ')
-          .replace(/&amp;/g, '&')
-          .replace(/&lt;/g, '<')
-          .replace(/&gt;/g, '>')
-          .replace(/&quot;/g, '"')
-          .replace(/&#39;/g, "'")
-          .replace(/\[Music\]/gi, '')
-          .replace(/\[Applause\]/gi, '')
-          .replace(/\s+/g, ' ')
-          .trim();
+        const transcript = new TimedTranscript(
+          TimedTranscript.fromXML(xmlDoc).cues.map(cue => ({
+            ...cue,
+            text: cue.text.replace(/\[Music\]/gi, '').replace(/\[Applause\]/gi, '')
+          }))
+        );
         
         if (transcript.length > 50) {
           console.log(`✅ Parsed XML format, length: ${transcript.length}`);
@@ -125,7 +114,7 @@ export class Parser {
         
         if (cleanText.length > 50) {
           console.log(`✅ Parsed plain text format, length: ${cleanText.length}`);
-          return cleanText;
+          return TimedTranscript.fromText(cleanText);
         }
       }
       
@@ -178,8 +167,9 @@ export class Parser {
   }
 
   static isValidTranscript(transcript) {
-    return transcript && 
-           typeof transcript === 'string' && 
-           transcript.trim().length >= 50;
+    const text = transcript instanceof TimedTranscript ? transcript.text : transcript;
+    return text && 
+           typeof text === 'string' && 
+           text.trim().length >= 50;
   }
 }
\ No newline at end of file
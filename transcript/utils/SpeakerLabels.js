@@ -0,0 +1,57 @@
+// SpeakerLabels.js - Who is speaking: labels on segments and claims, and the names users give them
+// Labels come from TranscriptProcessor (the model reads names, roles and `>>` turn markers); renames are kept by SpeakerStore
+
+import { Constants } from '../../utils/Constants.js';
+
+export class SpeakerLabels {
+  /**
+   * Trimmed label, or null for anything that doesn't name a speaker
+   */
+  static normalize(label) {
+    if (typeof label !== 'string') return null;
+
+    const cleaned = label.replace(/\s+/g, ' ').trim().substring(0, Constants.SPEAKERS.MAX_LABEL_LENGTH);
+    return /^(unknown|none|n\/a|null)?$/i.test(cleaned) ? null : cleaned;
+  }
+
+  /**
+   * Distinct labels in first-seen order
+   * @param {...Array<string|{speaker: string}>} lists - labels, or items carrying `speaker`
+   */
+  static collect(...lists) {
+    const labels = lists
+      .flat()
+      .map(item => SpeakerLabels.normalize(typeof item === 'string' ? item : item?.speaker))
+      .filter(Boolean);
+
+    return [...new Set(labels)].slice(0, Constants.SPEAKERS.MAX_SPEAKERS);
+  }
+
+  /**
+   * Speaker changes YouTube's captions mark with `>>`
+   */
+  static countTurns(text) {
+    return (String(text || '').match(/>>/g) || []).length;
+  }
+
+  /**
+   * Speaker of the segment being spoken at `time` (seconds), for claims that weren't pre-identified
+   * @param {Array<{speaker?: string, startTime?: number}>} segments
+   */
+  static atTime(segments = [], time) {
+    if (!Number.isFinite(time)) return null;
+
+    const spoken = segments
+      .filter(segment => segment.speaker && Number.isFinite(segment.startTime) && segment.startTime <= time)
+      .sort((a, b) => b.startTime - a.startTime);
+
+    return spoken.length > 0 ? spoken[0].speaker : null;
+  }
+
+  /**
+   * Name to show for a result: the user's rename, else the label
+   */
+  static displayName(result) {
+    return result?.speakerName || result?.speaker || null;
+  }
+}
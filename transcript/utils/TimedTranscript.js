@@ -0,0 +1,298 @@
+// TimedTranscript.js - Timed transcript model shared by all extraction methods
+// Keeps caption cues ({ start, duration, text } in seconds) alongside the flat text
+
+export class TimedTranscript {
+  // Words ignored when fuzzy-matching claims back to cues
+  static STOP_WORDS = new Set([
+    'the', 'and', 'that', 'this', 'with', 'for', 'are', 'was', 'were', 'has', 'have', 'had',
+    'but', 'not', 'you', 'they', 'their', 'from', 'its', 'our', 'what', 'which', 'who',
+    'will', 'would', 'can', 'could', 'about', 'into', 'than', 'then', 'there', 'been', 'also'
+  ]);
+
+  /**
+   * @param {Array<{start: number, duration: number, text: string}>} cues - Caption cues in playback order
+   * @param {string|null} text - Flat transcript text (joined from cues when omitted)
+   * @param {{languageCode: string, name: string, kind: string, translatedTo: string|null}|null} track - Caption track it came from
+   */
+  constructor(cues = [], text = null, track = null) {
+    this.cues = TimedTranscript.normalizeCues(cues);
+    this.track = track;
+    this.method = null; // Extraction method that produced it, set by TranscriptExtractor
+    this.text = typeof text === 'string'
+      ? text.replace(/\s+/g, ' ').trim()
+      : this.cues.map(cue => cue.text).join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  get length() {
+    return this.text.length;
+  }
+
+  hasTiming() {
+    return this.cues.length > 0;
+  }
+
+  /**
+   * Build from YouTube JSON3 caption data (events with tStartMs/dDurationMs)
+   */
+  static fromJSON3(transcriptData) {
+    const events = transcriptData?.events;
+    if (!Array.isArray(events)) {
+      return new TimedTranscript();
+    }
+
+    const cues = events
+      .filter(event => Array.isArray(event.segs) && event.segs.length > 0)
+      .map(event => ({
+        start: (Number(event.tStartMs) || 0) / 1000,
+        duration: (Number(event.dDurationMs) || 0) / 1000,
+        text: event.segs.map(seg => seg.utf8 || '').join('')
+      }));
+
+    return new TimedTranscript(cues);
+  }
+
+  /**
+   * Build from timedtext XML: legacy <text start dur> (seconds) or srv3 <p t d> (milliseconds)
+   */
+  static fromXML(xmlDoc) {
+    const legacy = Array.from(xmlDoc.querySelectorAll('text'));
+    if (legacy.length > 0) {
+      return new TimedTranscript(legacy.map(element => ({
+        start: parseFloat(element.getAttribute('start')) || 0,
+        duration: parseFloat(element.getAttribute('dur')) || 0,
+        text: element.textContent || ''
+      })));
+    }
+
+    const srv3 = Array.from(xmlDoc.querySelectorAll('p'));
+    return new TimedTranscript(srv3.map(element => ({
+      start: (parseFloat(element.getAttribute('t')) || 0) / 1000,
+      duration: (parseFloat(element.getAttribute('d')) || 0) / 1000,
+      text: element.textContent || ''
+    })));
+  }
+
+  /**
+   * Untimed transcript (plain text sources)
+   */
+  static fromText(text) {
+    return new TimedTranscript([], String(text || ''));
+  }
+
+  /**
+   * Revive a transcript that crossed a message boundary or came from cache
+   * @param {TimedTranscript|Object|string} value
+   */
+  static from(value) {
+    if (value instanceof TimedTranscript) return value;
+    if (typeof value === 'string') return TimedTranscript.fromText(value);
+    if (value && typeof value === 'object') {
+      const transcript = new TimedTranscript(value.cues || [], typeof value.text === 'string' ? value.text : null, value.track || null);
+      transcript.method = value.method || null;
+      return transcript;
+    }
+    return new TimedTranscript();
+  }
+
+  static normalizeCues(cues) {
+    if (!Array.isArray(cues)) return [];
+
+    return cues
+      .map(cue => ({
+        start: Math.max(0, Number(cue?.start) || 0),
+        duration: Math.max(0, Number(cue?.duration) || 0),
+        text: TimedTranscript.cleanCueText(cue?.text)
+      }))
+      .filter(cue => cue.text.length > 0)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  static cleanCueText(text) {
+    return String(text || '')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/[\u200B-\u200D\uFEFF]/g, '') // Remove zero-width chars
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Parse "h:mm:ss" / "m:ss" labels (UI transcript panel) into seconds
+   */
+  static parseTimestamp(label) {
+    const parts = String(label || '').trim().split(':').map(part => parseInt(part, 10));
+    if (parts.length < 2 || parts.some(part => isNaN(part))) return null;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+
+  /**
+   * Parse a typed time range such as "12:30 to 15:00" or "1:02:00 - 1:10:30"
+   * @returns {{start: number, end: number}|null} null unless both ends parse and end is after start
+   */
+  static parseRange(text) {
+    const parts = String(text || '').trim().split(/\s*(?:\bto\b|–|—|-)\s*/i);
+    if (parts.length !== 2) return null;
+
+    const start = TimedTranscript.parseTimestamp(parts[0]);
+    const end = TimedTranscript.parseTimestamp(parts[1]);
+    if (start === null || end === null || end <= start) return null;
+
+    return { start, end };
+  }
+
+  static formatRange(range) {
+    return `${TimedTranscript.formatTimestamp(range.start)}–${TimedTranscript.formatTimestamp(range.end)}`;
+  }
+
+  /**
+   * Format seconds as "m:ss" / "h:mm:ss", matching YouTube's own labels
+   */
+  static formatTimestamp(seconds) {
+    const total = Math.max(0, Math.floor(Number(seconds) || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+    return hours > 0
+      ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}`
+      : `${minutes}:${secs}`;
+  }
+
+  /**
+   * Cue playing at a given time (seconds)
+   */
+  cueAt(seconds) {
+    let match = null;
+    for (const cue of this.cues) {
+      if (cue.start > seconds) break;
+      match = cue;
+    }
+    return match;
+  }
+
+  /**
+   * Cues spoken within [start, end) seconds - a cue that overlaps either edge is kept whole
+   * @returns {TimedTranscript}
+   */
+  slice(start, end) {
+    const passage = new TimedTranscript(this.cues.filter(cue => TimedTranscript.overlaps(cue, start, end)), null, this.track);
+    passage.method = this.method;
+    return passage;
+  }
+
+  static overlaps(cue, start, end) {
+    return cue.start < end && (cue.start >= start || cue.start + cue.duration > start);
+  }
+
+  /**
+   * Find where a quoted passage was spoken by matching its words against the cue stream.
+   * Tries an exact word match first, then a fuzzy window match because TranscriptProcessor
+   * and the model rewrite claims (fillers removed, grammar fixed, paraphrased).
+   * @param {string} passage - Claim or quote text
+   * @param {number} minScore - Share of the passage's distinctive words that must appear (0-1)
+   * @returns {{start: number, end: number, score: number}|null}
+   */
+  locate(passage, minScore = 0.6) {
+    if (!this.hasTiming() || !passage) return null;
+
+    const words = TimedTranscript.tokenize(passage);
+    if (words.length === 0) return null;
+
+    return this.locateExact(words) || this.locateFuzzy(words, minScore);
+  }
+
+  locateExact(words) {
+    const { tokens, owners } = this.getWordIndex();
+    const probe = words.slice(0, Math.min(words.length, 6));
+
+    for (let i = 0; i <= tokens.length - probe.length; i++) {
+      if (probe.every((word, offset) => tokens[i + offset] === word)) {
+        return this.spanToLocation(owners[i], owners[Math.min(tokens.length - 1, i + words.length - 1)], 1);
+      }
+    }
+
+    return null;
+  }
+
+  locateFuzzy(words, minScore) {
+    const { tokens, owners } = this.getWordIndex();
+    const targets = new Set(words.filter(word => word.length > 2 && !TimedTranscript.STOP_WORDS.has(word)));
+    if (targets.size === 0 || tokens.length === 0) return null;
+
+    // Slide a window a bit wider than the passage and count distinct target words inside it
+    const windowSize = Math.max(targets.size, Math.ceil(words.length * 1.5));
+    const counts = new Map();
+    let hits = 0;
+    let best = { score: 0, start: -1 };
+
+    for (let i = 0; i < tokens.length; i++) {
+      const entering = tokens[i];
+      if (targets.has(entering)) {
+        counts.set(entering, (counts.get(entering) || 0) + 1);
+        if (counts.get(entering) === 1) hits++;
+      }
+
+      const leavingIndex = i - windowSize;
+      if (leavingIndex >= 0 && targets.has(tokens[leavingIndex])) {
+        const leaving = tokens[leavingIndex];
+        counts.set(leaving, counts.get(leaving) - 1);
+        if (counts.get(leaving) === 0) hits--;
+      }
+
+      const score = hits / targets.size;
+      if (score > best.score) {
+        best = { score, start: Math.max(0, i - windowSize + 1) };
+      }
+    }
+
+    if (best.score < minScore) return null;
+
+    // Trim the winning window to its first and last matching words
+    const windowEnd = Math.min(tokens.length, best.start + windowSize);
+    let first = best.start;
+    let last = windowEnd - 1;
+    while (first < last && !targets.has(tokens[first])) first++;
+    while (last > first && !targets.has(tokens[last])) last--;
+
+    return this.spanToLocation(owners[first], owners[last], best.score);
+  }
+
+  spanToLocation(firstCueIndex, lastCueIndex, score) {
+    const first = this.cues[firstCueIndex];
+    const last = this.cues[lastCueIndex];
+    return {
+      start: first.start,
+      end: last.start + last.duration,
+      score: Math.round(score * 100) / 100
+    };
+  }
+
+  getWordIndex() {
+    if (!this.wordIndex) {
+      const tokens = [];
+      const owners = [];
+      this.cues.forEach((cue, cueIndex) => {
+        TimedTranscript.tokenize(cue.text).forEach(token => {
+          tokens.push(token);
+          owners.push(cueIndex);
+        });
+      });
+      this.wordIndex = { tokens, owners };
+    }
+    return this.wordIndex;
+  }
+
+  static tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+  }
+
+  toJSON() {
+    return { text: this.text, cues: this.cues, track: this.track, method: this.method };
+  }
+}
@@ -0,0 +1,84 @@
+// TranscriptProvenance.js - Where a transcript came from and how far its text can be trusted
+// Attached to the processed data as `provenance` so reviewers can weigh verdicts by their source
+
+import { Constants } from '../../utils/Constants.js';
+import { CaptionTracks } from './CaptionTracks.js';
+
+export class TranscriptProvenance {
+  /**
+   * @param {TimedTranscript} transcript
+   * @param {number|null} videoDuration - seconds (the player's duration; unknown before metadata loads)
+   * @returns {{method: string|null, languageCode: string|null, trackName: string|null, kind: 'manual'|'asr'|null,
+   *   translatedTo: string|null, cueCount: number, timed: boolean, characters: number, coveredSeconds: number,
+   *   videoDuration: number|null, coverage: number|null, quality: 'high'|'medium'|'low', warnings: Array<string>}}
+   */
+  static describe(transcript, videoDuration = null) {
+    const track = transcript.track || null;
+    const duration = Number.isFinite(videoDuration) && videoDuration > 0 ? videoDuration : null;
+    const coveredSeconds = TranscriptProvenance.coveredSeconds(transcript.cues);
+    const coverage = duration && transcript.hasTiming() ? Math.min(1, coveredSeconds / duration) : null;
+
+    const record = {
+      method: transcript.method || null,
+      languageCode: track?.languageCode || null,
+      trackName: track?.name || null,
+      kind: track?.kind || null,
+      translatedTo: track?.translatedTo || null,
+      cueCount: transcript.cues.length,
+      timed: transcript.hasTiming(),
+      characters: transcript.length,
+      coveredSeconds: Math.round(coveredSeconds),
+      videoDuration: duration ? Math.round(duration) : null,
+      coverage: coverage === null ? null : Math.round(coverage * 100) / 100
+    };
+
+    const warnings = TranscriptProvenance.getWarnings(record);
+    return {
+      ...record,
+      quality: warnings.length === 0 ? 'high' : warnings.length === 1 ? 'medium' : 'low',
+      warnings
+    };
+  }
+
+  static getWarnings(record) {
+    const warnings = [];
+
+    if (record.kind === 'asr') {
+      warnings.push('Auto-generated by speech recognition: misheard words can turn into claims the speaker never made');
+    }
+    if (record.translatedTo) {
+      warnings.push(`Machine-translated from ${CaptionTracks.languageName(record.languageCode)}`);
+    }
+    if (!record.timed) {
+      warnings.push('No caption timings: claims can\'t be linked to moments in the video');
+    } else if (record.coverage !== null && record.coverage < Constants.TRANSCRIPT_SOURCE.LOW_COVERAGE) {
+      warnings.push(`Captions cover only ${Math.round(record.coverage * 100)}% of the video`);
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Seconds of the video under at least one cue. Overlapping cues (rolling auto-generated captions)
+   * count once; a cue without a duration runs until the next cue.
+   */
+  static coveredSeconds(cues) {
+    const { MAX_CUE_SECONDS } = Constants.TRANSCRIPT_SOURCE;
+    let covered = 0;
+    let reach = -Infinity; // End of the covered stretch so far
+
+    cues.forEach((cue, index) => {
+      const next = cues[index + 1];
+      const fallbackEnd = next ? Math.min(next.start, cue.start + MAX_CUE_SECONDS) : cue.start + MAX_CUE_SECONDS;
+      const end = cue.duration > 0 ? cue.start + cue.duration : fallbackEnd;
+
+      const from = Math.max(cue.start, reach);
+      if (end > from) {
+        covered += end - from;
+        reach = end;
+      }
+    });
+
+    return covered;
+  }
+}
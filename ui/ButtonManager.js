@@ -1,6 +1,9 @@
 // ButtonManager.js - Fixed button injection with robust retry and 2025 selectors
 // Enhanced container detection and persistent retry mechanism
 
+import { Constants } from '../utils/Constants.js';
+import { DOMUtils } from '../utils/DOMUtils.js';
+
 export class ButtonManager {
   constructor() {
     this.injected = false;
@@ -61,8 +64,8 @@ export class ButtonManager {
         return;
       }
       
-      // Stop if not on watch page
-      if (!this.isWatchPage()) {
+      // Stop if not on a watch page or Short
+      if (!this.isVideoPage()) {
         this.clearRetryTimer();
         return;
       }
@@ -86,12 +89,18 @@ export class ButtonManager {
   injectButton() {
     if (this.injected) return true;
     
-    const container = this.findButtonContainer();
+    const isShorts = DOMUtils.isShortsPage();
+    const container = isShorts ? this.findShortsActionBar() : this.findButtonContainer();
     if (!container) return false;
     
     try {
-      const button = this.createButton();
-      this.insertButton(container, button);
+      const button = isShorts ? this.createShortsButton() : this.createButton();
+      if (isShorts) {
+        // Top of the Shorts action bar, above the like button
+        container.insertBefore(button, container.firstElementChild);
+      } else {
+        this.insertButton(container, button);
+      }
       
       this.button = button;
       this.injected = true;
@@ -223,6 +232,17 @@ export class ButtonManager {
     return null;
   }
 
+  findShortsActionBar() {
+    for (const selector of Constants.SHORTS_ACTION_BAR_SELECTORS) {
+      const actionBar = document.querySelector(selector);
+      if (actionBar && this.isValidContainer(actionBar)) {
+        console.log('📍 Found Shorts action bar:', actionBar);
+        return actionBar;
+      }
+    }
+    return null;
+  }
+
   isValidContainer(container) {
     if (!container) return false;
     
@@ -362,6 +382,39 @@ export class ButtonManager {
     return button;
   }
 
+  /**
+   * Round icon button with a label underneath, matching the Shorts action bar
+   */
+  createShortsButton() {
+    const button = document.createElement('button');
+    button.id = 'fact-check-button';
+    button.className = 'fact-check-shorts-btn';
+    button.setAttribute('aria-label', 'AI Fact-Check Analysis');
+    button.setAttribute('title', 'AI Fact-Check this Short');
+
+    button.innerHTML = `
+      <span class="fact-check-shorts-circle">
+        <svg class="fact-check-icon" width="24" height="24" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M12,2A2,2 0 0,1 14,4C14,4.74 13.6,5.39 13,5.73V7H14A7,7 0 0,1 21,14H22A1,1 0 0,1 23,15V18A1,1 0 0,1 22,19H21V20A2,2 0 0,1 19,22H5A2,2 0 0,1 3,20V19H2A1,1 0 0,1 1,18V15A1,1 0 0,1 2,14H3A7,7 0 0,1 10,7H11V5.73C10.4,5.39 10,4.74 10,4A2,2 0 0,1 12,2M7.5,13A2.5,2.5 0 0,0 5,15.5A2.5,2.5 0 0,0 7.5,18A2.5,2.5 0 0,0 10,15.5A2.5,2.5 0 0,0 7.5,13M16.5,13A2.5,2.5 0 0,0 14,15.5A2.5,2.5 0 0,0 16.5,18A2.5,2.5 0 0,0 19,15.5A2.5,2.5 0 0,0 16.5,13Z"/>
+        </svg>
+        <span class="fact-check-loading"><span></span></span>
+      </span>
+      <span class="fact-check-text">Check</span>
+    `;
+
+    this.addSpinAnimation();
+
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (this.callbacks.onToggle) {
+        this.callbacks.onToggle();
+      }
+    });
+
+    return button;
+  }
+
   addSpinAnimation() {
     // Check if animation already exists
     if (document.querySelector('#fact-check-spin-animation')) return;
@@ -418,6 +471,81 @@ export class ButtonManager {
         min-height: 36px !important;
         max-height: 36px !important;
       }
+
+      /* Shorts action bar variant - more specific than the fixed-height rules above */
+      #fact-check-button.fact-check-shorts-btn {
+        height: auto !important;
+        min-height: 0 !important;
+        max-height: none !important;
+        display: flex !important;
+        flex-direction: column !important;
+        align-items: center !important;
+        gap: 4px !important;
+        margin: 0 0 16px !important;
+        padding: 0 !important;
+        background: none !important;
+        border: none !important;
+        color: var(--yt-spec-text-primary, #0f0f0f) !important;
+        font-family: 'Roboto', Arial, sans-serif !important;
+        cursor: pointer !important;
+      }
+
+      #fact-check-button.fact-check-shorts-btn:hover:not(:disabled) {
+        transform: none !important;
+        box-shadow: none !important;
+      }
+
+      .fact-check-shorts-circle {
+        position: relative !important;
+        width: 48px !important;
+        height: 48px !important;
+        border-radius: 50% !important;
+        display: flex !important;
+        align-items: center !important;
+        justify-content: center !important;
+        background: var(--yt-spec-badge-chip-background, rgba(0, 0, 0, 0.05)) !important;
+        transition: background-color 0.2s ease !important;
+      }
+
+      #fact-check-button.fact-check-shorts-btn:hover:not(:disabled) .fact-check-shorts-circle,
+      #fact-check-button.fact-check-shorts-btn.active .fact-check-shorts-circle {
+        background: var(--yt-spec-button-chip-background-hover, rgba(0, 0, 0, 0.1)) !important;
+      }
+
+      #fact-check-button.fact-check-shorts-btn.active {
+        background: none !important;
+      }
+
+      .fact-check-shorts-btn .fact-check-icon {
+        transition: transform 0.3s ease, opacity 0.3s ease !important;
+      }
+
+      .fact-check-shorts-btn .fact-check-text {
+        font-size: 12px !important;
+        font-weight: 400 !important;
+        line-height: 18px !important;
+        transition: opacity 0.3s ease !important;
+      }
+
+      .fact-check-shorts-btn .fact-check-loading {
+        position: absolute !important;
+        inset: 0 !important;
+        display: none;
+      }
+
+      .fact-check-shorts-btn .fact-check-loading span {
+        position: absolute !important;
+        top: 50% !important;
+        left: 50% !important;
+        margin: -11px 0 0 -11px !important;
+        box-sizing: border-box !important;
+        width: 22px !important;
+        height: 22px !important;
+        border: 2px solid currentColor !important;
+        border-radius: 50% !important;
+        border-top-color: transparent !important;
+        animation: fact-check-spin 1s linear infinite !important;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -511,6 +639,10 @@ export class ButtonManager {
     return location.pathname === '/watch' && location.search.includes('v=');
   }
 
+  isVideoPage() {
+    return this.isWatchPage() || DOMUtils.isShortsPage();
+  }
+
   isInjected() {
     return this.injected && document.querySelector('#fact-check-button');
   }
@@ -526,8 +658,9 @@ export class ButtonManager {
       retryCount: this.retryCount,
       retryTimerActive: !!this.retryTimer,
       buttonExists: !!document.querySelector('#fact-check-button'),
-      containerFound: !!this.findButtonContainer(),
-      isWatchPage: this.isWatchPage()
+      containerFound: !!(DOMUtils.isShortsPage() ? this.findShortsActionBar() : this.findButtonContainer()),
+      isWatchPage: this.isWatchPage(),
+      isShortsPage: DOMUtils.isShortsPage()
     };
   }
 }
\ No newline at end of file
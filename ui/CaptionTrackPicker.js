@@ -0,0 +1,137 @@
+// CaptionTrackPicker.js - Sidebar picker for the caption track to check
+// Lists the video's tracks and whether YouTube should translate the chosen one first; uses the panel styles in ResultsRenderer
+
+import { CaptionTracks } from '../transcript/utils/CaptionTracks.js';
+
+export class CaptionTrackPicker {
+  constructor() {
+    this.injectStyles();
+  }
+
+  injectStyles() {
+    if (document.getElementById('fact-check-caption-picker-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'fact-check-caption-picker-styles';
+    styles.textContent = `
+      .caption-translate {
+        margin-top: 8px;
+        white-space: normal;
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  /**
+   * Caption tracks of the video, to pick the one to check and whether YouTube should translate it first
+   * @param {Array<{languageCode: string, name: string, kind: string, translatable: boolean}>} tracks
+   * @param {{languageCode: string|null, kind: string|null, translate: boolean}|null} choice - current pick (null = automatic)
+   * @param {{language: string, current: Object|null}} options - `language` is the user's; `current` is the track checked last
+   */
+  render(tracks, choice, { language, current = null } = {}) {
+    const selectedIndex = choice?.languageCode ?
+      tracks.findIndex(track => track.languageCode === choice.languageCode && track.kind === choice.kind) : -1;
+
+    const optionsHTML = tracks.map((track, index) => `
+          <option value="${index}" ${index === selectedIndex ? 'selected' : ''}>${this.escapeHtml(this.formatTrack(track))}</option>`).join('');
+
+    const hint = tracks.length === 0 ?
+      'The caption tracks of this video couldn\'t be listed. Automatic picks manual captions in your language, then English.' :
+      current ?
+        `Last checked: ${this.escapeHtml(this.formatTrack(current))}${current.translatedTo ? `, translated to ${this.escapeHtml(CaptionTracks.languageName(current.translatedTo))}` : ''}` :
+        'Automatic picks manual captions in your language, then English, before auto-generated ones.';
+
+    return `
+      <div class="range-picker caption-picker">
+        <div class="range-picker-header">
+          <span class="range-picker-title">🌐 Captions to check</span>
+          <button class="range-back-btn" id="caption-back">Back</button>
+        </div>
+        <div class="range-picker-hint">${hint}</div>
+        <div class="range-picker-controls">
+          <select id="caption-track" class="range-input">
+            <option value="">Automatic</option>${optionsHTML}
+          </select>
+        </div>
+        <label class="range-strict caption-translate">
+          <input type="checkbox" id="caption-translate"> Translate to ${this.escapeHtml(CaptionTracks.languageName(language))} before analysis
+        </label>
+        <div class="range-picker-actions">
+          <span class="range-summary" id="caption-summary"></span>
+          <button class="range-check-btn" id="caption-apply">Check with these captions</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Wire up render() once it is in the sidebar; translation starts at the user's default
+   * when nothing was picked yet
+   * @param {{onApply: Function, onBack: Function}} callbacks - onApply({ languageCode, kind, translate })
+   */
+  setup(tracks, choice, { language, translateByDefault = false } = {}, { onApply, onBack } = {}) {
+    const select = document.getElementById('caption-track');
+    const translateBox = document.getElementById('caption-translate');
+    const summary = document.getElementById('caption-summary');
+    const applyBtn = document.getElementById('caption-apply');
+    if (!select || !translateBox || !summary || !applyBtn) return;
+
+    const languageName = CaptionTracks.languageName(language);
+    translateBox.checked = choice ? choice.translate : translateByDefault;
+
+    const update = () => {
+      const track = tracks[select.value] || null;
+      // Automatic may land on any language, so translation stays available
+      const translatable = !track || Boolean(CaptionTracks.translationTarget(track, language));
+      translateBox.disabled = !translatable;
+
+      if (track && CaptionTracks.sameLanguage(track.languageCode, language)) {
+        summary.textContent = `Already in ${languageName}`;
+      } else if (!translatable) {
+        summary.textContent = 'YouTube can\'t translate this track';
+      } else if (translateBox.checked) {
+        summary.textContent = `Claims and explanations in ${languageName}`;
+      } else {
+        summary.textContent = `Claims checked in the original language, explanations in ${languageName}`;
+      }
+    };
+
+    select.addEventListener('change', update);
+    select.addEventListener('keydown', (e) => e.stopPropagation()); // Keep YouTube's keyboard shortcuts out of the list
+    translateBox.addEventListener('change', update);
+
+    applyBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const track = tracks[select.value] || null;
+      if (onApply) {
+        onApply({
+          languageCode: track?.languageCode || null,
+          kind: track?.kind || null,
+          translate: translateBox.checked && !translateBox.disabled
+        });
+      }
+    });
+    document.getElementById('caption-back')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (onBack) onBack();
+    });
+
+    update();
+  }
+
+  /**
+   * "Japanese · manual"; YouTube's auto-generated track names already say so
+   */
+  formatTrack(track) {
+    const name = track.name || CaptionTracks.languageName(track.languageCode);
+    return /auto-generated/i.test(name) ? name : `${name} · ${track.kind === 'asr' ? 'auto-generated' : 'manual'}`;
+  }
+
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
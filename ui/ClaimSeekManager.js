@@ -0,0 +1,122 @@
+// ClaimSeekManager.js - Timestamp buttons on fact-check cards that seek the video to a claim
+// Flashes the card the seek came from, so it's clear which claim is playing
+
+import { Constants } from '../utils/Constants.js';
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
+
+export class ClaimSeekManager {
+  constructor() {
+    this.highlightTimer = null;
+    this.injectStyles();
+  }
+
+  injectStyles() {
+    if (document.getElementById('fact-check-seek-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'fact-check-seek-styles';
+    styles.textContent = `
+      .claim-timestamp {
+        background: #eef2ff;
+        color: #4338ca;
+        border: 1px solid #c7d2fe;
+        border-radius: 12px;
+        padding: 3px 10px;
+        margin-right: 8px;
+        font-size: 12px;
+        font-weight: 600;
+        font-variant-numeric: tabular-nums;
+        cursor: pointer;
+      }
+
+      .claim-timestamp:hover {
+        background: #e0e7ff;
+        border-color: #818cf8;
+      }
+
+      .fact-card.seek-highlight {
+        animation: factCardSeekHighlight 2s ease;
+      }
+
+      @keyframes factCardSeekHighlight {
+        0%, 60% { box-shadow: 0 0 0 3px rgba(102, 126, 234, 0.6); }
+        100% { box-shadow: 0 2px 4px rgba(0, 0, 0, 0.04); }
+      }
+
+      .claim-repeats .claim-timestamp {
+        margin-right: 0;
+      }
+
+      /* Dark Mode Styles - Both system preference AND manual dark mode */
+      ${Constants.DARK_MODE_SELECTOR} {
+        .claim-timestamp {
+          background: #312e81 !important;
+          color: #c7d2fe !important;
+          border: 1px solid #4f46e5 !important;
+        }
+
+        .claim-timestamp:hover {
+          background: #3730a3 !important;
+        }
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  /**
+   * Seek button for a moment in the video; the card header's carries a ⏱ icon
+   */
+  renderTimestamp(seconds, icon = false) {
+    if (!Number.isFinite(seconds)) return '';
+
+    const label = TimedTranscript.formatTimestamp(seconds);
+    return `<button class="claim-timestamp" data-seek-time="${seconds}" title="Jump to ${label} in the video">${icon ? '⏱ ' : ''}${label}</button>`;
+  }
+
+  /**
+   * Wire up every timestamp button of a rendered card (header and repeated mentions)
+   */
+  setupCard(card, cardIndex) {
+    card.querySelectorAll('.claim-timestamp').forEach(button => {
+      button.addEventListener('click', (e) => {
+        e.stopPropagation(); // Don't toggle the card
+        this.seekToClaim(cardIndex, parseFloat(button.dataset.seekTime));
+      });
+    });
+  }
+
+  /**
+   * Seek the page's video to where a claim was spoken and flash its card
+   */
+  seekToClaim(cardIndex, seconds) {
+    if (!Number.isFinite(seconds)) return;
+
+    const video = DOMUtils.getActiveVideo();
+    if (!video) {
+      console.warn('⚠️ No video element found to seek');
+      return;
+    }
+
+    video.currentTime = seconds;
+    this.highlightCard(cardIndex);
+  }
+
+  highlightCard(cardIndex) {
+    const card = document.getElementById(`fact-card-${cardIndex}`);
+    if (!card) return;
+
+    document.querySelectorAll('.fact-card.seek-highlight').forEach(el => el.classList.remove('seek-highlight'));
+    void card.offsetWidth; // Restart the animation when the same card is clicked twice
+    card.classList.add('seek-highlight');
+
+    clearTimeout(this.highlightTimer);
+    this.highlightTimer = setTimeout(() => card.classList.remove('seek-highlight'), 2000);
+  }
+
+  cleanup() {
+    clearTimeout(this.highlightTimer);
+    this.highlightTimer = null;
+  }
+}
@@ -0,0 +1,240 @@
+// FollowUpThreadManager.js - "Dig deeper" thread at the bottom of an expanded fact-check card
+// Earlier questions and answers with their sources, then a box to ask the next one
+
+import { Constants } from '../utils/Constants.js';
+import { GroundingCitations } from '../utils/GroundingCitations.js';
+
+export class FollowUpThreadManager {
+  constructor() {
+    this.callbacks = {};
+    this.injectStyles();
+  }
+
+  init(callbacks = {}) {
+    this.callbacks = callbacks;
+  }
+
+  injectStyles() {
+    if (document.getElementById('fact-check-follow-up-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'fact-check-follow-up-styles';
+    styles.textContent = `
+      .dig-deeper {
+        margin-top: 16px;
+        padding-top: 16px;
+        border-top: 1px solid #e2e8f0;
+      }
+
+      .dig-deeper .sources-label {
+        margin-bottom: 10px;
+      }
+
+      .dig-deeper-thread {
+        display: flex;
+        flex-direction: column;
+        gap: 8px;
+      }
+
+      .follow-up-question,
+      .follow-up-answer {
+        max-width: 88%;
+        padding: 8px 12px;
+        border-radius: 12px;
+        font-size: 13px;
+        line-height: 1.5;
+        white-space: pre-wrap;
+        word-break: break-word;
+      }
+
+      .follow-up-question {
+        align-self: flex-end;
+        background: #667eea;
+        color: #ffffff;
+        border-bottom-right-radius: 4px;
+      }
+
+      .follow-up-answer {
+        align-self: flex-start;
+        background: #ffffff;
+        border: 1px solid #e2e8f0;
+        color: #374151;
+        border-bottom-left-radius: 4px;
+      }
+
+      .follow-up-answer.pending {
+        color: #64748b;
+        font-style: italic;
+      }
+
+      .follow-up-answer.failed {
+        color: #b91c1c;
+        font-style: normal;
+      }
+
+      .follow-up-sources {
+        margin: 6px 0 0;
+        padding-left: 18px;
+        white-space: normal;
+      }
+
+      .dig-deeper-form {
+        display: flex;
+        gap: 8px;
+        margin-top: 10px;
+      }
+
+      .dig-deeper-input {
+        flex: 1;
+        min-width: 0;
+        padding: 8px 10px;
+        border: 1px solid #cbd5e1;
+        border-radius: 8px;
+        background: #ffffff;
+        color: #0f172a;
+        font-size: 13px;
+      }
+
+      .dig-deeper-ask {
+        padding: 8px 14px;
+        border: none;
+        border-radius: 8px;
+        background: #667eea;
+        color: #ffffff;
+        font-size: 13px;
+        font-weight: 500;
+        cursor: pointer;
+      }
+
+      .dig-deeper-ask:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+
+      /* Dark Mode Styles - Both system preference AND manual dark mode */
+      ${Constants.DARK_MODE_SELECTOR} {
+        .dig-deeper {
+          border-top-color: #475569 !important;
+        }
+
+        .follow-up-question {
+          background: #4f46e5 !important;
+          color: #ffffff !important;
+        }
+
+        .follow-up-answer {
+          background: #1e293b !important;
+          border-color: #475569 !important;
+          color: #e2e8f0 !important;
+        }
+
+        .follow-up-answer.pending {
+          color: #94a3b8 !important;
+        }
+
+        .follow-up-answer.failed {
+          color: #fca5a5 !important;
+        }
+
+        .dig-deeper-input {
+          background: #1e293b !important;
+          border-color: #475569 !important;
+          color: #f1f5f9 !important;
+        }
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  render(result, index) {
+    return `
+            <div class="dig-deeper">
+              <h4 class="sources-label">💬 Dig deeper</h4>
+              <div class="dig-deeper-thread" id="follow-up-thread-${index}">${this.renderThread(result.followUps)}</div>
+              <form class="dig-deeper-form" data-card-index="${index}">
+                <input type="text" class="dig-deeper-input" maxlength="${Constants.FOLLOW_UP.MAX_QUESTION_LENGTH}" placeholder="Ask about this claim or challenge the verdict">
+                <button type="submit" class="dig-deeper-ask">Ask</button>
+              </form>
+            </div>
+    `;
+  }
+
+  /**
+   * @param {Array<Object>} followUps - answered questions
+   * @param {{question: string, error?: string}|null} pending - question still waiting for (or failed to get) an answer
+   */
+  renderThread(followUps = [], pending = null) {
+    const turns = (followUps || []).map(turn => `
+                <div class="follow-up-question">${this.escapeHtml(turn.question)}</div>
+                <div class="follow-up-answer">${this.escapeHtml(turn.answer)}${this.renderSources(turn.citations)}</div>`);
+
+    if (pending) {
+      turns.push(`
+                <div class="follow-up-question">${this.escapeHtml(pending.question)}</div>
+                <div class="follow-up-answer ${pending.error ? 'failed' : 'pending'}">${pending.error ? `⚠️ ${this.escapeHtml(pending.error)}` : 'Looking into it…'}</div>`);
+    }
+
+    return turns.join('');
+  }
+
+  renderSources(citations = []) {
+    const links = (citations || [])
+      .filter(citation => GroundingCitations.isSafeUrl(citation.uri))
+      .map(citation => `<li><a class="citation-link" href="${this.escapeAttribute(citation.uri)}" target="_blank" rel="noopener noreferrer" title="${this.escapeAttribute(citation.uri)}">${this.escapeHtml(citation.title || citation.uri)}</a></li>`)
+      .join('');
+
+    return links ? `<ol class="follow-up-sources">${links}</ol>` : '';
+  }
+
+  /**
+   * Wire up the question box of a rendered card
+   */
+  setupCard(card, cardIndex) {
+    const form = card.querySelector('.dig-deeper-form');
+    if (!form) return;
+
+    const input = form.querySelector('.dig-deeper-input');
+    const askBtn = form.querySelector('.dig-deeper-ask');
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      const question = input.value.trim();
+      if (!question || askBtn.disabled || !this.callbacks.onAskFollowUp) return;
+
+      input.value = '';
+      this.callbacks.onAskFollowUp(cardIndex, question);
+    });
+
+    // Keep YouTube's keyboard shortcuts out of the text field
+    input.addEventListener('keydown', (e) => e.stopPropagation());
+  }
+
+  /**
+   * Re-render one card's thread in place (keeps the card expanded and the question box usable)
+   */
+  updateThread(cardIndex, followUps, pending = null) {
+    const thread = document.getElementById(`follow-up-thread-${cardIndex}`);
+    if (!thread) return;
+
+    thread.innerHTML = this.renderThread(followUps, pending);
+
+    const askBtn = thread.parentElement.querySelector('.dig-deeper-ask');
+    if (askBtn) {
+      askBtn.disabled = Boolean(pending && !pending.error);
+    }
+  }
+
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  }
+}
@@ -0,0 +1,175 @@
+// LiveClaimToastManager.js - "Now playing" toast for False/Misleading claims
+// Watches the video's timeupdate events and briefly flags a claim when playback reaches it
+
+import { Constants } from '../utils/Constants.js';
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
+
+const ALERT_STATUSES = ['False', 'Misleading'];
+const ALERT_WINDOW_SECONDS = 2;
+const TOAST_DURATION_MS = 8000;
+
+export class LiveClaimToastManager {
+  constructor() {
+    this.toast = null;
+    this.video = null;
+    this.claims = [];
+    this.activeClaims = new Set();
+    this.callbacks = {};
+    this.hideTimer = null;
+    this.handleTimeUpdate = () => this.checkPlayback();
+    this.handleLayoutChange = () => this.ensureAttached();
+  }
+
+  init(callbacks = {}) {
+    this.callbacks = callbacks;
+  }
+
+  /**
+   * Start watching playback for a result list (indexes match the sidebar cards)
+   */
+  start(results) {
+    this.stop();
+
+    this.claims = (Array.isArray(results) ? results : [])
+      .map((result, index) => ({ result, index }))
+      .filter(({ result }) => ALERT_STATUSES.includes(result.status) && Number.isFinite(result.startTime));
+
+    if (this.claims.length === 0) return;
+
+    const video = DOMUtils.getActiveVideo();
+    if (!video) return;
+
+    this.video = video;
+    video.addEventListener('timeupdate', this.handleTimeUpdate);
+
+    // The player is re-parented on theater toggles and promoted on fullscreen
+    document.addEventListener('fullscreenchange', this.handleLayoutChange);
+    window.addEventListener('yt-set-theater-mode-enabled', this.handleLayoutChange);
+    window.addEventListener('resize', this.handleLayoutChange);
+  }
+
+  checkPlayback() {
+    if (!this.video) return;
+
+    const currentTime = this.video.currentTime;
+
+    this.claims.forEach(({ result, index }) => {
+      const inWindow = currentTime >= result.startTime &&
+        currentTime < result.startTime + ALERT_WINDOW_SECONDS;
+
+      if (inWindow && !this.activeClaims.has(index)) {
+        this.activeClaims.add(index);
+        this.show(result, index);
+      } else if (!inWindow) {
+        this.activeClaims.delete(index); // Seeking back re-arms the alert
+      }
+    });
+  }
+
+  show(result, index) {
+    const toast = this.ensureAttached();
+    if (!toast) return;
+
+    const statusClass = Constants.STATUS_CLASSES[result.status] || 'status-unverifiable';
+    const icon = Constants.STATUS_ICONS[result.status] || '⚠️';
+
+    toast.className = `fact-check-live-toast ${statusClass}`;
+    toast.innerHTML = `
+      <div class="live-toast-header">
+        <span class="live-toast-verdict">${icon} ${this.escapeHtml(result.status)}</span>
+        <span class="live-toast-time">${TimedTranscript.formatTimestamp(result.startTime)}</span>
+        <button class="live-toast-close" title="Dismiss">×</button>
+      </div>
+      <div class="live-toast-explanation">${this.escapeHtml(this.getSummary(result.explanation))}</div>
+      <button class="live-toast-link">View fact-check →</button>
+    `;
+
+    toast.querySelector('.live-toast-close').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.hide();
+    });
+
+    toast.querySelector('.live-toast-link').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.hide();
+      if (this.callbacks.onOpenCard) {
+        this.callbacks.onOpenCard(index);
+      }
+    });
+
+    requestAnimationFrame(() => toast.classList.add('visible'));
+
+    clearTimeout(this.hideTimer);
+    this.hideTimer = setTimeout(() => this.hide(), TOAST_DURATION_MS);
+  }
+
+  hide() {
+    clearTimeout(this.hideTimer);
+    this.hideTimer = null;
+    this.toast?.classList.remove('visible');
+  }
+
+  /**
+   * Keep the toast inside the current player element so it follows theater/fullscreen changes
+   */
+  ensureAttached() {
+    const player = DOMUtils.getActivePlayer();
+    if (!player) return null;
+
+    if (!this.toast) {
+      this.toast = document.createElement('div');
+      this.toast.id = 'fact-check-live-toast';
+      this.toast.className = 'fact-check-live-toast';
+    }
+
+    if (this.toast.parentElement !== player) {
+      player.appendChild(this.toast);
+    }
+
+    return this.toast;
+  }
+
+  getSummary(explanation) {
+    const text = String(explanation || '').trim();
+    const firstSentence = text.match(/^.+?[.!?](?=\s|$)/);
+    return firstSentence ? firstSentence[0] : text;
+  }
+
+  stop() {
+    this.hide();
+
+    if (this.video) {
+      this.video.removeEventListener('timeupdate', this.handleTimeUpdate);
+      this.video = null;
+    }
+
+    document.removeEventListener('fullscreenchange', this.handleLayoutChange);
+    window.removeEventListener('yt-set-theater-mode-enabled', this.handleLayoutChange);
+    window.removeEventListener('resize', this.handleLayoutChange);
+
+    this.claims = [];
+    this.activeClaims.clear();
+  }
+
+  remove() {
+    this.stop();
+    this.toast?.remove();
+    this.toast = null;
+  }
+
+  cleanup() {
+    this.remove();
+    this.callbacks = {};
+  }
+
+  isActive() {
+    return !!this.video;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,201 @@
+// LiveTimelineRenderer.js - Sidebar timeline of a live fact-check
+// Session status, then the claims grouped under the caption window they were heard in
+
+import { Constants } from '../utils/Constants.js';
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
+
+export class LiveTimelineRenderer {
+  constructor() {
+    this.injectStyles();
+  }
+
+  injectStyles() {
+    if (document.getElementById('fact-check-live-timeline-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'fact-check-live-timeline-styles';
+    styles.textContent = `
+      .live-status {
+        background: #fef2f2;
+        border: 1px solid #fecaca;
+        border-radius: 12px;
+        padding: 12px 16px;
+        margin-bottom: 16px;
+      }
+
+      .live-status-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-size: 13px;
+        font-weight: 600;
+        color: #991b1b;
+      }
+
+      .live-dot {
+        width: 8px;
+        height: 8px;
+        border-radius: 50%;
+        background: #ef4444;
+        flex-shrink: 0;
+        animation: liveDotPulse 1.5s ease infinite;
+      }
+
+      .live-status.stopped .live-dot {
+        background: #9ca3af;
+        animation: none;
+      }
+
+      @keyframes liveDotPulse {
+        0%, 100% { opacity: 1; }
+        50% { opacity: 0.3; }
+      }
+
+      .live-stop-btn {
+        margin-left: auto;
+        padding: 3px 10px;
+        border: 1px solid #fca5a5;
+        border-radius: 6px;
+        background: #ffffff;
+        color: #b91c1c;
+        font-size: 12px;
+        font-weight: 500;
+        cursor: pointer;
+      }
+
+      .live-stop-btn:hover {
+        background: #fee2e2;
+      }
+
+      .live-status-meta {
+        margin-top: 6px;
+        font-size: 12px;
+        color: #7f1d1d;
+      }
+
+      .live-window-divider {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin: 12px 0 8px;
+        font-size: 11px;
+        font-weight: 600;
+        text-transform: uppercase;
+        letter-spacing: 0.04em;
+        color: #64748b;
+      }
+
+      .live-window-divider::after {
+        content: '';
+        flex: 1;
+        height: 1px;
+        background: #e2e8f0;
+      }
+
+      .live-waiting {
+        text-align: center;
+        padding: 24px 16px;
+        font-size: 13px;
+        color: #64748b;
+      }
+
+      /* Dark Mode Styles - Both system preference AND manual dark mode */
+      ${Constants.DARK_MODE_SELECTOR} {
+        .live-status {
+          background: #3f1d1d !important;
+          border-color: #7f1d1d !important;
+        }
+
+        .live-status-header {
+          color: #fecaca !important;
+        }
+
+        .live-status-meta {
+          color: #fca5a5 !important;
+        }
+
+        .live-stop-btn {
+          background: #1e293b !important;
+          border-color: #b91c1c !important;
+          color: #fecaca !important;
+        }
+
+        .live-window-divider,
+        .live-waiting {
+          color: #94a3b8 !important;
+        }
+
+        .live-window-divider::after {
+          background: #475569 !important;
+        }
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  /**
+   * @param {Object} state - LiveFactCheckSession.getState()
+   * @param {Function} renderCard - (result, index) => card HTML, from ResultsRenderer
+   */
+  render(state, renderCard) {
+    const checking = state.windows.find(liveWindow => liveWindow.status === 'checking');
+    const failed = state.windows.filter(liveWindow => liveWindow.status === 'failed').length;
+    const checked = state.windows.filter(liveWindow => liveWindow.status === 'done').length;
+    const nextWindow = state.nextWindowAt ?
+      new Date(state.nextWindowAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : null;
+
+    let statusText = 'Live fact-check stopped';
+    if (checking) {
+      statusText = `Checking window ${checking.index}…`;
+    } else if (state.active) {
+      statusText = `Listening · next window closes around ${nextWindow}`;
+    }
+
+    const meta = [
+      `${checked} window${checked === 1 ? '' : 's'} checked`,
+      `${state.results.length} claim${state.results.length === 1 ? '' : 's'}`,
+      state.repeatsSkipped > 0 ? `${state.repeatsSkipped} repeat${state.repeatsSkipped === 1 ? '' : 's'} merged` : null,
+      failed > 0 ? `${failed} failed` : null
+    ].filter(Boolean).join(' · ');
+
+    const captionsNotice = state.captionsTurnedOn ?
+      '<div class="live-status-meta">Captions were turned on to follow the stream; they switch back off when you stop.</div>' : '';
+
+    let currentWindow = null;
+    const cardsHTML = state.results.map((result, index) => {
+      let divider = '';
+      if (result.liveWindow !== currentWindow) {
+        currentWindow = result.liveWindow;
+        divider = this.renderWindowDivider(state.windows.find(item => item.index === currentWindow), currentWindow);
+      }
+
+      return divider + renderCard(result, index);
+    }).join('');
+
+    const emptyText = state.active ?
+      `Listening to the stream. Claims appear here as each ${Math.round(Constants.LIVE.WINDOW_SECONDS / 60)}-minute window is checked.` :
+      'No claims were checked before the live fact-check stopped.';
+
+    return `
+      <div class="live-status ${state.active ? '' : 'stopped'}">
+        <div class="live-status-header">
+          <span class="live-dot"></span>
+          <span>${statusText}</span>
+          ${state.active ? '<button class="live-stop-btn" id="stop-live-check">Stop</button>' : ''}
+        </div>
+        <div class="live-status-meta">${meta}</div>
+        ${captionsNotice}
+      </div>
+      <div class="results-cards">
+        ${cardsHTML || `<div class="live-waiting">${emptyText}</div>`}
+      </div>
+    `;
+  }
+
+  renderWindowDivider(liveWindow, index) {
+    const span = liveWindow ?
+      ` · ${TimedTranscript.formatTimestamp(liveWindow.start)}–${TimedTranscript.formatTimestamp(liveWindow.end)}` : '';
+    return `<div class="live-window-divider">Window ${index}${span}</div>`;
+  }
+}
@@ -0,0 +1,187 @@
+// ProgressMarkersManager.js - Claim markers on the YouTube player's progress bar
+// Places a colored marker at each analysed claim's timestamp, with hover preview and click-to-open
+
+import { Constants } from '../utils/Constants.js';
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
+import { ClaimClusterer } from '../utils/ClaimClusterer.js';
+
+// Verdict → Constants.COLORS key
+const STATUS_COLOR_KEYS = {
+  'True': 'SUCCESS',
+  'Mostly True': 'SUCCESS',
+  'Partly True': 'WARNING',
+  'Misleading': 'WARNING',
+  'False': 'ERROR',
+  'Unverifiable': 'GRAY'
+};
+
+export class ProgressMarkersManager {
+  constructor() {
+    this.container = null;
+    this.tooltip = null;
+    this.video = null;
+    this.results = [];
+    this.callbacks = {};
+    this.injectionAttempts = 0;
+    this.retryTimer = null;
+    this.handleDurationChange = () => this.inject();
+  }
+
+  init(callbacks = {}) {
+    this.callbacks = callbacks;
+  }
+
+  /**
+   * Show markers for a result list (indexes match the sidebar cards)
+   */
+  render(results) {
+    this.results = Array.isArray(results) ? results : [];
+    this.injectionAttempts = 0;
+    this.inject();
+  }
+
+  inject() {
+    this.removeMarkers();
+    clearTimeout(this.retryTimer);
+
+    // A claim said several times gets a marker at each mention, all opening the same card
+    const timedResults = this.results
+      .flatMap((result, index) => ClaimClusterer.getTimestamps(result)
+        .map(timestamp => ({ result, index, seconds: timestamp.start })));
+
+    if (timedResults.length === 0) return;
+
+    const progressBar = DOMUtils.getActivePlayer()?.querySelector('.ytp-progress-bar');
+    const video = DOMUtils.getActiveVideo();
+
+    // Player controls may not be rendered yet after SPA navigation
+    if (!progressBar || !video) {
+      if (this.injectionAttempts++ < Constants.MAX_INJECTION_ATTEMPTS) {
+        this.retryTimer = setTimeout(() => this.inject(), Constants.INJECTION_INTERVAL);
+      }
+      return;
+    }
+
+    this.bindVideo(video);
+
+    // Duration is unknown until metadata loads; durationchange re-runs injection
+    if (!Number.isFinite(video.duration) || video.duration <= 0) return;
+
+    const container = document.createElement('div');
+    container.id = 'fact-check-progress-markers';
+    container.className = 'fact-check-progress-markers';
+
+    timedResults
+      .filter(({ seconds }) => seconds <= video.duration)
+      .forEach(({ result, index, seconds }) => {
+        container.appendChild(this.createMarker(result, index, seconds, video.duration));
+      });
+
+    this.tooltip = document.createElement('div');
+    this.tooltip.className = 'fact-check-marker-tooltip';
+    container.appendChild(this.tooltip);
+
+    progressBar.appendChild(container);
+    this.container = container;
+  }
+
+  createMarker(result, index, seconds, duration) {
+    const marker = document.createElement('div');
+    const statusClass = Constants.STATUS_CLASSES[result.status] || 'status-unverifiable';
+
+    marker.className = `fact-check-progress-marker ${statusClass}`;
+    marker.style.left = `${(seconds / duration) * 100}%`;
+    marker.style.background = this.getStatusColor(result.status);
+    marker.dataset.cardIndex = String(index);
+
+    // Keep the player from seeking when the marker itself is pressed
+    ['mousedown', 'pointerdown'].forEach(eventName => {
+      marker.addEventListener(eventName, (e) => {
+        e.stopPropagation();
+        e.preventDefault();
+      });
+    });
+
+    marker.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.hideTooltip();
+      if (this.callbacks.onMarkerClick) {
+        this.callbacks.onMarkerClick(index);
+      }
+    });
+
+    marker.addEventListener('mouseenter', () => this.showTooltip(marker, result, seconds));
+    marker.addEventListener('mouseleave', () => this.hideTooltip());
+
+    return marker;
+  }
+
+  showTooltip(marker, result, seconds) {
+    if (!this.tooltip) return;
+
+    const icon = Constants.STATUS_ICONS[result.status] || '❓';
+    this.tooltip.innerHTML = `
+      <div class="marker-tooltip-verdict" style="color: ${this.getStatusColor(result.status)};">
+        ${icon} ${this.escapeHtml(result.status)} · ${TimedTranscript.formatTimestamp(seconds)}${result.repeatCount > 1 ? ` · said ${result.repeatCount}×` : ''}
+      </div>
+      <div class="marker-tooltip-claim">${this.escapeHtml(result.claim)}</div>
+    `;
+    this.tooltip.style.left = marker.style.left;
+    this.tooltip.classList.add('visible');
+  }
+
+  hideTooltip() {
+    this.tooltip?.classList.remove('visible');
+  }
+
+  getStatusColor(status) {
+    return Constants.COLORS[STATUS_COLOR_KEYS[status] || 'GRAY'];
+  }
+
+  bindVideo(video) {
+    if (this.video === video) return;
+
+    this.unbindVideo();
+    this.video = video;
+    video.addEventListener('loadedmetadata', this.handleDurationChange);
+    video.addEventListener('durationchange', this.handleDurationChange);
+  }
+
+  unbindVideo() {
+    if (!this.video) return;
+
+    this.video.removeEventListener('loadedmetadata', this.handleDurationChange);
+    this.video.removeEventListener('durationchange', this.handleDurationChange);
+    this.video = null;
+  }
+
+  removeMarkers() {
+    document.querySelectorAll('#fact-check-progress-markers').forEach(el => el.remove());
+    this.container = null;
+    this.tooltip = null;
+  }
+
+  remove() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.results = [];
+    this.removeMarkers();
+    this.unbindVideo();
+  }
+
+  cleanup() {
+    this.remove();
+    this.callbacks = {};
+  }
+
+  isInjected() {
+    return !!this.container && document.body.contains(this.container);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+}
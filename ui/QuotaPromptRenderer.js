@@ -0,0 +1,117 @@
+// QuotaPromptRenderer.js - Sidebar prompt shown when a daily or monthly usage limit stops a check
+// Lists the limits that would be exceeded; the user can still go ahead
+
+import { Constants } from '../utils/Constants.js';
+import { UsageQuota } from '../utils/UsageQuota.js';
+
+export class QuotaPromptRenderer {
+  constructor() {
+    this.injectStyles();
+  }
+
+  injectStyles() {
+    if (document.getElementById('fact-check-quota-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'fact-check-quota-styles';
+    styles.textContent = `
+      .quota-prompt {
+        background: #fffbeb;
+        border: 1px solid #f59e0b;
+        border-radius: 12px;
+        padding: 14px 16px;
+        margin-bottom: 16px;
+        font-size: 13px;
+        color: #92400e;
+      }
+
+      .quota-title {
+        font-size: 15px;
+        font-weight: 600;
+        margin-bottom: 6px;
+      }
+
+      .quota-limits {
+        margin: 0 0 8px;
+        padding-left: 18px;
+      }
+
+      .quota-hint {
+        margin-bottom: 10px;
+        font-size: 12px;
+      }
+
+      .quota-confirm-btn {
+        padding: 6px 12px;
+        border: 1px solid #d97706;
+        border-radius: 6px;
+        background: #ffffff;
+        color: #92400e;
+        font-size: 12px;
+        font-weight: 500;
+        cursor: pointer;
+      }
+
+      .quota-confirm-btn:hover {
+        background: #fef3c7;
+      }
+
+      /* Dark Mode Styles - Both system preference AND manual dark mode */
+      ${Constants.DARK_MODE_SELECTOR} {
+        .quota-prompt {
+          background: #1e293b !important;
+          border: 1px solid #d97706 !important;
+          color: #fcd34d !important;
+        }
+
+        .quota-confirm-btn {
+          background: #334155 !important;
+          border-color: #d97706 !important;
+          color: #fcd34d !important;
+        }
+
+        .quota-confirm-btn:hover {
+          background: #475569 !important;
+        }
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  /**
+   * @param {Object} quota - UsageQuota.check result
+   */
+  render(quota) {
+    const limits = quota.exceeded
+      .map(item => `<li>${this.escapeHtml(UsageQuota.describe(item))}</li>`)
+      .join('');
+
+    return `
+      <div class="quota-prompt">
+        <div class="quota-title">🛑 Usage limit</div>
+        <ul class="quota-limits">${limits}</ul>
+        <div class="quota-hint">Checking this video would go over the limits set in the extension settings. Limits reset at midnight (monthly ones on the 1st).</div>
+        <button class="quota-confirm-btn" id="quota-check-anyway">Check anyway</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Wire up render() once it is in the sidebar
+   * @param {Function} onConfirm - runs the check anyway
+   */
+  setup(onConfirm) {
+    document.getElementById('quota-check-anyway')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onConfirm();
+    });
+  }
+
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
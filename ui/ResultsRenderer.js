@@ -1,10 +1,39 @@
 // Enhanced ResultsRenderer.js - Now shows transcript processing information
 // Displays processing stats and enhanced analysis details
 
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
+import { GroundingCitations } from '../utils/GroundingCitations.js';
+import { Constants } from '../utils/Constants.js';
+import { UsageMeter } from '../utils/UsageMeter.js';
+import { ClaimSeekManager } from './ClaimSeekManager.js';
+import { LiveTimelineRenderer } from './LiveTimelineRenderer.js';
+import { FollowUpThreadManager } from './FollowUpThreadManager.js';
+import { ReviewFormManager } from './ReviewFormManager.js';
+import { TranscriptSourceBadge } from './TranscriptSourceBadge.js';
+import { SpeakerBarManager } from './SpeakerBarManager.js';
+
 export class ResultsRenderer {
   constructor() {
     this.expandedCards = new Set();
+    this.streamedClaims = new Set(); // Claims already shown during the current streamed analysis
+    this.callbacks = {};
+    this.currentResults = []; // Results behind the rendered cards, for speaker filtering and grouping
     this.injectStyles(); // Add custom styles for better appearance
+
+    // Feature modules inject their styles after these, so they can build on the card styles
+    this.claimSeek = new ClaimSeekManager();
+    this.liveTimeline = new LiveTimelineRenderer();
+    this.followUpThread = new FollowUpThreadManager();
+    this.reviewForm = new ReviewFormManager();
+    this.transcriptSource = new TranscriptSourceBadge();
+    this.speakerBar = new SpeakerBarManager();
+  }
+
+  init(callbacks = {}) {
+    this.callbacks = callbacks;
+    this.followUpThread.init(callbacks);
+    this.reviewForm.init(callbacks);
+    this.speakerBar.init(callbacks);
   }
 
   injectStyles() {
@@ -31,6 +60,106 @@ export class ResultsRenderer {
         font-weight: 500;
       }
 
+      .budget-notice {
+        background: #fffbeb;
+        border: 1px solid #f59e0b;
+        color: #92400e;
+        padding: 10px 16px;
+        border-radius: 8px;
+        margin-bottom: 16px;
+        font-size: 13px;
+      }
+
+      .processing-info {
+        background: #f8fafc;
+        border: 1px solid #e2e8f0;
+        border-radius: 8px;
+        padding: 10px 14px;
+        margin-bottom: 16px;
+        font-size: 13px;
+        color: #475569;
+      }
+
+      .processing-header {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .processing-title {
+        flex: 1;
+        font-weight: 600;
+        color: #1e293b;
+      }
+
+      .processing-usage {
+        font-size: 12px;
+        color: #64748b;
+      }
+
+      .processing-toggle {
+        background: none;
+        border: none;
+        color: #64748b;
+        cursor: pointer;
+        font-size: 12px;
+        padding: 2px 4px;
+      }
+
+      .processing-details {
+        margin-top: 10px;
+      }
+
+      .processing-grid {
+        display: grid;
+        gap: 6px;
+      }
+
+      .processing-stat {
+        display: flex;
+        justify-content: space-between;
+        gap: 12px;
+      }
+
+      .processing-stat .stat-label {
+        color: #64748b;
+      }
+
+      .processing-stat .stat-value {
+        color: #1e293b;
+        font-weight: 500;
+        text-align: right;
+      }
+
+      .segments-summary {
+        margin-top: 10px;
+        padding-top: 10px;
+        border-top: 1px solid #e2e8f0;
+      }
+
+      .segments-header,
+      .segment-item {
+        display: flex;
+        justify-content: space-between;
+        gap: 8px;
+        padding: 2px 0;
+      }
+
+      .segments-title {
+        font-weight: 600;
+        color: #1e293b;
+      }
+
+      .segments-stats,
+      .segment-meta {
+        color: #64748b;
+        font-size: 12px;
+      }
+
+      .segment-priority.high {
+        color: #dc2626;
+      }
+
       .results-summary {
         background: linear-gradient(135deg, #fefefe 0%, #f8fafc 100%);
         border: 1px solid #e2e8f0;
@@ -118,6 +247,156 @@ export class ResultsRenderer {
         border: 1px solid #e2e8f0;
       }
 
+      .streaming-progress {
+        background: #f8fafc;
+        border: 1px solid #e2e8f0;
+        border-radius: 12px;
+        padding: 14px 16px;
+        margin-bottom: 16px;
+      }
+
+      .streaming-header {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        font-size: 13px;
+        color: #334155;
+      }
+
+      .streaming-spinner {
+        width: 14px;
+        height: 14px;
+        border: 2px solid #e2e8f0;
+        border-top-color: #667eea;
+        border-radius: 50%;
+        animation: spin 1s linear infinite;
+        flex-shrink: 0;
+      }
+
+      .streaming-count {
+        margin-left: auto;
+        font-weight: 600;
+        color: #4338ca;
+      }
+
+      .streaming-bar {
+        height: 4px;
+        margin-top: 10px;
+        background: #e2e8f0;
+        border-radius: 2px;
+        overflow: hidden;
+      }
+
+      .streaming-bar-fill {
+        height: 100%;
+        background: #667eea;
+        transition: width 0.3s ease;
+      }
+
+      .range-notice,
+      .range-picker {
+        background: #f0f9ff;
+        border: 1px solid #bae6fd;
+        border-radius: 12px;
+        padding: 10px 14px;
+        margin-bottom: 16px;
+        font-size: 13px;
+        color: #0c4a6e;
+      }
+
+      .range-notice {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .range-notice > span {
+        flex: 1;
+        font-weight: 500;
+      }
+
+      .range-picker-header,
+      .range-picker-controls,
+      .range-picker-actions {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .range-picker-title {
+        flex: 1;
+        font-weight: 600;
+      }
+
+      .range-picker-hint {
+        margin: 6px 0 10px;
+        font-size: 12px;
+        color: #0369a1;
+      }
+
+      .range-input {
+        flex: 1;
+        min-width: 0;
+        padding: 6px 10px;
+        border: 1px solid #7dd3fc;
+        border-radius: 6px;
+        background: #ffffff;
+        color: #0f172a;
+        font-size: 13px;
+      }
+
+      .range-strict {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        font-size: 12px;
+        white-space: nowrap;
+        cursor: pointer;
+      }
+
+      .range-picker-actions {
+        margin-top: 10px;
+      }
+
+      .range-summary {
+        flex: 1;
+        font-size: 12px;
+        color: #0369a1;
+      }
+
+      .range-check-btn,
+      .range-back-btn,
+      .range-notice-btn {
+        padding: 4px 10px;
+        border: 1px solid #7dd3fc;
+        border-radius: 6px;
+        background: #ffffff;
+        color: #0369a1;
+        font-size: 12px;
+        font-weight: 500;
+        cursor: pointer;
+      }
+
+      .range-check-btn {
+        background: #0ea5e9;
+        border-color: #0ea5e9;
+        color: #ffffff;
+      }
+
+      .range-check-btn:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+
+      .fact-card.card-enter {
+        animation: factCardEnter 0.35s ease;
+      }
+
+      @keyframes factCardEnter {
+        from { opacity: 0; transform: translateY(8px); }
+        to { opacity: 1; transform: translateY(0); }
+      }
+
       .expand-icon {
         color: #64748b;
         font-size: 12px;
@@ -204,6 +483,54 @@ export class ResultsRenderer {
         margin-left: 12px;
       }
 
+      .citation-list {
+        flex: 1;
+        margin: 0 0 0 12px;
+        padding-left: 18px;
+        text-align: left;
+        font-size: 13px;
+      }
+
+      .citation-list li {
+        margin-bottom: 4px;
+      }
+
+      .citation-link {
+        color: #2563eb;
+        text-decoration: none;
+        word-break: break-word;
+      }
+
+      .citation-link:hover {
+        text-decoration: underline;
+      }
+
+      .repeat-badge {
+        padding: 2px 8px;
+        border-radius: 10px;
+        background: #fef3c7;
+        color: #92400e;
+        font-size: 11px;
+        font-weight: 600;
+        white-space: nowrap;
+        cursor: help;
+      }
+
+      .claim-repeats {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 6px;
+        margin-top: 8px;
+        font-size: 12px;
+        color: #64748b;
+      }
+
+      .source-unverified {
+        color: #94a3b8;
+        font-style: italic;
+      }
+
       .reliability-info {
         margin-top: 16px;
         padding: 12px;
@@ -303,18 +630,47 @@ export class ResultsRenderer {
       }
 
       /* Dark Mode Styles - Both system preference AND manual dark mode */
-      @media (prefers-color-scheme: dark),
-      .dark-mode,
-      [data-dark-mode="true"],
-      html[data-theme="dark"],
-      body.dark-mode,
-      .yt-spec-base-background[dark] {
+      ${Constants.DARK_MODE_SELECTOR} {
         .cache-notice {
           background: linear-gradient(135deg, #1e293b 0%, #334155 100%) !important;
           border: 1px solid #0ea5e9 !important;
           color: #38bdf8 !important;
         }
 
+        .budget-notice {
+          background: #1e293b !important;
+          border: 1px solid #d97706 !important;
+          color: #fcd34d !important;
+        }
+
+        .processing-info {
+          background: #1e293b !important;
+          border: 1px solid #475569 !important;
+          color: #cbd5e1 !important;
+        }
+
+        .processing-title,
+        .segments-title,
+        .processing-stat .stat-value {
+          color: #f1f5f9 !important;
+        }
+
+        .processing-usage,
+        .processing-toggle,
+        .processing-stat .stat-label,
+        .segments-stats,
+        .segment-meta {
+          color: #94a3b8 !important;
+        }
+
+        .segments-summary {
+          border-top: 1px solid #475569 !important;
+        }
+
+        .segment-priority.high {
+          color: #f87171 !important;
+        }
+
         .results-summary {
           background: linear-gradient(135deg, #1e293b 0%, #334155 100%) !important;
           border: 1px solid #475569 !important;
@@ -366,6 +722,49 @@ export class ResultsRenderer {
           color: #94a3b8 !important;
         }
 
+        .streaming-progress {
+          background: #1e293b !important;
+          border-color: #475569 !important;
+        }
+
+        .streaming-header {
+          color: #e2e8f0 !important;
+        }
+
+        .streaming-count {
+          color: #c7d2fe !important;
+        }
+
+        .streaming-bar {
+          background: #475569 !important;
+        }
+
+        .range-notice,
+        .range-picker {
+          background: #0c2a3d !important;
+          border-color: #075985 !important;
+          color: #e0f2fe !important;
+        }
+
+        .range-picker-hint,
+        .range-summary {
+          color: #7dd3fc !important;
+        }
+
+        .range-input,
+        .range-back-btn,
+        .range-notice-btn {
+          background: #1e293b !important;
+          border-color: #0369a1 !important;
+          color: #e0f2fe !important;
+        }
+
+        .range-check-btn {
+          background: #0284c7 !important;
+          border-color: #0284c7 !important;
+          color: #ffffff !important;
+        }
+
         .card-content {
           background: #334155 !important;
         }
@@ -422,6 +821,23 @@ export class ResultsRenderer {
           color: #f1f5f9 !important;
         }
 
+        .citation-link {
+          color: #93c5fd !important;
+        }
+
+        .repeat-badge {
+          background: #78350f !important;
+          color: #fef3c7 !important;
+        }
+
+        .claim-repeats {
+          color: #94a3b8 !important;
+        }
+
+        .source-unverified {
+          color: #94a3b8 !important;
+        }
+
         .reliability-info {
           background: #1e293b !important;
           border: 1px solid #475569 !important;
@@ -538,39 +954,178 @@ export class ResultsRenderer {
     return this.renderEnhanced(results, cached, processedData);
   }
 
-  renderEnhanced(results, cached = false, processedData = null) {
+  /**
+   * @param {number|null} savedAt - when the results were reopened from history, the original check time
+   * @param {Object|null} usage - UsageMeter summary of the check's API requests
+   */
+  renderEnhanced(results, cached = false, processedData = null, savedAt = null, usage = null) {
     if (!results || results.length === 0) {
       return this.renderNoResults();
     }
 
-    const cacheNotice = cached ? 
-      '<div class="cache-notice">📋 Cached results (click refresh for new analysis)</div>' : '';
-    
-    const totalClaims = results.length;
-    const accurateClaims = results.filter(r => ['True', 'Mostly True'].includes(r.status)).length;
-    const avgConfidence = Math.round(results.reduce((sum, r) => sum + r.confidence, 0) / results.length);
+    this.expandedCards.clear(); // Freshly rendered cards start collapsed
 
-    const resultsHTML = results.map((result, index) => this.renderCleanFactCheckCard(result, index)).join('');
+    const cacheNotice = savedAt ?
+      `<div class="cache-notice">🗂️ Saved check from ${this.escapeHtml(new Date(savedAt).toLocaleString())} (click refresh for new analysis)</div>` :
+      cached ? '<div class="cache-notice">📋 Cached results (click refresh for new analysis)</div>' : '';
+    
+    this.currentResults = results;
 
     return `
       ${cacheNotice}
       <div class="results-summary">
         <div class="summary-title">📊 Analysis Results</div>
-        <div class="summary-stats">
+        <div class="summary-stats">${this.renderSummaryStats(results)}</div>
+      </div>
+      ${processedData || usage ? this.renderProcessingInfo(processedData, results, usage) : ''}
+      ${this.speakerBar.render(results)}
+      <div class="results-cards">
+        ${this.renderResultCards(results)}
+      </div>
+    `;
+  }
+
+  /**
+   * Cards keep their index into `results` however they are grouped or filtered, so markers and
+   * reviews still find them
+   */
+  renderResultCards(results) {
+    return this.speakerBar.renderCards(results, (result, index, extraClass) =>
+      this.renderCleanFactCheckCard(result, index, extraClass));
+  }
+
+  /**
+   * Re-render the speaker bar and cards in place (filter, grouping or speaker names changed)
+   */
+  refreshResultCards(results = this.currentResults) {
+    this.currentResults = results;
+    const cards = document.querySelector('.results-cards');
+    if (!cards) return;
+
+    this.expandedCards.clear();
+    const bar = document.querySelector('.speaker-bar');
+    const barHTML = this.speakerBar.render(results).trim();
+    if (bar && barHTML) {
+      bar.outerHTML = barHTML;
+    } else if (bar) {
+      bar.remove();
+    }
+
+    cards.innerHTML = this.renderResultCards(results);
+    cards.querySelectorAll('.fact-card').forEach(card => this.setupCard(card));
+    this.speakerBar.setup(() => this.refreshResultCards());
+  }
+
+  resetSpeakerView() {
+    this.speakerBar.reset();
+    this.currentResults = [];
+  }
+
+  /**
+   * Notice above results kept from a stream that broke off before every batch finished
+   * @param {{completed: number, total: number}|null} interrupted - analysisMetadata.interrupted from FactChecker
+   */
+  renderInterruptedNotice(interrupted) {
+    if (!interrupted) return '';
+
+    return `<div class="budget-notice">⚠️ The connection to the extension was lost after ${interrupted.completed} of ${interrupted.total} analysis batches. These are the claims checked so far; refresh to check the rest.</div>`;
+  }
+
+  /**
+   * How many check-worthy claims the per-check budget left unverified
+   * @param {Object|null} claimBudget - analysisMetadata.claimBudget from FactCheckEngine
+   */
+  renderBudgetNotice(claimBudget) {
+    if (!claimBudget?.skipped) return '';
+
+    const limit = claimBudget.stoppedBy === 'tokens' ?
+      `token budget (${claimBudget.maxTokens.toLocaleString()} tokens)` :
+      `claim budget (${claimBudget.maxClaims} claims)`;
+
+    return `<div class="budget-notice">⏭️ ${claimBudget.skipped} of ${claimBudget.eligible} check-worthy claims were skipped because the ${limit} was reached. Raise it in the extension settings and refresh to check them.</div>`;
+  }
+
+  renderSummaryStats(results) {
+    const totalClaims = results.length;
+    const accurateClaims = results.filter(r => ['True', 'Mostly True'].includes(r.status)).length;
+    const avgConfidence = Math.round(results.reduce((sum, r) => sum + r.confidence, 0) / results.length);
+    const reviewedClaims = results.filter(r => r.review).length;
+
+    return `
           <span class="stat">${totalClaims} Claims</span>
           <span class="stat" style="color: #10b981;">${accurateClaims} Accurate</span>
           <span class="stat">Avg: ${avgConfidence}% Confidence</span>
+          ${reviewedClaims > 0 ? `<span class="stat">${reviewedClaims} Reviewed</span>` : ''}
+    `;
+  }
+
+  /**
+   * Partial results while analysis batches are still running; newly arrived cards animate in
+   */
+  renderStreaming(results, completed, total) {
+    this.expandedCards.clear(); // Cards are re-rendered collapsed (and may re-order) on every update
+    const percentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+
+    const cardsHTML = results.map((result, index) => {
+      const isNew = !this.streamedClaims.has(result.claim);
+      this.streamedClaims.add(result.claim);
+      return this.renderCleanFactCheckCard(result, index, isNew ? 'card-enter' : '', false);
+    }).join('');
+
+    return `
+      <div class="streaming-progress">
+        <div class="streaming-header">
+          <div class="streaming-spinner"></div>
+          <span class="streaming-text">Analyzing claims… ${completed} of ${total} batches done</span>
+          <span class="streaming-count">${results.length} found</span>
+        </div>
+        <div class="streaming-bar">
+          <div class="streaming-bar-fill" style="width: ${percentage}%;"></div>
         </div>
       </div>
       <div class="results-cards">
-        ${resultsHTML}
+        ${cardsHTML}
       </div>
     `;
   }
 
-  renderProcessingInfo(processedData, results) {
+  beginStreaming() {
+    this.streamedClaims.clear();
+  }
+
+  /**
+   * Running timeline of a live fact-check (LiveTimelineRenderer), with new claims animating in
+   * @param {Object} state - LiveFactCheckSession.getState()
+   */
+  renderLiveTimeline(state) {
+    this.expandedCards.clear();
+
+    return this.liveTimeline.render(state, (result, index) => {
+      const isNew = !this.streamedClaims.has(result.claim);
+      this.streamedClaims.add(result.claim);
+      return this.renderCleanFactCheckCard(result, index, isNew ? 'card-enter' : '');
+    });
+  }
+
+  /**
+   * Shown above the results when only one passage of the video was checked
+   * @param {{start: number, end: number, strict: boolean}} range
+   */
+  renderRangeNotice(range) {
+    return `
+      <div class="range-notice">
+        <span>✂️ Checked ${TimedTranscript.formatRange(range)} only${range.strict ? ' · stricter check' : ''}</span>
+        <button class="range-notice-btn" id="range-edit">Change</button>
+        <button class="range-notice-btn" id="range-whole-video">Whole video</button>
+      </div>
+    `;
+  }
+
+  renderProcessingInfo(processedData, results, usage = null) {
     if (!processedData) {
-      return '<div class="processing-info fallback">⚠️ Standard processing used</div>';
+      return usage ?
+        `<div class="processing-info usage-only"><div class="processing-grid">${this.renderUsageStat(usage)}</div></div>` :
+        '<div class="processing-info fallback">⚠️ Standard processing used</div>';
     }
 
     const isEnhanced = !processedData.metadata.fallbackUsed;
@@ -603,8 +1158,10 @@ export class ResultsRenderer {
         <div class="processing-header">
           <span class="processing-icon">${qualityIcon}</span>
           <span class="processing-title">${qualityText}</span>
-          <button class="processing-toggle" onclick="this.parentElement.parentElement.querySelector('.processing-details').style.display = this.parentElement.parentElement.querySelector('.processing-details').style.display === 'none' ? 'block' : 'none'; this.textContent = this.textContent === '▼' ? '▲' : '▼';">▼</button>
+          ${usage ? `<span class="processing-usage">${this.formatUsageTotal(usage)}</span>` : ''}
+          <button class="processing-toggle" title="Show processing details">▼</button>
         </div>
+        ${processedData.provenance ? this.transcriptSource.render(processedData.provenance) : ''}
         <div class="processing-details" style="display: none;">
           <div class="processing-grid">
             <div class="processing-stat">
@@ -617,7 +1174,7 @@ export class ResultsRenderer {
             </div>
             <div class="processing-stat">
               <span class="stat-label">Pre-identified Claims:</span>
-              <span class="stat-value">${preIdentifiedClaims} found</span>
+              <span class="stat-value">${preIdentifiedClaims} found${processedData.metadata.duplicateClaimsMerged > 0 ? ` (${processedData.metadata.duplicateClaimsMerged} repeats merged)` : ''}</span>
             </div>
             <div class="processing-stat">
               <span class="stat-label">Primary Subject:</span>
@@ -631,6 +1188,7 @@ export class ResultsRenderer {
               <span class="stat-label">Original Length:</span>
               <span class="stat-value">${this.formatLength(processedData.metadata.originalLength)}</span>
             </div>
+            ${usage ? this.renderUsageStat(usage) : ''}
           </div>
           ${this.renderSegmentSummary(processedData.segments)}
         </div>
@@ -638,13 +1196,39 @@ export class ResultsRenderer {
     `;
   }
 
+  /**
+   * Tokens the check spent across every request, with the estimated cost at ModelConfig prices
+   */
+  renderUsageStat(usage) {
+    const calls = `${usage.calls} request${usage.calls === 1 ? '' : 's'}`;
+    const detail = usage.unreported === usage.calls ?
+      `${calls}, not reported by the provider` :
+      `${usage.promptTokens.toLocaleString()} in / ${usage.outputTokens.toLocaleString()} out, ${calls}` +
+        (usage.unreported > 0 ? `, ${usage.unreported} unreported` : '');
+
+    return `
+            <div class="processing-stat usage-stat">
+              <span class="stat-label">Token Usage:</span>
+              <span class="stat-value">${this.formatUsageTotal(usage)} (${detail})</span>
+            </div>
+    `;
+  }
+
+  formatUsageTotal(usage) {
+    const cost = usage.priced ?
+      `≈ ${UsageMeter.formatCost(usage.estimatedCost)}` :
+      usage.estimatedCost > 0 ? `≈ ${UsageMeter.formatCost(usage.estimatedCost)}+ (some models unpriced)` : 'cost unknown';
+
+    return `${usage.totalTokens.toLocaleString()} tokens · ${cost}`;
+  }
+
   renderSegmentSummary(segments) {
     if (!segments || segments.length === 0) return '';
 
     const factualSegments = segments.filter(s => s.type === 'factual').length;
     const highPrioritySegments = segments.filter(s => s.priority === 'high').length;
     
-    const topSegments = segments
+    const topSegments = [...segments]
       .sort((a, b) => {
         const priorityOrder = { high: 3, medium: 2, low: 1 };
         const priorityDiff = (priorityOrder[b.priority] || 2) - (priorityOrder[a.priority] || 2);
@@ -676,13 +1260,16 @@ export class ResultsRenderer {
     `;
   }
 
-  renderCleanFactCheckCard(result, index) {
+  /**
+   * @param {boolean} interactive - false for cards that are still being streamed in (no follow-ups or reviews)
+   */
+  renderCleanFactCheckCard(result, index, extraClass = '', interactive = true) {
     const statusClass = this.getStatusClass(result.status);
     const statusIcon = this.getStatusIcon(result.status);
     const cardId = `fact-card-${index}`;
     
     return `
-      <div class="fact-card ${statusClass}" id="${cardId}" data-card-index="${index}">
+      <div class="fact-card ${statusClass}${extraClass ? ` ${extraClass}` : ''}" id="${cardId}" data-card-index="${index}">
         <div class="card-header" onclick="window.factCheckerManager?.factChecker?.resultsRenderer?.toggleCard(${index})">
           <div class="status-info">
             <span class="status-badge">
@@ -690,8 +1277,11 @@ export class ResultsRenderer {
               <span class="status-text">${result.status}</span>
             </span>
             <span class="confidence-score" title="Confidence Level: How certain the AI is about this verification based on available evidence. Higher percentages indicate stronger evidence and more reliable sources.">${result.confidence}%</span>
+            ${result.repeatCount > 1 ? `<span class="repeat-badge" title="Said ${result.repeatCount} times in the video">🔁 ${result.repeatCount}×</span>` : ''}
+            ${this.reviewForm.renderBadge(result)}
           </div>
           <div class="header-right">
+            ${this.claimSeek.renderTimestamp(result.startTime, true)}
             <span class="expand-icon">▼</span>
           </div>
         </div>
@@ -700,6 +1290,8 @@ export class ResultsRenderer {
           <div class="claim-section">
             <h4 class="claim-label">Fact Claimed:</h4>
             <p class="claim-text">"${this.escapeHtml(result.claim)}"</p>
+            ${this.speakerBar.renderClaimSpeaker(result)}
+            ${this.renderClaimRepeats(result)}
           </div>
           
           <div class="reasoning-section">
@@ -722,10 +1314,7 @@ export class ResultsRenderer {
               <span class="source-value">${this.escapeHtml(result.verificationMethod)}</span>
             </div>
             
-            <div class="source-item">
-              <span class="source-type">Sources:</span>
-              <span class="source-value">${this.escapeHtml(result.sources)}</span>
-            </div>
+            ${this.renderCitations(result)}
             
             ${result.context ? `
             <div class="source-item">
@@ -738,12 +1327,55 @@ export class ResultsRenderer {
               <span class="reliability-label">Reliability Score:</span>
               <span class="reliability-score" title="Overall Reliability: Combines confidence level, evidence quality, source credibility, and explanation depth. Scores 80+ indicate highly reliable verification, 60-79 good reliability, below 60 suggests caution needed.">${result.reliabilityScore || 'N/A'}/100</span>
             </div>
+            ${interactive ? this.reviewForm.render(result) : ''}
+            ${interactive ? this.followUpThread.render(result, index) : ''}
           </div>
         </div>
       </div>
     `;
   }
 
+  /**
+   * Search results the answer was grounded on, as links; the model's own "sources" text
+   * is only shown (and labelled as such) when there is nothing to link to
+   */
+  renderCitations(result) {
+    const citations = (result.citations || []).filter(citation => GroundingCitations.isSafeUrl(citation.uri));
+
+    if (citations.length === 0) {
+      return `
+            <div class="source-item">
+              <span class="source-type">Sources:</span>
+              <span class="source-value">${this.escapeHtml(result.sources)} <span class="source-unverified" title="No search citations were returned for this claim; this text comes from the AI model and could not be checked">(model-reported)</span></span>
+            </div>
+      `;
+    }
+
+    const links = citations.map(citation => `
+              <li>
+                <a class="citation-link" href="${this.escapeAttribute(citation.uri)}" target="_blank" rel="noopener noreferrer" title="${this.escapeAttribute(citation.uri)}">${this.escapeHtml(citation.title || citation.uri)}</a>
+              </li>
+    `).join('');
+
+    return `
+            <div class="source-item citations">
+              <span class="source-type">Sources:</span>
+              <ol class="citation-list">${links}</ol>
+            </div>
+    `;
+  }
+
+  /**
+   * Every moment a claim merged from several mentions was said
+   */
+  renderClaimRepeats(result) {
+    if (!(result.repeatCount > 1)) return '';
+
+    const times = (result.timestamps || []).map(timestamp => this.claimSeek.renderTimestamp(timestamp.start)).join('');
+
+    return `<div class="claim-repeats">🔁 Said ${result.repeatCount} times${times ? ' · at' : ''} ${times}</div>`;
+  }
+
   renderEnhancedMetadata(result) {
     const metadata = [];
     
@@ -866,20 +1498,17 @@ export class ResultsRenderer {
 
   setupInteractivity() {
     // Setup card click handlers after content is rendered
-    const cards = document.querySelectorAll('.fact-card');
-    cards.forEach(card => {
-      const cardIndex = parseInt(card.getAttribute('data-card-index'));
-      const header = card.querySelector('.card-header');
-      
-      if (header) {
-        // Remove existing listeners and add new ones
-        header.replaceWith(header.cloneNode(true));
-        const newHeader = card.querySelector('.card-header');
-        newHeader.addEventListener('click', (e) => {
-          e.stopPropagation();
-          this.toggleCard(cardIndex);
-        });
-      }
+    document.querySelectorAll('.fact-card').forEach(card => this.setupCard(card));
+    this.speakerBar.setup(() => this.refreshResultCards());
+
+    document.querySelectorAll('.processing-info .processing-toggle').forEach(toggle => {
+      toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const details = toggle.closest('.processing-info').querySelector('.processing-details');
+        const open = details.style.display === 'none';
+        details.style.display = open ? 'block' : 'none';
+        toggle.textContent = open ? '▲' : '▼';
+      });
     });
 
     // Setup retry button functionality
@@ -899,6 +1528,55 @@ export class ResultsRenderer {
     }
   }
 
+  /**
+   * Header toggle, timestamp seek, review form and "Dig deeper" box of one rendered card
+   */
+  setupCard(card) {
+    const cardIndex = parseInt(card.getAttribute('data-card-index'));
+    const header = card.querySelector('.card-header');
+
+    if (header) {
+      // Remove existing listeners and add new ones
+      header.replaceWith(header.cloneNode(true));
+      const newHeader = card.querySelector('.card-header');
+      newHeader.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleCard(cardIndex);
+      });
+    }
+
+    this.claimSeek.setupCard(card, cardIndex);
+
+    this.reviewForm.setupCard(card, cardIndex);
+    this.followUpThread.setupCard(card, cardIndex);
+  }
+
+  /**
+   * Re-render one card after its result changed (reviewer override), keeping it expanded
+   */
+  updateCard(cardIndex, result, results = null) {
+    const card = document.getElementById(`fact-card-${cardIndex}`);
+    if (!card) return;
+
+    const wasExpanded = this.expandedCards.has(cardIndex);
+    const template = document.createElement('div');
+    template.innerHTML = this.renderCleanFactCheckCard(result, cardIndex, '').trim();
+    const newCard = template.firstElementChild;
+
+    card.replaceWith(newCard);
+    this.setupCard(newCard);
+
+    if (wasExpanded) {
+      this.expandedCards.delete(cardIndex);
+      this.toggleCard(cardIndex);
+    }
+
+    const summaryStats = document.querySelector('.results-summary .summary-stats');
+    if (summaryStats && results) {
+      summaryStats.innerHTML = this.renderSummaryStats(results);
+    }
+  }
+
   toggleCard(cardIndex) {
     const card = document.getElementById(`fact-card-${cardIndex}`);
     const sources = document.getElementById(`sources-${cardIndex}`);
@@ -925,6 +1603,30 @@ export class ResultsRenderer {
     }
   }
 
+  /**
+   * Expand a card, scroll it into view and flash it (used by progress bar markers)
+   */
+  revealCard(cardIndex) {
+    let card = document.getElementById(`fact-card-${cardIndex}`);
+    if (!card) return;
+
+    // Hidden by the speaker filter - show every speaker again
+    if (card.classList.contains('speaker-hidden')) {
+      this.speakerBar.view.filter = null;
+      this.refreshResultCards();
+      card = document.getElementById(`fact-card-${cardIndex}`);
+      if (!card) return;
+    }
+
+    if (!card.classList.contains('expanded')) {
+      this.expandedCards.delete(cardIndex); // Re-rendered cards start collapsed
+      this.toggleCard(cardIndex);
+    }
+
+    card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    this.claimSeek.highlightCard(cardIndex);
+  }
+
   formatEvidenceType(evidenceType) {
     // Handle multiple evidence types separated by pipes
     if (evidenceType && evidenceType.includes('|')) {
@@ -1009,7 +1711,14 @@ export class ResultsRenderer {
     return div.innerHTML;
   }
 
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
   cleanup() {
     this.expandedCards.clear();
+    this.streamedClaims.clear();
+    this.resetSpeakerView();
+    this.claimSeek.cleanup();
   }
 }
\ No newline at end of file
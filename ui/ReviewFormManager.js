@@ -0,0 +1,303 @@
+// ReviewFormManager.js - Reviewer override of a fact-check verdict
+// The human verdict (with the model's kept for comparison), its header badge and the form to change it
+
+import { Constants } from '../utils/Constants.js';
+import { ClaimSchema } from '../utils/ClaimSchema.js';
+
+export class ReviewFormManager {
+  constructor() {
+    this.callbacks = {};
+    this.lastReviewer = ''; // Pre-fills the reviewer name on the next override
+    this.injectStyles();
+  }
+
+  init(callbacks = {}) {
+    this.callbacks = callbacks;
+  }
+
+  injectStyles() {
+    if (document.getElementById('fact-check-review-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'fact-check-review-styles';
+    styles.textContent = `
+      .review-badge {
+        padding: 2px 8px;
+        border-radius: 10px;
+        background: #ede9fe;
+        color: #5b21b6;
+        font-size: 11px;
+        font-weight: 600;
+        white-space: nowrap;
+      }
+
+      .review-section {
+        margin-top: 16px;
+        padding-top: 16px;
+        border-top: 1px solid #e2e8f0;
+      }
+
+      .review-section .sources-label {
+        margin-bottom: 10px;
+      }
+
+      .review-summary {
+        margin-bottom: 10px;
+        padding: 10px 12px;
+        border-radius: 8px;
+        background: #f5f3ff;
+        border: 1px solid #ddd6fe;
+        font-size: 13px;
+        line-height: 1.5;
+        color: #4c1d95;
+      }
+
+      .review-model {
+        margin-top: 6px;
+        color: #475569;
+      }
+
+      .review-model-explanation {
+        color: #64748b;
+        font-size: 12px;
+      }
+
+      .review-note {
+        margin-top: 6px;
+        white-space: pre-wrap;
+      }
+
+      .review-edit-btn,
+      .review-save-btn,
+      .review-cancel-btn,
+      .review-revert-btn {
+        padding: 6px 12px;
+        border: 1px solid #c4b5fd;
+        border-radius: 6px;
+        background: #ffffff;
+        color: #5b21b6;
+        font-size: 12px;
+        font-weight: 500;
+        cursor: pointer;
+      }
+
+      .review-save-btn {
+        background: #7c3aed;
+        border-color: #7c3aed;
+        color: #ffffff;
+      }
+
+      .review-form button:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+
+      .review-field {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        margin-bottom: 10px;
+        font-size: 12px;
+        font-weight: 500;
+        color: #475569;
+      }
+
+      .review-field select,
+      .review-field textarea,
+      .review-field input {
+        padding: 6px 8px;
+        border: 1px solid #cbd5e1;
+        border-radius: 6px;
+        background: #ffffff;
+        color: #0f172a;
+        font-family: inherit;
+        font-size: 13px;
+        resize: vertical;
+      }
+
+      .review-error {
+        margin-bottom: 8px;
+        font-size: 12px;
+        color: #b91c1c;
+      }
+
+      .review-error:empty {
+        display: none;
+      }
+
+      .review-actions {
+        display: flex;
+        gap: 8px;
+      }
+
+      .review-revert-btn {
+        margin-left: auto;
+      }
+
+      /* Dark Mode Styles - Both system preference AND manual dark mode */
+      ${Constants.DARK_MODE_SELECTOR} {
+        .review-badge {
+          background: #4c1d95 !important;
+          color: #ede9fe !important;
+        }
+
+        .review-section {
+          border-top-color: #475569 !important;
+        }
+
+        .review-summary {
+          background: #2e1065 !important;
+          border-color: #5b21b6 !important;
+          color: #ede9fe !important;
+        }
+
+        .review-model,
+        .review-model-explanation,
+        .review-field {
+          color: #cbd5e1 !important;
+        }
+
+        .review-edit-btn,
+        .review-cancel-btn,
+        .review-revert-btn,
+        .review-field select,
+        .review-field textarea,
+        .review-field input {
+          background: #1e293b !important;
+          border-color: #6d28d9 !important;
+          color: #f1f5f9 !important;
+        }
+
+        .review-error {
+          color: #fca5a5 !important;
+        }
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  renderBadge(result) {
+    return result.review ? `<span class="review-badge" title="Model verdict: ${this.escapeAttribute(result.modelVerdict?.status)}">✍️ Edited by reviewer</span>` : '';
+  }
+
+  render(result) {
+    const review = result.review;
+    const { MAX_EXPLANATION_LENGTH, MAX_NOTE_LENGTH, MAX_REVIEWER_LENGTH } = Constants.REVIEW;
+
+    const summary = review ? `
+              <div class="review-summary">
+                <div><strong>✍️ Edited by ${this.escapeHtml(review.reviewer || 'reviewer')}</strong> · ${this.escapeHtml(new Date(review.reviewedAt).toLocaleString())}</div>
+                <div class="review-model">Model verdict: ${Constants.STATUS_ICONS[result.modelVerdict.status] || '❓'} ${this.escapeHtml(result.modelVerdict.status)} (${result.confidence}% confidence)</div>
+                <div class="review-model-explanation">${this.escapeHtml(result.modelVerdict.explanation)}</div>
+                ${review.note ? `<div class="review-note">📝 ${this.escapeHtml(review.note)}</div>` : ''}
+              </div>` : '';
+
+    const options = ClaimSchema.STATUSES.map(status =>
+      `<option value="${status}"${status === result.status ? ' selected' : ''}>${status}</option>`).join('');
+
+    return `
+            <div class="review-section">
+              <h4 class="sources-label">🧑‍⚖️ Reviewer verdict</h4>
+              ${summary}
+              <button type="button" class="review-edit-btn">${review ? 'Edit review' : 'Override verdict'}</button>
+              <form class="review-form" style="display: none;">
+                <label class="review-field">Verdict
+                  <select name="status">${options}</select>
+                </label>
+                <label class="review-field">Explanation
+                  <textarea name="explanation" rows="4" maxlength="${MAX_EXPLANATION_LENGTH}">${this.escapeHtml(result.explanation)}</textarea>
+                </label>
+                <label class="review-field">Reviewer note
+                  <textarea name="note" rows="2" maxlength="${MAX_NOTE_LENGTH}" placeholder="Why the verdict was changed">${this.escapeHtml(review?.note || '')}</textarea>
+                </label>
+                <label class="review-field">Your name
+                  <input type="text" name="reviewer" maxlength="${MAX_REVIEWER_LENGTH}" value="${this.escapeAttribute(review?.reviewer || this.lastReviewer)}">
+                </label>
+                <div class="review-error"></div>
+                <div class="review-actions">
+                  <button type="submit" class="review-save-btn">Save</button>
+                  <button type="button" class="review-cancel-btn">Cancel</button>
+                  ${review ? '<button type="button" class="review-revert-btn">Restore model verdict</button>' : ''}
+                </div>
+              </form>
+            </div>
+    `;
+  }
+
+  /**
+   * Wire up the review form of a rendered card
+   */
+  setupCard(card, cardIndex) {
+    const editBtn = card.querySelector('.review-edit-btn');
+    const form = card.querySelector('.review-form');
+    if (!editBtn || !form) return;
+
+    const setOpen = (open) => {
+      form.style.display = open ? 'block' : 'none';
+      editBtn.style.display = open ? 'none' : '';
+    };
+
+    editBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      setOpen(true);
+    });
+
+    form.querySelector('.review-cancel-btn')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      form.reset();
+      form.querySelector('.review-error').textContent = '';
+      setOpen(false);
+    });
+
+    form.querySelector('.review-revert-btn')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this.callbacks.onRevertReview) {
+        form.querySelectorAll('button').forEach(button => { button.disabled = true; });
+        this.callbacks.onRevertReview(cardIndex);
+      }
+    });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (!this.callbacks.onSaveReview) return;
+
+      const review = {
+        status: form.elements.status.value,
+        explanation: form.elements.explanation.value.trim(),
+        note: form.elements.note.value.trim(),
+        reviewer: form.elements.reviewer.value.trim()
+      };
+      this.lastReviewer = review.reviewer;
+
+      form.querySelectorAll('button').forEach(button => { button.disabled = true; });
+      this.callbacks.onSaveReview(cardIndex, review);
+    });
+
+    // Keep YouTube's keyboard shortcuts out of the text fields
+    form.addEventListener('keydown', (e) => e.stopPropagation());
+  }
+
+  /**
+   * Reviewer override couldn't be saved - show why and let the reviewer try again
+   */
+  showError(cardIndex, message) {
+    const form = document.querySelector(`#fact-card-${cardIndex} .review-form`);
+    if (!form) return;
+
+    form.querySelector('.review-error').textContent = `⚠️ ${message}`;
+    form.querySelectorAll('button').forEach(button => { button.disabled = false; });
+  }
+
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  }
+}
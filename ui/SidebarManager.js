@@ -1,11 +1,15 @@
 // SidebarManager.js - Handles sidebar creation, display, and management
 // Manages sidebar state, content updates, and user interactions
 
+import { DOMUtils } from '../utils/DOMUtils.js';
+
 export class SidebarManager {
   constructor() {
     this.sidebar = null;
     this.visible = false;
     this.callbacks = {};
+    this.exportStatusTimer = null;
+    this.handleResize = () => this.positionShortsOverlay();
   }
 
   init(callbacks = {}) {
@@ -46,6 +50,28 @@ export class SidebarManager {
     
     this.sidebar = sidebar;
     this.setupEventListeners();
+
+    // On Shorts the results cover the vertical player instead of sliding in from the right
+    if (DOMUtils.isShortsPage()) {
+      sidebar.classList.add('shorts-overlay');
+      this.positionShortsOverlay();
+      window.addEventListener('resize', this.handleResize);
+    }
+  }
+
+  /**
+   * Match the overlay to the active Short's player (falls back to the stylesheet's centered layout)
+   */
+  positionShortsOverlay() {
+    if (!this.sidebar?.classList.contains('shorts-overlay')) return;
+
+    const rect = DOMUtils.getActivePlayer()?.getBoundingClientRect();
+    if (!rect || rect.width === 0 || rect.height === 0) return;
+
+    this.sidebar.style.setProperty('--shorts-overlay-top', `${rect.top}px`);
+    this.sidebar.style.setProperty('--shorts-overlay-left', `${rect.left}px`);
+    this.sidebar.style.setProperty('--shorts-overlay-width', `${rect.width}px`);
+    this.sidebar.style.setProperty('--shorts-overlay-height', `${rect.height}px`);
   }
 
   getSidebarHTML() {
@@ -53,6 +79,17 @@ export class SidebarManager {
       <div class="sidebar-header">
         <h3>🔍 AI Fact-Check</h3>
         <div class="header-controls">
+          <div class="export-control">
+            <button id="export-report" class="control-btn" title="Export report" disabled>⤓</button>
+            <div id="export-menu" class="export-menu" role="menu">
+              <button class="export-option" data-format="markdown" data-action="copy" role="menuitem">📋 Copy as Markdown</button>
+              <button class="export-option" data-format="markdown" data-action="download" role="menuitem">📝 Download Markdown</button>
+              <button class="export-option" data-format="json" data-action="download" role="menuitem">🧾 Download JSON</button>
+              <button class="export-option" data-format="html" data-action="download" role="menuitem">🖨️ Download printable HTML</button>
+            </div>
+          </div>
+          <button id="caption-tracks" class="control-btn" title="Caption track and translation">🌐</button>
+          <button id="check-range" class="control-btn" title="Check part of the transcript">✂</button>
           <button id="refresh-analysis" class="control-btn" title="Refresh analysis">⟳</button>
           <button id="close-sidebar" class="close-btn">×</button>
         </div>
@@ -71,6 +108,8 @@ export class SidebarManager {
 
     const closeBtn = this.sidebar.querySelector('#close-sidebar');
     const refreshBtn = this.sidebar.querySelector('#refresh-analysis');
+    const rangeBtn = this.sidebar.querySelector('#check-range');
+    const captionsBtn = this.sidebar.querySelector('#caption-tracks');
 
     if (closeBtn) {
       closeBtn.addEventListener('click', () => {
@@ -87,6 +126,86 @@ export class SidebarManager {
         }
       });
     }
+
+    if (rangeBtn) {
+      rangeBtn.addEventListener('click', () => {
+        if (this.callbacks.onCheckRange) {
+          this.callbacks.onCheckRange();
+        }
+      });
+    }
+
+    if (captionsBtn) {
+      captionsBtn.addEventListener('click', () => {
+        if (this.callbacks.onPickCaptions) {
+          this.callbacks.onPickCaptions();
+        }
+      });
+    }
+
+    this.setupExportMenu();
+  }
+
+  setupExportMenu() {
+    const exportBtn = this.sidebar.querySelector('#export-report');
+    const menu = this.sidebar.querySelector('#export-menu');
+    if (!exportBtn || !menu) return;
+
+    exportBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      menu.classList.toggle('open');
+    });
+
+    menu.querySelectorAll('.export-option').forEach(option => {
+      option.addEventListener('click', (e) => {
+        e.stopPropagation();
+        menu.classList.remove('open');
+        if (this.callbacks.onExport) {
+          this.callbacks.onExport(option.dataset.format, option.dataset.action);
+        }
+      });
+    });
+
+    // Close when clicking anywhere else in the sidebar
+    this.sidebar.addEventListener('click', () => menu.classList.remove('open'));
+  }
+
+  /**
+   * Export only makes sense once there are final results to export
+   */
+  setExportEnabled(enabled) {
+    const exportBtn = this.sidebar?.querySelector('#export-report');
+    if (!exportBtn) return;
+
+    exportBtn.disabled = !enabled;
+    if (!enabled) {
+      this.sidebar.querySelector('#export-menu')?.classList.remove('open');
+    }
+  }
+
+  /**
+   * Passages and caption tracks can't be picked while a live stream is still being followed
+   */
+  setTranscriptToolsEnabled(enabled) {
+    this.sidebar?.querySelectorAll('#check-range, #caption-tracks').forEach(button => {
+      button.disabled = !enabled;
+    });
+  }
+
+  /**
+   * Briefly show the outcome of an export on the export button
+   */
+  flashExportStatus(message) {
+    const exportBtn = this.sidebar?.querySelector('#export-report');
+    if (!exportBtn) return;
+
+    exportBtn.title = message;
+    exportBtn.classList.add('export-done');
+    clearTimeout(this.exportStatusTimer);
+    this.exportStatusTimer = setTimeout(() => {
+      exportBtn.title = 'Export report';
+      exportBtn.classList.remove('export-done');
+    }, 2000);
   }
 
   setContent(htmlContent) {
@@ -106,6 +225,8 @@ export class SidebarManager {
   }
 
   remove() {
+    clearTimeout(this.exportStatusTimer);
+    window.removeEventListener('resize', this.handleResize);
     if (this.sidebar) {
       this.sidebar.remove();
       this.sidebar = null;
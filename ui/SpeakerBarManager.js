@@ -0,0 +1,383 @@
+// SpeakerBarManager.js - Speaker filter, grouping and rename form above the fact-check cards
+// Holds the current filter and grouping; ResultsRenderer re-renders the cards when they change
+
+import { Constants } from '../utils/Constants.js';
+import { SpeakerLabels } from '../transcript/utils/SpeakerLabels.js';
+
+export class SpeakerBarManager {
+  constructor() {
+    this.callbacks = {};
+    this.view = { filter: null, grouped: false }; // filter: a speaker label, '' for unattributed claims
+    this.injectStyles();
+  }
+
+  init(callbacks = {}) {
+    this.callbacks = callbacks;
+  }
+
+  injectStyles() {
+    if (document.getElementById('fact-check-speaker-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'fact-check-speaker-styles';
+    styles.textContent = `
+      .claim-speaker {
+        margin-top: 6px;
+        font-size: 12px;
+        font-weight: 500;
+        color: #475569;
+      }
+
+      .speaker-bar {
+        margin-bottom: 16px;
+        padding: 10px 14px;
+        border: 1px solid #e2e8f0;
+        border-radius: 12px;
+        background: #f8fafc;
+        font-size: 13px;
+        color: #334155;
+      }
+
+      .speaker-bar-header,
+      .speaker-rename-row,
+      .speaker-rename-actions {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+      }
+
+      .speaker-bar-title {
+        flex: 1;
+        font-weight: 600;
+      }
+
+      .speaker-group-toggle {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        font-size: 12px;
+        white-space: nowrap;
+        cursor: pointer;
+      }
+
+      .speaker-chips {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        margin-top: 8px;
+      }
+
+      .speaker-chip,
+      .speaker-rename-btn,
+      .speaker-rename-cancel,
+      .speaker-rename-save {
+        padding: 3px 10px;
+        border: 1px solid #cbd5e1;
+        border-radius: 12px;
+        background: #ffffff;
+        color: #334155;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .speaker-chip.active,
+      .speaker-rename-save {
+        background: #0ea5e9;
+        border-color: #0ea5e9;
+        color: #ffffff;
+      }
+
+      .speaker-rename-form {
+        margin-top: 10px;
+      }
+
+      .speaker-rename-row {
+        margin-bottom: 6px;
+      }
+
+      .speaker-rename-label {
+        flex: 0 0 40%;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        font-size: 12px;
+        color: #64748b;
+      }
+
+      .speaker-rename-row input {
+        flex: 1;
+        min-width: 0;
+        padding: 4px 8px;
+        border: 1px solid #cbd5e1;
+        border-radius: 6px;
+        background: #ffffff;
+        color: #0f172a;
+        font-size: 12px;
+      }
+
+      .speaker-rename-error {
+        margin-top: 6px;
+        font-size: 12px;
+        color: #dc2626;
+      }
+
+      .speaker-group {
+        margin-bottom: 16px;
+      }
+
+      .fact-card.speaker-hidden,
+      .speaker-group.speaker-hidden {
+        display: none;
+      }
+
+      .speaker-group-title {
+        margin-bottom: 8px;
+        font-size: 13px;
+        font-weight: 600;
+        color: #334155;
+      }
+
+      .speaker-group-count {
+        font-weight: 400;
+        color: #64748b;
+      }
+
+      /* Dark Mode Styles - Both system preference AND manual dark mode */
+      ${Constants.DARK_MODE_SELECTOR} {
+        .claim-speaker,
+        .speaker-rename-label,
+        .speaker-group-count {
+          color: #94a3b8 !important;
+        }
+
+        .speaker-bar {
+          background: #1e293b !important;
+          border-color: #475569 !important;
+          color: #e2e8f0 !important;
+        }
+
+        .speaker-chip,
+        .speaker-rename-btn,
+        .speaker-rename-cancel,
+        .speaker-rename-row input {
+          background: #0f172a !important;
+          border-color: #475569 !important;
+          color: #e2e8f0 !important;
+        }
+
+        .speaker-chip.active,
+        .speaker-rename-save {
+          background: #0284c7 !important;
+          border-color: #0284c7 !important;
+          color: #ffffff !important;
+        }
+
+        .speaker-rename-error {
+          color: #f87171 !important;
+        }
+
+        .speaker-group-title {
+          color: #e2e8f0 !important;
+        }
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  /**
+   * Speakers the results are attributed to, most claims first; unattributed claims (key '') come last
+   * @returns {Array<{key: string, label: string|null, name: string, renamed: string, count: number}>}
+   */
+  getSpeakers(results) {
+    const speakers = new Map();
+
+    results.forEach(result => {
+      const key = result.speaker || '';
+      if (!speakers.has(key)) {
+        speakers.set(key, {
+          key,
+          label: result.speaker || null,
+          name: SpeakerLabels.displayName(result) || 'Unattributed',
+          renamed: result.speakerName || '',
+          count: 0
+        });
+      }
+      speakers.get(key).count++;
+    });
+
+    return [...speakers.values()].sort((a, b) => {
+      if (!a.key !== !b.key) return a.key ? -1 : 1;
+      return b.count - a.count;
+    });
+  }
+
+  /**
+   * Filter chips, "Group by speaker" and the rename form; nothing when no claim has a speaker
+   */
+  render(results) {
+    const speakers = this.getSpeakers(results);
+    const labelled = speakers.filter(speaker => speaker.label);
+    if (labelled.length === 0) return '';
+
+    // A filter left over from another video or check
+    if (!speakers.some(speaker => speaker.key === this.view.filter)) {
+      this.view.filter = null;
+    }
+
+    const chips = speakers.map(speaker => `
+      <button class="speaker-chip${this.view.filter === speaker.key ? ' active' : ''}" data-speaker="${this.escapeAttribute(speaker.key)}">${this.escapeHtml(speaker.name)} (${speaker.count})</button>
+    `).join('');
+
+    const renameRows = labelled.map(speaker => `
+      <label class="speaker-rename-row">
+        <span class="speaker-rename-label" title="${this.escapeAttribute(speaker.label)}">${this.escapeHtml(speaker.label)}</span>
+        <input type="text" data-speaker="${this.escapeAttribute(speaker.label)}" maxlength="${Constants.SPEAKERS.MAX_LABEL_LENGTH}" value="${this.escapeAttribute(speaker.renamed)}" placeholder="${this.escapeAttribute(speaker.label)}">
+      </label>
+    `).join('');
+
+    return `
+      <div class="speaker-bar">
+        <div class="speaker-bar-header">
+          <span class="speaker-bar-title">🗣️ Speakers</span>
+          <label class="speaker-group-toggle">
+            <input type="checkbox" id="speaker-group"${this.view.grouped ? ' checked' : ''}> Group
+          </label>
+          <button class="speaker-rename-btn" id="speaker-rename" title="Give speakers their real names">✏️ Rename</button>
+        </div>
+        <div class="speaker-chips">
+          <button class="speaker-chip${this.view.filter === null ? ' active' : ''}" data-speaker-all="true">All (${results.length})</button>
+          ${chips}
+        </div>
+        <form class="speaker-rename-form" style="display: none;">
+          ${renameRows}
+          <div class="speaker-rename-actions">
+            <button type="submit" class="speaker-rename-save">Save names</button>
+            <button type="button" class="speaker-rename-cancel">Cancel</button>
+          </div>
+          <div class="speaker-rename-error"></div>
+        </form>
+      </div>
+    `;
+  }
+
+  /**
+   * Cards by speaker when grouped, each group with its verdict count; filtered-out cards and groups are rendered hidden
+   * @param {Function} renderCard - (result, index, extraClass) => card HTML, from ResultsRenderer
+   */
+  renderCards(results, renderCard) {
+    const { filter, grouped } = this.view;
+    const renderFiltered = (result, index) => renderCard(
+      result,
+      index,
+      filter !== null && (result.speaker || '') !== filter ? 'speaker-hidden' : ''
+    );
+
+    const speakers = this.getSpeakers(results);
+    if (!grouped || !speakers.some(speaker => speaker.label)) {
+      return results.map(renderFiltered).join('');
+    }
+
+    return speakers.map(speaker => {
+      const members = results
+        .map((result, index) => ({ result, index }))
+        .filter(({ result }) => (result.speaker || '') === speaker.key);
+      const accurate = members.filter(({ result }) => ['True', 'Mostly True'].includes(result.status)).length;
+      const hidden = filter !== null && filter !== speaker.key;
+
+      return `
+        <div class="speaker-group${hidden ? ' speaker-hidden' : ''}">
+          <div class="speaker-group-title">🗣️ ${this.escapeHtml(speaker.name)} <span class="speaker-group-count">· ${speaker.count} claim${speaker.count === 1 ? '' : 's'}, ${accurate} accurate</span></div>
+          ${members.map(({ result, index }) => renderFiltered(result, index)).join('')}
+        </div>
+      `;
+    }).join('');
+  }
+
+  renderClaimSpeaker(result) {
+    const name = SpeakerLabels.displayName(result);
+    return name ? `<div class="claim-speaker">🗣️ Said by ${this.escapeHtml(name)}</div>` : '';
+  }
+
+  /**
+   * Wire up render() once it is in the sidebar
+   * @param {Function} onViewChange - re-renders the cards after the filter or grouping changed
+   */
+  setup(onViewChange) {
+    const bar = document.querySelector('.speaker-bar');
+    if (!bar) return;
+
+    bar.querySelectorAll('.speaker-chip').forEach(chip => {
+      chip.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.view.filter = chip.dataset.speakerAll ? null : chip.dataset.speaker;
+        onViewChange();
+      });
+    });
+
+    bar.querySelector('#speaker-group')?.addEventListener('change', (e) => {
+      this.view.grouped = e.target.checked;
+      onViewChange();
+    });
+
+    const form = bar.querySelector('.speaker-rename-form');
+    const renameBtn = bar.querySelector('#speaker-rename');
+    const setOpen = (open) => {
+      form.style.display = open ? 'block' : 'none';
+      renameBtn.style.display = open ? 'none' : '';
+    };
+
+    renameBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      setOpen(true);
+    });
+
+    form.querySelector('.speaker-rename-cancel').addEventListener('click', (e) => {
+      e.stopPropagation();
+      form.reset();
+      form.querySelector('.speaker-rename-error').textContent = '';
+      setOpen(false);
+    });
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      if (!this.callbacks.onRenameSpeakers) return;
+
+      // An empty name goes back to the model's label
+      const names = {};
+      form.querySelectorAll('input[data-speaker]').forEach(input => {
+        names[input.dataset.speaker] = input.value.trim();
+      });
+
+      form.querySelectorAll('button').forEach(button => { button.disabled = true; });
+      this.callbacks.onRenameSpeakers(names);
+    });
+
+    // Keep YouTube's keyboard shortcuts out of the text fields
+    form.addEventListener('keydown', (e) => e.stopPropagation());
+  }
+
+  showRenameError(message) {
+    const form = document.querySelector('.speaker-bar .speaker-rename-form');
+    if (!form) return;
+
+    form.querySelector('.speaker-rename-error').textContent = `⚠️ ${message}`;
+    form.querySelectorAll('button').forEach(button => { button.disabled = false; });
+  }
+
+  reset() {
+    this.view = { filter: null, grouped: false };
+  }
+
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  escapeAttribute(text) {
+    return this.escapeHtml(text).replace(/"/g, '&quot;');
+  }
+}
@@ -123,6 +123,44 @@ export class StylesManager {
         right: 0 !important;
       }
 
+      /* Shorts: overlay sized to the vertical player (SidebarManager sets the variables) */
+      .fact-check-sidebar.shorts-overlay {
+        top: var(--shorts-overlay-top, 72px) !important;
+        left: var(--shorts-overlay-left, calc(50vw - 200px)) !important;
+        right: auto !important;
+        width: var(--shorts-overlay-width, 400px) !important;
+        max-width: 100vw !important;
+        height: var(--shorts-overlay-height, calc(100vh - 96px)) !important;
+        border: none !important;
+        border-radius: 12px !important;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.35) !important;
+        display: flex !important;
+        flex-direction: column !important;
+        opacity: 0 !important;
+        transform: translateY(24px) !important;
+        transition: opacity 0.3s ease, transform 0.3s ease !important;
+      }
+
+      .fact-check-sidebar.shorts-overlay.sidebar-visible {
+        opacity: 1 !important;
+        transform: translateY(0) !important;
+      }
+
+      .fact-check-sidebar.shorts-overlay .sidebar-header {
+        padding: 12px 16px !important;
+        flex-shrink: 0 !important;
+      }
+
+      .fact-check-sidebar.shorts-overlay .sidebar-header h3 {
+        font-size: 16px !important;
+      }
+
+      .fact-check-sidebar.shorts-overlay .sidebar-content {
+        flex: 1 !important;
+        height: auto !important;
+        min-height: 0 !important;
+      }
+
       .sidebar-header {
         padding: 20px !important;
         background: #f8fafc !important;
@@ -166,6 +204,56 @@ export class StylesManager {
         color: #374151 !important;
       }
 
+      .control-btn:disabled {
+        opacity: 0.4 !important;
+        cursor: default !important;
+        background: transparent !important;
+      }
+
+      .control-btn.export-done {
+        border-color: #10b981 !important;
+        color: #10b981 !important;
+      }
+
+      .export-control {
+        position: relative !important;
+      }
+
+      .export-menu {
+        display: none !important;
+        position: absolute !important;
+        top: 38px !important;
+        right: 0 !important;
+        min-width: 220px !important;
+        background: #ffffff !important;
+        border: 1px solid #e5e7eb !important;
+        border-radius: 10px !important;
+        box-shadow: 0 8px 24px rgba(0, 0, 0, 0.12) !important;
+        padding: 6px !important;
+        z-index: 10 !important;
+      }
+
+      .export-menu.open {
+        display: block !important;
+      }
+
+      .export-option {
+        display: block !important;
+        width: 100% !important;
+        text-align: left !important;
+        background: transparent !important;
+        border: none !important;
+        border-radius: 6px !important;
+        padding: 8px 10px !important;
+        font-size: 13px !important;
+        color: #374151 !important;
+        cursor: pointer !important;
+      }
+
+      .export-option:hover {
+        background: #f3f4f6 !important;
+      }
+
       .sidebar-content {
         height: calc(100vh - 81px) !important;
         overflow-y: auto !important;
@@ -454,6 +542,157 @@ export class StylesManager {
         font-family: 'Outfit', sans-serif !important;
       }
 
+      /* Progress bar claim markers */
+      .fact-check-progress-markers {
+        position: absolute !important;
+        left: 0 !important;
+        right: 0 !important;
+        top: 0 !important;
+        height: 100% !important;
+        pointer-events: none !important;
+        z-index: 40 !important;
+      }
+
+      .fact-check-progress-marker {
+        position: absolute !important;
+        top: 50% !important;
+        width: 6px !important;
+        height: 12px !important;
+        margin-left: -3px !important;
+        transform: translateY(-50%) !important;
+        border-radius: 2px !important;
+        box-shadow: 0 0 0 1px rgba(0, 0, 0, 0.5) !important;
+        cursor: pointer !important;
+        pointer-events: auto !important;
+        transition: transform 0.15s ease !important;
+      }
+
+      .fact-check-progress-marker:hover {
+        transform: translateY(-50%) scale(1.4) !important;
+      }
+
+      .fact-check-marker-tooltip {
+        position: absolute !important;
+        bottom: 20px !important;
+        width: 260px !important;
+        margin-left: -130px !important;
+        padding: 8px 10px !important;
+        background: rgba(17, 24, 39, 0.95) !important;
+        color: #f9fafb !important;
+        border-radius: 8px !important;
+        font-family: 'Outfit', sans-serif !important;
+        font-size: 12px !important;
+        line-height: 1.4 !important;
+        opacity: 0 !important;
+        visibility: hidden !important;
+        pointer-events: none !important;
+        transition: opacity 0.15s ease !important;
+      }
+
+      .fact-check-marker-tooltip.visible {
+        opacity: 1 !important;
+        visibility: visible !important;
+      }
+
+      .marker-tooltip-verdict {
+        font-weight: 600 !important;
+        margin-bottom: 4px !important;
+      }
+
+      .marker-tooltip-claim {
+        display: -webkit-box !important;
+        -webkit-line-clamp: 3 !important;
+        -webkit-box-orient: vertical !important;
+        overflow: hidden !important;
+      }
+
+      /* Live claim toast (inside the player so it follows theater/fullscreen) */
+      .fact-check-live-toast {
+        position: absolute !important;
+        top: 16px !important;
+        left: 16px !important;
+        width: 320px !important;
+        max-width: calc(100% - 32px) !important;
+        padding: 10px 12px !important;
+        background: rgba(17, 24, 39, 0.92) !important;
+        color: #f9fafb !important;
+        border-left: 4px solid #6b7280 !important;
+        border-radius: 8px !important;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4) !important;
+        font-family: 'Outfit', sans-serif !important;
+        font-size: 13px !important;
+        line-height: 1.4 !important;
+        z-index: 70 !important;
+        opacity: 0 !important;
+        visibility: hidden !important;
+        transform: translateY(-8px) !important;
+        transition: opacity 0.25s ease, transform 0.25s ease, visibility 0.25s !important;
+      }
+
+      .fact-check-live-toast.visible {
+        opacity: 1 !important;
+        visibility: visible !important;
+        transform: translateY(0) !important;
+      }
+
+      .fact-check-live-toast.status-false { border-left-color: #ef4444 !important; }
+      .fact-check-live-toast.status-misleading { border-left-color: #f97316 !important; }
+
+      .live-toast-header {
+        display: flex !important;
+        align-items: center !important;
+        gap: 8px !important;
+        margin-bottom: 4px !important;
+      }
+
+      .live-toast-verdict {
+        font-weight: 600 !important;
+      }
+
+      .live-toast-time {
+        color: #9ca3af !important;
+        font-size: 12px !important;
+        font-variant-numeric: tabular-nums !important;
+      }
+
+      .live-toast-close {
+        margin-left: auto !important;
+        background: none !important;
+        border: none !important;
+        color: #9ca3af !important;
+        font-size: 16px !important;
+        line-height: 1 !important;
+        cursor: pointer !important;
+        padding: 0 2px !important;
+      }
+
+      .live-toast-close:hover {
+        color: #f9fafb !important;
+      }
+
+      .live-toast-explanation {
+        white-space: nowrap !important;
+        overflow: hidden !important;
+        text-overflow: ellipsis !important;
+        color: #e5e7eb !important;
+      }
+
+      .live-toast-link {
+        margin-top: 6px !important;
+        padding: 0 !important;
+        background: none !important;
+        border: none !important;
+        color: #93c5fd !important;
+        font-family: inherit !important;
+        font-size: 12px !important;
+        font-weight: 500 !important;
+        cursor: pointer !important;
+      }
+
+      .live-toast-link:hover {
+        text-decoration: underline !important;
+      }
+
       /* Dark mode support */
       @media (prefers-color-scheme: dark) {
         .fact-check-btn {
@@ -475,6 +714,19 @@ export class StylesManager {
           color: #f9fafb !important;
         }
 
+        .export-menu {
+          background: #1f2937 !important;
+          border-color: #374151 !important;
+        }
+
+        .export-option {
+          color: #e5e7eb !important;
+        }
+
+        .export-option:hover {
+          background: #374151 !important;
+        }
+
         .fact-card {
           background: #1f2937 !important;
           border-color: #374151 !important;
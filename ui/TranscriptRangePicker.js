@@ -0,0 +1,218 @@
+// TranscriptRangePicker.js - Sidebar transcript with a range selector
+// For checking one passage instead of the whole video; the panel styles are shared with ResultsRenderer
+
+import { Constants } from '../utils/Constants.js';
+import { DOMUtils } from '../utils/DOMUtils.js';
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
+
+export class TranscriptRangePicker {
+  constructor() {
+    this.injectStyles();
+  }
+
+  injectStyles() {
+    if (document.getElementById('fact-check-range-picker-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'fact-check-range-picker-styles';
+    styles.textContent = `
+      .transcript-cues {
+        max-height: calc(100vh - 320px);
+        overflow-y: auto;
+        border: 1px solid #e2e8f0;
+        border-radius: 8px;
+        user-select: none;
+      }
+
+      .transcript-cue {
+        display: flex;
+        gap: 10px;
+        padding: 6px 10px;
+        font-size: 13px;
+        line-height: 1.4;
+        color: #334155;
+        cursor: pointer;
+      }
+
+      .transcript-cue:hover {
+        background: #f1f5f9;
+      }
+
+      .transcript-cue.selected {
+        background: #e0f2fe;
+      }
+
+      .cue-time {
+        flex-shrink: 0;
+        min-width: 44px;
+        font-variant-numeric: tabular-nums;
+        color: #0369a1;
+      }
+
+      /* Dark Mode Styles - Both system preference AND manual dark mode */
+      ${Constants.DARK_MODE_SELECTOR} {
+        .cue-time {
+          color: #7dd3fc !important;
+        }
+
+        .transcript-cues {
+          border-color: #475569 !important;
+        }
+
+        .transcript-cue {
+          color: #cbd5e1 !important;
+        }
+
+        .transcript-cue:hover {
+          background: #334155 !important;
+        }
+
+        .transcript-cue.selected {
+          background: #0c4a6e !important;
+        }
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  /**
+   * @param {TimedTranscript} transcript
+   * @param {{start: number, end: number, strict: boolean}|null} range - the passage checked last, pre-selected
+   */
+  render(transcript, range = null) {
+    const cuesHTML = transcript.cues.map((cue, index) => `
+        <div class="transcript-cue" data-cue-index="${index}">
+          <span class="cue-time">${TimedTranscript.formatTimestamp(cue.start)}</span>
+          <span class="cue-text">${this.escapeHtml(cue.text)}</span>
+        </div>`).join('');
+
+    return `
+      <div class="range-picker">
+        <div class="range-picker-header">
+          <span class="range-picker-title">✂️ Check part of the transcript</span>
+          <button class="range-back-btn" id="range-back">Back</button>
+        </div>
+        <div class="range-picker-hint">Click a line to start the selection and shift-click another to end it, or type a range such as "12:30 to 15:00".</div>
+        <div class="range-picker-controls">
+          <input type="text" id="range-input" class="range-input" placeholder="12:30 to 15:00" value="${range ? TimedTranscript.formatRange(range) : ''}">
+          <label class="range-strict" title="Strict mode and at least ${Constants.RANGE.STRICT_CONFIDENCE_THRESHOLD}% confidence for this check only">
+            <input type="checkbox" id="range-strict" ${range?.strict ? 'checked' : ''}> Stricter check
+          </label>
+        </div>
+        <div class="range-picker-actions">
+          <span class="range-summary" id="range-summary"></span>
+          <button class="range-check-btn" id="range-check" disabled>Check selection</button>
+        </div>
+      </div>
+      <div class="transcript-cues" id="transcript-cues">${cuesHTML}
+      </div>
+    `;
+  }
+
+  /**
+   * Wire up render() once it is in the sidebar
+   * @param {TimedTranscript} transcript
+   * @param {{start: number, end: number}|null} range - initial selection
+   * @param {{onCheck: Function, onBack: Function}} callbacks - onCheck(range, strict)
+   */
+  setup(transcript, range, { onCheck, onBack } = {}) {
+    const list = document.getElementById('transcript-cues');
+    const input = document.getElementById('range-input');
+    const summary = document.getElementById('range-summary');
+    const checkBtn = document.getElementById('range-check');
+    const strictBox = document.getElementById('range-strict');
+    if (!list || !input || !summary || !checkBtn || !strictBox) return;
+
+    const cueElements = Array.from(list.querySelectorAll('.transcript-cue'));
+    let selection = range ? { start: range.start, end: range.end } : null;
+    let anchor = null; // Cue the current click selection started from
+
+    const update = () => {
+      const passage = selection ? transcript.slice(selection.start, selection.end) : null;
+      cueElements.forEach((element, index) => {
+        element.classList.toggle('selected', Boolean(selection) && TimedTranscript.overlaps(transcript.cues[index], selection.start, selection.end));
+      });
+
+      const checkable = Boolean(passage) && passage.length >= Constants.RANGE.MIN_LENGTH;
+      checkBtn.disabled = !checkable;
+
+      if (!input.value.trim()) {
+        summary.textContent = 'Nothing selected yet';
+      } else if (!selection) {
+        summary.textContent = 'Type a range such as 12:30 to 15:00';
+      } else if (!checkable) {
+        summary.textContent = `${TimedTranscript.formatRange(selection)} · too short to check`;
+      } else {
+        summary.textContent = `${TimedTranscript.formatRange(selection)} · ${passage.cues.length} lines, ${this.formatLength(passage.length)}`;
+      }
+    };
+
+    const cueEnd = (cue) => Math.max(cue.start + cue.duration, cue.start + 1);
+
+    cueElements.forEach((element, index) => {
+      element.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (e.shiftKey && anchor !== null) {
+          const first = transcript.cues[Math.min(anchor, index)];
+          const last = transcript.cues[Math.max(anchor, index)];
+          selection = { start: first.start, end: cueEnd(last) };
+        } else {
+          anchor = index;
+          selection = { start: transcript.cues[index].start, end: cueEnd(transcript.cues[index]) };
+        }
+        input.value = TimedTranscript.formatRange(selection);
+        update();
+      });
+    });
+
+    input.addEventListener('input', () => {
+      anchor = null;
+      selection = TimedTranscript.parseRange(input.value);
+      update();
+    });
+
+    const check = () => {
+      if (!checkBtn.disabled && onCheck) {
+        onCheck(selection, strictBox.checked);
+      }
+    };
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') check();
+      e.stopPropagation(); // Keep YouTube's keyboard shortcuts out of the text field
+    });
+    checkBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      check();
+    });
+    document.getElementById('range-back')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (onBack) onBack();
+    });
+
+    update();
+
+    // Open at the selection, or wherever the video is playing
+    const focusTime = selection ? selection.start : (DOMUtils.getActiveVideo()?.currentTime || 0);
+    const focusCue = transcript.cueAt(focusTime);
+    const focusElement = focusCue ? cueElements[transcript.cues.indexOf(focusCue)] : null;
+    if (focusElement) {
+      list.scrollTop = focusElement.offsetTop - list.offsetTop - list.clientHeight / 3;
+    }
+  }
+
+  formatLength(length) {
+    if (length > 1000) {
+      return `${(length / 1000).toFixed(1)}k chars`;
+    }
+    return `${length} chars`;
+  }
+
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
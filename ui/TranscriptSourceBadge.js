@@ -0,0 +1,142 @@
+// TranscriptSourceBadge.js - Where the transcript came from and how far to trust it
+// Method, caption track and coverage with TranscriptProvenance's rating and warnings, above the processing details
+
+import { Constants } from '../utils/Constants.js';
+import { CaptionTracks } from '../transcript/utils/CaptionTracks.js';
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
+
+export class TranscriptSourceBadge {
+  constructor() {
+    this.injectStyles();
+  }
+
+  injectStyles() {
+    if (document.getElementById('fact-check-transcript-source-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'fact-check-transcript-source-styles';
+    styles.textContent = `
+      .transcript-source {
+        margin-top: 8px;
+        padding: 6px 10px;
+        border-left: 3px solid #16a34a;
+        border-radius: 4px;
+        background: #f0fdf4;
+        font-size: 12px;
+      }
+
+      .transcript-source.source-medium {
+        border-left-color: #d97706;
+        background: #fffbeb;
+      }
+
+      .transcript-source.source-low {
+        border-left-color: #dc2626;
+        background: #fef2f2;
+      }
+
+      .transcript-source-quality {
+        font-weight: 600;
+        color: #1e293b;
+        margin-right: 6px;
+      }
+
+      .transcript-source-details {
+        color: #64748b;
+      }
+
+      .transcript-source-warnings {
+        margin: 4px 0 0;
+        padding-left: 18px;
+        color: #92400e;
+      }
+
+      .transcript-source.source-low .transcript-source-warnings {
+        color: #991b1b;
+      }
+
+      /* Dark Mode Styles - Both system preference AND manual dark mode */
+      ${Constants.DARK_MODE_SELECTOR} {
+        .transcript-source {
+          background: rgba(22, 163, 74, 0.12) !important;
+          border-left-color: #22c55e !important;
+        }
+
+        .transcript-source.source-medium {
+          background: rgba(217, 119, 6, 0.12) !important;
+          border-left-color: #f59e0b !important;
+        }
+
+        .transcript-source.source-low {
+          background: rgba(220, 38, 38, 0.12) !important;
+          border-left-color: #f87171 !important;
+        }
+
+        .transcript-source-quality {
+          color: #f1f5f9 !important;
+        }
+
+        .transcript-source-details {
+          color: #94a3b8 !important;
+        }
+
+        .transcript-source-warnings {
+          color: #fcd34d !important;
+        }
+
+        .transcript-source.source-low .transcript-source-warnings {
+          color: #fca5a5 !important;
+        }
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+
+  /**
+   * Which method and caption track the transcript came from, and why its text may be unreliable.
+   * Shown outside the collapsed details - reviewers should see it before trusting a verdict.
+   * @param {Object} provenance - TranscriptProvenance.describe()
+   */
+  render(provenance) {
+    const qualityLabels = { high: 'Reliable source', medium: 'Check the source', low: 'Unreliable source' };
+    const kind = { asr: 'auto-generated ', manual: 'manual ' }[provenance.kind] || '';
+    const fromAudio = provenance.method === 'AudioTranscription';
+    const captions = fromAudio ? 'speech-to-text' : `${kind}captions`;
+    const track = provenance.languageCode ?
+      `${CaptionTracks.languageName(provenance.languageCode)} ${captions}` +
+        (provenance.translatedTo ? ` → ${CaptionTracks.languageName(provenance.translatedTo)}` : '') :
+      (fromAudio ? 'Speech-to-text' : 'Unknown caption track');
+
+    const coverage = provenance.coverage !== null ?
+      `${Math.round(provenance.coverage * 100)}% of ${TimedTranscript.formatTimestamp(provenance.videoDuration)}` :
+      provenance.timed ? `${TimedTranscript.formatTimestamp(provenance.coveredSeconds)} captioned` : 'untimed';
+
+    const details = [
+      provenance.method || 'Unknown method',
+      track,
+      `${provenance.cueCount.toLocaleString()} cues`,
+      coverage
+    ];
+
+    return `
+        <div class="transcript-source source-${provenance.quality}">
+          <div class="transcript-source-summary">
+            <span class="transcript-source-quality">${qualityLabels[provenance.quality] || qualityLabels.medium}</span>
+            <span class="transcript-source-details">${details.map(detail => this.escapeHtml(detail)).join(' · ')}</span>
+          </div>
+          ${provenance.warnings?.length > 0 ? `
+          <ul class="transcript-source-warnings">
+            ${provenance.warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('')}
+          </ul>` : ''}
+        </div>
+    `;
+  }
+
+  escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
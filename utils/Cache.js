@@ -239,7 +239,9 @@ export class Cache {
                    contentType + 
                    (settings.usePremiumModel ? 'premium' : 'lite') + 
                    (settings.strictMode ? 'strict' : 'normal') +
-                   (settings.useGroundingSearch ? 'grounding' : 'nogrounding');
+                   (settings.useGroundingSearch ? 'grounding' : 'nogrounding') +
+                   (settings.provider || 'gemini') +
+                   (settings.modelName || '');
     
     let hash = 0;
     for (let i = 0; i < content.length; i++) {
@@ -0,0 +1,102 @@
+// ClaimClusterer.js - Merge near-duplicate claims into one, keeping every time it was said
+// Chunked transcript processing and batched analysis report the same claim in slightly different words
+
+import { ClaimMatcher } from './ClaimMatcher.js';
+import { Constants } from './Constants.js';
+
+export class ClaimClusterer {
+  /**
+   * Group items whose `claim` text states the same thing, in first-seen order
+   * @returns {Array<Array<Object>>}
+   */
+  static cluster(items, threshold = Constants.CLUSTERING.SIMILARITY) {
+    const clusters = [];
+
+    items.forEach(item => {
+      const cluster = clusters.find(group =>
+        group.some(member => ClaimMatcher.isSameClaim(item.claim, member.claim, threshold)));
+
+      if (cluster) {
+        cluster.push(item);
+      } else {
+        clusters.push([item]);
+      }
+    });
+
+    return clusters;
+  }
+
+  /**
+   * Pre-identified claims from transcript processing. The most confident wording stands for
+   * the cluster; every wording is kept in `variants` so each mention can be found in the captions.
+   */
+  static mergeClaims(claims) {
+    return ClaimClusterer.cluster(claims).map(group => {
+      const [primary] = [...group].sort((a, b) => (b.confidence || 5) - (a.confidence || 5));
+
+      return {
+        ...primary,
+        variants: group.flatMap(claim => claim.variants || [{ claim: claim.claim, context: claim.context }]),
+        repeatCount: ClaimClusterer.countMentions(group)
+      };
+    });
+  }
+
+  /**
+   * Analysis results, sorted best first - the first result of each cluster stands for it
+   */
+  static mergeResults(results) {
+    return ClaimClusterer.cluster(results).map(([primary, ...others]) => ClaimClusterer.merge(primary, others));
+  }
+
+  /**
+   * `primary` with the mentions and timestamps of `others` folded in; starts at the earliest mention
+   */
+  static merge(primary, others = []) {
+    const group = [primary, ...others];
+    const timestamps = ClaimClusterer.mergeTimestamps(group.flatMap(ClaimClusterer.getTimestamps));
+
+    return {
+      ...primary,
+      repeatCount: ClaimClusterer.countMentions(group),
+      timestamps,
+      startTime: timestamps.length > 0 ? timestamps[0].start : null,
+      endTime: timestamps.length > 0 ? timestamps[0].end : null
+    };
+  }
+
+  static countMentions(group) {
+    return group.reduce((total, item) => total + (item.repeatCount || 1), 0);
+  }
+
+  // Results checked before clustering existed (history, caches) only carry startTime/endTime
+  static getTimestamps(item) {
+    if (Array.isArray(item.timestamps)) return item.timestamps;
+    return Number.isFinite(item.startTime) ? [{ start: item.startTime, end: item.endTime }] : [];
+  }
+
+  /**
+   * Sorted by start; mentions that begin within `CLUSTERING.SAME_MOMENT_SECONDS` of each other
+   * are the same utterance located twice and are kept once
+   * @param {Array<{start: number, end: number}>} timestamps
+   */
+  static mergeTimestamps(timestamps) {
+    const sorted = timestamps
+      .filter(timestamp => Number.isFinite(timestamp?.start))
+      .map(timestamp => ({
+        start: timestamp.start,
+        end: Number.isFinite(timestamp.end) ? timestamp.end : timestamp.start
+      }))
+      .sort((a, b) => a.start - b.start);
+
+    return sorted.reduce((merged, timestamp) => {
+      const last = merged[merged.length - 1];
+      if (last && timestamp.start - last.start < Constants.CLUSTERING.SAME_MOMENT_SECONDS) {
+        last.end = Math.max(last.end, timestamp.end);
+      } else {
+        merged.push(timestamp);
+      }
+      return merged;
+    }, []);
+  }
+}
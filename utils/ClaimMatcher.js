@@ -0,0 +1,44 @@
+// ClaimMatcher.js - Decide whether two claim texts state the same thing
+// Models reword claims between runs and speakers repeat themselves, so matching uses distinctive words and numbers
+
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
+
+export class ClaimMatcher {
+  /**
+   * Same claim when the normalized text is identical, or when the claims share the same numbers
+   * and at least `threshold` of the shorter claim's distinctive words
+   */
+  static isSameClaim(a, b, threshold) {
+    if (ClaimMatcher.normalize(a) === ClaimMatcher.normalize(b)) return true;
+
+    const wordsA = ClaimMatcher.distinctiveWords(a);
+    const wordsB = ClaimMatcher.distinctiveWords(b);
+    return ClaimMatcher.sameNumbers(wordsA, wordsB) && ClaimMatcher.similarity(wordsA, wordsB) >= threshold;
+  }
+
+  static normalize(text) {
+    return TimedTranscript.tokenize(text).join(' ');
+  }
+
+  static distinctiveWords(text) {
+    return new Set(TimedTranscript.tokenize(text)
+      .filter(word => /\d/.test(word) || (word.length > 2 && !TimedTranscript.STOP_WORDS.has(word))));
+  }
+
+  // "GDP grew 2%" and "GDP grew 5%" are different claims
+  static sameNumbers(a, b) {
+    const numbers = words => [...words].filter(word => /\d/.test(word)).sort().join(' ');
+    return numbers(a) === numbers(b);
+  }
+
+  // Overlap relative to the shorter claim, so a claim restated with extra detail still matches
+  static similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+
+    let shared = 0;
+    a.forEach(word => {
+      if (b.has(word)) shared++;
+    });
+    return shared / Math.min(a.size, b.size);
+  }
+}
@@ -0,0 +1,126 @@
+// ClaimSchema.js - Shape of a fact-check claim result
+// Used both as Gemini's responseSchema (structured output) and to validate whatever the model returned
+
+export class ClaimSchema {
+  static STATUSES = ['True', 'Mostly True', 'Partly True', 'Misleading', 'False', 'Unverifiable'];
+
+  static MIN_CLAIM_LENGTH = 10;
+  static MIN_EXPLANATION_LENGTH = 20;
+
+  /**
+   * Gemini responseSchema (OpenAPI subset) for an array of claim results
+   */
+  static getResponseSchema() {
+    return {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          claim: { type: 'STRING' },
+          category: { type: 'STRING' },
+          status: { type: 'STRING', enum: ClaimSchema.STATUSES },
+          confidence: { type: 'NUMBER' },
+          explanation: { type: 'STRING' },
+          evidenceType: { type: 'STRING' },
+          verificationMethod: { type: 'STRING' },
+          sources: { type: 'STRING' },
+          context: { type: 'STRING' },
+          lastVerified: { type: 'STRING' },
+          groundingUsed: { type: 'BOOLEAN' },
+          preIdentified: { type: 'BOOLEAN' },
+          segmentBased: { type: 'BOOLEAN' },
+          enhancedProcessing: { type: 'BOOLEAN' }
+        },
+        required: ['claim', 'status', 'confidence', 'explanation'],
+        propertyOrdering: ['claim', 'category', 'status', 'confidence', 'explanation', 'evidenceType',
+          'verificationMethod', 'sources', 'context', 'lastVerified']
+      }
+    };
+  }
+
+  /**
+   * Pull the JSON payload out of a model response (tolerates code fences and surrounding prose)
+   * @returns {{value: *, error: string|null}}
+   */
+  static parse(responseText) {
+    let cleaned = String(responseText || '').trim()
+      .replace(/```(?:json)?\s*/g, '')
+      .replace(/```\s*/g, '');
+
+    const jsonMatch = cleaned.match(/\[[\s\S]*\]/) || cleaned.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      cleaned = jsonMatch[0];
+    }
+
+    try {
+      return { value: JSON.parse(cleaned), error: null };
+    } catch (error) {
+      return { value: null, error: `Response is not valid JSON (${error.message})` };
+    }
+  }
+
+  /**
+   * Validate parsed output against the claim result shape
+   * @returns {{valid: Array<Object>, errors: Array<{path: string, message: string}>}}
+   */
+  static validate(value) {
+    const items = Array.isArray(value) ? value : [value];
+    const valid = [];
+    const errors = [];
+
+    items.forEach((item, index) => {
+      const itemErrors = ClaimSchema.validateItem(item).map(({ field, message }) => ({
+        path: field ? `[${index}].${field}` : `[${index}]`,
+        message
+      }));
+
+      if (itemErrors.length === 0) {
+        valid.push(item);
+      } else {
+        errors.push(...itemErrors);
+      }
+    });
+
+    return { valid, errors };
+  }
+
+  static validateItem(item) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return [{ field: null, message: `must be an object (got ${ClaimSchema.describe(item)})` }];
+    }
+
+    const errors = [];
+
+    if (typeof item.claim !== 'string' || item.claim.trim().length <= ClaimSchema.MIN_CLAIM_LENGTH) {
+      errors.push({ field: 'claim', message: `must be a string longer than ${ClaimSchema.MIN_CLAIM_LENGTH} characters (got ${ClaimSchema.describe(item.claim)})` });
+    }
+
+    if (!ClaimSchema.STATUSES.includes(item.status)) {
+      errors.push({ field: 'status', message: `must be one of ${ClaimSchema.STATUSES.join(', ')} (got ${ClaimSchema.describe(item.status)})` });
+    }
+
+    if (typeof item.confidence !== 'number' || !Number.isFinite(item.confidence) || item.confidence < 0 || item.confidence > 100) {
+      errors.push({ field: 'confidence', message: `must be a number between 0 and 100 (got ${ClaimSchema.describe(item.confidence)})` });
+    }
+
+    if (typeof item.explanation !== 'string' || item.explanation.trim().length <= ClaimSchema.MIN_EXPLANATION_LENGTH) {
+      errors.push({ field: 'explanation', message: `must be a string longer than ${ClaimSchema.MIN_EXPLANATION_LENGTH} characters (got ${ClaimSchema.describe(item.explanation)})` });
+    }
+
+    return errors;
+  }
+
+  static describe(value) {
+    if (value === undefined) return 'nothing';
+    const text = JSON.stringify(value) ?? String(value);
+    return text.length > 40 ? `${text.slice(0, 40)}…` : text;
+  }
+
+  static formatErrors(errors, limit = 20) {
+    const lines = errors.slice(0, limit).map(error => `- ${error.path}: ${error.message}`);
+    if (errors.length > limit) {
+      lines.push(`- …and ${errors.length - limit} more`);
+    }
+    return lines.join('\n');
+  }
+}
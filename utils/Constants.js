@@ -13,6 +13,7 @@ export const Constants = {
   MIN_TRANSCRIPT_LENGTH: 50,
   MAX_INJECTION_ATTEMPTS: 30,
   INJECTION_INTERVAL: 200,
+  SHORTS_RECHECK_DELAY: 1000, // Lets fast swipes pass without starting a check for every Short
   
   // Cache Configuration
   MAX_CACHE_SIZE: 5,
@@ -64,6 +65,119 @@ export const Constants = {
     '#description button[aria-label*="expand" i]'
   ],
   
+  // Video Metadata Selectors (saved with history records)
+  VIDEO_TITLE_SELECTORS: [
+    'h1.ytd-watch-metadata yt-formatted-string',
+    'ytd-watch-metadata h1',
+    'h1.title yt-formatted-string'
+  ],
+
+  CHANNEL_NAME_SELECTORS: [
+    'ytd-watch-metadata ytd-channel-name a',
+    '#owner ytd-channel-name a',
+    'ytd-video-owner-renderer ytd-channel-name a'
+  ],
+
+  // Shorts Selectors (/shorts/<id> keeps neighbouring Shorts rendered; only the active one matters)
+  SHORTS_ACTIVE_REEL_SELECTORS: [
+    'ytd-reel-video-renderer[is-active]',
+    'ytd-reel-video-renderer[active]'
+  ],
+
+  SHORTS_ACTION_BAR_SELECTORS: [
+    'ytd-reel-video-renderer[is-active] reel-action-bar-view-model',
+    'ytd-reel-video-renderer[is-active] #actions',
+    'ytd-shorts ytd-reel-player-overlay-renderer #actions'
+  ],
+
+  SHORTS_TITLE_SELECTORS: [
+    'ytd-reel-video-renderer[is-active] yt-shorts-video-title-view-model h2',
+    'ytd-reel-video-renderer[is-active] .ytShortsVideoTitleViewModelShortsVideoTitle',
+    'ytd-reel-video-renderer[is-active] .title'
+  ],
+
+  SHORTS_CHANNEL_SELECTORS: [
+    'ytd-reel-video-renderer[is-active] .ytReelChannelBarViewModelChannelName a',
+    'ytd-reel-video-renderer[is-active] ytd-channel-name a',
+    'ytd-reel-video-renderer[is-active] #channel-name a'
+  ],
+
+  // Live streams and premieres (rolling fact-check over caption windows)
+  LIVE: {
+    WINDOW_SECONDS: 180,
+    MIN_WINDOW_LENGTH: 200, // Characters - quieter windows roll over into the next one
+    DUPLICATE_SIMILARITY: 0.6, // Share of distinctive words two claims must share to count as a repeat
+    INDICATOR_SELECTORS: ['.ytp-time-display.ytp-live', '.ytp-live-badge'],
+    CAPTION_CONTAINER_SELECTOR: '.ytp-caption-window-container',
+    CAPTION_SEGMENT_SELECTOR: '.ytp-caption-segment',
+    SUBTITLES_BUTTON_SELECTOR: '.ytp-subtitles-button'
+  },
+
+  // Checking a user-selected passage of the transcript
+  RANGE: {
+    MIN_LENGTH: 100, // Characters - same floor FactCheckEngine applies to whole transcripts
+    STRICT_CONFIDENCE_THRESHOLD: 85 // "Stricter check" raises the user's threshold to at least this
+  },
+
+  // "Dig deeper" follow-up questions on a result card
+  FOLLOW_UP: {
+    CONTEXT_SECONDS: 45, // Transcript included before and after the claim
+    MAX_CONTEXT_LENGTH: 2000,
+    MAX_QUESTION_LENGTH: 500,
+    MAX_THREAD_TURNS: 4 // Earlier questions and answers sent along with a new question
+  },
+
+  // Merging near-duplicate claims across transcript chunks and analysis batches
+  CLUSTERING: {
+    SIMILARITY: 0.7, // Share of the shorter claim's distinctive words (numbers must all match)
+    SAME_MOMENT_SECONDS: 5 // Mentions located closer together than this are one utterance
+  },
+
+  // Last-resort transcription of the tab's audio (AudioTranscription, AudioCaptureService, offscreen.js)
+  AUDIO_TRANSCRIPTION: {
+    CHUNK_SECONDS: 30, // Audio sent to the speech-to-text endpoint per request
+    SAMPLE_RATE: 16000, // whisper models take 16 kHz mono
+    MAX_VIDEO_SECONDS: 7200, // Recording runs in real time, so longer videos aren't offered
+    FINISH_TIMEOUT_MS: 120000, // Wait for the last chunks' transcriptions after playback ends
+    OFFSCREEN_PATH: 'offscreen.html'
+  },
+
+  // Transcript provenance report (TranscriptProvenance)
+  TRANSCRIPT_SOURCE: {
+    LOW_COVERAGE: 0.6, // Captions spanning less of the video than this may have left claims out
+    MAX_CUE_SECONDS: 10 // A cue without a duration lasts until the next one, but no longer than this
+  },
+
+  // Human reviewer overrides of model verdicts
+  REVIEW: {
+    MATCH_SIMILARITY: 0.8, // A re-analysis must reword a claim this little for its override to carry over
+    MAX_EXPLANATION_LENGTH: 2000,
+    MAX_NOTE_LENGTH: 1000,
+    MAX_REVIEWER_LENGTH: 80
+  },
+
+  // Speaker labels on segments and claims (TranscriptProcessor) and the names users give them
+  SPEAKERS: {
+    MAX_LABEL_LENGTH: 60,
+    MAX_SPEAKERS: 12 // Labels past this many in one transcript are dropped as noise
+  },
+
+  // The video's own title, channel, upload date, description and chapters, given to the analysis prompts (VideoContext)
+  VIDEO_CONTEXT: {
+    MAX_TITLE_LENGTH: 200, // Also applies to channel names and chapter titles
+    MAX_DESCRIPTION_LENGTH: 1500, // Descriptions trail off into links and sponsor reads
+    MAX_CHAPTERS: 40,
+    FETCH_TIMEOUT_MS: 8000, // Watch page fetched for its player response; the page itself is the fallback
+    DESCRIPTION_SELECTORS: [
+      'ytd-watch-metadata #description-inline-expander #expanded yt-attributed-string',
+      'ytd-watch-metadata #description-inline-expander yt-attributed-string',
+      'ytd-watch-metadata #description yt-formatted-string'
+    ],
+    CHAPTER_ITEM_SELECTOR: 'ytd-macro-markers-list-item-renderer',
+    CHAPTER_TITLE_SELECTOR: 'h4',
+    CHAPTER_TIME_SELECTOR: '#time'
+  },
+
   // Transcript Segment Selectors
   TRANSCRIPT_SEGMENT_SELECTORS: [
     'ytd-transcript-segment-renderer',
@@ -213,7 +327,39 @@ export const Constants = {
     SETTINGS_UPDATED: 'SETTINGS_UPDATED',
     EXTENSION_TOGGLED: 'EXTENSION_TOGGLED',
     TOGGLE_FACT_CHECK: 'TOGGLE_FACT_CHECK',
-    FACT_CHECK_REQUEST: 'FACT_CHECK_REQUEST'
+    FACT_CHECK_REQUEST: 'FACT_CHECK_REQUEST',
+    ENHANCED_FACT_CHECK_REQUEST: 'ENHANCED_FACT_CHECK_REQUEST',
+    FINISH_INTERRUPTED_CHECK: 'FINISH_INTERRUPTED_CHECK',
+    FACT_CHECK_PROGRESS: 'FACT_CHECK_PROGRESS',
+    FACT_CHECK_COMPLETE: 'FACT_CHECK_COMPLETE',
+    GET_HISTORY: 'GET_HISTORY',
+    GET_HISTORY_ENTRY: 'GET_HISTORY_ENTRY',
+    DELETE_HISTORY_ENTRY: 'DELETE_HISTORY_ENTRY',
+    CLEAR_HISTORY: 'CLEAR_HISTORY',
+    SAVE_HISTORY_ENTRY: 'SAVE_HISTORY_ENTRY',
+    FACT_CHECK_RANGE: 'FACT_CHECK_RANGE',
+    ASK_FOLLOW_UP: 'ASK_FOLLOW_UP',
+    SAVE_REVIEW: 'SAVE_REVIEW',
+    DELETE_REVIEW: 'DELETE_REVIEW',
+    RENAME_SPEAKERS: 'RENAME_SPEAKERS',
+    GET_USAGE_QUOTA: 'GET_USAGE_QUOTA',
+    START_AUDIO_CAPTURE: 'START_AUDIO_CAPTURE',
+    STOP_AUDIO_CAPTURE: 'STOP_AUDIO_CAPTURE',
+    AUDIO_CAPTURE_EVENT: 'AUDIO_CAPTURE_EVENT',
+    MODEL_REQUEST: 'MODEL_REQUEST'
+  },
+
+  // Daily/monthly usage limits (UsageQuota)
+  QUOTA: {
+    RESET_ALARMS: {
+      daily: 'usage-quota-daily-reset',
+      monthly: 'usage-quota-monthly-reset'
+    }
+  },
+
+  // Long-lived chrome.runtime port names
+  PORTS: {
+    FACT_CHECK_STREAM: 'fact-check-stream'
   },
 
   // UI Class Names
@@ -225,6 +371,16 @@ export const Constants = {
     HIDDEN: 'hidden'
   },
 
+  // Opens the dark theme block of every UI module's injected styles: the system preference or YouTube's dark mode
+  DARK_MODE_SELECTOR: [
+    '@media (prefers-color-scheme: dark)',
+    '.dark-mode',
+    '[data-dark-mode="true"]',
+    'html[data-theme="dark"]',
+    'body.dark-mode',
+    '.yt-spec-base-background[dark]'
+  ].join(',\n      '),
+
   // Retry Configuration
   RETRY: {
     MAX_ATTEMPTS: 3,
@@ -261,7 +417,17 @@ export const Constants = {
     MAX_TRANSCRIPT_LENGTH: 100000,
     MIN_CONFIDENCE_SCORE: 60,
     MAX_CLAIMS_PER_VIDEO: 20,
-    MAX_RETRY_ATTEMPTS: 5
+    MAX_RETRY_ATTEMPTS: 5,
+    CLAIMS_PER_BATCH: 3, // Default pre-identified claims per analysis request (claimsPerBatch setting)
+    SEGMENTS_PER_BATCH: 2 // Factual segments per streamed analysis request
+  },
+
+  // Claim verification budget of one check (claimsPerBatch, maxClaimsPerCheck and maxTokensPerCheck settings)
+  BUDGET: {
+    MIN_CLAIM_CLARITY: 6, // Pre-identified claims vaguer than this (1-10) aren't worth a verification request
+    CHARS_PER_TOKEN: 4, // Prompt size estimate for the token budget
+    OUTPUT_TOKENS_PER_CLAIM: 350, // Expected verdict, explanation and sources per claim
+    CONCURRENT_BATCHES: 3 // Analysis requests in flight at once
   },
 
   // Color Themes
@@ -1,6 +1,8 @@
 // DOMUtils.js - Utility functions for DOM manipulation and queries
 // Shared utilities for element visibility, container validation, and DOM operations
 
+import { Constants } from './Constants.js';
+
 export class DOMUtils {
   // Check if element is visible and valid for interaction
   static isElementVisible(element) {
@@ -201,6 +203,51 @@ export class DOMUtils {
     }
   }
 
+  // Check if we're on a Shorts page (/shorts/<id>)
+  static isShortsPage() {
+    return location.pathname.startsWith('/shorts/');
+  }
+
+  // Video ID of the current watch page or Short
+  static getPageVideoId() {
+    if (this.isShortsPage()) {
+      return location.pathname.split('/')[2] || null;
+    }
+    return new URLSearchParams(location.search).get('v');
+  }
+
+  // The Short currently on screen (swiped-past ones stay in the DOM)
+  static getActiveShort() {
+    for (const selector of Constants.SHORTS_ACTIVE_REEL_SELECTORS) {
+      const reel = document.querySelector(selector);
+      if (reel) return reel;
+    }
+    return null;
+  }
+
+  // Player for the current page - the hidden watch player stays in the DOM while on Shorts
+  static getActivePlayer() {
+    if (this.isShortsPage()) {
+      return this.getActiveShort()?.querySelector('.html5-video-player') || document.querySelector('#shorts-player');
+    }
+    return document.querySelector('#movie_player') || document.querySelector('.html5-video-player');
+  }
+
+  // Video element for the current page
+  static getActiveVideo() {
+    return this.getActivePlayer()?.querySelector('video') ||
+      document.querySelector('video.html5-main-video') ||
+      document.querySelector('video');
+  }
+
+  // Live streams and premieres show a live badge / live time display in the player
+  static isLiveStream() {
+    const player = this.getActivePlayer();
+    if (!player) return false;
+
+    return Constants.LIVE.INDICATOR_SELECTORS.some(selector => this.isElementVisible(player.querySelector(selector)));
+  }
+
   // Escape HTML for safe insertion
   static escapeHtml(text) {
     const div = document.createElement('div');
@@ -0,0 +1,111 @@
+// GroundingCitations.js - Map search grounding back onto individual claim results
+// Grounding supports point at spans of the response text; each span belongs to whichever claim object contains it
+
+export class GroundingCitations {
+  static MAX_PER_CLAIM = 5;
+
+  /**
+   * Citations for each claim, in the same order as `results`
+   * @param {Array<Object>} results - parsed claim objects
+   * @param {string} responseText - the grounded response the supports refer to
+   * @param {{sources: Array<{uri: string, title: string}>, supports: Array<{text: string, startIndex: number, sourceIndices: Array<number>}>}|null} grounding
+   * @returns {Array<Array<{uri: string, title: string}>>}
+   */
+  static forClaims(results, responseText, grounding) {
+    const citations = results.map(() => []);
+    if (!grounding?.sources?.length || !grounding.supports?.length) return citations;
+
+    const text = String(responseText || '');
+    const claimStarts = results.map(result => GroundingCitations.findClaim(text, result.claim));
+
+    grounding.supports.forEach(support => {
+      const position = GroundingCitations.findSupport(text, support);
+      const owner = GroundingCitations.findOwner(claimStarts, position);
+      if (owner === -1) return;
+
+      support.sourceIndices.forEach(sourceIndex => {
+        const source = grounding.sources[sourceIndex];
+        const list = citations[owner];
+        if (source && GroundingCitations.isSafeUrl(source.uri) && list.length < GroundingCitations.MAX_PER_CLAIM && !list.some(citation => citation.uri === source.uri)) {
+          list.push({ ...source });
+        }
+      });
+    });
+
+    return citations;
+  }
+
+  /**
+   * Citations for a free-text answer (follow-up questions): the sources its supports point at,
+   * in order of first use, or every returned source when there are no supports
+   * @returns {Array<{uri: string, title: string}>}
+   */
+  static forAnswer(grounding) {
+    if (!grounding?.sources?.length) return [];
+
+    const used = (grounding.supports || []).flatMap(support => support.sourceIndices || []);
+    const indices = used.length > 0 ? used : grounding.sources.map((source, index) => index);
+    const citations = [];
+
+    indices.forEach(sourceIndex => {
+      const source = grounding.sources[sourceIndex];
+      if (source && GroundingCitations.isSafeUrl(source.uri) && citations.length < GroundingCitations.MAX_PER_CLAIM && !citations.some(citation => citation.uri === source.uri)) {
+        citations.push({ ...source });
+      }
+    });
+
+    return citations;
+  }
+
+  /**
+   * Where a claim string appears in the raw response (JSON-escaped), or -1
+   */
+  static findClaim(text, claim) {
+    if (typeof claim !== 'string' || !claim) return -1;
+
+    const escaped = JSON.stringify(claim).slice(1, -1);
+    const index = text.indexOf(escaped);
+    return index !== -1 ? index : text.indexOf(claim);
+  }
+
+  static findSupport(text, support) {
+    // startIndex counts UTF-8 bytes, so prefer locating the segment text itself
+    const index = support.text ? text.indexOf(support.text) : -1;
+    return index !== -1 ? index : support.startIndex;
+  }
+
+  /**
+   * The claim whose object contains `position`: the last claim starting at or before it
+   * (the first located claim also owns anything before it, e.g. an opening "[{")
+   */
+  static findOwner(claimStarts, position) {
+    if (!Number.isFinite(position)) return -1;
+
+    let owner = -1;
+    let ownerStart = -1;
+    let first = -1;
+    let firstStart = Infinity;
+
+    claimStarts.forEach((start, index) => {
+      if (start === -1) return;
+      if (start <= position && start > ownerStart) {
+        owner = index;
+        ownerStart = start;
+      }
+      if (start < firstStart) {
+        first = index;
+        firstStart = start;
+      }
+    });
+
+    return owner !== -1 ? owner : first;
+  }
+
+  static isSafeUrl(uri) {
+    try {
+      return ['http:', 'https:'].includes(new URL(uri).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+}
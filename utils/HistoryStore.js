@@ -0,0 +1,145 @@
+// HistoryStore.js - Persistent fact-check history in chrome.storage.local
+// One record per video ID, kept across service worker restarts (unlike the in-memory Cache)
+
+export class HistoryStore {
+  constructor(storageKey = 'factCheckHistory', maxEntries = 200) {
+    this.storageKey = storageKey;
+    this.maxEntries = maxEntries; // Keeps us well inside the 10 MB storage.local quota
+    this.writeQueue = Promise.resolve(); // Serializes read-modify-write updates (several tabs can finish at once)
+  }
+
+  async getAll() {
+    try {
+      const data = await chrome.storage.local.get([this.storageKey]);
+      return data[this.storageKey] || {};
+    } catch (error) {
+      console.error('Failed to read fact-check history:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save (or replace) the record for a video
+   * @param {{videoId: string, title?: string, channel?: string, provider?: string, model?: string, analysisMetadata?: Object, results: Array<Object>}} record
+   */
+  async save(record) {
+    if (!record?.videoId || !Array.isArray(record.results)) return null;
+
+    return this.enqueue(async () => {
+      const history = await this.getAll();
+      const entry = {
+        videoId: record.videoId,
+        title: String(record.title || '').trim() || record.videoId,
+        channel: String(record.channel || '').trim(),
+        checkedAt: record.checkedAt || Date.now(),
+        provider: record.provider || '',
+        model: record.model || '',
+        contentType: record.contentType || '',
+        analysisMetadata: record.analysisMetadata || null,
+        results: record.results
+      };
+
+      history[entry.videoId] = entry;
+      this.trim(history);
+
+      await chrome.storage.local.set({ [this.storageKey]: history });
+      return entry;
+    });
+  }
+
+  async get(videoId) {
+    const history = await this.getAll();
+    return history[videoId] || null;
+  }
+
+  /**
+   * Lightweight summaries (no results), newest first
+   */
+  async list() {
+    const history = await this.getAll();
+    return Object.values(history)
+      .map(entry => this.summarize(entry))
+      .sort((a, b) => b.checkedAt - a.checkedAt);
+  }
+
+  summarize(entry) {
+    const statusCounts = {};
+    entry.results.forEach(result => {
+      statusCounts[result.status] = (statusCounts[result.status] || 0) + 1;
+    });
+
+    return {
+      videoId: entry.videoId,
+      title: entry.title,
+      channel: entry.channel,
+      checkedAt: entry.checkedAt,
+      provider: entry.provider,
+      model: entry.model,
+      claimCount: entry.results.length,
+      claims: entry.results.map(result => result.claim), // For text search
+      statusCounts
+    };
+  }
+
+  /**
+   * Rewrite a video's saved results in place (e.g. after a reviewer override)
+   * @param {Function} updater - (results) => results, may be async
+   * @returns {Promise<boolean>} false when the video isn't in the history
+   */
+  async updateResults(videoId, updater) {
+    return this.enqueue(async () => {
+      const history = await this.getAll();
+      const entry = history[videoId];
+      if (!entry) return false;
+
+      entry.results = await updater(entry.results);
+      await chrome.storage.local.set({ [this.storageKey]: history });
+      return true;
+    });
+  }
+
+  /**
+   * Append a "Dig deeper" question and answer to the saved result for a claim
+   * @returns {Promise<boolean>} false when the video or claim isn't in the history
+   */
+  async addFollowUp(videoId, claim, followUp) {
+    return this.enqueue(async () => {
+      const history = await this.getAll();
+      const result = history[videoId]?.results.find(item => item.claim === claim);
+      if (!result) return false;
+
+      result.followUps = [...(result.followUps || []), followUp];
+      await chrome.storage.local.set({ [this.storageKey]: history });
+      return true;
+    });
+  }
+
+  async delete(videoId) {
+    return this.enqueue(async () => {
+      const history = await this.getAll();
+      if (!history[videoId]) return false;
+
+      delete history[videoId];
+      await chrome.storage.local.set({ [this.storageKey]: history });
+      return true;
+    });
+  }
+
+  async clear() {
+    return this.enqueue(() => chrome.storage.local.remove([this.storageKey]));
+  }
+
+  enqueue(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Drop the oldest checks once over the limit
+  trim(history) {
+    const entries = Object.values(history).sort((a, b) => b.checkedAt - a.checkedAt);
+    entries.slice(this.maxEntries).forEach(entry => {
+      delete history[entry.videoId];
+    });
+  }
+}
@@ -13,6 +13,44 @@ export class ModelConfig {
       ]
     };
 
+    // USD per million tokens (paid tier, text input), for cost estimates only - check the
+    // provider's pricing page when it changes. Models missing here are shown without a cost.
+    this.prices = {
+      'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+      'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+      'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+      'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 },
+      'gemini-1.5-flash': { input: 0.075, output: 0.30 },
+      'gpt-4o-mini': { input: 0.15, output: 0.60 },
+      'gpt-4o': { input: 2.50, output: 10.00 }
+    };
+
+    // LLM providers APIService can talk to, with what each one supports
+    this.providers = {
+      gemini: {
+        name: 'Google Gemini',
+        defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        defaultModel: this.models.default,
+        capabilities: {
+          grounding: true,        // Google Search grounding tool
+          structuredOutput: true, // responseMimeType + responseSchema (not combinable with grounding)
+          modelFallbacks: true,   // Walk this.models.fallbacks on 404/errors
+          requiresApiKey: true
+        }
+      },
+      openai: {
+        name: 'OpenAI-compatible',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        defaultModel: 'gpt-4o-mini',
+        capabilities: {
+          grounding: false,
+          structuredOutput: false, // JSON requested in the prompt, checked by ClaimSchema
+          modelFallbacks: false,
+          requiresApiKey: false   // Local servers (Ollama, LM Studio, vLLM) usually run without one
+        }
+      }
+    };
+
     this.contentPatterns = {
       news: {
         keywords: ['breaking news', 'reuters', 'ap news', 'cnn', 'bbc', 'fox news', 'msnbc', 'news report', 'journalist', 'correspondent', 'press conference'],
@@ -130,7 +168,52 @@ export class ModelConfig {
     return this.models.fallbacks;
   }
 
+  getProviderIds() {
+    return Object.keys(this.providers);
+  }
+
+  getProvider(providerId) {
+    return this.providers[providerId] || this.providers.gemini;
+  }
+
+  getCapabilities(providerId) {
+    return this.getProvider(providerId).capabilities;
+  }
+
+  getBaseUrl(settings) {
+    return settings.baseUrl || this.getProvider(settings.provider).defaultBaseUrl;
+  }
+
+  /**
+   * Turn off features the selected provider can't honour (e.g. grounding on OpenAI-compatible servers)
+   */
+  applyCapabilities(settings) {
+    const capabilities = this.getCapabilities(settings.provider);
+    return {
+      ...settings,
+      provider: this.providers[settings.provider] ? settings.provider : 'gemini',
+      useGroundingSearch: settings.useGroundingSearch !== false && capabilities.grounding
+    };
+  }
+
+  /**
+   * Models to try in order for a request
+   */
+  getModelsToTry(settings) {
+    const selected = this.selectModel(settings);
+    const useFallbacks = this.getCapabilities(settings.provider).modelFallbacks && !settings.modelName;
+    return useFallbacks ? [selected, ...this.getFallbacks()] : [selected];
+  }
+
   selectModel(settings) {
+    // An explicit model name always wins; non-Gemini providers otherwise use their default
+    if (settings.modelName) {
+      return settings.modelName;
+    }
+    if (settings.provider && settings.provider !== 'gemini') {
+      return this.getProvider(settings.provider).defaultModel;
+    }
+
     // For grounding search, use default 2.5 model (supports grounding)
     if (settings.useGroundingSearch) {
       console.log('🌐 Grounding search enabled - using 2.5 series model with grounding support');
@@ -140,7 +223,11 @@ export class ModelConfig {
     return settings.usePremiumModel ? this.models.premium : this.models.default;
   }
 
-  supportsGrounding(model) {
+  supportsGrounding(model, providerId = 'gemini') {
+    if (!this.getCapabilities(providerId).grounding) {
+      return false;
+    }
+
     // Gemini 2.5 models (Flash-Lite, Flash, Pro) support grounding with Google Search
     // Gemini 1.5 models also support grounding
     return model.includes('2.5-flash') || 
@@ -154,6 +241,30 @@ export class ModelConfig {
     return this.models.default; // gemini-2.5-flash-lite
   }
 
+  /**
+   * Price of a model, matching versioned names ("gemini-2.0-flash-001") to their base model
+   * @returns {{input: number, output: number}|null} USD per million tokens
+   */
+  getPrice(modelName) {
+    const name = String(modelName || '').replace(/^models\//, '');
+    if (this.prices[name]) return this.prices[name];
+
+    const base = Object.keys(this.prices)
+      .filter(model => name.startsWith(`${model}-`))
+      .sort((a, b) => b.length - a.length)[0];
+    return base ? this.prices[base] : null;
+  }
+
+  /**
+   * @returns {number|null} estimated USD, null when the model has no known price
+   */
+  estimateCost(modelName, promptTokens, outputTokens) {
+    const price = this.getPrice(modelName);
+    if (!price) return null;
+
+    return (promptTokens * price.input + outputTokens * price.output) / 1000000;
+  }
+
   getContentPatterns() {
     return this.contentPatterns;
   }
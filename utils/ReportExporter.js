@@ -0,0 +1,276 @@
+// ReportExporter.js - Turn fact-check results into shareable reports
+// One report object, rendered as Markdown, versioned JSON or a self-contained printable HTML page
+
+import { SpeakerLabels } from '../transcript/utils/SpeakerLabels.js';
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
+import { GroundingCitations } from './GroundingCitations.js';
+import { ClaimClusterer } from './ClaimClusterer.js';
+
+export class ReportExporter {
+  static SCHEMA = 'youtube-fact-check-report';
+  static VERSION = 1;
+
+  static FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    html: { extension: 'html', mimeType: 'text/html' }
+  };
+
+  /**
+   * Build the versioned report object every format is rendered from
+   * @param {{videoId: string, video?: {title?: string, channel?: string}, results: Array<Object>, analysisMetadata?: Object, checkedAt?: number, range?: {start: number, end: number, strict?: boolean}}} data
+   */
+  static build({ videoId, video = {}, results = [], analysisMetadata = null, checkedAt = null, range = null }) {
+    const videoUrl = ReportExporter.getVideoUrl(videoId);
+
+    return {
+      schema: ReportExporter.SCHEMA,
+      version: ReportExporter.VERSION,
+      generatedAt: new Date().toISOString(),
+      video: {
+        id: videoId,
+        title: video.title || videoId,
+        channel: video.channel || '',
+        url: videoUrl
+      },
+      analysis: {
+        checkedAt: new Date(checkedAt || Date.parse(analysisMetadata?.analysisTime) || Date.now()).toISOString(),
+        provider: analysisMetadata?.providerUsed || null,
+        model: analysisMetadata?.modelUsed || null,
+        groundingUsed: analysisMetadata ? Boolean(analysisMetadata.groundingUsed) : null,
+        range: range ? {
+          start: range.start,
+          end: range.end,
+          label: TimedTranscript.formatRange(range),
+          strict: Boolean(range.strict)
+        } : null, // Only one passage of the video was checked
+        claimCount: results.length,
+        skippedClaims: analysisMetadata?.claimBudget?.skipped || 0, // Left unchecked by the per-check budget
+        reviewedCount: results.filter(result => result.review).length
+      },
+      claims: results.map(result => ({
+        claim: result.claim,
+        speaker: SpeakerLabels.displayName(result), // The user's name for the speaker when renamed
+        status: result.status, // The reviewer's verdict when overridden
+        confidence: result.confidence,
+        explanation: result.explanation,
+        modelVerdict: {
+          status: result.modelVerdict?.status || result.status,
+          explanation: result.modelVerdict?.explanation || result.explanation
+        },
+        humanVerdict: result.review ? {
+          status: result.status,
+          explanation: result.explanation,
+          note: result.review.note || '',
+          reviewer: result.review.reviewer || '',
+          reviewedAt: new Date(result.review.reviewedAt).toISOString()
+        } : null,
+        startTime: Number.isFinite(result.startTime) ? result.startTime : null,
+        timestamp: Number.isFinite(result.startTime) ? TimedTranscript.formatTimestamp(result.startTime) : null,
+        url: Number.isFinite(result.startTime) ? `${videoUrl}&t=${Math.floor(result.startTime)}s` : videoUrl,
+        repeatCount: result.repeatCount || 1, // Times the claim was made in the video
+        mentions: ClaimClusterer.getTimestamps(result).map(timestamp => ({
+          startTime: timestamp.start,
+          timestamp: TimedTranscript.formatTimestamp(timestamp.start),
+          url: `${videoUrl}&t=${Math.floor(timestamp.start)}s`
+        })),
+        citations: (result.citations || [])
+          .filter(citation => GroundingCitations.isSafeUrl(citation.uri))
+          .map(citation => ({ title: citation.title || citation.uri, uri: citation.uri })),
+        modelSources: result.sources || '',
+        evidenceType: result.evidenceType || null,
+        reliabilityScore: Number.isFinite(result.reliabilityScore) ? result.reliabilityScore : null
+      }))
+    };
+  }
+
+  static render(report, format) {
+    switch (format) {
+      case 'markdown':
+        return ReportExporter.toMarkdown(report);
+      case 'json':
+        return ReportExporter.toJSON(report);
+      case 'html':
+        return ReportExporter.toHTML(report);
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  }
+
+  static toJSON(report) {
+    return JSON.stringify(report, null, 2);
+  }
+
+  static toMarkdown(report) {
+    const lines = [
+      `# Fact-check: ${ReportExporter.escapeMarkdown(report.video.title)}`,
+      '',
+      `- **Video:** ${report.video.url}`,
+      report.video.channel ? `- **Channel:** ${ReportExporter.escapeMarkdown(report.video.channel)}` : null,
+      `- **Checked:** ${report.analysis.checkedAt}`,
+      `- **Model:** ${ReportExporter.describeModel(report.analysis)}`,
+      `- **Grounding search:** ${ReportExporter.describeGrounding(report.analysis)}`,
+      report.analysis.range ? `- **Passage checked:** ${ReportExporter.describeRange(report.analysis.range)}` : null,
+      `- **Claims:** ${report.analysis.claimCount}`,
+      report.analysis.skippedClaims > 0 ? `- **Claims not checked (budget reached):** ${report.analysis.skippedClaims}` : null,
+      report.analysis.reviewedCount > 0 ? `- **Reviewer overrides:** ${report.analysis.reviewedCount}` : null,
+      ''
+    ].filter(line => line !== null);
+
+    report.claims.forEach((claim, index) => {
+      const time = claim.timestamp ? ` ([${claim.timestamp}](${claim.url}))` : '';
+
+      lines.push(`## ${index + 1}. ${claim.status} (${claim.confidence}% confidence)${time}`);
+      lines.push('');
+      lines.push(`> ${ReportExporter.escapeMarkdown(claim.claim)}`);
+      lines.push('');
+
+      if (claim.speaker) {
+        lines.push(`_Said by ${ReportExporter.escapeMarkdown(claim.speaker)}_`);
+        lines.push('');
+      }
+
+      if (claim.repeatCount > 1) {
+        lines.push(`_${ReportExporter.describeRepeats(claim)}${claim.mentions.length > 0 ? ` at ${claim.mentions.map(mention => `[${mention.timestamp}](${mention.url})`).join(', ')}` : ''}_`);
+        lines.push('');
+      }
+      lines.push(claim.explanation);
+      lines.push('');
+
+      if (claim.humanVerdict) {
+        lines.push(`- **Reviewer verdict:** ${claim.humanVerdict.status} (${ReportExporter.escapeMarkdown(ReportExporter.describeReviewer(claim.humanVerdict))})`);
+        if (claim.humanVerdict.note) {
+          lines.push(`- **Reviewer note:** ${ReportExporter.escapeMarkdown(claim.humanVerdict.note)}`);
+        }
+        lines.push(`- **Model verdict:** ${claim.modelVerdict.status} - ${ReportExporter.escapeMarkdown(claim.modelVerdict.explanation)}`);
+        lines.push('');
+      }
+
+      if (claim.citations.length > 0) {
+        lines.push('**Sources:**');
+        claim.citations.forEach(citation => {
+          lines.push(`- [${ReportExporter.escapeMarkdown(citation.title)}](${ReportExporter.escapeMarkdownUrl(citation.uri)})`);
+        });
+      } else {
+        lines.push(`**Sources (model-reported):** ${claim.modelSources || 'none'}`);
+      }
+      lines.push('');
+    });
+
+    return lines.join('\n');
+  }
+
+  static toHTML(report) {
+    const e = ReportExporter.escapeHtml;
+
+    const claims = report.claims.map((claim, index) => `
+    <section class="claim status-${e(claim.status.toLowerCase().replace(/\s+/g, '-'))}">
+      <h2>${index + 1}. ${e(claim.status)} <span class="confidence">${claim.confidence}% confidence</span>
+        ${claim.timestamp ? `<a class="time" href="${e(claim.url)}">⏱ ${e(claim.timestamp)}</a>` : ''}</h2>
+      <blockquote>${e(claim.claim)}</blockquote>
+      ${claim.speaker ? `<p class="repeats">Said by ${e(claim.speaker)}</p>` : ''}
+      ${claim.repeatCount > 1 ? `<p class="repeats">${e(ReportExporter.describeRepeats(claim))}${claim.mentions.length > 0 ? ` at ${claim.mentions.map(mention => `<a href="${e(mention.url)}">${e(mention.timestamp)}</a>`).join(', ')}` : ''}</p>` : ''}
+      <p>${e(claim.explanation)}</p>
+      ${claim.humanVerdict ? `
+      <div class="review">
+        <p><strong>Reviewer verdict:</strong> ${e(claim.humanVerdict.status)} <span class="confidence">${e(ReportExporter.describeReviewer(claim.humanVerdict))}</span></p>
+        ${claim.humanVerdict.note ? `<p><strong>Reviewer note:</strong> ${e(claim.humanVerdict.note)}</p>` : ''}
+        <p><strong>Model verdict:</strong> ${e(claim.modelVerdict.status)} - ${e(claim.modelVerdict.explanation)}</p>
+      </div>` : ''}
+      ${claim.citations.length > 0 ? `
+      <h3>Sources</h3>
+      <ol>${claim.citations.map(citation => `<li><a href="${e(citation.uri)}">${e(citation.title)}</a><br><span class="uri">${e(citation.uri)}</span></li>`).join('')}</ol>` : `
+      <p class="model-sources"><strong>Sources (model-reported):</strong> ${e(claim.modelSources || 'none')}</p>`}
+    </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Fact-check: ${e(report.video.title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Arial, sans-serif; max-width: 800px; margin: 32px auto; padding: 0 24px; color: #1f2937; line-height: 1.5; }
+    h1 { font-size: 24px; margin-bottom: 8px; }
+    .meta { color: #4b5563; font-size: 14px; margin: 0 0 24px; padding: 0; list-style: none; }
+    .claim { border-left: 4px solid #9ca3af; padding: 4px 0 4px 16px; margin-bottom: 24px; page-break-inside: avoid; }
+    .claim h2 { font-size: 17px; margin: 0 0 8px; }
+    .claim h3 { font-size: 14px; margin: 12px 0 4px; }
+    .confidence { font-weight: 400; color: #6b7280; font-size: 14px; }
+    .time { font-size: 14px; font-weight: 400; margin-left: 8px; }
+    blockquote { margin: 0 0 8px; font-style: italic; color: #374151; }
+    .uri { color: #6b7280; font-size: 12px; word-break: break-all; }
+    .model-sources { color: #6b7280; font-size: 14px; }
+    .repeats { color: #6b7280; font-size: 14px; font-style: italic; margin: 0 0 8px; }
+    .review { background: #f5f3ff; border-radius: 6px; padding: 4px 12px; font-size: 14px; }
+    .status-true, .status-mostly-true { border-color: #10b981; }
+    .status-partly-true, .status-misleading { border-color: #f59e0b; }
+    .status-false { border-color: #ef4444; }
+    a { color: #2563eb; }
+    @media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+  </style>
+</head>
+<body>
+  <h1>Fact-check: ${e(report.video.title)}</h1>
+  <ul class="meta">
+    <li><strong>Video:</strong> <a href="${e(report.video.url)}">${e(report.video.url)}</a></li>
+    ${report.video.channel ? `<li><strong>Channel:</strong> ${e(report.video.channel)}</li>` : ''}
+    <li><strong>Checked:</strong> ${e(report.analysis.checkedAt)}</li>
+    <li><strong>Model:</strong> ${e(ReportExporter.describeModel(report.analysis))}</li>
+    <li><strong>Grounding search:</strong> ${e(ReportExporter.describeGrounding(report.analysis))}</li>
+    ${report.analysis.range ? `<li><strong>Passage checked:</strong> ${e(ReportExporter.describeRange(report.analysis.range))}</li>` : ''}
+    <li><strong>Claims:</strong> ${report.analysis.claimCount}</li>
+    ${report.analysis.skippedClaims > 0 ? `<li><strong>Claims not checked (budget reached):</strong> ${report.analysis.skippedClaims}</li>` : ''}
+    ${report.analysis.reviewedCount > 0 ? `<li><strong>Reviewer overrides:</strong> ${report.analysis.reviewedCount}</li>` : ''}
+  </ul>${claims}
+</body>
+</html>
+`;
+  }
+
+  static getFilename(report, format) {
+    const date = report.analysis.checkedAt.slice(0, 10);
+    return `fact-check-${report.video.id}-${date}.${ReportExporter.FORMATS[format].extension}`;
+  }
+
+  static getVideoUrl(videoId) {
+    return `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`;
+  }
+
+  static describeModel(analysis) {
+    return [analysis.provider, analysis.model].filter(Boolean).join(' / ') || 'unknown';
+  }
+
+  static describeGrounding(analysis) {
+    if (analysis.groundingUsed === null) return 'unknown';
+    return analysis.groundingUsed ? 'on' : 'off';
+  }
+
+  static describeReviewer(humanVerdict) {
+    return `edited by ${humanVerdict.reviewer || 'reviewer'} on ${humanVerdict.reviewedAt.slice(0, 10)}`;
+  }
+
+  static describeRepeats(claim) {
+    return `Said ${claim.repeatCount} times`;
+  }
+
+  static describeRange(range) {
+    return `${range.label}${range.strict ? ' (stricter check)' : ''}`;
+  }
+
+  static escapeMarkdown(text) {
+    return String(text || '').replace(/([\\`*_[\]<>])/g, '\\$1').replace(/\s*\n\s*/g, ' ');
+  }
+
+  // Parentheses and spaces would end a Markdown link target early
+  static escapeMarkdownUrl(url) {
+    return url.replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+  }
+
+  static escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
@@ -0,0 +1,153 @@
+// ReviewStore.js - Human reviewer overrides of model verdicts, in chrome.storage.local
+// Kept apart from HistoryStore so a fresh analysis of the video can't overwrite an editor's decision
+
+import { ClaimMatcher } from './ClaimMatcher.js';
+import { ClaimSchema } from './ClaimSchema.js';
+import { Constants } from './Constants.js';
+
+export class ReviewStore {
+  constructor(storageKey = 'factCheckReviews') {
+    this.storageKey = storageKey;
+    this.writeQueue = Promise.resolve(); // Serializes read-modify-write updates, as in HistoryStore
+  }
+
+  async getAll() {
+    try {
+      const data = await chrome.storage.local.get([this.storageKey]);
+      return data[this.storageKey] || {};
+    } catch (error) {
+      console.error('Failed to read reviewer overrides:', error);
+      return {};
+    }
+  }
+
+  async getForVideo(videoId) {
+    const reviews = await this.getAll();
+    return reviews[videoId] || [];
+  }
+
+  /**
+   * Save (or replace) the override for one claim of a video
+   * @param {string} videoId
+   * @param {Object} result - the result being reviewed (model verdict, or an earlier override of it)
+   * @param {{status: string, explanation?: string, note?: string, reviewer?: string}} input
+   * @returns {Promise<Object>} the stored review
+   */
+  async save(videoId, result, input) {
+    const review = ReviewStore.createReview(result, input);
+
+    return this.enqueue(async () => {
+      const reviews = await this.getAll();
+      const forVideo = (reviews[videoId] || []).filter(item => !ReviewStore.matches(item, review.claim));
+
+      reviews[videoId] = [...forVideo, review];
+      await chrome.storage.local.set({ [this.storageKey]: reviews });
+      return review;
+    });
+  }
+
+  async delete(videoId, claim) {
+    return this.enqueue(async () => {
+      const reviews = await this.getAll();
+      const forVideo = reviews[videoId] || [];
+      const remaining = forVideo.filter(item => !ReviewStore.matches(item, claim));
+      if (remaining.length === forVideo.length) return false;
+
+      if (remaining.length > 0) {
+        reviews[videoId] = remaining;
+      } else {
+        delete reviews[videoId];
+      }
+      await chrome.storage.local.set({ [this.storageKey]: reviews });
+      return true;
+    });
+  }
+
+  /**
+   * Results with the video's overrides applied
+   */
+  async apply(videoId, results) {
+    if (!videoId || !Array.isArray(results) || results.length === 0) return results;
+
+    const reviews = await this.getForVideo(videoId);
+    return ReviewStore.applyAll(results, reviews);
+  }
+
+  enqueue(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Validate reviewer input against the result's model verdict
+   */
+  static createReview(result, input = {}) {
+    const model = ReviewStore.getModelVerdict(result);
+    const status = String(input.status || '').trim();
+
+    if (!ClaimSchema.STATUSES.includes(status)) {
+      throw new Error(`Verdict must be one of: ${ClaimSchema.STATUSES.join(', ')}`);
+    }
+
+    const { MAX_EXPLANATION_LENGTH, MAX_NOTE_LENGTH, MAX_REVIEWER_LENGTH } = Constants.REVIEW;
+
+    return {
+      claim: String(result.claim),
+      status,
+      explanation: String(input.explanation || '').trim().substring(0, MAX_EXPLANATION_LENGTH) || model.explanation,
+      note: String(input.note || '').trim().substring(0, MAX_NOTE_LENGTH),
+      reviewer: String(input.reviewer || '').trim().substring(0, MAX_REVIEWER_LENGTH),
+      reviewedAt: Date.now(),
+      modelStatus: model.status,
+      modelExplanation: model.explanation
+    };
+  }
+
+  // Re-analysis rewords claims, so an override follows the claim rather than its exact text
+  static matches(review, claim) {
+    return ClaimMatcher.isSameClaim(review.claim, claim, Constants.REVIEW.MATCH_SIMILARITY);
+  }
+
+  static applyAll(results, reviews) {
+    if (!reviews?.length) return results;
+
+    return results.map(result => {
+      const review = reviews.find(item => ReviewStore.matches(item, result.claim));
+      return review ? ReviewStore.applyReview(result, review) : result;
+    });
+  }
+
+  /**
+   * The human verdict replaces `status`/`explanation`; the model's stays in `modelVerdict` for audits
+   */
+  static applyReview(result, review) {
+    const model = ReviewStore.revert(result);
+
+    return {
+      ...model,
+      status: review.status,
+      explanation: review.explanation,
+      modelVerdict: { status: model.status, explanation: model.explanation },
+      review: {
+        note: review.note,
+        reviewer: review.reviewer,
+        reviewedAt: review.reviewedAt
+      }
+    };
+  }
+
+  /**
+   * The result as the model returned it
+   */
+  static revert(result) {
+    if (!result.modelVerdict) return result;
+
+    const { modelVerdict, review, ...rest } = result;
+    return { ...rest, status: modelVerdict.status, explanation: modelVerdict.explanation };
+  }
+
+  static getModelVerdict(result) {
+    return result.modelVerdict || { status: result.status, explanation: result.explanation };
+  }
+}
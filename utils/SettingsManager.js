@@ -1,10 +1,17 @@
 // Settings validation, storage, and management
+import { ModelConfig } from './ModelConfig.js';
+
 export class SettingsManager {
   constructor() {
+    this.modelConfig = new ModelConfig();
     this.defaults = {
       enabled: true,
+      provider: 'gemini',
+      baseUrl: '', // Empty = provider's default endpoint
+      modelName: '', // Empty = provider's default model
       apiKey: '',
       language: 'en',
+      translateCaptions: false, // Have YouTube translate captions in other languages into `language` before analysis
       usePremiumModel: true,
       useGroundingSearch: true,
       analysisTimeout: 45,
@@ -12,10 +19,26 @@ export class SettingsManager {
       maxCacheAge: 48,
       strictMode: true,
       confidenceThreshold: 70,
+      claimsPerBatch: 3,
+      maxClaimsPerCheck: 20,
+      maxTokensPerCheck: 0, // 0 = no token budget
+      dailyRequestLimit: 0, // Usage limits across all tabs (UsageQuota); 0 = no limit
+      dailyTokenLimit: 0,
+      dailyCostLimit: 0, // USD
+      monthlyCostLimit: 0, // USD
+      liveClaimAlerts: false,
+      saveHistory: true,
+      audioTranscription: false, // Record and transcribe the audio when a video has no captions
+      transcriptionEndpoint: '', // Speech-to-text URL, e.g. a local whisper.cpp server's /inference
       stats: {
         videosChecked: 0,
         claimsFound: 0,
         accurateClaims: 0,
+        tokensUsed: 0,
+        estimatedCost: 0,
+        usageMonth: null,
+        monthTokens: 0,
+        monthCost: 0,
         lastUsed: null,
         installDate: Date.now()
       }
@@ -130,15 +153,35 @@ export class SettingsManager {
   validate(settings) {
     const validated = {
       enabled: Boolean(settings.enabled),
+      provider: String(settings.provider || 'gemini'),
+      baseUrl: this.normalizeBaseUrl(settings.baseUrl),
+      modelName: String(settings.modelName || '').trim(),
       apiKey: String(settings.apiKey || '').trim(),
       language: String(settings.language || 'en'),
+      translateCaptions: Boolean(settings.translateCaptions),
       usePremiumModel: Boolean(settings.usePremiumModel),
       useGroundingSearch: Boolean(settings.useGroundingSearch !== false),
       analysisTimeout: Math.max(30, Math.min(120, parseInt(settings.analysisTimeout) || 45)),
       cacheResults: settings.cacheResults !== false,
       maxCacheAge: Math.max(1, Math.min(168, parseInt(settings.maxCacheAge) || 48)),
       strictMode: Boolean(settings.strictMode !== false),
-      confidenceThreshold: Math.max(50, Math.min(95, parseInt(settings.confidenceThreshold) || 70))
+      confidenceThreshold: Math.max(50, Math.min(95, parseInt(settings.confidenceThreshold) || 70)),
+      claimsPerBatch: Math.max(1, Math.min(10, parseInt(settings.claimsPerBatch) || 3)),
+      maxClaimsPerCheck: Math.max(1, Math.min(100, parseInt(settings.maxClaimsPerCheck) || 20)),
+      maxTokensPerCheck: parseInt(settings.maxTokensPerCheck) > 0 ?
+        Math.max(5000, Math.min(2000000, parseInt(settings.maxTokensPerCheck))) : 0,
+      dailyRequestLimit: parseInt(settings.dailyRequestLimit) > 0 ?
+        Math.min(10000, parseInt(settings.dailyRequestLimit)) : 0,
+      dailyTokenLimit: parseInt(settings.dailyTokenLimit) > 0 ?
+        Math.max(10000, Math.min(100000000, parseInt(settings.dailyTokenLimit))) : 0,
+      dailyCostLimit: parseFloat(settings.dailyCostLimit) > 0 ?
+        Math.max(0.01, Math.min(1000, parseFloat(settings.dailyCostLimit))) : 0,
+      monthlyCostLimit: parseFloat(settings.monthlyCostLimit) > 0 ?
+        Math.max(0.01, Math.min(10000, parseFloat(settings.monthlyCostLimit))) : 0,
+      liveClaimAlerts: Boolean(settings.liveClaimAlerts),
+      saveHistory: settings.saveHistory !== false,
+      audioTranscription: Boolean(settings.audioTranscription),
+      transcriptionEndpoint: this.normalizeBaseUrl(settings.transcriptionEndpoint)
     };
 
     const validLanguages = ['en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ja', 'ko', 'zh', 'ar', 'hi'];
@@ -146,6 +189,33 @@ export class SettingsManager {
       validated.language = 'en';
     }
 
+    if (!this.modelConfig.getProviderIds().includes(validated.provider)) {
+      validated.provider = 'gemini';
+    }
+
+    // Model ids look like "gemini-2.5-flash", "gpt-4o-mini", "llama3.1:8b" or "org/model"
+    if (!/^[\w.:/@-]{1,100}$/.test(validated.modelName)) {
+      validated.modelName = '';
+    }
+
     return validated;
   }
+
+  /**
+   * Accept http(s) base URLs only; strips query, hash and trailing slashes
+   */
+  normalizeBaseUrl(value) {
+    const raw = String(value || '').trim();
+    if (!raw) return '';
+
+    try {
+      const url = new URL(raw);
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+        return '';
+      }
+      return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+    } catch (error) {
+      return '';
+    }
+  }
 }
\ No newline at end of file
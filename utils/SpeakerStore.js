@@ -0,0 +1,82 @@
+// SpeakerStore.js - Names users give to the speakers of a video, in chrome.storage.local
+// Results keep the model's `speaker` label; the user's name for it is applied on top as `speakerName`
+
+import { SpeakerLabels } from '../transcript/utils/SpeakerLabels.js';
+
+export class SpeakerStore {
+  constructor(storageKey = 'speakerNames') {
+    this.storageKey = storageKey;
+    this.writeQueue = Promise.resolve(); // Serializes read-modify-write updates, as in HistoryStore
+  }
+
+  async getAll() {
+    try {
+      const data = await chrome.storage.local.get([this.storageKey]);
+      return data[this.storageKey] || {};
+    } catch (error) {
+      console.error('Failed to read speaker names:', error);
+      return {};
+    }
+  }
+
+  async getForVideo(videoId) {
+    const names = await this.getAll();
+    return names[videoId] || {};
+  }
+
+  /**
+   * Rename some of a video's speakers; an empty name drops the rename
+   * @param {string} videoId
+   * @param {Object<string, string>} renames - model label -> name
+   * @returns {Promise<Object<string, string>>} every rename the video now has
+   */
+  async rename(videoId, renames) {
+    return this.enqueue(async () => {
+      const names = await this.getAll();
+      const forVideo = { ...(names[videoId] || {}) };
+
+      Object.entries(renames).forEach(([label, name]) => {
+        const speaker = SpeakerLabels.normalize(label);
+        if (!speaker) return;
+
+        const renamed = SpeakerLabels.normalize(name);
+        if (renamed && renamed !== speaker) {
+          forVideo[speaker] = renamed;
+        } else {
+          delete forVideo[speaker];
+        }
+      });
+
+      if (Object.keys(forVideo).length > 0) {
+        names[videoId] = forVideo;
+      } else {
+        delete names[videoId];
+      }
+      await chrome.storage.local.set({ [this.storageKey]: names });
+      return forVideo;
+    });
+  }
+
+  /**
+   * Results with the video's speaker names applied
+   */
+  async apply(videoId, results) {
+    if (!videoId || !Array.isArray(results) || results.length === 0) return results;
+
+    return SpeakerStore.applyNames(results, await this.getForVideo(videoId));
+  }
+
+  enqueue(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  static applyNames(results, names = {}) {
+    return results.map(result => {
+      const { speakerName, ...rest } = result;
+      const name = result.speaker ? names[result.speaker] : null;
+      return name ? { ...rest, speakerName: name } : rest;
+    });
+  }
+}
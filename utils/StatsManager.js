@@ -1,21 +1,21 @@
 // Usage statistics tracking and management
+import { UsageQuota } from './UsageQuota.js';
+
 export class StatsManager {
-  async update(results) {
+  /**
+   * @param {Array<Object>} results
+   * @param {Object|null} usage - UsageMeter summary of the check's API requests
+   */
+  async update(results, usage = null) {
     try {
-      const data = await chrome.storage.sync.get(['stats']);
-      const stats = data.stats || {
-        videosChecked: 0,
-        claimsFound: 0,
-        accurateClaims: 0,
-        lastUsed: null,
-        installDate: Date.now()
-      };
+      const stats = await this.get();
 
       stats.videosChecked += 1;
       stats.claimsFound += results.length;
       stats.accurateClaims += results.filter(r => 
         ['True', 'Mostly True'].includes(r.status) && r.confidence >= 75
       ).length;
+      this.addUsage(stats, usage);
       stats.lastUsed = Date.now();
 
       await chrome.storage.sync.set({ stats });
@@ -24,37 +24,55 @@ export class StatsManager {
     }
   }
 
+  /**
+   * Token usage from requests that aren't a new check (follow-up questions, transcript
+   * processing before a cache hit)
+   */
+  async recordUsage(usage) {
+    if (!usage) return;
+
+    try {
+      const stats = await this.get();
+      this.addUsage(stats, usage);
+      await chrome.storage.sync.set({ stats });
+    } catch (error) {
+      console.error('Failed to record token usage:', error);
+    }
+  }
+
+  // Running totals, plus this calendar month's so the popup can show recent spend
+  addUsage(stats, usage) {
+    const month = UsageQuota.periodKey('monthly'); // Local month, the same one the monthly limit counts
+    if (stats.usageMonth !== month) {
+      stats.usageMonth = month;
+      stats.monthTokens = 0;
+      stats.monthCost = 0;
+    }
+
+    if (!usage) return;
+
+    const tokens = usage.totalTokens || 0;
+    const cost = usage.estimatedCost || 0;
+    stats.tokensUsed += tokens;
+    stats.estimatedCost += cost;
+    stats.monthTokens += tokens;
+    stats.monthCost += cost;
+  }
+
   async get() {
     try {
       const data = await chrome.storage.sync.get(['stats']);
-      return data.stats || {
-        videosChecked: 0,
-        claimsFound: 0,
-        accurateClaims: 0,
-        lastUsed: null,
-        installDate: Date.now()
-      };
+      // Stats saved before token accounting lack the usage counters
+      return { ...this.getDefaults(), ...data.stats };
     } catch (error) {
       console.error('Failed to get stats:', error);
-      return {
-        videosChecked: 0,
-        claimsFound: 0,
-        accurateClaims: 0,
-        lastUsed: null,
-        installDate: Date.now()
-      };
+      return this.getDefaults();
     }
   }
 
   async reset() {
     try {
-      const resetStats = {
-        videosChecked: 0,
-        claimsFound: 0,
-        accurateClaims: 0,
-        lastUsed: null,
-        installDate: Date.now()
-      };
+      const resetStats = this.getDefaults();
       
       await chrome.storage.sync.set({ stats: resetStats });
       return resetStats;
@@ -64,6 +82,21 @@ export class StatsManager {
     }
   }
 
+  getDefaults() {
+    return {
+      videosChecked: 0,
+      claimsFound: 0,
+      accurateClaims: 0,
+      tokensUsed: 0,
+      estimatedCost: 0, // USD, from ModelConfig prices
+      usageMonth: null, // 'YYYY-MM' the month counters belong to
+      monthTokens: 0,
+      monthCost: 0,
+      lastUsed: null,
+      installDate: Date.now()
+    };
+  }
+
   calculateAccuracyRate(stats) {
     return stats.claimsFound > 0 ? 
       Math.round((stats.accurateClaims / stats.claimsFound) * 100) : 0;
@@ -124,6 +124,9 @@ export class URLObserver {
 
   // Utility methods
   getCurrentVideoId() {
+    const shortsMatch = location.pathname.match(/^\/shorts\/([^/?#]+)/);
+    if (shortsMatch) return shortsMatch[1];
+
     const match = location.search.match(/[?&]v=([^&]+)/);
     return match ? match[1] : null;
   }
@@ -132,11 +135,16 @@ export class URLObserver {
     return location.pathname === '/watch' && this.getCurrentVideoId() !== null;
   }
 
+  isShortsPage() {
+    return location.pathname.startsWith('/shorts/');
+  }
+
   getPageType(url = location.href) {
     const urlObj = new URL(url);
     const pathname = urlObj.pathname;
     
     if (pathname === '/watch' && urlObj.search.includes('v=')) return 'watch';
+    if (pathname.startsWith('/shorts/')) return 'shorts';
     if (pathname === '/' || pathname === '/feed/trending') return 'home';
     if (pathname.startsWith('/channel/') || pathname.startsWith('/c/') || pathname.startsWith('/@')) return 'channel';
     if (pathname === '/results') return 'search';
@@ -0,0 +1,94 @@
+// UsageMeter.js - Adds up the tokens one analysis spends across its API requests
+// Filled by APIService.makeRequest from each response's usage report; prices come from ModelConfig
+
+import { ModelConfig } from './ModelConfig.js';
+
+const COUNTERS = ['calls', 'unreported', 'promptTokens', 'outputTokens', 'totalTokens'];
+
+export class UsageMeter {
+  constructor() {
+    this.byModel = {}; // model -> { calls, unreported, promptTokens, outputTokens, totalTokens }
+  }
+
+  getEntry(model) {
+    if (!this.byModel[model]) {
+      this.byModel[model] = Object.fromEntries(COUNTERS.map(key => [key, 0]));
+    }
+    return this.byModel[model];
+  }
+
+  /**
+   * @param {string} model
+   * @param {{promptTokens: number, outputTokens: number, totalTokens: number}|null} usage - null when the provider reported none
+   */
+  add(model, usage) {
+    const entry = this.getEntry(model);
+
+    entry.calls++;
+    if (!usage) {
+      entry.unreported++;
+      return;
+    }
+
+    entry.promptTokens += usage.promptTokens;
+    entry.outputTokens += usage.outputTokens;
+    entry.totalTokens += usage.totalTokens;
+  }
+
+  /**
+   * Fold in usage measured in another context (the content script processes the transcript too)
+   * @param {Object} byModel - another meter's toJSON()
+   */
+  merge(byModel) {
+    Object.entries(byModel || {}).forEach(([model, counts]) => {
+      if (!(Number(counts?.calls) > 0)) return;
+
+      const entry = this.getEntry(model);
+      COUNTERS.forEach(key => {
+        entry[key] += Math.max(0, Number(counts?.[key]) || 0);
+      });
+    });
+  }
+
+  toJSON() {
+    return this.byModel;
+  }
+
+  hasUsage() {
+    return Object.keys(this.byModel).length > 0;
+  }
+
+  /**
+   * Totals plus an estimated cost in USD. `estimatedCost` leaves out models without a known
+   * price; `priced` is false when that happened.
+   * @param {ModelConfig} modelConfig
+   */
+  summary(modelConfig = new ModelConfig()) {
+    const totals = { calls: 0, unreported: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, estimatedCost: 0, priced: true };
+
+    Object.entries(this.byModel).forEach(([model, entry]) => {
+      totals.calls += entry.calls;
+      totals.unreported += entry.unreported;
+      totals.promptTokens += entry.promptTokens;
+      totals.outputTokens += entry.outputTokens;
+      totals.totalTokens += entry.totalTokens;
+
+      const cost = modelConfig.estimateCost(model, entry.promptTokens, entry.outputTokens);
+      if (cost === null) {
+        totals.priced = false;
+      } else {
+        totals.estimatedCost += cost;
+      }
+    });
+
+    return {
+      ...totals,
+      models: Object.keys(this.byModel)
+    };
+  }
+
+  static formatCost(cost) {
+    if (!Number.isFinite(cost)) return 'unknown';
+    return cost > 0 && cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+  }
+}
@@ -0,0 +1,166 @@
+// UsageQuota.js - Daily and monthly API usage counters, checked against the user's spend limits
+// Kept in chrome.storage.local so every tab and worker restart sees the same totals; chrome.alarms resets them
+
+import { Constants } from './Constants.js';
+import { UsageMeter } from './UsageMeter.js';
+
+// Setting that limits each counter, by period (0 = no limit)
+const LIMITS = {
+  daily: { requests: 'dailyRequestLimit', tokens: 'dailyTokenLimit', cost: 'dailyCostLimit' },
+  monthly: { cost: 'monthlyCostLimit' }
+};
+
+export class UsageQuota {
+  constructor(storageKey = 'usageQuota') {
+    this.storageKey = storageKey;
+    this.writeQueue = Promise.resolve(); // Serializes read-modify-write updates, as in HistoryStore
+  }
+
+  /**
+   * Counters of the current day and month. A period that has ended reads as empty even when its
+   * reset alarm hasn't fired yet (the browser was closed at midnight).
+   * @returns {Promise<{daily: Object, monthly: Object}>} each { period, requests, tokens, cost, checks }
+   */
+  async get() {
+    try {
+      const data = await chrome.storage.local.get([this.storageKey]);
+      return UsageQuota.current(data[this.storageKey]);
+    } catch (error) {
+      console.error('Failed to read usage quota:', error);
+      return UsageQuota.current(null);
+    }
+  }
+
+  /**
+   * @param {Object} usage - UsageMeter summary
+   * @param {boolean} isCheck - a fact-check rather than a follow-up question; the per-check average comes from these
+   */
+  async record(usage, isCheck = false) {
+    if (!usage) return;
+
+    return this.enqueue(async () => {
+      const quota = await this.get();
+
+      Object.values(quota).forEach(counters => {
+        counters.requests += usage.calls || 0;
+        counters.tokens += usage.totalTokens || 0;
+        counters.cost += usage.estimatedCost || 0;
+        if (isCheck) counters.checks++;
+      });
+
+      await chrome.storage.local.set({ [this.storageKey]: quota });
+    });
+  }
+
+  /**
+   * Limits in `settings` that are reached, or that the next check is expected to go over. A check is
+   * expected to cost what the period's checks have cost on average so far.
+   * @param {Object} settings
+   * @param {boolean} projectCheck - false for a single request (a follow-up question): only limits already reached count
+   * @returns {Promise<{allowed: boolean, exceeded: Array<{period: string, metric: string, used: number, limit: number}>, daily: Object, monthly: Object}>}
+   */
+  async check(settings, projectCheck = true) {
+    const quota = await this.get();
+    const exceeded = [];
+
+    Object.entries(LIMITS).forEach(([period, metrics]) => {
+      const counters = quota[period];
+
+      Object.entries(metrics).forEach(([metric, settingKey]) => {
+        const limit = Number(settings[settingKey]) || 0;
+        if (limit <= 0) return;
+
+        const expected = projectCheck && counters.checks > 0 ? counters[metric] / counters.checks : 0;
+        if (counters[metric] >= limit || counters[metric] + expected > limit) {
+          exceeded.push({ period, metric, used: counters[metric], limit });
+        }
+      });
+    });
+
+    return { allowed: exceeded.length === 0, exceeded, ...quota };
+  }
+
+  async reset(period) {
+    return this.enqueue(async () => {
+      const quota = await this.get();
+      quota[period] = UsageQuota.emptyCounters(period);
+      await chrome.storage.local.set({ [this.storageKey]: quota });
+    });
+  }
+
+  /**
+   * Alarms for the next local midnight and the first of next month. They fire once;
+   * handleAlarm schedules the following reset.
+   */
+  scheduleResets() {
+    Object.entries(Constants.QUOTA.RESET_ALARMS).forEach(([period, name]) => {
+      chrome.alarms.create(name, { when: UsageQuota.nextReset(period) });
+    });
+  }
+
+  /**
+   * @returns {Promise<boolean>} whether the alarm was one of the quota resets
+   */
+  async handleAlarm(alarm) {
+    const period = Object.keys(Constants.QUOTA.RESET_ALARMS)
+      .find(key => Constants.QUOTA.RESET_ALARMS[key] === alarm.name);
+    if (!period) return false;
+
+    console.log(`🔄 Resetting ${period} usage counters`);
+    await this.reset(period);
+    chrome.alarms.create(alarm.name, { when: UsageQuota.nextReset(period) });
+    return true;
+  }
+
+  enqueue(task) {
+    const run = this.writeQueue.then(task, task);
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  static current(stored) {
+    return Object.fromEntries(Object.keys(LIMITS).map(period => {
+      const counters = stored?.[period];
+      if (counters?.period !== UsageQuota.periodKey(period)) {
+        return [period, UsageQuota.emptyCounters(period)];
+      }
+
+      return [period, {
+        period: counters.period,
+        requests: Number(counters.requests) || 0,
+        tokens: Number(counters.tokens) || 0,
+        cost: Number(counters.cost) || 0,
+        checks: Number(counters.checks) || 0
+      }];
+    }));
+  }
+
+  static emptyCounters(period) {
+    return { period: UsageQuota.periodKey(period), requests: 0, tokens: 0, cost: 0, checks: 0 };
+  }
+
+  // Local calendar day ('YYYY-MM-DD') or month ('YYYY-MM'), so limits reset at the user's midnight
+  static periodKey(period, date = new Date()) {
+    const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    return period === 'daily' ? `${month}-${String(date.getDate()).padStart(2, '0')}` : month;
+  }
+
+  static nextReset(period, now = new Date()) {
+    return period === 'daily' ?
+      new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1).getTime() :
+      new Date(now.getFullYear(), now.getMonth() + 1, 1).getTime();
+  }
+
+  /**
+   * "daily cost limit: $0.48 of $0.50 used"
+   */
+  static describe({ period, metric, used, limit }) {
+    const format = value => metric === 'cost' ? UsageMeter.formatCost(value) : Math.round(value).toLocaleString();
+    const noun = { requests: 'request', tokens: 'token', cost: 'cost' }[metric];
+    return `${period} ${noun} limit: ${format(used)} of ${format(limit)} used`;
+  }
+
+  static formatExceeded(exceeded) {
+    return `This would go over a usage limit (${exceeded.map(UsageQuota.describe).join('; ')}). Limits can be changed in the extension settings.`;
+  }
+}
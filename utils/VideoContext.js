@@ -0,0 +1,189 @@
+// VideoContext.js - What the video says about itself: title, channel, upload date, description and chapters
+// Collected by the content script and sent with fact-check requests; FactCheckEngine adds it to its prompts
+
+import { Constants } from './Constants.js';
+import { TimedTranscript } from '../transcript/utils/TimedTranscript.js';
+
+export class VideoContext {
+  /**
+   * Context for a video from its player response, else from what the page shows. Never throws.
+   * @param {string} videoId
+   * @param {{title: string, channel: string}} pageMetadata - FactChecker.getVideoMetadata(), used when the player response is unavailable
+   * @returns {Promise<{title: string, channel: string, uploadDate: string|null, description: string,
+   *   chapters: Array<{start: number, title: string}>, source: 'player'|'page'}|null>}
+   */
+  static async collect(videoId, pageMetadata = {}) {
+    try {
+      const context = await VideoContext.fromWatchPage(videoId);
+      if (context) return VideoContext.sanitize(context);
+    } catch (error) {
+      console.warn('⚠️ Could not read the video\'s player response, using the page instead:', error.message);
+    }
+
+    return VideoContext.sanitize(VideoContext.fromPage(videoId, pageMetadata));
+  }
+
+  /**
+   * The content script can't see the page's own `ytInitialPlayerResponse`, so read it from a fresh copy of the watch page
+   */
+  static async fromWatchPage(videoId) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), Constants.VIDEO_CONTEXT.FETCH_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(`https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Watch page request failed: ${response.status}`);
+      }
+
+      const html = await response.text();
+      const playerResponse = VideoContext.extractJSON(html, 'ytInitialPlayerResponse');
+      if (playerResponse?.videoDetails?.videoId !== videoId) return null;
+
+      return VideoContext.fromPlayerResponse(playerResponse, VideoContext.extractJSON(html, 'ytInitialData'));
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  static fromPlayerResponse(playerResponse, initialData = null) {
+    const details = playerResponse.videoDetails || {};
+    const microformat = playerResponse.microformat?.playerMicroformatRenderer || {};
+    const description = details.shortDescription || microformat.description?.simpleText || '';
+    const chapters = VideoContext.chaptersFromInitialData(initialData);
+
+    return {
+      title: details.title || microformat.title?.simpleText || '',
+      channel: details.author || microformat.ownerChannelName || '',
+      // A stream's publish date is when it was scheduled; when it went live is what its claims date from
+      uploadDate: microformat.liveBroadcastDetails?.startTimestamp || microformat.publishDate || microformat.uploadDate || null,
+      description,
+      chapters: chapters.length > 0 ? chapters : VideoContext.chaptersFromDescription(description),
+      source: 'player'
+    };
+  }
+
+  static fromPage(videoId, pageMetadata = {}) {
+    const { DESCRIPTION_SELECTORS, CHAPTER_ITEM_SELECTOR, CHAPTER_TITLE_SELECTOR, CHAPTER_TIME_SELECTOR } = Constants.VIDEO_CONTEXT;
+    const description = VideoContext.findText(DESCRIPTION_SELECTORS);
+
+    let chapters = VideoContext.chaptersFromDescription(description);
+    if (chapters.length === 0) {
+      chapters = Array.from(document.querySelectorAll(CHAPTER_ITEM_SELECTOR)).map(item => ({
+        start: TimedTranscript.parseTimestamp(item.querySelector(CHAPTER_TIME_SELECTOR)?.textContent),
+        title: item.querySelector(CHAPTER_TITLE_SELECTOR)?.textContent?.trim() || ''
+      }));
+    }
+
+    return {
+      title: pageMetadata.title || '',
+      channel: pageMetadata.channel || '',
+      uploadDate: VideoContext.pageUploadDate(videoId),
+      description,
+      chapters,
+      source: 'page'
+    };
+  }
+
+  /**
+   * Upload date from the page's microformat, which YouTube only fills in for the video the page was loaded with
+   */
+  static pageUploadDate(videoId) {
+    const container = document.querySelector(`[itemscope] meta[itemprop="identifier"][content="${CSS.escape(videoId)}"]`)?.closest('[itemscope]');
+    const date = container?.querySelector('meta[itemprop="datePublished"], meta[itemprop="uploadDate"]');
+    return date?.getAttribute('content') || null;
+  }
+
+  static findText(selectors) {
+    for (const selector of selectors) {
+      const text = document.querySelector(selector)?.textContent?.trim();
+      if (text) return text;
+    }
+    return '';
+  }
+
+  static chaptersFromInitialData(initialData) {
+    const markersMap = initialData?.playerOverlays?.playerOverlayRenderer?.decoratedPlayerBarRenderer
+      ?.decoratedPlayerBarRenderer?.playerBar?.multiMarkersPlayerBarRenderer?.markersMap || [];
+    const markers = markersMap.find(entry => entry.key === 'DESCRIPTION_CHAPTERS') ||
+      markersMap.find(entry => entry.key === 'AUTO_CHAPTERS');
+
+    return (markers?.value?.chapters || [])
+      .map(({ chapterRenderer }) => ({
+        start: Number(chapterRenderer?.timeRangeStartMillis) / 1000,
+        title: chapterRenderer?.title?.simpleText || ''
+      }));
+  }
+
+  /**
+   * Chapters the way YouTube finds them: timestamped description lines, the first at 0:00, at least three
+   */
+  static chaptersFromDescription(description) {
+    const chapters = String(description || '').split('\n')
+      .map(line => line.match(/^\s*\(?((?:\d{1,2}:)?\d{1,2}:\d{2})\)?\s*[-–—:|]?\s*(.+)$/))
+      .filter(Boolean)
+      .map(([, time, title]) => ({ start: TimedTranscript.parseTimestamp(time), title: title.trim() }));
+
+    const ascending = chapters.every((chapter, index) => index === 0 || chapter.start > chapters[index - 1].start);
+    return chapters.length >= 3 && chapters[0].start === 0 && ascending ? chapters : [];
+  }
+
+  /**
+   * Parse the object literal assigned to a page variable (`var ytInitialData = {...};`) out of the page's HTML
+   */
+  static extractJSON(html, variable) {
+    const match = new RegExp(`${variable}\\s*=\\s*\\{`).exec(html);
+    if (!match) return null;
+
+    const start = match.index + match[0].length - 1;
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < html.length; i++) {
+      const char = html[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        try {
+          return JSON.parse(html.substring(start, i + 1));
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Trim context to what the prompts can use. Also applied by FactCheckEngine, which gets it from a content script.
+   * @returns {Object|null} null when nothing about the video is known
+   */
+  static sanitize(context) {
+    if (!context || typeof context !== 'object') return null;
+
+    const { MAX_TITLE_LENGTH, MAX_DESCRIPTION_LENGTH, MAX_CHAPTERS } = Constants.VIDEO_CONTEXT;
+    const text = (value, maxLength) => (typeof value === 'string' ? value.trim().substring(0, maxLength) : '');
+    const date = String(context.uploadDate || '').match(/^\d{4}-\d{2}-\d{2}/);
+    const chapters = (Array.isArray(context.chapters) ? context.chapters : [])
+      .filter(chapter => Number.isFinite(chapter?.start) && text(chapter.title, MAX_TITLE_LENGTH))
+      .slice(0, MAX_CHAPTERS)
+      .map(chapter => ({ start: Math.max(0, Math.floor(chapter.start)), title: text(chapter.title, MAX_TITLE_LENGTH) }));
+
+    const sanitized = {
+      title: text(context.title, MAX_TITLE_LENGTH),
+      channel: text(context.channel, MAX_TITLE_LENGTH),
+      uploadDate: date ? date[0] : null,
+      description: text(context.description, MAX_DESCRIPTION_LENGTH),
+      chapters,
+      source: context.source === 'player' ? 'player' : 'page'
+    };
+
+    const known = sanitized.title || sanitized.channel || sanitized.uploadDate || sanitized.description || chapters.length > 0;
+    return known ? sanitized : null;
+  }
+}